@@ -0,0 +1,189 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+import {
+  HostBuilder as CoreHostBuilder,
+  LayerBlendModes,
+} from '@amazon-sumerian-hosts/core';
+import {AnimationGroup} from '@babylonjs/core/Animations/animationGroup';
+import HostObject from './HostObject';
+import PointOfInterestFeature from './PointOfInterestFeature';
+import IKFeature from './IKFeature';
+import LocomotionFeature from './LocomotionFeature';
+import anim from './animpack';
+import aws from './awspack';
+
+/**
+ * Builder that creates Babylon hosts from a {@link HostDefinition}. Clips are
+ * looked up by name in the animation groups given to the builder and scene
+ * objects are looked up by name in the descendants of the host owner.
+ * Animation groups used on Additive layers are made additive when they are
+ * first used.
+ *
+ * Hosts are created as {@link babylonjs/HostObject} instances unless another
+ * hostClass option is given. Use [createHost]{@link babylonjs/HostBuilder.createHost}
+ * to create a host from a character config that has a hostDefinitionUrl.
+ *
+ * @extends core/HostBuilder
+ * @alias babylonjs/HostBuilder
+ */
+class HostBuilder extends CoreHostBuilder {
+  /**
+   * @constructor
+   *
+   * @param {Scene} scene - The scene that will contain the hosts.
+   * @param {Array.<AnimationGroup>} [clips=[]] - Animation groups that can be
+   * referenced by name in definitions.
+   * @param {Object=} options - Options for the builder. See
+   * {@link core/HostBuilder}.
+   * @param {Class} [options.hostClass=babylonjs/HostObject] - Class used to
+   * create hosts. Must provide updateOnObservable.
+   */
+  constructor(scene, clips = [], options = {}) {
+    super({
+      ...options,
+      hostClass: options.hostClass || HostObject,
+      featureClasses: {
+        AnimationFeature: anim.AnimationFeature,
+        PointOfInterestFeature,
+        IKFeature,
+        LocomotionFeature,
+        TextToSpeechFeature: aws.TextToSpeechFeature,
+        ...options.featureClasses,
+      },
+    });
+
+    this._scene = scene;
+    this._clips = clips;
+    this._additiveClips = new Set();
+  }
+
+  _resolveClip(clip, layerDefinition) {
+    if (typeof clip !== 'string') {
+      return clip;
+    }
+
+    const group = this._clips.find(({name}) => name === clip);
+
+    if (group === undefined) {
+      throw new Error(
+        `Cannot resolve clip ${clip} for layer ${layerDefinition.name}. No animation group exists with this name.`
+      );
+    }
+
+    if (
+      layerDefinition.blendMode === LayerBlendModes.Additive &&
+      !this._additiveClips.has(group)
+    ) {
+      AnimationGroup.MakeAnimationAdditive(group);
+      this._additiveClips.add(group);
+    }
+
+    return group;
+  }
+
+  _resolveObject(host, object) {
+    if (typeof object !== 'string') {
+      return object;
+    }
+
+    return host.owner.getDescendants(false).find(({name}) => name === object);
+  }
+
+  _resolveFeatureArgs(host, type, args) {
+    args = super._resolveFeatureArgs(host, type, args);
+
+    if (type === 'PointOfInterestFeature' || type === 'TextToSpeechFeature') {
+      args[0].scene = args[0].scene || this._scene;
+    }
+
+    return args;
+  }
+
+  /**
+   * Create a new host from a definition and add it to the scene's render loop.
+   *
+   * @param {HostDefinition} definition - The description of the host.
+   * @param {Object=} options - Options for building the host. See
+   * [core/HostBuilder.build]{@link core/HostBuilder#build}.
+   *
+   * @returns {babylonjs/HostObject}
+   */
+  build(definition, options) {
+    PointOfInterestFeature.useRightHandCoordinateSystem = this._scene.useRightHandedSystem;
+    const host = super.build(definition, options);
+
+    // Add the host to the render loop until it is disposed
+    host.updateOnObservable(this._scene.onBeforeAnimationsObservable);
+
+    return host;
+  }
+
+  /**
+   * Set up a host's features and animations from a host definition and start
+   * rendering them in the scene. Clips in the definition are referenced by the
+   * names of the loaded animation groups.
+   *
+   * @param {SumerianHostLoadedAssets} assets
+   * @param {Scene} scene
+   * @param {HostDefinition} [definition=assets.hostDefinition]
+   * @param {Object=} options - Options for the builder. See
+   * {@link babylonjs/HostBuilder}.
+   *
+   * @returns {babylonjs/HostObject}
+   */
+  static assembleHostFromDefinition(
+    assets,
+    scene,
+    definition = assets.hostDefinition,
+    options = {}
+  ) {
+    const clips = [].concat(...Object.values(assets.animClips));
+    if (assets.bindPoseOffset) {
+      clips.push(assets.bindPoseOffset);
+    }
+
+    const builder = new this(scene, clips, options);
+
+    return builder.build(definition, {
+      hostOptions: {owner: assets.characterMesh, assets},
+    });
+  }
+
+  /**
+   * Creates a new Sumerian Host from the assets listed in the `characterConfig`
+   * parameter, like {@link babylonjs/HostObject.createHost}. If the config has
+   * a hostDefinitionUrl, the host's features and animations are created from
+   * the definition. Text to speech and point of interest tracking are added
+   * if the definition doesn't include them.
+   *
+   * @param {Scene} scene The scene to add the host to.
+   * @param {SumerianCharacterConfig} characterConfig
+   * @param {SumerianPollyConfig} pollyConfig
+   * @param {Object=} options - Options for the builder. See
+   * {@link babylonjs/HostBuilder}.
+   *
+   * @returns {babylonjs/HostObject} A functioning Sumerian Host
+   */
+  static async createHost(scene, characterConfig, pollyConfig, options = {}) {
+    const hostClass = options.hostClass || HostObject;
+    await hostClass.initTextToSpeech(
+      pollyConfig.pollyClient,
+      pollyConfig.pollyPresigner
+    );
+    const assets = await hostClass.loadAssets(scene, characterConfig);
+    const host = assets.hostDefinition
+      ? this.assembleHostFromDefinition(assets, scene, undefined, options)
+      : hostClass.assembleHost(assets, scene);
+    hostClass.addCharacterFeatures(
+      host,
+      scene,
+      assets,
+      characterConfig,
+      pollyConfig
+    );
+
+    return host;
+  }
+}
+
+export default HostBuilder;
@@ -4,11 +4,13 @@ import {
   HostObject as CoreHostObject,
   LipsyncFeature,
   GestureFeature,
+  Retargeter,
 } from '@amazon-sumerian-hosts/core';
 import {SceneLoader} from '@babylonjs/core/Loading/sceneLoader';
 import {PrecisionDate} from '@babylonjs/core/Misc/precisionDate';
 import {Observable} from '@babylonjs/core/Misc/observable';
 import {AnimationGroup} from '@babylonjs/core/Animations/animationGroup';
+import {Quaternion, Vector3} from '@babylonjs/core/Maths/math.vector';
 // eslint-disable-next-line no-unused-vars
 import {RawTexture} from '@babylonjs/core/Materials/Textures/rawTexture';
 import '@babylonjs/loaders';
@@ -16,6 +18,7 @@ import AWS from 'aws-sdk';
 import anim from './animpack';
 import aws from './awspack';
 import PointOfInterestFeature from './PointOfInterestFeature';
+import IKFeature from './IKFeature';
 
 /**
  * @extends core/HostObject
@@ -27,11 +30,24 @@ class HostObject extends CoreHostObject {
    *
    * @param {Object=} options - Options for the host.
    * @param {Object=} options.owner - Optional engine-specific owner of the host.
+   * @param {number} [options.timeScale=1] - Factor to scale the host clock by.
+   * @param {SumerianHostLoadedAssets=} options.assets - Optional loaded assets
+   * that belong to the host. They are unloaded when the host is disposed.
+   * @param {(Function|null)=} options.clock - Function that returns the current
+   * time in milliseconds, or null to only advance the host with
+   * [step]{@link core/HostObject#step}. Defaults to Babylon's precision timer,
+   * with frame times measured by the owner's engine.
    */
   constructor(options = {}) {
-    super(options);
+    super({
+      ...options,
+      clock:
+        options.clock !== undefined ? options.clock : () => PrecisionDate.Now,
+    });
+
+    this._assets = options.assets;
 
-    if (this._owner) {
+    if (this._owner && options.clock === undefined) {
       Object.defineProperty(this, 'deltaTime', {
         get: () => {
           return this._owner.getEngine().getDeltaTime();
@@ -41,10 +57,6 @@ class HostObject extends CoreHostObject {
     this._events = {};
   }
 
-  get now() {
-    return PrecisionDate.Now;
-  }
-
   _createListener(callback) {
     return value => {
       callback(value);
@@ -52,45 +64,23 @@ class HostObject extends CoreHostObject {
   }
 
   _addListener(message, listener) {
-    this._events[message].add(listener);
-  }
-
-  _removeListener(message, listener) {
-    this._events[message].removeCallback(listener);
-  }
-
-  listenTo(message, callback) {
     if (this._events[message] === undefined) {
       this._events[message] = new Observable();
     }
 
-    try {
-      super.listenTo(message, callback);
-    } catch (e) {
-      // Clean up the observable if nothing is listening to it
-      if (!this._events[message].hasObservers()) {
-        delete this._events[message];
-
-        throw e;
-      }
-    }
+    this._events[message].add(listener);
   }
 
-  stopListening(message, callback) {
+  _removeListener(message, listener) {
     const event = this._events[message];
-
-    if (event === undefined) {
-      return;
-    }
-
-    super.stopListening(message, callback);
+    event.removeCallback(listener);
 
     if (!event.hasObservers()) {
       delete this._events[message];
     }
   }
 
-  emit(message, value) {
+  _dispatchEvent(message, value) {
     const event = this._events[message];
 
     if (event === undefined) {
@@ -100,6 +90,67 @@ class HostObject extends CoreHostObject {
     event.notifyObservers(value);
   }
 
+  /**
+   * Update the host each time an observable notifies its observers, such as
+   * the scene's onBeforeAnimationsObservable. The observer is removed when the
+   * host is disposed.
+   *
+   * @param {Observable} observable - The observable to update with.
+   *
+   * @returns {Observer}
+   */
+  updateOnObservable(observable) {
+    const observer = observable.add(() => {
+      this.update();
+    });
+
+    this.once(this.constructor.EVENTS.dispose, () => {
+      observable.remove(observer);
+    });
+
+    return observer;
+  }
+
+  /**
+   * Tear down the host. If the host was created with loaded assets, its
+   * character meshes, materials and animation groups are disposed as well.
+   */
+  dispose() {
+    if (this.disposed) {
+      return;
+    }
+
+    super.dispose();
+
+    if (this._assets !== undefined) {
+      const {
+        characterAsset,
+        characterMesh,
+        animClips = {},
+        bindPoseOffset,
+      } = this._assets;
+
+      Object.values(animClips).forEach(clips => {
+        clips.forEach(clip => {
+          clip.dispose();
+        });
+      });
+
+      // The asset container owns the meshes, materials and bind pose
+      if (characterAsset !== undefined) {
+        characterAsset.dispose();
+      } else {
+        characterMesh.dispose(false, true);
+
+        if (bindPoseOffset !== undefined) {
+          bindPoseOffset.dispose();
+        }
+      }
+
+      delete this._assets;
+    }
+  }
+
   /**
    *
    * @param {AWS.Polly=} polly An AWS Polly service client, assumed to have the proper
@@ -138,11 +189,15 @@ class HostObject extends CoreHostObject {
 
   /**
    * @typedef {Object} SumerianHostLoadedAssets
+   * @property {AssetContainer} characterAsset - The container the character
+   * was loaded into
    * @property {Mesh} characterMesh - The loaded character mesh
    * @property {SumerianLoadedAnimations} animClips - The loaded animations
    * @property {AnimationGroup} bindPoseOffset
    * @property {Object} gestureConfig - see "3d-assets/animations/adult_female/gesture.json" for reference
    * @property {Object} poiConfig - see "3d-assets/animations/adult_female/poi.json" for reference
+   * @property {HostDefinition=} hostDefinition - Definition of the host's
+   * features and animations, if one was loaded
    */
 
   /**
@@ -161,7 +216,15 @@ class HostObject extends CoreHostObject {
    * @property {string} modelUrl - The path to the .gltf file
    * @property {string} gestureConfigUrl
    * @property {string} pointOfInterestConfigUrl
+   * @property {string=} hostDefinitionUrl - Optional path to a JSON
+   * {@link HostDefinition}. When defined, the host's features and animations
+   * are created from the definition instead of the built-in setup. Hosts with
+   * a definition are created with {@link babylonjs/HostBuilder.createHost}.
    * @property {SumerianAnimationsConfig} animUrls
+   * @property {(Retargeter|Object)=} retarget - Optional {@link Retargeter}, or
+   * options to create one, used to play animations authored for a different
+   * skeleton on the character. See {@link HostObject.getRestPose} for capturing
+   * the rest poses of each skeleton.
    */
 
   /**
@@ -193,7 +256,14 @@ class HostObject extends CoreHostObject {
    */
   static async loadAssets(
     scene,
-    {modelUrl, animUrls, gestureConfigUrl, pointOfInterestConfigUrl}
+    {
+      modelUrl,
+      animUrls,
+      gestureConfigUrl,
+      pointOfInterestConfigUrl,
+      hostDefinitionUrl,
+      retarget,
+    }
   ) {
     const characterAsset = await this.loadCharacterMesh(scene, modelUrl);
     const characterMesh = characterAsset.meshes[0];
@@ -203,7 +273,8 @@ class HostObject extends CoreHostObject {
       scene,
       characterMesh,
       bindPoseOffset,
-      animUrls
+      animUrls,
+      retarget
     );
 
     // Load the gesture config file. This file contains options for splitting up
@@ -216,7 +287,21 @@ class HostObject extends CoreHostObject {
     // on the PointOfInterestFeature.
     const poiConfig = await this.loadJson(pointOfInterestConfigUrl);
 
-    return {characterMesh, animClips, bindPoseOffset, gestureConfig, poiConfig};
+    // Load the optional host definition file. This file describes the host's
+    // features, animation layers and animations.
+    const hostDefinition = hostDefinitionUrl
+      ? await this.loadJson(hostDefinitionUrl)
+      : undefined;
+
+    return {
+      characterAsset,
+      characterMesh,
+      animClips,
+      bindPoseOffset,
+      gestureConfig,
+      poiConfig,
+      hostDefinition,
+    };
   }
 
   /**
@@ -246,6 +331,9 @@ class HostObject extends CoreHostObject {
    * @param {Mesh} characterMesh The root mesh of the character model
    * @param {AnimationGroup} bindPoseOffset
    * @param {SumerianAnimationsConfig} animClipUrls
+   * @param {(Retargeter|Object)=} retarget - Optional {@link Retargeter}, or
+   * options to create one, used to convert the animations to the character's
+   * skeleton.
    * @return {SumerianLoadedAnimations}
    */
   static async loadCharacterAnimations(
@@ -260,7 +348,8 @@ class HostObject extends CoreHostObject {
       animFaceIdleUrl,
       animBlinkUrl,
       animPointOfInterestUrl,
-    }
+    },
+    retarget
   ) {
     // Make the offset pose additive
     if (bindPoseOffset) {
@@ -268,20 +357,21 @@ class HostObject extends CoreHostObject {
     }
 
     const childMeshes = characterMesh.getDescendants(false);
+    const retargeter =
+      retarget && !(retarget instanceof Retargeter)
+        ? new Retargeter(retarget)
+        : retarget;
+    const load = (url, clipGroupId) =>
+      this.loadAnimation(scene, childMeshes, url, clipGroupId, retargeter);
 
     const animationLoadingPromises = [
-      this.loadAnimation(scene, childMeshes, animStandIdleUrl, 'idleClips'),
-      this.loadAnimation(scene, childMeshes, animLipSyncUrl, 'lipSyncClips'),
-      this.loadAnimation(scene, childMeshes, animGestureUrl, 'gestureClips'),
-      this.loadAnimation(scene, childMeshes, animEmoteUrl, 'emoteClips'),
-      this.loadAnimation(scene, childMeshes, animFaceIdleUrl, 'faceClips'),
-      this.loadAnimation(scene, childMeshes, animBlinkUrl, 'blinkClips'),
-      this.loadAnimation(
-        scene,
-        childMeshes,
-        animPointOfInterestUrl,
-        'poiClips'
-      ),
+      load(animStandIdleUrl, 'idleClips'),
+      load(animLipSyncUrl, 'lipSyncClips'),
+      load(animGestureUrl, 'gestureClips'),
+      load(animEmoteUrl, 'emoteClips'),
+      load(animFaceIdleUrl, 'faceClips'),
+      load(animBlinkUrl, 'blinkClips'),
+      load(animPointOfInterestUrl, 'poiClips'),
     ];
 
     const animLoadingResults = await Promise.all(animationLoadingPromises);
@@ -303,9 +393,17 @@ class HostObject extends CoreHostObject {
    *   URL of a 3D file containing animations (.gltf or .glb)
    * @param {string} clipGroupId
    *   An ID of your choosing for labeling the group.
+   * @param {(Retargeter|Object)=} retarget
+   *   Optional {@link Retargeter}, or options to create one, used to match the
+   *   animated nodes to the child meshes and convert their keyframes to the
+   *   child meshes' rest pose.
    * @returns {Promise<SumerianLoadedAnimation>}
    */
-  static async loadAnimation(scene, childMeshes, url, clipGroupId) {
+  static async loadAnimation(scene, childMeshes, url, clipGroupId, retarget) {
+    const retargeter =
+      retarget && !(retarget instanceof Retargeter)
+        ? new Retargeter(retarget)
+        : retarget;
     const container = await SceneLoader.LoadAssetContainerAsync(
       url,
       undefined,
@@ -315,21 +413,104 @@ class HostObject extends CoreHostObject {
     const startingIndex = scene.animatables.length;
     const firstIndex = scene.animationGroups.length;
 
-    // Apply animation to character
+    // Apply animation to character, keeping track of the original node names
+    const sourceNames = new Map();
     container.mergeAnimationsTo(
       scene,
       scene.animatables.slice(startingIndex),
-      target => childMeshes.find(mesh => mesh.name === target.name) || null
+      target => {
+        const name = retargeter
+          ? retargeter.getTargetName(target.name)
+          : target.name;
+        const mesh = childMeshes.find(child => child.name === name) || null;
+
+        if (mesh) {
+          sourceNames.set(mesh, target.name);
+        }
+
+        return mesh;
+      }
     );
 
     // Find the new animations and destroy the container
     const clips = scene.animationGroups.slice(firstIndex);
+
+    if (retargeter) {
+      this.retargetAnimationGroups(clips, sourceNames, retargeter);
+    }
+
     container.dispose();
     scene.onAnimationFileImportedObservable.notifyObservers(scene);
 
     return {clipGroupId, clips};
   }
 
+  /**
+   * Convert the rotation and position keyframes of animation groups from the
+   * rest pose of the skeleton they were authored for to the rest pose of the
+   * nodes they target.
+   *
+   * @param {AnimationGroup[]} animationGroups - The animation groups to convert.
+   * @param {Map<Node, string>} sourceNames - Map of each targeted node to the
+   * name of the node the animation was authored for.
+   * @param {Retargeter} retargeter - The retargeter to convert keyframes with.
+   */
+  static retargetAnimationGroups(animationGroups, sourceNames, retargeter) {
+    const converted = new Set();
+
+    animationGroups.forEach(group => {
+      group.targetedAnimations.forEach(({animation, target}) => {
+        const sourceName = sourceNames.get(target);
+
+        if (sourceName === undefined || converted.has(animation)) {
+          return;
+        }
+
+        converted.add(animation);
+        animation.getKeys().forEach(key => {
+          if (animation.targetProperty === 'rotationQuaternion') {
+            key.value = Quaternion.FromArray(
+              retargeter.retargetRotation(sourceName, key.value.asArray())
+            );
+          } else if (animation.targetProperty === 'position') {
+            key.value = Vector3.FromArray(
+              retargeter.retargetPosition(sourceName, key.value.asArray())
+            );
+          }
+        });
+      });
+    });
+  }
+
+  /**
+   * Return the local transforms of every node below a root node, for use as a
+   * rest pose with {@link Retargeter}. This should be called before any
+   * animations are applied to the nodes.
+   *
+   * @param {TransformNode} rootNode - The root node of the skeleton.
+   *
+   * @returns {Object.<string, Object>} Map of node names to objects with
+   * 'position' and 'rotation' arrays.
+   */
+  static getRestPose(rootNode) {
+    const restPose = {};
+
+    rootNode.getDescendants(false).forEach(node => {
+      if (!node.position) {
+        return;
+      }
+
+      const rotation =
+        node.rotationQuaternion || Quaternion.FromEulerVector(node.rotation);
+      restPose[node.name] = {
+        position: node.position.asArray(),
+        rotation: rotation.asArray(),
+      };
+    });
+
+    return restPose;
+  }
+
   /**
    * Set up animations on a host - gestures, lipsync, etc - and start rendering them in the scene
    * @param {SumerianHostLoadedAssets} assets
@@ -339,10 +520,8 @@ class HostObject extends CoreHostObject {
     const {characterMesh} = assets;
 
     // Add the host to the render loop
-    const host = new HostObject({owner: assets.characterMesh});
-    scene.onBeforeAnimationsObservable.add(() => {
-      host.update();
-    });
+    const host = new HostObject({owner: assets.characterMesh, assets});
+    host.updateOnObservable(scene.onBeforeAnimationsObservable);
 
     // Set up animation
     host.addFeature(anim.AnimationFeature);
@@ -649,6 +828,18 @@ class HostObject extends CoreHostObject {
     );
   }
 
+  /**
+   * Enable inverse kinematics on the host. Chains identify their joints by name,
+   * for example a 'RightArm' chain with the joints
+   * ['char:def_r_shoulder', 'char:def_r_elbow', 'char:def_r_wrist'].
+   * @param {HostObject} host
+   * @param {Array.<Object>} chainConfigs Options for each chain, with a 'name'
+   * property. See [IKFeature.addChain]{@link core/IKFeature#addChain}.
+   */
+  static addInverseKinematics(host, chainConfigs) {
+    host.addFeature(IKFeature, false, {chains: chainConfigs});
+  }
+
   /**
    * Reads JSON file
    * @param {string} url
@@ -737,28 +928,66 @@ const host = await HOST.HostUtils.createHost(scene, characterConfig, pollyConfig
    * @returns {HostObject} A functioning Sumerian Host
    */
   static async createHost(scene, characterConfig, pollyConfig) {
+    if (characterConfig.hostDefinitionUrl !== undefined) {
+      throw new Error(
+        `Cannot create host from definition ${characterConfig.hostDefinitionUrl}. Use HostBuilder.createHost to create hosts from a definition.`
+      );
+    }
+
     await this.initTextToSpeech(
       pollyConfig.pollyClient,
       pollyConfig.pollyPresigner
     );
     const assets = await this.loadAssets(scene, characterConfig);
     const host = this.assembleHost(assets, scene);
-    this.addTextToSpeech(
+    this.addCharacterFeatures(
       host,
       scene,
-      pollyConfig.pollyVoice,
-      pollyConfig.pollyEngine
-    );
-    this.addPointOfInterestTracking(
-      host,
-      scene,
-      assets.poiConfig,
-      characterConfig.lookJoint
+      assets,
+      characterConfig,
+      pollyConfig
     );
 
     return host;
   }
 
+  /**
+   * Add text to speech and point of interest tracking to a host created from
+   * a character config. Features the host already has are left unchanged.
+   *
+   * @private
+   *
+   * @param {HostObject} host
+   * @param {Scene} scene
+   * @param {SumerianHostLoadedAssets} assets
+   * @param {SumerianCharacterConfig} characterConfig
+   * @param {SumerianPollyConfig} pollyConfig
+   */
+  static addCharacterFeatures(
+    host,
+    scene,
+    assets,
+    characterConfig,
+    pollyConfig
+  ) {
+    if (!host.hasFeature('TextToSpeechFeature')) {
+      this.addTextToSpeech(
+        host,
+        scene,
+        pollyConfig.pollyVoice,
+        pollyConfig.pollyEngine
+      );
+    }
+    if (!host.hasFeature('PointOfInterestFeature')) {
+      this.addPointOfInterestTracking(
+        host,
+        scene,
+        assets.poiConfig,
+        characterConfig.lookJoint
+      );
+    }
+  }
+
   /**
    *
    * @returns {string[]} An array of characterId's that can be used with getCharacterConfig
@@ -0,0 +1,302 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+import {
+  IKFeature as CoreIKFeature,
+  MathUtils,
+} from '@amazon-sumerian-hosts/core';
+import {Quaternion, Vector3} from '@babylonjs/core/Maths/math.vector';
+
+// Minimum length of vectors used to define rotation axes
+const Epsilon = 1e-6;
+
+/**
+ * Compute the world matrix of a node after computing the world matrices of its
+ * ancestors, so changes made to ancestors during the frame are included.
+ *
+ * @private
+ *
+ * @param {TransformNode} node - The node.
+ *
+ * @returns {Matrix}
+ */
+function computeWorldMatrix(node) {
+  if (node.parent) {
+    computeWorldMatrix(node.parent);
+  }
+
+  return node.computeWorldMatrix(true);
+}
+
+/**
+ * Return the world position of a node.
+ *
+ * @private
+ *
+ * @param {TransformNode} node - The node.
+ *
+ * @returns {Vector3}
+ */
+function getPosition(node) {
+  return computeWorldMatrix(node).getTranslation();
+}
+
+/**
+ * Return the world rotation of a node.
+ *
+ * @private
+ *
+ * @param {TransformNode} node - The node.
+ *
+ * @returns {Quaternion}
+ */
+function getRotation(node) {
+  const rotation = new Quaternion();
+  computeWorldMatrix(node).decompose(undefined, rotation);
+
+  return rotation;
+}
+
+/**
+ * Return the local rotation of a node, converting it to a quaternion if needed.
+ *
+ * @private
+ *
+ * @param {TransformNode} node - The node.
+ *
+ * @returns {Quaternion}
+ */
+function getLocalRotation(node) {
+  if (!node.rotationQuaternion) {
+    node.rotationQuaternion = Quaternion.FromEulerVector(node.rotation);
+  }
+
+  return node.rotationQuaternion;
+}
+
+/**
+ * Rotate a node by a world space rotation.
+ *
+ * @private
+ *
+ * @param {TransformNode} node - The node to rotate.
+ * @param {Quaternion} rotation - The rotation to apply.
+ */
+function rotateWorld(node, rotation) {
+  const parentRotation = node.parent
+    ? getRotation(node.parent)
+    : Quaternion.Identity();
+
+  node.rotationQuaternion = Quaternion.Inverse(parentRotation)
+    .multiply(rotation)
+    .multiply(getRotation(node));
+}
+
+/**
+ * Rotate a node so the direction 'from' points along the direction 'to'.
+ *
+ * @private
+ *
+ * @param {TransformNode} node - The node to rotate.
+ * @param {Vector3} from - World direction to rotate from.
+ * @param {Vector3} to - World direction to rotate to.
+ * @param {number} [factor=1] - 0-1 amount of the rotation to apply.
+ */
+function rotateTowards(node, from, to, factor = 1) {
+  if (from.length() < Epsilon || to.length() < Epsilon) {
+    return;
+  }
+
+  const fromDirection = from.normalizeToNew();
+  const toDirection = to.normalizeToNew();
+  const dot = Vector3.Dot(fromDirection, toDirection);
+  const angle = Math.acos(MathUtils.clamp(dot, -1, 1));
+  let axis = Vector3.Cross(fromDirection, toDirection);
+
+  if (axis.length() < Epsilon) {
+    if (dot > 0) {
+      return;
+    }
+
+    // Opposite directions, turn halfway around any perpendicular axis
+    axis = Vector3.Cross(
+      fromDirection,
+      Math.abs(fromDirection.x) < 0.9 ? Vector3.Right() : Vector3.Up()
+    );
+  }
+
+  rotateWorld(node, Quaternion.RotationAxis(axis.normalize(), angle * factor));
+}
+
+/**
+ * Return a vector projected onto the plane with the given normal.
+ *
+ * @private
+ *
+ * @param {Vector3} vector - The vector to project.
+ * @param {Vector3} normal - Unit vector perpendicular to the plane.
+ *
+ * @returns {Vector3}
+ */
+function projectOnPlane(vector, normal) {
+  return vector.subtract(normal.scale(Vector3.Dot(vector, normal)));
+}
+
+/**
+ * Chains are solved once the scene has applied animations, since the host is
+ * updated before Babylon animations are evaluated.
+ *
+ * @extends core/IKFeature
+ * @alias babylonjs/IKFeature
+ */
+class IKFeature extends CoreIKFeature {
+  /**
+   * @constructor
+   *
+   * @param {babylonjs/HostObject} host - Host that owns the feature.
+   * @param {Object=} options - Options for the feature. See
+   * {@link core/IKFeature}.
+   */
+  constructor(host, options) {
+    super(host, options);
+
+    this._solveOnUpdate = false;
+    this._babylonScene = host.owner.getScene();
+    this._afterAnimationsObserver = this._babylonScene.onAfterAnimationsObservable.add(
+      () => {
+        this.solve();
+      }
+    );
+  }
+
+  static _getWorldPosition(obj) {
+    return computeWorldMatrix(obj).m.slice(12, 15);
+  }
+
+  _findJoint(name) {
+    return this._host.owner
+      .getDescendants(false)
+      .find(joint => joint.name === name);
+  }
+
+  /**
+   * Blend the rotations of the joints from their animated rotations to their
+   * solved rotations.
+   *
+   * @private
+   *
+   * @param {Array.<TransformNode>} joints - The solved joints.
+   * @param {Array.<Quaternion>} rotations - The animated local rotations of the
+   * joints.
+   * @param {number} weight - 0-1 amount of the solved rotations to keep.
+   */
+  _applyWeight(joints, rotations, weight) {
+    if (weight >= 1) {
+      return;
+    }
+
+    joints.forEach((joint, index) => {
+      joint.rotationQuaternion = Quaternion.Slerp(
+        rotations[index],
+        joint.rotationQuaternion,
+        weight
+      );
+    });
+  }
+
+  _solveTwoBone(joints, targetPosition, polePosition, weight) {
+    const [root, mid, end] = joints;
+    const rotations = [
+      getLocalRotation(root).clone(),
+      getLocalRotation(mid).clone(),
+    ];
+    const target = Vector3.FromArray(targetPosition);
+    const a = getPosition(root);
+    const b = getPosition(mid);
+    const c = getPosition(end);
+    const ab = Vector3.Distance(a, b);
+    const bc = Vector3.Distance(b, c);
+    const at = MathUtils.clamp(
+      Vector3.Distance(a, target),
+      Epsilon,
+      ab + bc - Epsilon
+    );
+
+    // Bend the middle joint so the end joint is the target distance from the root
+    const toRoot = a.subtract(b);
+    const toEnd = c.subtract(b);
+    let bendAxis = Vector3.Cross(toRoot, toEnd);
+    if (bendAxis.length() < Epsilon && polePosition) {
+      bendAxis = Vector3.Cross(
+        toRoot,
+        Vector3.FromArray(polePosition).subtract(b)
+      );
+    }
+
+    if (bendAxis.length() >= Epsilon) {
+      const angle = Math.acos(
+        MathUtils.clamp(
+          Vector3.Dot(toRoot.normalizeToNew(), toEnd.normalizeToNew()),
+          -1,
+          1
+        )
+      );
+      const targetAngle = Math.acos(
+        MathUtils.clamp((ab * ab + bc * bc - at * at) / (2 * ab * bc), -1, 1)
+      );
+      rotateWorld(
+        mid,
+        Quaternion.RotationAxis(bendAxis.normalize(), targetAngle - angle)
+      );
+    }
+
+    // Swing the root joint so the end joint points at the target
+    const toTarget = target.subtract(a);
+    rotateTowards(root, getPosition(end).subtract(a), toTarget);
+
+    // Twist around the root to target line so the middle joint faces the pole
+    if (polePosition) {
+      const axis = toTarget.normalizeToNew();
+      const toMid = projectOnPlane(getPosition(mid).subtract(a), axis);
+      const toPole = projectOnPlane(
+        Vector3.FromArray(polePosition).subtract(a),
+        axis
+      );
+      rotateTowards(root, toMid, toPole);
+    }
+
+    this._applyWeight([root, mid], rotations, weight);
+  }
+
+  _solveLookAt(joints, targetPosition, forwardAxis, weight) {
+    const rotations = joints.map(joint => getLocalRotation(joint).clone());
+    const target = Vector3.FromArray(targetPosition);
+    const last = joints[joints.length - 1];
+
+    // Spread the rotation evenly, each joint rotates part of the remaining angle
+    joints.forEach((joint, index) => {
+      const forward = Vector3.FromArray(forwardAxis).rotateByQuaternionToRef(
+        getRotation(last),
+        new Vector3()
+      );
+      rotateTowards(
+        joint,
+        forward,
+        target.subtract(getPosition(last)),
+        1 / (joints.length - index)
+      );
+    });
+
+    this._applyWeight(joints, rotations, weight);
+  }
+
+  discard() {
+    this._babylonScene.onAfterAnimationsObservable.remove(
+      this._afterAnimationsObserver
+    );
+    delete this._babylonScene;
+
+    super.discard();
+  }
+}
+
+export default IKFeature;
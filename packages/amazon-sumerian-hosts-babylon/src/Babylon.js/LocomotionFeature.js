@@ -0,0 +1,40 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+import {
+  LocomotionFeature as CoreLocomotionFeature,
+  MathUtils,
+} from '@amazon-sumerian-hosts/core';
+import {Axis, Space} from '@babylonjs/core/Maths/math.axis';
+import {Vector3} from '@babylonjs/core/Maths/math.vector';
+
+/**
+ * @extends core/LocomotionFeature
+ * @alias babylonjs/LocomotionFeature
+ */
+class LocomotionFeature extends CoreLocomotionFeature {
+  static _getWorldPosition(obj) {
+    return obj.computeWorldMatrix(true).m.slice(12, 15);
+  }
+
+  static _getWorldDirection(obj, direction) {
+    obj.computeWorldMatrix(true);
+    return obj
+      .getDirection(Vector3.FromArray(direction))
+      .normalize()
+      .asArray();
+  }
+
+  _rotate(degrees) {
+    this._host.owner.rotate(Axis.Y, MathUtils.toRadians(degrees), Space.WORLD);
+  }
+
+  _translate(offset) {
+    const {owner} = this._host;
+
+    owner.setAbsolutePosition(
+      owner.getAbsolutePosition().add(Vector3.FromArray(offset))
+    );
+  }
+}
+
+export default LocomotionFeature;
@@ -25,6 +25,11 @@ class AnimationFeature extends CoreAnimationFeature {
     this._babylonScene = host.owner.getScene();
   }
 
+  _getPlaybackTimeScale() {
+    // Babylon animatables advance on the scene's clock rather than the host's
+    return this._host.timeScale;
+  }
+
   _createSingleState(options) {
     return new SingleState(options, options.clip, this._babylonScene);
   }
@@ -17,6 +17,10 @@ import {
   AnimationLayer,
   LayerBlendModes,
   DefaultLayerBlendMode,
+  AnimationStateMachine,
+  ParameterTypes,
+  ConditionOperators,
+  AnyState,
 } from '@amazon-sumerian-hosts/core';
 import AnimationFeature, {AnimationTypes} from './AnimationFeature';
 import SingleState from './state/SingleState';
@@ -78,4 +82,20 @@ export default {
    * @see module:core/HOST.AnimationTypes
    */
   AnimationTypes,
+  /**
+   * @see module:core/HOST.AnimationStateMachine
+   */
+  AnimationStateMachine,
+  /**
+   * @see module:core/HOST.ParameterTypes
+   */
+  ParameterTypes,
+  /**
+   * @see module:core/HOST.ConditionOperators
+   */
+  ConditionOperators,
+  /**
+   * @see module:core/HOST.AnyState
+   */
+  AnyState,
 };
@@ -4,6 +4,7 @@ import {
   SingleState as CoreSingleState,
   MathUtils,
 } from '@amazon-sumerian-hosts/core';
+import {Vector3} from '@babylonjs/core/Maths/math.vector';
 import '@babylonjs/core/Animations/animatable';
 
 const babylonBlendModes = {
@@ -11,6 +12,53 @@ const babylonBlendModes = {
   Additive: true,
 };
 
+/**
+ * Return the names of a node and its ancestors, ordered from the node up to the
+ * root of the hierarchy.
+ *
+ * @private
+ *
+ * @param {Node} node - The node to start from.
+ *
+ * @returns {Array.<string>}
+ */
+function getHierarchyNames(node) {
+  const names = [];
+
+  for (let current = node; current; current = current.parent) {
+    names.push(current.name);
+  }
+
+  return names;
+}
+
+/**
+ * Return the value of Vector3 animation keys at a frame, linearly interpolating
+ * between the surrounding keys.
+ *
+ * @private
+ *
+ * @param {Array.<Object>} keys - The animation keys, sorted by frame.
+ * @param {number} frame - The frame to sample.
+ *
+ * @returns {Array.<number>}
+ */
+function sampleVector3Keys(keys, frame) {
+  const index = keys.findIndex(key => key.frame >= frame);
+
+  if (index === -1) {
+    return keys[keys.length - 1].value.asArray();
+  } else if (index === 0) {
+    return keys[0].value.asArray();
+  }
+
+  const previous = keys[index - 1];
+  const next = keys[index];
+  const factor = (frame - previous.frame) / (next.frame - previous.frame);
+
+  return Vector3.Lerp(previous.value, next.value, factor).asArray();
+}
+
 /**
  * @extends core/SingleState
  * @alias babylonjs/SingleState
@@ -20,6 +68,13 @@ class SingleState extends CoreSingleState {
    * @constructor
    *
    * @param {Object=} options - Options for the animation state.
+   * @param {LayerMask=} options.mask - Mask that limits the nodes the animation
+   * has influence over. Targeted animations for nodes the mask excludes are not
+   * played. If every targeted animation is excluded, playback finishes on the
+   * next update unless the state loops infinitely.
+   * @param {string=} options.rootMotionJoint - Name of the node to extract root
+   * motion from. Its position animation is replaced by a copy that keeps the
+   * node in place horizontally.
    * @param {AnimationGroup} babylonGroup - The animation group that controls
    * playback of the animation.
    * @param {Scene} babylonScene - The scene containing the babylonGroup.
@@ -36,8 +91,24 @@ class SingleState extends CoreSingleState {
       ? babylonGroup.to
       : Number(options.to);
     babylonGroup.normalize(this._from, this._to);
+    this._babylonGroup = babylonGroup;
     this._babylonScene = babylonScene;
-    this._babylonAnimations = [...babylonGroup.targetedAnimations];
+    this._babylonAnimations = [];
+    this._babylonMaskWeights = [];
+    babylonGroup.targetedAnimations.forEach(targetedAnimation => {
+      const maskWeight = options.mask
+        ? options.mask.getWeight(getHierarchyNames(targetedAnimation.target))
+        : 1;
+
+      if (maskWeight > 0) {
+        this._babylonAnimations.push(targetedAnimation);
+        this._babylonMaskWeights.push(maskWeight);
+      }
+    });
+    this._rootMotionKeys = null;
+    if (this._rootMotionJoint !== null) {
+      this._pinRootMotionJoint();
+    }
     this._babylonAnimatables = [];
     this._babylonNumAnimations = this._babylonAnimations.length;
     this._babylonLoopCount = this._loopCount * this._babylonNumAnimations;
@@ -46,6 +117,57 @@ class SingleState extends CoreSingleState {
     this._started = false;
   }
 
+  /**
+   * Store the position keys of the root motion node and replace its position
+   * animation with one that keeps the node's first horizontal position.
+   *
+   * @private
+   */
+  _pinRootMotionJoint() {
+    const index = this._babylonAnimations.findIndex(
+      ({target, animation}) =>
+        target.name === this._rootMotionJoint &&
+        animation.targetProperty === 'position'
+    );
+
+    if (index === -1) {
+      return;
+    }
+
+    const {target, animation} = this._babylonAnimations[index];
+    const keys = animation.getKeys();
+    const [first] = keys;
+    const pinnedAnimation = animation.clone();
+    pinnedAnimation.setKeys(
+      keys.map(key => ({
+        ...key,
+        value: new Vector3(first.value.x, key.value.y, first.value.z),
+      }))
+    );
+
+    this._rootMotionKeys = keys;
+    this._babylonAnimations[index] = {target, animation: pinnedAnimation};
+  }
+
+  _sampleRootMotion(time) {
+    if (this._rootMotionKeys === null) {
+      return super._sampleRootMotion(time);
+    }
+
+    return sampleVector3Keys(
+      this._rootMotionKeys,
+      (this._to - this._from) * time + this._from
+    );
+  }
+
+  get duration() {
+    const [targetedAnimation] = this._babylonAnimations;
+
+    return targetedAnimation
+      ? (this._to - this._from) / targetedAnimation.animation.framePerSecond
+      : 0;
+  }
+
   get normalizedTime() {
     const animatable = this._babylonAnimatables[0];
     if (animatable && animatable.masterFrame) {
@@ -70,10 +192,20 @@ class SingleState extends CoreSingleState {
     super.timeScale = timeScale;
 
     this._babylonAnimatables.forEach(animatable => {
-      animatable.speedRatio = timeScale;
+      animatable.speedRatio = timeScale * this._internalTimeScale;
     });
   }
 
+  updateInternalTimeScale(factor) {
+    const changed = factor !== this._internalTimeScale;
+    super.updateInternalTimeScale(factor);
+
+    // Paused animatables are held with a speed ratio of 0
+    if (changed && !this._paused) {
+      this.timeScale = this._timeScale;
+    }
+  }
+
   get loopCount() {
     return super.loopCount;
   }
@@ -86,6 +218,22 @@ class SingleState extends CoreSingleState {
     });
   }
 
+  /**
+   * Return the weight the layer mask gives the animation at the given index.
+   * Animations without a stored mask weight have full influence.
+   *
+   * @private
+   *
+   * @param {number} index - Index of the animation.
+   *
+   * @returns {number}
+   */
+  _getMaskWeight(index) {
+    const maskWeight = this._babylonMaskWeights[index];
+
+    return maskWeight !== undefined ? maskWeight : 1;
+  }
+
   /**
    * Stop and discard of currently stored animatables and generate new ones that
    * are paused.
@@ -96,7 +244,7 @@ class SingleState extends CoreSingleState {
     // Create new animatables
     const oldAnimatables = [...this._babylonAnimatables];
     this._babylonAnimatables.length = 0;
-    this._babylonAnimations.forEach(targetedAnimation => {
+    this._babylonAnimations.forEach((targetedAnimation, index) => {
       const animatable = this._babylonScene.beginDirectAnimation(
         targetedAnimation.target,
         [targetedAnimation.animation],
@@ -108,7 +256,7 @@ class SingleState extends CoreSingleState {
         this._onLoopEvent,
         babylonBlendModes[this._blendMode]
       );
-      animatable.weight = this._internalWeight;
+      animatable.weight = this._internalWeight * this._getMaskWeight(index);
       animatable.disposeOnEnd = false;
       this._babylonAnimatables.push(animatable);
     });
@@ -140,7 +288,7 @@ class SingleState extends CoreSingleState {
   _onFinishedEvent() {
     this._finished += 1;
 
-    if (this._finished === this._babylonNumAnimations) {
+    if (this._finished >= this._babylonNumAnimations) {
       this._looped = 0;
       this._finished = 0;
 
@@ -149,7 +297,7 @@ class SingleState extends CoreSingleState {
         animatable.speedRatio = 0;
       });
 
-      this._promises.play.resolve();
+      this._finish();
 
       // Stop evaluating interpolators if they have already completed
       if (!this.weightPending && !this.timeScalePending) {
@@ -174,11 +322,26 @@ class SingleState extends CoreSingleState {
     }
   }
 
+  update(deltaTime) {
+    super.update(deltaTime);
+
+    // There are no animation end events to wait for if the mask excludes every
+    // targeted animation
+    if (
+      this._babylonNumAnimations === 0 &&
+      !this._paused &&
+      this._promises.play.pending &&
+      Number.isFinite(this._loopCount)
+    ) {
+      this._onFinishedEvent();
+    }
+  }
+
   updateInternalWeight(factor) {
     super.updateInternalWeight(factor);
 
-    this._babylonAnimatables.forEach(animatable => {
-      animatable.weight = this._internalWeight;
+    this._babylonAnimatables.forEach((animatable, index) => {
+      animatable.weight = this._internalWeight * this._getMaskWeight(index);
     });
   }
 
@@ -228,11 +391,22 @@ class SingleState extends CoreSingleState {
     this._babylonAnimatables.forEach(animatable => {
       animatable.stop();
     });
+    delete this._babylonGroup;
     delete this._babylonAnimations;
+    delete this._babylonMaskWeights;
     delete this._babylonAnimatables;
     delete this._babylonScene;
   }
 
+  getDefinition() {
+    return {
+      ...super.getDefinition(),
+      clip: this._babylonGroup.name,
+      from: this._from,
+      to: this._to,
+    };
+  }
+
   deactivate() {
     super.deactivate();
 
@@ -0,0 +1,22 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+import {HttpChatbotBackend as CoreHttpChatbotBackend} from '@amazon-sumerian-hosts/core';
+import {Engine} from '@babylonjs/core/Engines/engine';
+import '@babylonjs/core/Audio/audioSceneComponent';
+import '@babylonjs/core/Audio/audioEngine';
+
+/**
+ * @extends core/HttpChatbotBackend
+ * @alias babylonjs/HttpChatbotBackend
+ */
+class HttpChatbotBackend extends CoreHttpChatbotBackend {
+  /**
+   * Setup audio context
+   * @override
+   */
+  _setupAudioContext() {
+    this._audioContext = Engine.audioEngine.audioContext;
+  }
+}
+
+export default HttpChatbotBackend;
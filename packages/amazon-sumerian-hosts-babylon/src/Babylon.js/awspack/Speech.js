@@ -26,6 +26,7 @@ class Speech extends CoreSpeech {
     this._audio.onEndedObservable.add(() => {
       this._audioFinished = true;
     });
+    this._seekOffset = null;
   }
 
   _playAudio() {
@@ -40,6 +41,15 @@ class Speech extends CoreSpeech {
     this._audio.pause();
   }
 
+  _resumeAudio() {
+    if (this._seekOffset === null) {
+      this._audio.play();
+    } else {
+      this._audio.play(0, this._seekOffset);
+      this._seekOffset = null;
+    }
+  }
+
   get volume() {
     return this._audio.getVolume();
   }
@@ -50,15 +60,38 @@ class Speech extends CoreSpeech {
 
   play(currentTime, onFinish, onError, onInterrupt) {
     this._audio.stop();
+    this._seekOffset = null;
 
     return super.play(currentTime, onFinish, onError, onInterrupt);
   }
 
+  seek(currentTime, position) {
+    AbstractSpeech.prototype.seek.call(this, currentTime, position);
+
+    // Sounds can only start from a new offset by playing them again
+    this._audio.stop();
+    this._audioFinished = false;
+    this._seekOffset = Math.max(
+      position + Math.min(this.speechmarkOffset, 0),
+      0
+    );
+
+    if (this._playing) {
+      this._resumeAudio();
+    }
+  }
+
   stop() {
     this._audio.stop();
 
     AbstractSpeech.prototype.stop.call(this);
   }
+
+  discard() {
+    this._audio.dispose();
+
+    AbstractSpeech.prototype.discard.call(this);
+  }
 }
 
 export default Speech;
@@ -1,8 +1,21 @@
 // Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
 // SPDX-License-Identifier: MIT-0
-import {TextToSpeechUtils, LexUtils} from '@amazon-sumerian-hosts/core';
+import {
+  TextToSpeechUtils,
+  LexUtils,
+  AbstractChatbotBackend,
+  AbstractSpeechProvider,
+  PollySpeechProvider,
+  SpeechQueuePolicies,
+  AbstractSpeechStore,
+  IndexedDBSpeechStore,
+  ConversationFeature,
+  ConversationStates,
+  DefaultDialogStateEmotes,
+} from '@amazon-sumerian-hosts/core';
 import TextToSpeechFeature from './TextToSpeechFeature';
 import LexFeature from './LexFeature';
+import HttpChatbotBackend from './HttpChatbotBackend';
 import Speech from './Speech';
 
 /**
@@ -30,4 +43,44 @@ export default {
    * @see module:core/LexUtils
    */
   LexUtils,
+  /**
+   * @see module:core/HOST.AbstractChatbotBackend
+   */
+  AbstractChatbotBackend,
+  /**
+   * @see babylonjs/HttpChatbotBackend
+   */
+  HttpChatbotBackend,
+  /**
+   * @see module:core/HOST.AbstractSpeechProvider
+   */
+  AbstractSpeechProvider,
+  /**
+   * @see module:core/HOST.PollySpeechProvider
+   */
+  PollySpeechProvider,
+  /**
+   * @see module:core/HOST.SpeechQueuePolicies
+   */
+  SpeechQueuePolicies,
+  /**
+   * @see module:core/HOST.AbstractSpeechStore
+   */
+  AbstractSpeechStore,
+  /**
+   * @see module:core/HOST.IndexedDBSpeechStore
+   */
+  IndexedDBSpeechStore,
+  /**
+   * @see module:core/HOST.ConversationFeature
+   */
+  ConversationFeature,
+  /**
+   * @see module:core/HOST.ConversationStates
+   */
+  ConversationStates,
+  /**
+   * @see module:core/HOST.DefaultDialogStateEmotes
+   */
+  DefaultDialogStateEmotes,
 };
@@ -17,8 +17,11 @@ import {
 } from '@amazon-sumerian-hosts/core';
 
 import PointOfInterestFeature, {AxisMap} from './PointOfInterestFeature';
+import IKFeature from './IKFeature';
+import LocomotionFeature from './LocomotionFeature';
 import {env} from './HostEnvironment';
 import HostObject from './HostObject';
+import HostBuilder from './HostBuilder';
 
 import aws from './awspack';
 import anim from './animpack';
@@ -64,6 +67,14 @@ export {
    * @see babylonjs/PointOfInterestFeature
    */
   PointOfInterestFeature,
+  /**
+   * @see babylonjs/IKFeature
+   */
+  IKFeature,
+  /**
+   * @see babylonjs/LocomotionFeature
+   */
+  LocomotionFeature,
   /**
    * @see module:core/Messenger
    */
@@ -72,6 +83,10 @@ export {
    * @see babylonjs/HostObject
    */
   HostObject,
+  /**
+   * @see babylonjs/HostBuilder
+   */
+  HostBuilder,
   /**
    * @see module:babylonjs/awspack
    */
@@ -1,6 +1,12 @@
 // Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
 // SPDX-License-Identifier: MIT-0
 import {HostObject} from '@amazon-sumerian-hosts/babylon';
+import {Retargeter} from '@amazon-sumerian-hosts/core';
+import {Animation} from '@babylonjs/core/Animations/animation';
+import {AnimationGroup} from '@babylonjs/core/Animations/animationGroup';
+import {Observable} from '@babylonjs/core/Misc/observable';
+import {Quaternion, Vector3} from '@babylonjs/core/Maths/math.vector';
+import {TransformNode} from '@babylonjs/core/Meshes/transformNode';
 import describeEnvironment from './EnvironmentHarness';
 
 describeEnvironment('HostObject', (options = {}) => {
@@ -220,4 +226,212 @@ describeEnvironment('HostObject', (options = {}) => {
       expect(hosts).not.toContain('Batman');
     });
   });
+
+  describe('updateOnObservable', () => {
+    let observable;
+
+    beforeEach(() => {
+      observable = new Observable();
+      spyOn(host, 'update');
+    });
+
+    it('should update the host each time the observable notifies its observers', () => {
+      host.updateOnObservable(observable);
+      observable.notifyObservers();
+      observable.notifyObservers();
+
+      expect(host.update).toHaveBeenCalledTimes(2);
+    });
+
+    it('should return the observer that was added', () => {
+      const observer = host.updateOnObservable(observable);
+
+      expect(observable.observers).toContain(observer);
+    });
+
+    it('should remove the observer when the host is disposed', () => {
+      spyOn(observable, 'remove').and.callThrough();
+      const observer = host.updateOnObservable(observable);
+      host.dispose();
+      observable.notifyObservers();
+
+      expect(observable.remove).toHaveBeenCalledWith(observer);
+      expect(host.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('dispose', () => {
+    let assets;
+
+    beforeEach(() => {
+      assets = {
+        characterMesh: {dispose: jasmine.createSpy('dispose')},
+        bindPoseOffset: {dispose: jasmine.createSpy('dispose')},
+        animClips: {
+          idleClips: [{dispose: jasmine.createSpy('dispose')}],
+          gestureClips: [
+            {dispose: jasmine.createSpy('dispose')},
+            {dispose: jasmine.createSpy('dispose')},
+          ],
+        },
+      };
+    });
+
+    it('should dispose the animation groups of the loaded assets', () => {
+      host = new HostObject({...options, assets});
+      host.dispose();
+      const clips = Object.values(assets.animClips).flat();
+
+      clips.forEach(clip => {
+        expect(clip.dispose).toHaveBeenCalledTimes(1);
+      });
+    });
+
+    it('should dispose the asset container if the character was loaded into one', () => {
+      assets.characterAsset = {dispose: jasmine.createSpy('dispose')};
+      host = new HostObject({...options, assets});
+      host.dispose();
+
+      expect(assets.characterAsset.dispose).toHaveBeenCalledTimes(1);
+      expect(assets.characterMesh.dispose).not.toHaveBeenCalled();
+      expect(assets.bindPoseOffset.dispose).not.toHaveBeenCalled();
+    });
+
+    it('should dispose the character mesh, its materials and the bind pose if there is no asset container', () => {
+      host = new HostObject({...options, assets});
+      host.dispose();
+
+      expect(assets.characterMesh.dispose).toHaveBeenCalledWith(false, true);
+      expect(assets.bindPoseOffset.dispose).toHaveBeenCalledTimes(1);
+    });
+
+    it('should only dispose the loaded assets once', () => {
+      host = new HostObject({...options, assets});
+      host.dispose();
+      host.dispose();
+
+      expect(assets.characterMesh.dispose).toHaveBeenCalledTimes(1);
+      expect(host.disposed).toBeTrue();
+    });
+  });
+
+  describe('retargetAnimationGroups', () => {
+    let retargeter;
+    let hips;
+    let spine;
+    let position;
+    let rotation;
+    let spineRotation;
+    let group;
+
+    function createAnimation(property, type, values) {
+      const animation = new Animation(
+        `${property}Animation`,
+        property,
+        30,
+        type
+      );
+      animation.setKeys(values.map((value, frame) => ({frame, value})));
+
+      return animation;
+    }
+
+    beforeEach(() => {
+      retargeter = new Retargeter({
+        boneMap: {SourceHips: 'hips'},
+        sourceRestPose: {
+          SourceHips: {position: [0, 1, 0], rotation: [0, 0, 0, 1]},
+        },
+        targetRestPose: {
+          hips: {position: [0, 2, 0], rotation: [0, 0.6, 0, 0.8]},
+        },
+      });
+      hips = new TransformNode('hips', options.scene);
+      spine = new TransformNode('spine', options.scene);
+      position = createAnimation('position', Animation.ANIMATIONTYPE_VECTOR3, [
+        new Vector3(0, 1, 0),
+        new Vector3(1, 1, 0),
+      ]);
+      rotation = createAnimation(
+        'rotationQuaternion',
+        Animation.ANIMATIONTYPE_QUATERNION,
+        [Quaternion.Identity()]
+      );
+      spineRotation = createAnimation(
+        'rotationQuaternion',
+        Animation.ANIMATIONTYPE_QUATERNION,
+        [Quaternion.Identity()]
+      );
+      group = new AnimationGroup('walk', options.scene);
+      group.addTargetedAnimation(position, hips);
+      group.addTargetedAnimation(rotation, hips);
+      group.addTargetedAnimation(spineRotation, spine);
+    });
+
+    afterEach(() => {
+      group.dispose();
+      hips.dispose();
+      spine.dispose();
+    });
+
+    it('should convert position and rotation keys to the rest pose of the target', () => {
+      HostObject.retargetAnimationGroups(
+        [group],
+        new Map([[hips, 'SourceHips']]),
+        retargeter
+      );
+
+      expect(position.getKeys().map(key => key.value.asArray())).toEqual([
+        [0, 2, 0],
+        [2, 2, 0],
+      ]);
+
+      rotation
+        .getKeys()[0]
+        .value.asArray()
+        .forEach((value, index) => {
+          expect(value).toBeCloseTo([0, 0.6, 0, 0.8][index]);
+        });
+    });
+
+    it('should only convert animations shared between groups once', () => {
+      const otherGroup = new AnimationGroup('run', options.scene);
+      otherGroup.addTargetedAnimation(position, hips);
+
+      HostObject.retargetAnimationGroups(
+        [group, otherGroup],
+        new Map([[hips, 'SourceHips']]),
+        retargeter
+      );
+      otherGroup.dispose();
+
+      expect(position.getKeys()[1].value.asArray()).toEqual([2, 2, 0]);
+    });
+
+    it('should not change animations whose targets have no source name', () => {
+      HostObject.retargetAnimationGroups(
+        [group],
+        new Map([[hips, 'SourceHips']]),
+        retargeter
+      );
+
+      expect(spineRotation.getKeys()[0].value.asArray()).toEqual([0, 0, 0, 1]);
+    });
+  });
+
+  describe('getRestPose', () => {
+    it('should return the local transforms of each node below the root', () => {
+      const root = new TransformNode('root', options.scene);
+      const hips = new TransformNode('hips', options.scene);
+      hips.parent = root;
+      hips.position = new Vector3(0, 2, 0);
+      hips.rotationQuaternion = Quaternion.Identity();
+
+      expect(HostObject.getRestPose(root)).toEqual({
+        hips: {position: [0, 2, 0], rotation: [0, 0, 0, 1]},
+      });
+
+      root.dispose();
+    });
+  });
 });
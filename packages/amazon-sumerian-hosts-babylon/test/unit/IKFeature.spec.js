@@ -0,0 +1,180 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+/* eslint-disable no-underscore-dangle */
+import {HostObject, IKFeature} from '@amazon-sumerian-hosts/babylon';
+import {IKChainTypes} from '@amazon-sumerian-hosts/core';
+import {Quaternion, Vector3} from '@babylonjs/core/Maths/math.vector';
+import {TransformNode} from '@babylonjs/core/Meshes/transformNode';
+import describeEnvironment from './EnvironmentHarness';
+
+describeEnvironment('IKFeature', (options = {}) => {
+  let owner;
+  let ikFeature;
+  let upperArm;
+  let hand;
+  let neck;
+  let head;
+
+  function createJoint(name, parent, position) {
+    const joint = new TransformNode(name, options.scene);
+    joint.parent = parent;
+    joint.position = Vector3.FromArray(position);
+
+    return joint;
+  }
+
+  function getPosition(node) {
+    if (node.parent) {
+      getPosition(node.parent);
+    }
+
+    return node.computeWorldMatrix(true).getTranslation();
+  }
+
+  function getAngle(node) {
+    const rotation = node.rotationQuaternion || Quaternion.Identity();
+
+    return 2 * Math.acos(Math.min(Math.abs(rotation.w), 1));
+  }
+
+  function expectPosition(node, position) {
+    getPosition(node)
+      .asArray()
+      .forEach((value, index) => {
+        expect(value).toBeCloseTo(position[index]);
+      });
+  }
+
+  beforeEach(() => {
+    // upperArm > lowerArm > hand with a slightly bent elbow, neck > head
+    owner = new TransformNode('owner', options.scene);
+    upperArm = createJoint('upperArm', owner, [0, 0, 0]);
+    const lowerArm = createJoint('lowerArm', upperArm, [0, -1, 0]);
+    hand = createJoint('hand', lowerArm, [0, -1, 0.1]);
+    neck = createJoint('neck', owner, [0, 1.5, 0]);
+    head = createJoint('head', neck, [0, 0.5, 0]);
+
+    const host = new HostObject({owner});
+    host.addFeature(IKFeature);
+    ikFeature = host._features.IKFeature;
+  });
+
+  afterEach(() => {
+    ikFeature.discard();
+    owner.dispose();
+  });
+
+  describe('_findJoint', () => {
+    it('should return the node below the owner with the given name', () => {
+      expect(ikFeature._findJoint('hand')).toBe(hand);
+    });
+  });
+
+  describe('solve', () => {
+    it('should move the end of a TwoBone chain to the target', () => {
+      ikFeature.addChain('arm', {
+        joints: ['upperArm', 'lowerArm', 'hand'],
+        target: [1, -1, 0],
+      });
+      ikFeature.solve();
+
+      expectPosition(hand, [1, -1, 0]);
+    });
+
+    it('should bend the middle joint of a TwoBone chain towards the pole', () => {
+      ikFeature.addChain('arm', {
+        joints: ['upperArm', 'lowerArm', 'hand'],
+        target: [0, -1.5, 0],
+        pole: [0, -1, 1],
+      });
+      ikFeature.solve();
+      const lowerArm = ikFeature._findJoint('lowerArm');
+
+      expectPosition(hand, [0, -1.5, 0]);
+
+      expect(getPosition(lowerArm).z).toBeGreaterThan(0);
+    });
+
+    it('should blend from the animated pose by the weight of the chain', () => {
+      ikFeature.addChain('arm', {
+        joints: ['upperArm', 'lowerArm', 'hand'],
+        target: [1, -1, 0],
+      });
+      ikFeature.solve();
+      const solvedAngle = getAngle(upperArm);
+      upperArm.rotationQuaternion = Quaternion.Identity();
+      upperArm.getChildren()[0].rotationQuaternion = Quaternion.Identity();
+      ikFeature.setWeight('arm', 0.5);
+      ikFeature.solve();
+
+      expect(getAngle(upperArm)).toBeCloseTo(solvedAngle / 2);
+    });
+
+    it('should point the forward axis of the last LookAt joint at the target', () => {
+      ikFeature.addChain('look', {
+        type: IKChainTypes.LookAt,
+        joints: ['neck', 'head'],
+        target: [1, 2, 0],
+      });
+      ikFeature.solve();
+      getPosition(head);
+      const forward = Vector3.TransformNormal(
+        new Vector3(0, 0, 1),
+        head.getWorldMatrix()
+      );
+
+      expectPosition(head, [0, 2, 0]);
+      forward.asArray().forEach((value, index) => {
+        expect(value).toBeCloseTo([1, 0, 0][index]);
+      });
+    });
+
+    it('should spread the rotation of a LookAt chain across its joints', () => {
+      ikFeature.addChain('look', {
+        type: IKChainTypes.LookAt,
+        joints: ['neck', 'head'],
+        target: [1, 2, 0],
+      });
+      ikFeature.solve();
+
+      expect(getAngle(neck)).toBeCloseTo(Math.PI / 4);
+      expect(getAngle(head)).toBeCloseTo(Math.PI / 4);
+    });
+
+    it('should not move chains without a target', () => {
+      ikFeature.addChain('arm', {joints: ['upperArm', 'lowerArm', 'hand']});
+      ikFeature.solve();
+
+      expectPosition(hand, [0, -2, 0.1]);
+    });
+  });
+
+  describe('update', () => {
+    it('should not solve chains when the feature is updated', () => {
+      spyOn(ikFeature, 'solve');
+      ikFeature.update(0.1);
+
+      expect(ikFeature.solve).not.toHaveBeenCalled();
+    });
+
+    it('should solve chains once the scene has applied animations', () => {
+      spyOn(ikFeature, 'solve');
+      options.scene.onAfterAnimationsObservable.notifyObservers(options.scene);
+
+      expect(ikFeature.solve).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('discard', () => {
+    it('should stop solving chains once the scene has applied animations', () => {
+      const {scene} = options;
+      const solveSpy = spyOn(ikFeature, 'solve');
+      ikFeature.discard();
+      scene.onAfterAnimationsObservable.notifyObservers(scene);
+
+      expect(solveSpy).not.toHaveBeenCalled();
+
+      ikFeature = {discard: () => {}};
+    });
+  });
+});
@@ -0,0 +1,82 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+/* eslint-disable no-underscore-dangle */
+import {HostObject, LocomotionFeature} from '@amazon-sumerian-hosts/babylon';
+import {Vector3} from '@babylonjs/core/Maths/math.vector';
+import {TransformNode} from '@babylonjs/core/Meshes/transformNode';
+import describeEnvironment from './EnvironmentHarness';
+
+describeEnvironment('LocomotionFeature', (options = {}) => {
+  let parent;
+  let owner;
+  let locomotionFeature;
+
+  function expectArray(actual, expected) {
+    actual.forEach((value, index) => {
+      expect(value).toBeCloseTo(expected[index]);
+    });
+  }
+
+  beforeEach(() => {
+    parent = new TransformNode('parent', options.scene);
+    parent.position = new Vector3(1, 0, 1);
+    parent.scaling = new Vector3(2, 2, 2);
+    owner = new TransformNode('owner', options.scene);
+    owner.position = new Vector3(0, 0, 1);
+    owner.parent = parent;
+
+    const host = new HostObject({owner});
+    host.addFeature(LocomotionFeature);
+    locomotionFeature = host._features.LocomotionFeature;
+  });
+
+  afterEach(() => {
+    parent.dispose();
+    owner.dispose();
+  });
+
+  describe('_getWorldPosition', () => {
+    it('should return the world position of the node', () => {
+      expectArray(LocomotionFeature._getWorldPosition(owner), [1, 0, 3]);
+    });
+  });
+
+  describe('_getWorldDirection', () => {
+    it('should return the unit world direction of a local direction', () => {
+      owner.rotation.y = Math.PI / 2;
+
+      expectArray(LocomotionFeature._getWorldDirection(owner, [0, 0, 1]), [
+        1,
+        0,
+        0,
+      ]);
+    });
+  });
+
+  describe('_rotate', () => {
+    it('should turn the owner around the world up axis by degrees', () => {
+      locomotionFeature._rotate(90);
+
+      expectArray(LocomotionFeature._getWorldDirection(owner, [0, 0, 1]), [
+        1,
+        0,
+        0,
+      ]);
+    });
+  });
+
+  describe('_translate', () => {
+    it('should move the owner by a world space offset', () => {
+      locomotionFeature._translate([2, 0, -1]);
+
+      expectArray(LocomotionFeature._getWorldPosition(owner), [3, 0, 2]);
+    });
+
+    it('should move an owner without a parent by the offset', () => {
+      owner.parent = null;
+      locomotionFeature._translate([2, 0, -1]);
+
+      expectArray(owner.position.asArray(), [2, 0, 0]);
+    });
+  });
+});
@@ -5,6 +5,8 @@
 /* eslint-disable no-underscore-dangle */
 import {anim} from '@amazon-sumerian-hosts/babylon';
 import {Deferred, LayerBlendModes} from '@amazon-sumerian-hosts/core';
+import {Animation} from '@babylonjs/core/Animations/animation';
+import {Vector3} from '@babylonjs/core/Maths/math.vector';
 import describeEnvironment from '../../EnvironmentHarness';
 
 describeEnvironment('SingleState', (options = {}) => {
@@ -212,6 +214,39 @@ describeEnvironment('SingleState', (options = {}) => {
     });
   });
 
+  describe('update', () => {
+    let maskedState;
+
+    beforeEach(() => {
+      const mockBabylonGroup = {
+        from: 0,
+        to: 2,
+        targetedAnimations: [{target: {}, animation: {}}],
+        normalize: jasmine.createSpy('normalize'),
+      };
+      maskedState = new anim.SingleState(
+        {mask: {getWeight: () => 0}, loopCount: 1},
+        mockBabylonGroup,
+        options.scene
+      );
+    });
+
+    it('should finish playback if the mask excludes every targeted animation', async () => {
+      const promise = maskedState.play();
+      maskedState.update(0);
+
+      await expectAsync(promise).toBeResolved();
+    });
+
+    it('should not finish playback of an infinitely looping state if the mask excludes every targeted animation', () => {
+      maskedState.loopCount = Infinity;
+      const promise = maskedState.play();
+      maskedState.update(0);
+
+      expect(promise.pending).toBeTrue();
+    });
+  });
+
   describe('pause', () => {
     it('should set speedRatio property of all stored animatables to 0', () => {
       state._babylonAnimatables = [{speedRatio: 10}, {speedRatio: 10}];
@@ -300,4 +335,58 @@ describeEnvironment('SingleState', (options = {}) => {
       });
     });
   });
+
+  describe('rootMotionJoint', () => {
+    let animation;
+    let rootMotionState;
+
+    beforeEach(() => {
+      animation = new Animation(
+        'hipsPosition',
+        'position',
+        30,
+        Animation.ANIMATIONTYPE_VECTOR3
+      );
+      animation.setKeys([
+        {frame: 0, value: new Vector3(0, 1, 0)},
+        {frame: 2, value: new Vector3(4, 2, 2)},
+      ]);
+      rootMotionState = new anim.SingleState(
+        {rootMotionJoint: 'hips'},
+        {
+          from: 0,
+          to: 2,
+          targetedAnimations: [{target: {name: 'hips'}, animation}],
+          normalize: jasmine.createSpy('normalize'),
+        },
+        options.scene
+      );
+    });
+
+    it('should keep the root motion joint at its first horizontal position', () => {
+      const [{animation: pinnedAnimation}] = rootMotionState._babylonAnimations;
+
+      expect(pinnedAnimation).not.toBe(animation);
+      expect(pinnedAnimation.getKeys().map(key => key.value.asArray())).toEqual(
+        [
+          [0, 1, 0],
+          [0, 2, 0],
+        ]
+      );
+    });
+
+    it('should not change the keys of the original animation', () => {
+      expect(animation.getKeys()[1].value.asArray()).toEqual([4, 2, 2]);
+    });
+
+    it('should sample the original position keys of the root motion joint', () => {
+      expect(rootMotionState._sampleRootMotion(0)).toEqual([0, 1, 0]);
+      expect(rootMotionState._sampleRootMotion(0.25)).toEqual([1, 1.25, 0.5]);
+      expect(rootMotionState._sampleRootMotion(1)).toEqual([4, 2, 2]);
+    });
+
+    it('should return no root motion if no joint position animation is pinned', () => {
+      expect(state._sampleRootMotion(0.5)).toEqual([0, 0, 0]);
+    });
+  });
 });
@@ -29,6 +29,7 @@ describeEnvironment('Speech', () => {
       play: jasmine.createSpy('play'),
       pause: jasmine.createSpy('pause'),
       stop: jasmine.createSpy('stop'),
+      dispose: jasmine.createSpy('dispose'),
       onEndedObservable: {add: jasmine.createSpy('add')},
       currentTime: 0,
       paused: true,
@@ -96,6 +97,70 @@ describeEnvironment('Speech', () => {
         expect(speech._audio.stop).toHaveBeenCalled();
       });
     });
+
+    describe('seek', () => {
+      it('should execute stop on _audio', () => {
+        speech.seek(0, 2);
+
+        expect(speech._audio.stop).toHaveBeenCalled();
+      });
+
+      it('should play _audio from the new position if the speech is playing', () => {
+        speech.play(0);
+        speech._audio.play.calls.reset();
+        speech.seek(0, 2);
+
+        expect(speech._audio.play).toHaveBeenCalledWith(0, 2);
+      });
+
+      it('should play _audio from the new position once a paused speech is resumed', () => {
+        speech.seek(0, 2);
+
+        expect(speech._audio.play).not.toHaveBeenCalled();
+
+        speech.resume(0);
+
+        expect(speech._audio.play).toHaveBeenCalledWith(0, 2);
+      });
+
+      it('should include a negative speechmarkOffset in the audio position', () => {
+        speech.speechmarkOffset = -0.5;
+        speech.seek(0, 2);
+        speech.resume(0);
+
+        expect(speech._audio.play).toHaveBeenCalledWith(0, 1.5);
+      });
+
+      it('should not play _audio from before its start', () => {
+        speech.speechmarkOffset = -3;
+        speech.seek(0, 2);
+        speech.resume(0);
+
+        expect(speech._audio.play).toHaveBeenCalledWith(0, 0);
+      });
+
+      it('should discard the seek position when the speech is played from the start', () => {
+        speech.seek(0, 2);
+        speech.play(0);
+
+        expect(speech._audio.play).not.toHaveBeenCalledWith(0, 2);
+      });
+    });
+
+    describe('discard', () => {
+      it('should execute dispose on _audio', () => {
+        speech.discard();
+
+        expect(speech._audio.dispose).toHaveBeenCalled();
+      });
+
+      it('should stop playing the speech', () => {
+        speech.play();
+        speech.discard();
+
+        expect(speech.playing).toBeFalse();
+      });
+    });
   }
 
   describeCommonSpeech();
@@ -2,6 +2,29 @@
 // SPDX-License-Identifier: MIT-0
 import Messenger from './Messenger';
 
+/**
+ * Enum for the phases of a {@link core/HostObject} update. Features in earlier
+ * phases are updated first.
+ *
+ * @readonly
+ * @enum {number}
+ */
+export const UpdatePhases = {
+  /**
+   * Features that drive animations, such as by setting blend weights or
+   * playing animations in response to speech.
+   */
+  PreAnimation: 0,
+  /**
+   * Features that evaluate animations.
+   */
+  Animation: 1,
+  /**
+   * Features that modify the pose produced by animations.
+   */
+  PostAnimation: 2,
+};
+
 /**
  * Base class for all host features. Keeps a reference to the host object managing
  * the feature.
@@ -15,6 +38,16 @@ import Messenger from './Messenger';
  * each call to [update]{@link AbstractHostFeature#update}.
  * @property {Object} SERVICES - Any AWS services that are necessary for the
  * feature to function.
+ * @property {Object} DEPENDENCIES - Names of the feature types this feature
+ * relies on.
+ * @property {Array.<string>} [DEPENDENCIES.required=[]] - Features that must be
+ * added to the host before this one and cannot be removed while this one is
+ * installed.
+ * @property {Array.<string>} [DEPENDENCIES.optional=[]] - Features that this
+ * one uses when they are present.
+ * @property {number} [UPDATE_PHASE=UpdatePhases.Animation] - The
+ * {@link UpdatePhases} value that determines when the feature is updated. Within
+ * a phase, features are updated after the features they depend on.
  */
 class AbstractHostFeature {
   /**
@@ -84,6 +117,30 @@ class AbstractHostFeature {
     Messenger.listenTo(message, callback);
   }
 
+  /**
+   * Listen to a feature message from the host object and stop listening once
+   * it is received.
+   *
+   * @param {string} message - Message to listen for.
+   * @param {Function} callback - The callback to execute when the message is received.
+   */
+  once(message, callback) {
+    this._host.once(message, callback);
+  }
+
+  /**
+   * Listen to a feature message from the global messenger and stop listening
+   * once it is received. Feature messages will be prefixed with the class name
+   * of the feature.
+   *
+   * @param {string} message - Message to listen for.
+   * @param {Function} callback - The callback to execute when the message is received.
+   */
+  static once(message, callback) {
+    message = `${this.name}.${message}`;
+    Messenger.once(message, callback);
+  }
+
   /**
    * Stop listening to a message from the host object.
    *
@@ -170,6 +227,30 @@ class AbstractHostFeature {
     Messenger.emit(message, value);
   }
 
+  /**
+   * Store the values of a feature message emitted from the global messenger so
+   * listeners added later receive them. Feature messages will be prefixed with
+   * the class name of the feature.
+   *
+   * @param {string} message - The message to store values for.
+   * @param {number} [size=1] - The number of values to keep.
+   */
+  static enableReplay(message, size) {
+    message = `${this.name}.${message}`;
+    Messenger.enableReplay(message, size);
+  }
+
+  /**
+   * Stop storing the values of a feature message emitted from the global
+   * messenger.
+   *
+   * @param {string} message - The message to stop storing values for.
+   */
+  static disableReplay(message) {
+    message = `${this.name}.${message}`;
+    Messenger.disableReplay(message);
+  }
+
   /**
    * Executes each time the host is updated.
    *
@@ -180,6 +261,41 @@ class AbstractHostFeature {
     this.emit(this.constructor.EVENTS.update, deltaTime);
   }
 
+  /**
+   * Return a JSON compatible description of the feature that can be used to
+   * recreate it with {@link HostBuilder}. Features that take options should
+   * override this to describe the arguments passed to their constructor after
+   * the host.
+   *
+   * @returns {Object} An object with the signature {type: string, args: Array}.
+   */
+  getDefinition() {
+    return {type: this.constructor.name, args: []};
+  }
+
+  /**
+   * Return a JSON compatible snapshot of the feature's runtime values that can
+   * be passed to [restoreState]{@link AbstractHostFeature#restoreState}.
+   * Features with state that changes while the host is running should override
+   * this.
+   *
+   * @returns {Object}
+   */
+  serializeState() {
+    return {};
+  }
+
+  /**
+   * Apply a snapshot returned by [serializeState]{@link AbstractHostFeature#serializeState}
+   * to the feature.
+   *
+   * @param {Object} state - The snapshot to apply.
+   */
+  // eslint-disable-next-line no-unused-vars
+  restoreState(state) {
+    // Features without runtime values have nothing to restore
+  }
+
   /**
    * Clean up once the feature is no longer in use. Remove the feature namespace
    * from the host and remove reference to the host.
@@ -228,6 +344,17 @@ Object.defineProperties(AbstractHostFeature, {
     value: {},
     writable: false,
   },
+  DEPENDENCIES: {
+    value: {
+      required: [],
+      optional: [],
+    },
+    writable: false,
+  },
+  UPDATE_PHASE: {
+    value: UpdatePhases.Animation,
+    writable: false,
+  },
 });
 
 export default AbstractHostFeature;
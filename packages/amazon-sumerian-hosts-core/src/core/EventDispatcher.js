@@ -0,0 +1,108 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+
+/**
+ * Class that sends events to listener functions without depending on the DOM,
+ * so messaging works in Node and Web Workers. Events are objects with a 'type'
+ * property naming the event and an optional 'detail' property.
+ *
+ * @alias core/EventDispatcher
+ */
+class EventDispatcher {
+  constructor() {
+    this._listeners = {};
+  }
+
+  /**
+   * Execute a function each time an event of the given type is dispatched.
+   * Adding the same listener more than once for a type has no effect.
+   *
+   * @param {string} type - The event type.
+   * @param {Function} listener - Function that receives the event object.
+   */
+  addEventListener(type, listener) {
+    if (this._listeners[type] === undefined) {
+      this._listeners[type] = [];
+    }
+
+    if (!this._listeners[type].includes(listener)) {
+      this._listeners[type].push(listener);
+    }
+  }
+
+  /**
+   * Stop executing a function when events of the given type are dispatched.
+   *
+   * @param {string} type - The event type.
+   * @param {Function} listener - The function to remove.
+   */
+  removeEventListener(type, listener) {
+    const listeners = this._listeners[type];
+
+    if (listeners === undefined) {
+      return;
+    }
+
+    const index = listeners.indexOf(listener);
+    if (index !== -1) {
+      listeners.splice(index, 1);
+    }
+
+    if (listeners.length === 0) {
+      delete this._listeners[type];
+    }
+  }
+
+  /**
+   * Return whether or not a function is listening for events of the given type.
+   *
+   * @param {string} type - The event type.
+   * @param {Function} listener - The function to check.
+   *
+   * @returns {boolean}
+   */
+  hasEventListener(type, listener) {
+    const listeners = this._listeners[type];
+
+    return listeners !== undefined && listeners.includes(listener);
+  }
+
+  /**
+   * Execute the listeners for the event's type in the order they were added.
+   * Listeners added while the event is being dispatched do not receive it,
+   * listeners removed before their turn do not either. Errors thrown by a
+   * listener are logged and do not prevent the remaining listeners from
+   * executing.
+   *
+   * @param {Object} event - The event to send.
+   * @param {string} event.type - The event type.
+   * @param {any=} event.detail - Value to send to listeners.
+   *
+   * @returns {boolean} Whether or not any listeners received the event.
+   */
+  dispatchEvent(event) {
+    const listeners = this._listeners[event.type];
+
+    if (listeners === undefined) {
+      return false;
+    }
+
+    [...listeners].forEach(listener => {
+      if (!this.hasEventListener(event.type, listener)) {
+        return;
+      }
+
+      try {
+        listener.call(this, event);
+      } catch (e) {
+        console.error(
+          `${this.constructor.name} listener for the ${event.type} event encountered an unexpected error: ${e}`
+        );
+      }
+    });
+
+    return true;
+  }
+}
+
+export default EventDispatcher;
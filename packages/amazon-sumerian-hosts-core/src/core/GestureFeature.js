@@ -2,7 +2,8 @@
 // SPDX-License-Identifier: MIT-0
 import ManagedAnimationLayerInterface from './animpack/ManagedAnimationLayerInterface';
 import SSMLSpeechmarkInterface from './awspack/SSMLSpeechmarkInterface';
-import AbstractHostFeature from './AbstractHostFeature';
+import AbstractHostFeature, {UpdatePhases} from './AbstractHostFeature';
+import AnimationUtils from './animpack/AnimationUtils';
 import Deferred from './Deferred';
 import Utils from './Utils';
 
@@ -329,21 +330,42 @@ class GestureFeature extends AbstractHostFeature.mix(
 
       // Wait for the given hold time before progressing
       else {
-        layer.holdTimer = Utils.wait(holdTime, {
-          onFinish: () => {
-            // Advance the queue to the next state
-            if (layer.currentGesture === animationName) {
-              this._host.AnimationFeature.playNextAnimation(
-                layerName,
-                animationName
-              );
-            }
-          },
-        });
+        this._startHoldTimer(layerName, animationName, holdTime);
       }
     }
   }
 
+  /**
+   * Wait for the given amount of time before advancing a queue gesture to its
+   * next state. The time left on the timer is stored on the layer so it can be
+   * serialized. The layer's existing hold timer should be canceled first.
+   *
+   * @private
+   *
+   * @param {string} layerName - Name of the managed layer that owns the gesture.
+   * @param {string} animationName - Name of the queue state animation.
+   * @param {number} holdTime - Number of seconds to wait.
+   */
+  _startHoldTimer(layerName, animationName, holdTime) {
+    const layer = this._managedLayers[layerName];
+    layer.holdTimeRemaining = holdTime;
+
+    layer.holdTimer = Utils.wait(holdTime, {
+      onProgress: progress => {
+        layer.holdTimeRemaining = holdTime * (1 - progress);
+      },
+      onFinish: () => {
+        // Advance the queue to the next state
+        if (layer.currentGesture === animationName) {
+          this._host.AnimationFeature.playNextAnimation(
+            layerName,
+            animationName
+          );
+        }
+      },
+    });
+  }
+
   /**
    * Callback for {@link core/AnimationFeature#stopAnimation} event. If the
    * event is emitted for a managed animation cancel the layer's stored timers.
@@ -397,6 +419,7 @@ class GestureFeature extends AbstractHostFeature.mix(
     super.registerLayer(name, {
       ...options,
       holdTimer: Deferred.resolve(),
+      holdTimeRemaining: 0,
       playTimer: null,
       currentGesture: null,
     });
@@ -630,6 +653,93 @@ class GestureFeature extends AbstractHostFeature.mix(
     });
   }
 
+  getDefinition() {
+    const layers = {};
+
+    Object.entries(this._managedLayers).forEach(([layerName, options]) => {
+      const animations = {};
+
+      Object.entries(options.animations).forEach(([animationName, anim]) => {
+        animations[animationName] = {
+          holdTime: anim.holdTime,
+          minimumInterval: anim.minimumInterval,
+          transitionTime: anim.transitionTime,
+          words: [...anim.words],
+        };
+      });
+
+      layers[layerName] = {
+        blendTime: options.blendTime,
+        easingFn: AnimationUtils.getEasingName(options.easingFn),
+        holdTime: options.holdTime,
+        minimumInterval: options.minimumInterval,
+        transitionTime: options.transitionTime,
+        autoDisable: options.autoDisable,
+        animations,
+      };
+    });
+
+    return {
+      ...super.getDefinition(),
+      args: [
+        {
+          holdTime: this.holdTime,
+          minimumInterval: this.minimumInterval,
+          layers,
+        },
+      ],
+    };
+  }
+
+  /**
+   * Return a JSON compatible snapshot of the current gesture of each managed
+   * layer, the number of seconds since it started playing and the number of
+   * seconds left before a queue gesture advances past its looping state.
+   *
+   * @returns {Object} An object with the signature {layers: Object.<string, Object>}.
+   */
+  serializeState() {
+    const layers = {};
+
+    Object.entries(this._managedLayers).forEach(([name, layer]) => {
+      layers[name] = {
+        currentGesture: layer.currentGesture,
+        playTimer: layer.playTimer,
+        holdTime: layer.holdTimer.pending ? layer.holdTimeRemaining : null,
+      };
+    });
+
+    return {layers};
+  }
+
+  /**
+   * Apply a snapshot returned by [serializeState]{@link GestureFeature#serializeState}.
+   * Should be restored after {@link AnimationFeature}, since switching
+   * animations clears the current gesture of a layer.
+   *
+   * @param {Object} state - The snapshot to apply.
+   */
+  restoreState(state) {
+    Object.entries(state.layers || {}).forEach(([name, layerState]) => {
+      const layer = this._managedLayers[name];
+
+      if (layer === undefined) {
+        console.warn(
+          `Did not restore gesture layer ${name} on host ${this._host.id}. The layer is not managed.`
+        );
+        return;
+      }
+
+      layer.holdTimer.cancel();
+      layer.currentGesture = layerState.currentGesture;
+      layer.playTimer = layerState.playTimer;
+
+      if (layer.currentGesture !== null && layerState.holdTime > 0) {
+        this._startHoldTimer(name, layer.currentGesture, layerState.holdTime);
+      }
+    });
+  }
+
   installApi() {
     /**
      * @inner
@@ -664,6 +774,17 @@ class GestureFeature extends AbstractHostFeature.mix(
 }
 
 Object.defineProperties(GestureFeature, {
+  DEPENDENCIES: {
+    value: {
+      required: [],
+      optional: ['AnimationFeature', 'TextToSpeechFeature'],
+    },
+    writable: false,
+  },
+  UPDATE_PHASE: {
+    value: UpdatePhases.PreAnimation,
+    writable: false,
+  },
   DEFAULT_LAYER_OPTIONS: {
     value: {
       ...GestureFeature.DEFAULT_LAYER_OPTIONS,
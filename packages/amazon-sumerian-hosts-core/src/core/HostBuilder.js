@@ -0,0 +1,380 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+import HostObject from './HostObject';
+import LipsyncFeature from './LipsyncFeature';
+import GestureFeature from './GestureFeature';
+import PointOfInterestFeature from './PointOfInterestFeature';
+import IKFeature from './IKFeature';
+import LocomotionFeature from './LocomotionFeature';
+import TextToSpeechFeature from './awspack/TextToSpeechFeature';
+import AnimationFeature, {AnimationTypes} from './animpack/AnimationFeature';
+import AnimationUtils from './animpack/AnimationUtils';
+
+/**
+ * Names of the animation options that contain arrays of sub-state options.
+ *
+ * @private
+ */
+const SubStateOptionNames = [
+  'queueOptions',
+  'blendStateOptions',
+  'subStateOptions',
+];
+
+/**
+ * Return whether or not a value is a plain object.
+ *
+ * @private
+ *
+ * @param {any} value - The value to check.
+ *
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  return (
+    value !== null &&
+    typeof value === 'object' &&
+    Object.getPrototypeOf(value) === Object.prototype
+  );
+}
+
+/**
+ * Return a copy of a value where every 'easingFn' property that is the name of
+ * an {@link Easing} function is replaced with the function.
+ *
+ * @private
+ *
+ * @param {any} value - The value to copy.
+ *
+ * @returns {any}
+ */
+function resolveEasingFns(value) {
+  if (Array.isArray(value)) {
+    return value.map(item => resolveEasingFns(item));
+  } else if (!isPlainObject(value)) {
+    return value;
+  }
+
+  const result = {};
+  Object.entries(value).forEach(([key, item]) => {
+    result[key] =
+      key === 'easingFn'
+        ? AnimationUtils.getEasingFn(item)
+        : resolveEasingFns(item);
+  });
+
+  return result;
+}
+
+/**
+ * Merge feature arguments from a definition with arguments given at build
+ * time. Plain object arguments are merged, other arguments given at build time
+ * replace the ones from the definition.
+ *
+ * @private
+ *
+ * @param {Array} args - The arguments from the definition.
+ * @param {Array} extraArgs - The arguments given at build time.
+ *
+ * @returns {Array}
+ */
+function mergeArgs(args, extraArgs) {
+  const result = [];
+
+  for (let i = 0; i < Math.max(args.length, extraArgs.length); i++) {
+    if (isPlainObject(args[i]) && isPlainObject(extraArgs[i])) {
+      result[i] = {...args[i], ...extraArgs[i]};
+    } else {
+      result[i] = extraArgs[i] !== undefined ? extraArgs[i] : args[i];
+    }
+  }
+
+  return result;
+}
+
+/**
+ * @typedef {Object} HostDefinition
+ * @property {Array.<FeatureDefinition>} features - The features to add to the
+ * host, in the order they should be added.
+ */
+
+/**
+ * @typedef {Object} FeatureDefinition
+ * @property {string} type - Name of the feature class.
+ * @property {Array=} args - Arguments to pass to the feature constructor after
+ * the host.
+ * @property {Array.<LayerDefinition>=} layers - Animation layers to add. Only
+ * used by the AnimationFeature.
+ */
+
+/**
+ * @typedef {Object} LayerDefinition
+ * @property {string} name - Name of the layer.
+ * @property {string=} blendMode - A {@link LayerBlendModes} value.
+ * @property {number=} weight - Weight of the layer.
+ * @property {number=} transitionTime - Default transition time of the layer.
+ * @property {string=} easingFn - Name of the layer's default {@link Easing}
+ * function, such as 'Quadratic.InOut'.
+ * @property {Object=} stateMachine - Options for an {@link AnimationStateMachine}.
+ * @property {Object=} mask - Options for a {@link LayerMask}.
+ * @property {Array.<Object>=} animations - Animations to add to the layer. Each
+ * is an options object for {@link AnimationFeature#addAnimation} with an
+ * additional 'type' property naming an {@link AnimationTypes} value. Clips are
+ * described by name.
+ * @property {string=} currentAnimation - Name of the animation to play once
+ * the layer is built.
+ */
+
+/**
+ * Class for creating hosts from a JSON compatible {@link HostDefinition}. A
+ * definition can be written by hand or produced from an existing host with
+ * [HostObject.getDefinition]{@link core/HostObject#getDefinition}.
+ *
+ * Animation clips are described by name in definitions. Engine-specific
+ * builders resolve the names to clips, the core builder passes clip values
+ * through unchanged.
+ *
+ * @alias core/HostBuilder
+ */
+class HostBuilder {
+  /**
+   * @constructor
+   *
+   * @param {Object=} options - Options for the builder.
+   * @param {Class} [options.hostClass=HostObject] - Class used to create hosts.
+   * @param {Object.<string, Class>=} options.featureClasses - Map of feature
+   * type names to the classes used to create them, in addition to the default
+   * AnimationFeature, LipsyncFeature, GestureFeature, PointOfInterestFeature,
+   * IKFeature, LocomotionFeature and TextToSpeechFeature classes.
+   */
+  constructor({hostClass = HostObject, featureClasses = {}} = {}) {
+    this._hostClass = hostClass;
+    this._featureClasses = {
+      AnimationFeature,
+      LipsyncFeature,
+      GestureFeature,
+      PointOfInterestFeature,
+      IKFeature,
+      LocomotionFeature,
+      TextToSpeechFeature,
+      ...featureClasses,
+    };
+  }
+
+  /**
+   * Gets a copy of the map of feature type names to feature classes.
+   *
+   * @readonly
+   * @type {Object.<string, Class>}
+   */
+  get featureClasses() {
+    return {...this._featureClasses};
+  }
+
+  /**
+   * Register the class used to create features of a type.
+   *
+   * @param {Class} FeatureClass - The feature class.
+   * @param {string} [type=FeatureClass.name] - The type name used in definitions.
+   */
+  registerFeatureClass(FeatureClass, type = FeatureClass.name) {
+    this._featureClasses[type] = FeatureClass;
+  }
+
+  /**
+   * Return the clip to use for a clip value in a definition.
+   *
+   * @private
+   *
+   * @param {any} clip - The clip value from the animation options.
+   * @param {LayerDefinition} layerDefinition - The layer the clip is added to.
+   *
+   * @returns {any}
+   */
+  // eslint-disable-next-line no-unused-vars
+  _resolveClip(clip, layerDefinition) {
+    return clip;
+  }
+
+  /**
+   * Return the scene object to use for a scene object value in a definition.
+   * Scene objects such as the PointOfInterestFeature's look tracker, IKFeature
+   * chain targets and the object the TextToSpeechFeature attaches audio to are
+   * described by name.
+   *
+   * @private
+   *
+   * @param {core/HostObject} host - The host being built.
+   * @param {any} object - The scene object value from the definition.
+   *
+   * @returns {any}
+   */
+  _resolveObject(host, object) {
+    return object;
+  }
+
+  /**
+   * Return the arguments to pass to a feature constructor.
+   *
+   * @private
+   *
+   * @param {core/HostObject} host - The host being built.
+   * @param {string} type - The feature type name.
+   * @param {Array} args - The arguments from the definition, merged with the
+   * arguments given at build time.
+   *
+   * @returns {Array}
+   */
+  _resolveFeatureArgs(host, type, args) {
+    if (type === 'PointOfInterestFeature') {
+      const [options = {}, lookOptions = {}] = args;
+      args[0] = {
+        ...options,
+        lookTracker: this._resolveObject(host, options.lookTracker),
+      };
+      args[1] = {
+        ...lookOptions,
+        layers: (lookOptions.layers || []).map(layer => ({
+          ...layer,
+          reference: this._resolveObject(host, layer.reference),
+        })),
+      };
+    } else if (type === 'IKFeature') {
+      const [options = {}] = args;
+      args[0] = {
+        ...options,
+        chains: (options.chains || []).map(chain => ({
+          ...chain,
+          target: this._resolveObject(host, chain.target),
+          pole: this._resolveObject(host, chain.pole),
+        })),
+      };
+    } else if (type === 'TextToSpeechFeature') {
+      const [options = {}] = args;
+      args[0] = {
+        ...options,
+        attachTo: this._resolveObject(host, options.attachTo),
+      };
+    }
+
+    return args;
+  }
+
+  /**
+   * Return the options to add an animation with.
+   *
+   * @private
+   *
+   * @param {Object} options - The animation options from the definition.
+   * @param {LayerDefinition} layerDefinition - The layer the animation is added to.
+   *
+   * @returns {Object}
+   */
+  _resolveAnimationOptions(options, layerDefinition) {
+    const resolveClip = subOptions => {
+      const result = {...subOptions};
+
+      if (result.clip !== undefined) {
+        result.clip = this._resolveClip(result.clip, layerDefinition);
+      }
+
+      return result;
+    };
+
+    const result = resolveClip(options);
+    SubStateOptionNames.forEach(name => {
+      if (Array.isArray(options[name])) {
+        result[name] = options[name].map(resolveClip);
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Add layers and animations to the host's AnimationFeature and play each
+   * layer's current animation.
+   *
+   * @private
+   *
+   * @param {core/HostObject} host - The host being built.
+   * @param {Array.<LayerDefinition>} layers - The layers to add.
+   */
+  _addLayers(host, layers) {
+    layers.forEach(layerDefinition => {
+      const {
+        name: layerName,
+        animations = [],
+        currentAnimation,
+        ...options
+      } = layerDefinition;
+      options.easingFn = AnimationUtils.getEasingFn(options.easingFn);
+      const {name} = host.AnimationFeature.addLayer(layerName, options);
+
+      animations.forEach(({type = 'single', ...animation}) => {
+        if (AnimationTypes[type] === undefined) {
+          throw new Error(
+            `Cannot add animation ${animation.name} to layer ${name} on host ${host.id}. ${type} is not a valid animation type.`
+          );
+        }
+
+        host.AnimationFeature.addAnimation(
+          name,
+          animation.name,
+          AnimationTypes[type],
+          this._resolveAnimationOptions(animation, layerDefinition)
+        );
+      });
+
+      if (currentAnimation !== undefined) {
+        host.AnimationFeature.playAnimation(name, currentAnimation);
+      }
+    });
+  }
+
+  /**
+   * Create a new host from a definition.
+   *
+   * @param {HostDefinition} definition - The description of the host.
+   * @param {Object=} options - Options for building the host.
+   * @param {Object=} options.hostOptions - Options to pass to the host constructor,
+   * such as the engine-specific owner.
+   * @param {Object.<string, Array>=} options.featureArgs - Map of feature type
+   * names to arguments that can't be described in JSON, such as scene objects.
+   * Object arguments are merged with the matching arguments from the
+   * definition, other arguments replace them.
+   *
+   * @returns {core/HostObject}
+   */
+  build(definition, {hostOptions, featureArgs = {}} = {}) {
+    const host = new this._hostClass(hostOptions);
+
+    (definition.features || []).forEach(({type, args = [], layers}) => {
+      const FeatureClass = this._featureClasses[type];
+
+      if (FeatureClass === undefined) {
+        throw new Error(
+          `Cannot add feature ${type} to host ${host.id}. No feature class is registered with this name.`
+        );
+      }
+
+      const mergedArgs = mergeArgs(
+        resolveEasingFns(args),
+        featureArgs[type] || []
+      );
+      host.addFeature(
+        FeatureClass,
+        false,
+        ...this._resolveFeatureArgs(host, type, mergedArgs)
+      );
+
+      if (layers !== undefined) {
+        this._addLayers(host, layers);
+      }
+    });
+
+    return host;
+  }
+}
+
+export default HostBuilder;
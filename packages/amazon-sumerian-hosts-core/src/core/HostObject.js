@@ -2,7 +2,12 @@
 // SPDX-License-Identifier: MIT-0
 import Messenger from './Messenger';
 import AbstractHostFeature from './AbstractHostFeature';
+import Deferred from './Deferred';
 import Utils from './Utils';
+import AnimationUtils from './animpack/AnimationUtils';
+
+// Milliseconds of rounding error allowed when filling fixed time steps
+const StepTolerance = 1e-6;
 
 /**
  * Object that manages access to all Host features. Contains a reference to
@@ -18,6 +23,9 @@ import Utils from './Utils';
  * after each call to [addFeature]{@link core/HostObject#addFeature}.
  * @property {string} [EVENTS.removeFeature='onRemoveFeature'] - Message that is emitted
  * after each call to [removeFeature]{@link core/HostObject#removeFeature}.
+ * @property {string} [EVENTS.dispose='onDispose'] - Message that is emitted
+ * when [dispose]{@link core/HostObject#dispose} is called, before the host is
+ * torn down.
  */
 class HostObject extends Messenger {
   /**
@@ -25,15 +33,43 @@ class HostObject extends Messenger {
    *
    * @param {Object=} options - Options for the host.
    * @param {Object=} options.owner - Optional engine-specific owner of the host.
+   * @param {number} [options.timeScale=1] - Factor to scale the host clock by.
+   * @param {Object=} options.dispatcher - Optional object that delivers the
+   * host's messages. See {@link core/Messenger}.
+   * @param {(Function|null)} [options.clock=Date.now] - Function that returns
+   * the current time in milliseconds. If null, the host's time only moves
+   * forward when [step]{@link core/HostObject#step} is called.
+   * @param {number} [options.fixedTimeStep=0] - Number of seconds to advance
+   * features by in each update. If 0, features are advanced by the full time
+   * since the last update.
+   * @param {number} [options.maxSubSteps=5] - Maximum number of fixed time
+   * steps to take in a single update.
    */
-  constructor({owner = {}} = {}) {
+  constructor({
+    owner = {},
+    timeScale = 1,
+    dispatcher,
+    clock = Date.now,
+    fixedTimeStep = 0,
+    maxSubSteps = 5,
+  } = {}) {
     // If an owner is specified, use its id for messaging
-    super(owner.id);
+    super(owner.id, dispatcher);
 
     this._owner = owner;
     this._features = {};
+    this._updateOrder = [];
     this._waits = [];
+    this._unscaledWaits = new Set();
+    this._clock = clock;
+    this._steppedTime = 0;
+    this._accumulatedTime = 0;
     this._lastUpdate = this.now;
+    this.fixedTimeStep = fixedTimeStep;
+    this.maxSubSteps = maxSubSteps;
+    this.timeScale = timeScale;
+    this._timeScalePromise = Deferred.resolve();
+    this._disposed = false;
   }
 
   /**
@@ -47,13 +83,25 @@ class HostObject extends Messenger {
   }
 
   /**
-   * Gets the current time in milliseconds.
+   * Gets whether or not [dispose]{@link core/HostObject#dispose} has been
+   * called on the host.
+   *
+   * @readonly
+   * @type {boolean}
+   */
+  get disposed() {
+    return this._disposed;
+  }
+
+  /**
+   * Gets the current time in milliseconds. If the host was created without a
+   * clock this is the total time it has been stepped by.
    *
    * @readonly
    * @type {number}
    */
   get now() {
-    return Date.now();
+    return this._clock ? this._clock() : this._steppedTime;
   }
 
   /**
@@ -66,28 +114,175 @@ class HostObject extends Messenger {
     return this.now - this._lastUpdate;
   }
 
+  /**
+   * Gets and sets the factor that the host clock is scaled by. The delta time
+   * passed to features, waits and update listeners is multiplied by this value,
+   * so 0.5 plays the host in slow motion and 0 freezes it. Values below 0 are
+   * clamped to 0.
+   *
+   * @type {number}
+   */
+  get timeScale() {
+    return this._timeScale;
+  }
+
+  set timeScale(timeScale) {
+    this._timeScale = Math.max(timeScale, 0);
+  }
+
+  /**
+   * Gets and sets the number of seconds features are advanced by in each fixed
+   * time step. Time that doesn't fill a whole step is carried over to the next
+   * update. Set to 0 to advance features by the full time since the last
+   * update.
+   *
+   * @type {number}
+   */
+  get fixedTimeStep() {
+    return this._fixedTimeStep;
+  }
+
+  set fixedTimeStep(seconds) {
+    this._fixedTimeStep = Math.max(seconds, 0);
+    this._accumulatedTime = 0;
+  }
+
+  /**
+   * Gets and sets the maximum number of fixed time steps taken in a single
+   * update. Time beyond this is dropped so a long frame hitch does not cause
+   * a burst of catch-up steps. Values below 1 are clamped to 1.
+   *
+   * @type {number}
+   */
+  get maxSubSteps() {
+    return this._maxSubSteps;
+  }
+
+  set maxSubSteps(steps) {
+    this._maxSubSteps = Math.max(Math.floor(steps), 1);
+  }
+
+  /**
+   * Gets whether or not the timeScale is currently being animated.
+   *
+   * @readonly
+   * @type {boolean}
+   */
+  get timeScalePending() {
+    return this._timeScalePromise.pending;
+  }
+
+  /**
+   * Updates the timeScale value over time. The interpolation progresses in
+   * unscaled time, so it completes even when slowing the host to a stop.
+   *
+   * @param {number} timeScale - The target timeScale value.
+   * @param {number} [seconds=0] - The amount of time it will take to reach the
+   * target timeScale.
+   * @param {Function=} easingFn - The easing function to use for interpolation.
+   *
+   * @returns {Deferred}
+   */
+  setTimeScale(timeScale, seconds = 0, easingFn) {
+    this._timeScalePromise.cancel();
+
+    this._timeScalePromise = AnimationUtils.interpolateProperty(
+      this,
+      'timeScale',
+      Math.max(timeScale, 0),
+      {seconds, easingFn}
+    );
+
+    return this._timeScalePromise;
+  }
+
   /**
    * This function should be called in the engine's render loop. Executes update
-   * loops for all features.
+   * loops for all features in the order given by
+   * [getUpdateOrder]{@link core/HostObject#getUpdateOrder}, advancing them by
+   * the time since the last update.
    */
   update() {
     const currentTime = this.now;
-    const dt = this.deltaTime;
+    this._advance(this.deltaTime);
+    this._lastUpdate = currentTime;
+  }
+
+  /**
+   * Advance the host by an exact amount of time instead of reading it from the
+   * clock, for deterministic playback in tests or when rendering offline at a
+   * fixed frame rate. If the host has no clock its current time moves forward
+   * by the same amount. The next [update]{@link core/HostObject#update} only
+   * advances by the time that passes after the step.
+   *
+   * @param {number} deltaTime - Amount of time in milliseconds to advance by.
+   */
+  step(deltaTime) {
+    if (!this._clock) {
+      this._steppedTime += deltaTime;
+    }
+
+    this._advance(deltaTime);
+    this._lastUpdate = this.now;
+  }
+
+  /**
+   * Execute update loops for the given amount of unscaled time, split into
+   * fixed time steps if [fixedTimeStep]{@link core/HostObject#fixedTimeStep}
+   * is set.
+   *
+   * @private
+   *
+   * @param {number} deltaTime - Amount of time in milliseconds to advance by.
+   */
+  _advance(deltaTime) {
+    if (!this._fixedTimeStep) {
+      this._tick(deltaTime);
+      return;
+    }
+
+    const stepTime = this._fixedTimeStep * 1000;
+    this._accumulatedTime += deltaTime;
+
+    let steps = 0;
+    while (
+      this._accumulatedTime >= stepTime - StepTolerance &&
+      steps < this._maxSubSteps
+    ) {
+      this._accumulatedTime -= stepTime;
+      steps += 1;
+      this._tick(stepTime);
+    }
+
+    // Drop whole steps that didn't fit so the host doesn't fall further behind
+    this._accumulatedTime = Math.max(this._accumulatedTime % stepTime, 0);
+  }
+
+  /**
+   * Execute a single update loop for waits, features and update listeners.
+   *
+   * @private
+   *
+   * @param {number} unscaledDt - Amount of time in milliseconds to advance by,
+   * before the [timeScale]{@link core/HostObject#timeScale} is applied.
+   */
+  _tick(unscaledDt) {
+    // Progress the time scale before applying it
+    this._timeScalePromise.execute(unscaledDt);
+    const dt = unscaledDt * this._timeScale;
 
     // Progress stored waits
     this._waits.forEach(wait => {
-      wait.execute(dt);
+      wait.execute(this._unscaledWaits.has(wait) ? unscaledDt : dt);
     });
 
     // Update all features
-    Object.values(this._features).forEach(feature => {
+    this._updateOrder.forEach(feature => {
       feature.update(dt);
     });
 
     // Notify listeners an update occured
     this.emit(this.constructor.EVENTS.update, dt);
-
-    this._lastUpdate = currentTime;
   }
 
   /**
@@ -106,25 +301,101 @@ class HostObject extends Messenger {
    * the wait before completion.
    * @param {Function=} options.onError - Callback to execute if the wait stops
    * because an error is encountered. The error message is passed as a parameter.
+   * @param {boolean} [options.useTimeScale=true] - Whether or not the wait
+   * progresses at the host's [timeScale]{@link core/HostObject#timeScale}. If
+   * false, the wait progresses in real time.
    *
    * @returns {Deferred}
    */
-  wait(seconds, {onFinish, onProgress, onCancel, onError} = {}) {
+  wait(
+    seconds,
+    {onFinish, onProgress, onCancel, onError, useTimeScale = true} = {}
+  ) {
     const wait = Utils.wait(seconds, {onFinish, onProgress, onCancel, onError});
     this._waits.push(wait);
 
+    if (!useTimeScale) {
+      this._unscaledWaits.add(wait);
+    }
+
     // Once the wait promise is no longer pending remove it from the waits array
     const onComplete = () => {
       this._waits.splice(this._waits.indexOf(wait), 1);
+      this._unscaledWaits.delete(wait);
     };
     wait.then(onComplete, onComplete);
 
     return wait;
   }
 
+  /**
+   * Return the feature types a feature class depends on.
+   *
+   * @private
+   *
+   * @param {Class} FeatureClass - Class that extends {@link AbstractHostFeature}.
+   *
+   * @returns {Object} An object with the signature {required: Array.<string>,
+   * optional: Array.<string>}.
+   */
+  _getDependencies(FeatureClass) {
+    const {required = [], optional = []} = FeatureClass.DEPENDENCIES || {};
+
+    return {required, optional};
+  }
+
+  /**
+   * Sort feature types into the order they should be updated. Features are
+   * ordered by [UPDATE_PHASE]{@link AbstractHostFeature}, and within a phase
+   * each feature comes after the features it depends on. Ties, and features
+   * whose dependencies form a cycle, keep the order they were added in.
+   *
+   * @private
+   *
+   * @param {Object.<string, Class>} featureClasses - Feature classes keyed by
+   * type name, in the order they were added.
+   * @param {boolean} [byPhase=true] - Whether or not to group features by
+   * update phase. If false, features are only ordered by their dependencies.
+   *
+   * @returns {Array.<string>} The sorted type names.
+   */
+  _sortFeatures(featureClasses, byPhase = true) {
+    const remaining = Object.keys(featureClasses);
+    const order = [];
+    const getPhase = typeName =>
+      byPhase ? featureClasses[typeName].UPDATE_PHASE : 0;
+
+    while (remaining.length) {
+      const phase = Math.min(...remaining.map(getPhase));
+      const candidates = remaining.filter(
+        typeName => getPhase(typeName) === phase
+      );
+
+      // Pick the first feature whose dependencies in this phase are sorted
+      const next =
+        candidates.find(typeName => {
+          const {required, optional} = this._getDependencies(
+            featureClasses[typeName]
+          );
+
+          return [...required, ...optional].every(
+            dependency =>
+              dependency === typeName || !candidates.includes(dependency)
+          );
+        }) || candidates[0];
+
+      order.push(next);
+      remaining.splice(remaining.indexOf(next), 1);
+    }
+
+    return order;
+  }
+
   /**
    * Instantiate a new Host feature and store it. Features must inherit from
-   * AbstractHostFeature.
+   * AbstractHostFeature. Any features listed in the required
+   * [DEPENDENCIES]{@link AbstractHostFeature} of the FeatureClass must already
+   * be installed.
    *
    * @param {Class} FeatureClass - Class that will instantiate the feature. Must
    * extend {@link AbstractHostFeature}.
@@ -164,18 +435,34 @@ class HostObject extends Messenger {
       }
     }
 
+    // Make sure required features are installed
+    const missing = this._getDependencies(FeatureClass).required.filter(
+      typeName => this._features[typeName] === undefined
+    );
+
+    if (missing.length) {
+      throw new Error(
+        `Cannot add feature ${FeatureClass.name} to host ${
+          this.id
+        }. Required features ${missing.join(', ')} must be added first.`
+      );
+    }
+
     // Initialize the feature
     const feature = new FeatureClass(this, ...args);
     feature.installApi();
 
     this._features[FeatureClass.name] = feature;
+    this._updateFeatureOrder();
     this.emit(this.constructor.EVENTS.addFeature, FeatureClass.name);
 
     return true;
   }
 
   /**
-   * Remove a feature from the object.
+   * Remove a feature from the object. Features cannot be removed while other
+   * installed features list them as required
+   * [DEPENDENCIES]{@link AbstractHostFeature}.
    *
    * @param {string} typeName - Name of the type of feature to remove.
    *
@@ -187,14 +474,56 @@ class HostObject extends Messenger {
         `Feature of type ${typeName} does not exist on host ${this.id}. No feature will be removed.`
       );
       return false;
-    } else {
-      // Remove the feature
-      this.emit(this.constructor.EVENTS.removeFeature, typeName);
-      this._features[typeName].discard();
-      delete this._features[typeName];
+    }
+
+    // Make sure no other features require this one
+    const dependents = Object.keys(this._features).filter(name =>
+      this._getDependencies(this._features[name].constructor).required.includes(
+        typeName
+      )
+    );
 
-      return true;
+    if (dependents.length) {
+      throw new Error(
+        `Cannot remove feature ${typeName} from host ${
+          this.id
+        }. Features ${dependents.join(', ')} require it.`
+      );
     }
+
+    // Remove the feature
+    this.emit(this.constructor.EVENTS.removeFeature, typeName);
+    this._features[typeName].discard();
+    delete this._features[typeName];
+    this._updateFeatureOrder();
+
+    return true;
+  }
+
+  /**
+   * Recalculate the order features are updated in.
+   *
+   * @private
+   */
+  _updateFeatureOrder() {
+    const featureClasses = {};
+
+    Object.entries(this._features).forEach(([typeName, feature]) => {
+      featureClasses[typeName] = feature.constructor;
+    });
+
+    this._updateOrder = this._sortFeatures(featureClasses).map(
+      typeName => this._features[typeName]
+    );
+  }
+
+  /**
+   * List the names of the installed features in the order they are updated.
+   *
+   * @returns {Array.<string>}
+   */
+  getUpdateOrder() {
+    return this._updateOrder.map(feature => feature.constructor.name);
   }
 
   /**
@@ -216,6 +545,102 @@ class HostObject extends Messenger {
   listFeatures() {
     return Object.keys(this._features);
   }
+
+  /**
+   * Tear down the host once it is no longer in use. Cancels pending waits,
+   * removes every feature in the reverse of the order they were added, and
+   * clears the host's listeners and replayed messages. Calling dispose more
+   * than once has no effect.
+   */
+  dispose() {
+    if (this._disposed) {
+      return;
+    }
+
+    // Notify listeners while the host is still intact
+    this.emit(this.constructor.EVENTS.dispose);
+
+    this._timeScalePromise.cancel();
+    [...this._waits].forEach(wait => {
+      wait.cancel();
+    });
+
+    // Dependent features are removed before the features they require
+    Object.keys(this._features)
+      .reverse()
+      .forEach(typeName => {
+        this.removeFeature(typeName);
+      });
+
+    this.stopListeningToAll();
+    this._replays = {};
+    this._disposed = true;
+  }
+
+  /**
+   * Return a JSON compatible snapshot of the host's time scale and the runtime
+   * values of its features, such as playing animations and speech. Pass the
+   * result to [restoreState]{@link core/HostObject#restoreState} to return a
+   * host with the same features to this point.
+   *
+   * @returns {Object} An object with the signature {timeScale: number,
+   * features: Object.<string, Object>}.
+   */
+  serializeState() {
+    const features = {};
+
+    Object.entries(this._features).forEach(([typeName, feature]) => {
+      features[typeName] = feature.serializeState();
+    });
+
+    return {timeScale: this._timeScale, features};
+  }
+
+  /**
+   * Apply a snapshot returned by [serializeState]{@link core/HostObject#serializeState}.
+   * Features are restored after the features they depend on, regardless of
+   * their update phase. Snapshots of features that are not installed on the
+   * host are skipped.
+   *
+   * @param {Object} snapshot - The snapshot to apply.
+   */
+  restoreState(snapshot) {
+    if (snapshot.timeScale !== undefined) {
+      this.setTimeScale(snapshot.timeScale);
+    }
+
+    const features = snapshot.features || {};
+    const featureClasses = {};
+
+    Object.keys(features).forEach(typeName => {
+      if (this._features[typeName] === undefined) {
+        console.warn(
+          `Did not restore feature ${typeName} on host ${this.id}. No feature of this type is installed.`
+        );
+      } else {
+        featureClasses[typeName] = this._features[typeName].constructor;
+      }
+    });
+
+    this._sortFeatures(featureClasses, false).forEach(typeName => {
+      this._features[typeName].restoreState(features[typeName]);
+    });
+  }
+
+  /**
+   * Return a JSON compatible description of the host's features, including the
+   * layers and animations of its AnimationFeature. Pass the result to
+   * [HostBuilder.build]{@link HostBuilder#build} to recreate the host.
+   *
+   * @returns {Object} An object with the signature {features: Array.<Object>}.
+   */
+  getDefinition() {
+    return {
+      features: Object.values(this._features).map(feature =>
+        feature.getDefinition()
+      ),
+    };
+  }
 }
 
 Object.defineProperty(HostObject, 'EVENTS', {
@@ -224,6 +649,7 @@ Object.defineProperty(HostObject, 'EVENTS', {
     update: 'onUpdate',
     addFeature: 'onAddFeature',
     removeFeature: 'onRemoveFeature',
+    dispose: 'onDispose',
   },
   writable: false,
 });
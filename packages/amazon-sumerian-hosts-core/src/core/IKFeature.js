@@ -0,0 +1,539 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+/* eslint-disable no-underscore-dangle */
+/* eslint-disable no-unused-vars */
+import AbstractHostFeature, {UpdatePhases} from './AbstractHostFeature';
+import {AxisMap} from './PointOfInterestFeature';
+import AnimationUtils from './animpack/AnimationUtils';
+import {Quadratic} from './animpack/Easing';
+import Deferred from './Deferred';
+import MathUtils from './MathUtils';
+
+/**
+ * Enum for the types of {@link core/IKFeature} chains.
+ *
+ * TwoBone - A limb made of a root, middle and end joint, such as an upper arm,
+ * forearm and hand. The root and middle joints are rotated so the end joint
+ * reaches the target.
+ *
+ * LookAt - One or more joints, such as the spine, neck and head, that are
+ * rotated so the forward axis of the last joint points at the target. The
+ * rotation is spread evenly across the joints.
+ *
+ * @readonly
+ * @enum {string}
+ */
+export const IKChainTypes = {
+  TwoBone: 'TwoBone',
+  LookAt: 'LookAt',
+};
+
+/**
+ * Feature for adjusting the pose of the host with inverse kinematics once its
+ * animations have been applied. Each chain of joints is driven towards a target,
+ * which can be a scene object or a world position. Chains can be used to make
+ * the host reach towards an object, rest a hand on a surface or keep its feet
+ * planted while animations move its hips.
+ *
+ * Joints are identified by name, the same way the look joint is identified when
+ * adding point of interest tracking. Solving is implemented by engine-specific
+ * subclasses.
+ *
+ * @extends AbstractHostFeature
+ * @alias core/IKFeature
+ */
+class IKFeature extends AbstractHostFeature {
+  /**
+   * @constructor
+   *
+   * @param {core/HostObject} host - Host that owns the feature.
+   * @param {Object=} options - Options for the feature.
+   * @param {Array.<Object>} [options.chains=[]] - Options for chains to add,
+   * each with a 'name' property. See [addChain]{@link core/IKFeature#addChain}.
+   */
+  constructor(host, {chains = []} = {}) {
+    super(host);
+
+    this._chains = {};
+    this._solveOnUpdate = true;
+
+    chains.forEach(({name, ...options}) => {
+      this.addChain(name, options);
+    });
+  }
+
+  /**
+   * Gets an array of the names of the chains.
+   *
+   * @readonly
+   * @type {Array.<string>}
+   */
+  get chains() {
+    return Object.keys(this._chains);
+  }
+
+  /**
+   * Return a vector representing the global position of an object. Should be
+   * overloaded for each rendering engine implementation.
+   *
+   * @private
+   *
+   * @param {any} obj - Engine-specific 3D transform object.
+   *
+   * @returns {Array.<number>} - An array consisting of three numbers representing
+   * x, y and z coordinates.
+   */
+  static _getWorldPosition(obj) {
+    return [0, 0, 0];
+  }
+
+  /**
+   * Return the joint with the given name from the host's hierarchy. Should be
+   * overloaded for each rendering engine implementation.
+   *
+   * @private
+   *
+   * @param {string} name - Name of the joint.
+   *
+   * @returns {(any|undefined)} Engine-specific 3D transform object.
+   */
+  _findJoint(name) {
+    return undefined;
+  }
+
+  /**
+   * Rotate the root and middle joints of a two bone chain so the end joint
+   * reaches the target position. Should be overloaded for each rendering engine
+   * implementation.
+   *
+   * @private
+   *
+   * @param {Array.<any>} joints - The root, middle and end joints.
+   * @param {Array.<number>} targetPosition - World position to reach.
+   * @param {(Array.<number>|null)} polePosition - World position the middle
+   * joint should bend towards, or null to keep the current bend direction.
+   * @param {number} weight - 0-1 amount to blend from the animated pose to the
+   * solved pose.
+   */
+  _solveTwoBone(joints, targetPosition, polePosition, weight) {}
+
+  /**
+   * Rotate the joints of a look at chain so the forward axis of the last joint
+   * points at the target position. Should be overloaded for each rendering engine
+   * implementation.
+   *
+   * @private
+   *
+   * @param {Array.<any>} joints - The joints to rotate, ordered from the root of
+   * the chain.
+   * @param {Array.<number>} targetPosition - World position to look at.
+   * @param {Array.<number>} forwardAxis - Unit vector representing the local
+   * forward direction of the last joint.
+   * @param {number} weight - 0-1 amount to blend from the animated pose to the
+   * solved pose.
+   */
+  _solveLookAt(joints, targetPosition, forwardAxis, weight) {}
+
+  /**
+   * Return the chain with the given name, throwing an error if it does not
+   * exist.
+   *
+   * @private
+   *
+   * @param {string} name - Name of the chain.
+   * @param {string} action - Name of the operation being prepared for, to be
+   * used in error messaging.
+   *
+   * @returns {Object}
+   */
+  _getChain(name, action) {
+    const chain = this._chains[name];
+
+    if (chain === undefined) {
+      throw new Error(
+        `Cannot ${action} IK chain ${name} on host ${this._host.id}. No chain exists with this name.`
+      );
+    }
+
+    return chain;
+  }
+
+  /**
+   * Return the world position of a chain target.
+   *
+   * @private
+   *
+   * @param {(Object|Array.<number>)} target - Engine-specific 3D transform
+   * object or world position.
+   *
+   * @returns {Array.<number>}
+   */
+  _getTargetPosition(target) {
+    return Array.isArray(target)
+      ? target
+      : this.constructor._getWorldPosition(target);
+  }
+
+  /**
+   * Add a new chain of joints to drive with inverse kinematics.
+   *
+   * @param {string} name - Name of the chain.
+   * @param {Object} options - Options for the chain.
+   * @param {IKChainTypes} [options.type=IKChainTypes.TwoBone] - Type of solver
+   * to use for the chain.
+   * @param {Array.<(string|Object)>} options.joints - Names of the joints in the
+   * chain or engine-specific 3D transform objects, ordered from the root of the
+   * chain. TwoBone chains must have exactly three joints.
+   * @param {(Object|Array.<number>|null)} [options.target=null] - Object or
+   * world position the chain should reach. Chains without a target are not
+   * solved.
+   * @param {(Object|Array.<number>|null)} [options.pole=null] - Object or world
+   * position the middle joint of a TwoBone chain should bend towards.
+   * @param {number} [options.weight=1] - The 0-1 amount of influence the chain
+   * has over the animated pose.
+   * @param {string} [options.forwardAxis='PositiveZ'] - Name of the
+   * {@link AxisMap} value that points forward from the last joint of a LookAt
+   * chain.
+   *
+   * @returns {string} The name of the chain.
+   */
+  addChain(
+    name,
+    {
+      type = IKChainTypes.TwoBone,
+      joints = [],
+      target = null,
+      pole = null,
+      weight = 1,
+      forwardAxis = 'PositiveZ',
+    } = {}
+  ) {
+    if (this._chains[name] !== undefined) {
+      throw new Error(
+        `Cannot add IK chain ${name} to host ${this._host.id}. A chain with this name already exists.`
+      );
+    }
+
+    if (!Object.values(IKChainTypes).includes(type)) {
+      throw new Error(
+        `Cannot add IK chain ${name} to host ${this._host.id}. ${type} is not a valid chain type.`
+      );
+    }
+
+    if (type === IKChainTypes.TwoBone && joints.length !== 3) {
+      throw new Error(
+        `Cannot add IK chain ${name} to host ${this._host.id}. TwoBone chains must have 3 joints.`
+      );
+    } else if (joints.length === 0) {
+      throw new Error(
+        `Cannot add IK chain ${name} to host ${this._host.id}. Chains must have at least 1 joint.`
+      );
+    }
+
+    if (AxisMap[forwardAxis] === undefined) {
+      throw new Error(
+        `Cannot add IK chain ${name} to host ${this._host.id}. ${forwardAxis} is not a valid axis.`
+      );
+    }
+
+    const jointObjects = joints.map(joint => {
+      const jointObject =
+        typeof joint === 'string' ? this._findJoint(joint) : joint;
+
+      if (jointObject === undefined || jointObject === null) {
+        throw new Error(
+          `Cannot add IK chain ${name} to host ${this._host.id}. No joint exists with the name ${joint}.`
+        );
+      }
+
+      return jointObject;
+    });
+
+    this._chains[name] = {
+      type,
+      joints: jointObjects,
+      jointNames: jointObjects.map(joint => joint.name),
+      target,
+      pole,
+      weight: MathUtils.clamp(weight),
+      forwardAxis,
+      promises: {weight: Deferred.resolve()},
+    };
+
+    return name;
+  }
+
+  /**
+   * Remove a chain.
+   *
+   * @param {string} name - Name of the chain.
+   *
+   * @returns {boolean} Whether or not a chain was removed.
+   */
+  removeChain(name) {
+    const chain = this._chains[name];
+
+    if (chain === undefined) {
+      return false;
+    }
+
+    chain.promises.weight.cancel();
+    delete this._chains[name];
+
+    return true;
+  }
+
+  /**
+   * Return the target of a chain.
+   *
+   * @param {string} name - Name of the chain.
+   *
+   * @returns {(Object|Array.<number>|null)}
+   */
+  getTarget(name) {
+    return this._getChain(name, 'get target of').target;
+  }
+
+  /**
+   * Set the object or world position a chain should reach.
+   *
+   * @param {string} name - Name of the chain.
+   * @param {(Object|Array.<number>|null)} target - Engine-specific 3D transform
+   * object, world position or null to stop solving the chain.
+   */
+  setTarget(name, target) {
+    this._getChain(name, 'set target of').target = target || null;
+  }
+
+  /**
+   * Set the target of a chain to the current world position of its last joint
+   * so the joint stays in place, such as a foot that should stay planted while
+   * the hips move. Set the target to null to release it.
+   *
+   * @param {string} name - Name of the chain.
+   *
+   * @returns {Array.<number>} The pinned world position.
+   */
+  pin(name) {
+    const chain = this._getChain(name, 'pin');
+    const {joints} = chain;
+    chain.target = [
+      ...this.constructor._getWorldPosition(joints[joints.length - 1]),
+    ];
+
+    return chain.target;
+  }
+
+  /**
+   * Return the weight of a chain.
+   *
+   * @param {string} name - Name of the chain.
+   *
+   * @returns {number}
+   */
+  getWeight(name) {
+    return this._getChain(name, 'get weight of').weight;
+  }
+
+  /**
+   * Update the weight of a chain over time.
+   *
+   * @param {string} name - Name of the chain.
+   * @param {number} weight - The target 0-1 weight value.
+   * @param {number} [seconds=0] - The amount of time it will take to reach the
+   * target weight.
+   * @param {Function} [easingFn=Quadratic.InOut] - The easing function to use
+   * for interpolation.
+   *
+   * @returns {Deferred}
+   */
+  setWeight(name, weight, seconds = 0, easingFn = Quadratic.InOut) {
+    const chain = this._getChain(name, 'set weight of');
+
+    if (chain.promises.weight.pending) {
+      chain.promises.weight.cancel();
+    }
+
+    chain.promises.weight = AnimationUtils.interpolateProperty(
+      chain,
+      'weight',
+      MathUtils.clamp(weight),
+      {seconds, easingFn}
+    );
+
+    return chain.promises.weight;
+  }
+
+  /**
+   * Solve each chain that has a target and a weight greater than 0. This is
+   * executed each time the feature is updated, engines that apply animations
+   * after the host is updated execute it once animations have been applied.
+   */
+  solve() {
+    Object.values(this._chains).forEach(chain => {
+      if (chain.target === null || chain.weight === 0) {
+        return;
+      }
+
+      const targetPosition = this._getTargetPosition(chain.target);
+
+      if (chain.type === IKChainTypes.TwoBone) {
+        const polePosition =
+          chain.pole === null ? null : this._getTargetPosition(chain.pole);
+        this._solveTwoBone(
+          chain.joints,
+          targetPosition,
+          polePosition,
+          chain.weight
+        );
+      } else {
+        this._solveLookAt(
+          chain.joints,
+          targetPosition,
+          AxisMap[chain.forwardAxis],
+          chain.weight
+        );
+      }
+    });
+  }
+
+  update(deltaTime) {
+    super.update(deltaTime);
+
+    Object.values(this._chains).forEach(chain => {
+      chain.promises.weight.execute(deltaTime);
+    });
+
+    if (this._solveOnUpdate) {
+      this.solve();
+    }
+  }
+
+  /**
+   * Return a JSON compatible description of the feature. Chain targets are
+   * scene objects or positions that are set at runtime, so they are not
+   * included.
+   *
+   * @returns {Object}
+   */
+  getDefinition() {
+    return {
+      ...super.getDefinition(),
+      args: [
+        {
+          chains: Object.entries(this._chains).map(([name, chain]) => ({
+            name,
+            type: chain.type,
+            joints: [...chain.jointNames],
+            weight: chain.weight,
+            forwardAxis: chain.forwardAxis,
+          })),
+        },
+      ],
+    };
+  }
+
+  discard() {
+    Object.values(this._chains).forEach(chain => {
+      chain.promises.weight.cancel();
+    });
+    delete this._chains;
+
+    super.discard();
+  }
+
+  /**
+   * Adds a namespace to the host with the name of the feature to contain properties
+   * and methods from the feature that users of the host need access to.
+   *
+   * @see IKFeature
+   */
+  installApi() {
+    /**
+     * @inner
+     * @namespace IKFeature
+     */
+    const api = super.installApi();
+
+    Object.assign(api, {
+      /**
+       * @memberof IKFeature
+       * @instance
+       * @method
+       * @see core/IKFeature#addChain
+       */
+      addChain: this.addChain.bind(this),
+      /**
+       * @memberof IKFeature
+       * @instance
+       * @method
+       * @see core/IKFeature#removeChain
+       */
+      removeChain: this.removeChain.bind(this),
+      /**
+       * @memberof IKFeature
+       * @instance
+       * @method
+       * @see core/IKFeature#getTarget
+       */
+      getTarget: this.getTarget.bind(this),
+      /**
+       * @memberof IKFeature
+       * @instance
+       * @method
+       * @see core/IKFeature#setTarget
+       */
+      setTarget: this.setTarget.bind(this),
+      /**
+       * @memberof IKFeature
+       * @instance
+       * @method
+       * @see core/IKFeature#pin
+       */
+      pin: this.pin.bind(this),
+      /**
+       * @memberof IKFeature
+       * @instance
+       * @method
+       * @see core/IKFeature#getWeight
+       */
+      getWeight: this.getWeight.bind(this),
+      /**
+       * @memberof IKFeature
+       * @instance
+       * @method
+       * @see core/IKFeature#setWeight
+       */
+      setWeight: this.setWeight.bind(this),
+    });
+
+    Object.defineProperties(api, {
+      /**
+       * @memberof IKFeature
+       * @instance
+       * @see core/IKFeature#chains
+       */
+      chains: {
+        get: () => this.chains,
+      },
+    });
+
+    return api;
+  }
+}
+
+Object.defineProperties(IKFeature, {
+  DEPENDENCIES: {
+    value: {
+      required: [],
+      optional: ['AnimationFeature'],
+    },
+    writable: false,
+  },
+  UPDATE_PHASE: {
+    value: UpdatePhases.PostAnimation,
+    writable: false,
+  },
+});
+
+export default IKFeature;
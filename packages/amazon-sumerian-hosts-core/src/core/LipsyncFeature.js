@@ -1,10 +1,11 @@
 // Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
 // SPDX-License-Identifier: MIT-0
 import MathUtils from './MathUtils';
+import AnimationUtils from './animpack/AnimationUtils';
 import {Quadratic} from './animpack/Easing';
 import ManagedAnimationLayerInterface from './animpack/ManagedAnimationLayerInterface';
 import TextToSpeechFeatureDependentInterface from './awspack/TextToSpeechFeatureDependentInterface';
-import AbstractHostFeature from './AbstractHostFeature';
+import AbstractHostFeature, {UpdatePhases} from './AbstractHostFeature';
 
 /**
  * Default mapping of Polly viseme names to animation options objects.
@@ -552,6 +553,44 @@ class LipsyncFeature extends AbstractHostFeature.mix(
     this._talkingLayers[layerName] = animation;
   }
 
+  getDefinition() {
+    const visemeLayers = Object.entries(this._visemeLayers);
+    const talkingLayers = Object.entries(this._talkingLayers);
+    const [visemeOptions = {}] = visemeLayers.map(
+      ([name]) => this._managedLayers[name]
+    );
+    const [talkingOptions = {}] = talkingLayers.map(
+      ([name]) => this._managedLayers[name]
+    );
+
+    return {
+      ...super.getDefinition(),
+      args: [
+        {
+          blendTime: visemeOptions.blendTime,
+          decayRate: visemeOptions.decayRate,
+          easingFn: AnimationUtils.getEasingName(visemeOptions.easingFn),
+          layers: visemeLayers.map(([name, animation]) => ({
+            name,
+            animation,
+            visemeMap: Object.entries(
+              this._managedLayers[name].animations[animation].visemeMap
+            ).reduce((visemeMap, [viseme, {isActive, ...options}]) => {
+              visemeMap[viseme] = options;
+              return visemeMap;
+            }, {}),
+          })),
+        },
+        {
+          blendTime: talkingOptions.blendTime,
+          easingFn: AnimationUtils.getEasingName(talkingOptions.easingFn),
+          layers: talkingLayers.map(([name, animation]) => ({name, animation})),
+        },
+        this._visemeLeadTime,
+      ],
+    };
+  }
+
   /**
    * Adds a namespace to the host with the name of the feature to contain properties
    * and methods from the feature that users of the host need access to.
@@ -639,5 +678,19 @@ class LipsyncFeature extends AbstractHostFeature.mix(
   }
 }
 
+Object.defineProperties(LipsyncFeature, {
+  DEPENDENCIES: {
+    value: {
+      required: [],
+      optional: ['AnimationFeature', 'TextToSpeechFeature'],
+    },
+    writable: false,
+  },
+  UPDATE_PHASE: {
+    value: UpdatePhases.PreAnimation,
+    writable: false,
+  },
+});
+
 export default LipsyncFeature;
 export {DefaultVisemeMap};
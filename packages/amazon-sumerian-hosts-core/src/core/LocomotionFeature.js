@@ -0,0 +1,599 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+/* eslint-disable no-underscore-dangle */
+import ManagedAnimationLayerInterface from './animpack/ManagedAnimationLayerInterface';
+import {AnimationTypes} from './animpack/AnimationFeature';
+import AbstractHostFeature, {UpdatePhases} from './AbstractHostFeature';
+import {AxisMap} from './PointOfInterestFeature';
+import Deferred from './Deferred';
+import MathUtils from './MathUtils';
+
+/**
+ * Return an angle in degrees wrapped to the -180 to 180 range.
+ *
+ * @private
+ *
+ * @param {number} degrees - The angle to wrap.
+ *
+ * @returns {number}
+ */
+function wrapAngle(degrees) {
+  return ((((degrees + 180) % 360) + 360) % 360) - 180;
+}
+
+/**
+ * Feature for moving the host owner around the scene. The host walks towards
+ * each waypoint of a path in turn, turning in place first if a waypoint is too
+ * far to the side, and slows to a stop at the last one. Waypoints can be world
+ * positions or scene objects, which are followed if they move.
+ *
+ * Movement speed drives the blend value of a Blend1dState, so the thresholds of
+ * its sub-states should be the speeds in units per second that their animations
+ * were authored for, such as an idle at 0 and a walk at 1.2. The owner can
+ * either be moved at the current speed or by the root motion extracted from the
+ * locomotion animation's states, see the rootMotionJoint option of
+ * {@link core/SingleState}. Movement is applied on the horizontal plane, with Y
+ * as the up axis.
+ *
+ * @example
+ * // Walk to a visitor before speaking
+ * await host.LocomotionFeature.moveTo(visitor, {arrivalDistance: 1});
+ * host.TextToSpeechFeature.play('Welcome!');
+ *
+ * @extends AbstractHostFeature
+ * @alias core/LocomotionFeature
+ * @implements ManagedAnimationLayerInterface
+ *
+ * @property {Object} EVENTS - Built-in messages that the feature emits. When the
+ * feature is added to a {@link core/HostObject}, event names will be prefixed by the
+ * name of the feature class + '.'.
+ * @property {string} [EVENTS.waypoint=onWaypointEvent] - Message that is emitted
+ * each time the host reaches a waypoint that is not the last one on its path. An
+ * object with 'waypoint' and 'remaining' properties is supplied to listener
+ * functions.
+ * @property {string} [EVENTS.arrive=onArriveEvent] - Message that is emitted
+ * when the host reaches the last waypoint on its path. An object with a
+ * 'waypoint' property is supplied to listener functions.
+ */
+class LocomotionFeature extends AbstractHostFeature.mix(
+  ManagedAnimationLayerInterface.Mixin
+) {
+  /**
+   * @constructor
+   *
+   * @param {core/HostObject} host - Host that owns the feature.
+   * @param {Object=} options - Options for the feature.
+   * @param {string} [options.layer='Locomotion'] - Name of the animation layer
+   * that contains the locomotion animation.
+   * @param {string} [options.animation='locomotion'] - Name of the animation on
+   * the layer whose blend value will be driven by movement speed. This animation
+   * must be of type blend1d.
+   * @param {string} [options.forwardAxis='PositiveZ'] - Name of the
+   * {@link AxisMap} value that points forward from the host owner.
+   * @param {number} [options.walkSpeed=1.2] - Default speed to move at in units
+   * per second.
+   * @param {number} [options.acceleration=2] - Rate the speed changes at in
+   * units per second squared.
+   * @param {number} [options.turnSpeed=180] - Maximum speed to turn at in
+   * degrees per second.
+   * @param {number} [options.turnInPlaceAngle=60] - Angle in degrees between
+   * the forward direction and the next waypoint above which the host stops
+   * moving and turns in place.
+   * @param {number} [options.arrivalDistance=0.1] - Default distance from a
+   * waypoint at which it is considered reached.
+   * @param {boolean} [options.useRootMotion=false] - Whether to move the owner
+   * by the root motion of the locomotion animation instead of the current speed.
+   */
+  constructor(
+    host,
+    {
+      layer = 'Locomotion',
+      animation = 'locomotion',
+      forwardAxis = 'PositiveZ',
+      walkSpeed = 1.2,
+      acceleration = 2,
+      turnSpeed = 180,
+      turnInPlaceAngle = 60,
+      arrivalDistance = 0.1,
+      useRootMotion = false,
+    } = {}
+  ) {
+    super(host);
+
+    if (AxisMap[forwardAxis] === undefined) {
+      throw new Error(
+        `Cannot initialize LocomotionFeature on host ${this._host.id}. Forward axis ${forwardAxis} is not a valid axis.`
+      );
+    }
+
+    this._layer = layer;
+    this._animation = animation;
+    this._forwardAxis = forwardAxis;
+    this.walkSpeed = walkSpeed;
+    this.acceleration = acceleration;
+    this.turnSpeed = turnSpeed;
+    this.turnInPlaceAngle = turnInPlaceAngle;
+    this.arrivalDistance = arrivalDistance;
+    this.useRootMotion = useRootMotion;
+
+    this._speed = 0;
+    this._waypoints = [];
+    this._path = {speed: walkSpeed, arrivalDistance};
+    this._promise = Deferred.resolve();
+
+    this.registerLayer(layer, {animations: {[animation]: {}}});
+    this._registerLocomotionAnimation();
+  }
+
+  /**
+   * Gets the current movement speed in units per second.
+   *
+   * @readonly
+   * @type {number}
+   */
+  get speed() {
+    return this._speed;
+  }
+
+  /**
+   * Gets whether or not the host is following a path.
+   *
+   * @readonly
+   * @type {boolean}
+   */
+  get moving() {
+    return this._waypoints.length > 0;
+  }
+
+  /**
+   * Gets a copy of the array of waypoints that have not been reached yet.
+   *
+   * @readonly
+   * @type {Array.<(Object|Array.<number>)>}
+   */
+  get waypoints() {
+    return [...this._waypoints];
+  }
+
+  /**
+   * Return a vector representing the global position of an object. Should be
+   * overloaded for each rendering engine implementation.
+   *
+   * @private
+   *
+   * @param {any} obj - Engine-specific 3D transform object.
+   *
+   * @returns {Array.<number>} - An array consisting of three numbers representing
+   * x, y and z coordinates.
+   */
+  // eslint-disable-next-line no-unused-vars
+  static _getWorldPosition(obj) {
+    return [0, 0, 0];
+  }
+
+  /**
+   * Rotate a local direction vector by the world rotation of an object. Should
+   * be overloaded for each rendering engine implementation.
+   *
+   * @private
+   *
+   * @param {any} obj - Engine-specific 3D transform object.
+   * @param {Array.<number>} direction - Unit vector in the local space of the
+   * object.
+   *
+   * @returns {Array.<number>}
+   */
+  // eslint-disable-next-line no-unused-vars
+  static _getWorldDirection(obj, direction) {
+    return [...direction];
+  }
+
+  /**
+   * Rotate the host owner around the world up axis. Should be overloaded for
+   * each rendering engine implementation.
+   *
+   * @private
+   *
+   * @param {number} degrees - Angle to rotate by. Positive angles turn from the
+   * positive Z axis towards the positive X axis.
+   */
+  // eslint-disable-next-line no-unused-vars
+  _rotate(degrees) {}
+
+  /**
+   * Move the host owner. Should be overloaded for each rendering engine
+   * implementation.
+   *
+   * @private
+   *
+   * @param {Array.<number>} offset - World space vector to move by.
+   */
+  // eslint-disable-next-line no-unused-vars
+  _translate(offset) {}
+
+  /**
+   * Return the angle in degrees of the owner's forward direction on the
+   * horizontal plane, where 0 points along the positive Z axis and 90 points
+   * along the positive X axis.
+   *
+   * @private
+   *
+   * @returns {number}
+   */
+  _getHeading() {
+    const [x, , z] = this.constructor._getWorldDirection(
+      this._host.owner,
+      AxisMap[this._forwardAxis]
+    );
+
+    return MathUtils.toDegrees(Math.atan2(x, z));
+  }
+
+  /**
+   * Return the horizontal offset from the owner to a waypoint.
+   *
+   * @private
+   *
+   * @param {(Object|Array.<number>)} waypoint - Engine-specific 3D transform
+   * object or world position.
+   *
+   * @returns {Array.<number>} An array with the x and z offsets.
+   */
+  _getOffset(waypoint) {
+    const position = this.constructor._getWorldPosition(this._host.owner);
+    const target = Array.isArray(waypoint)
+      ? waypoint
+      : this.constructor._getWorldPosition(waypoint);
+
+    return [target[0] - position[0], target[2] - position[2]];
+  }
+
+  /**
+   * Ensure that the registered locomotion animation is a Blend1dState.
+   *
+   * @private
+   */
+  _registerLocomotionAnimation() {
+    const animation = this._managedLayers[this._layer].animations[
+      this._animation
+    ];
+
+    if (
+      animation.isActive &&
+      AnimationTypes[
+        this._host.AnimationFeature.getAnimationType(
+          this._layer,
+          this._animation
+        )
+      ] !== AnimationTypes.blend1d
+    ) {
+      // Warn and deactivate if the registered state is not blend1d
+      console.warn(
+        `Cannot register locomotion animation ${this._animation} on layer ${this._layer} for host ${this._host.id}. Locomotion animations must be of type 'blend1d'.`
+      );
+      animation.isActive = false;
+    }
+  }
+
+  /**
+   * Return whether or not the locomotion animation can be manipulated.
+   *
+   * @private
+   *
+   * @returns {boolean}
+   */
+  _isAnimationActive() {
+    const layerOptions = this._managedLayers[this._layer];
+
+    return (
+      layerOptions !== undefined &&
+      layerOptions.isActive &&
+      layerOptions.animations[this._animation].isActive
+    );
+  }
+
+  _onAnimationAdded({layerName, animationName}) {
+    super._onAnimationAdded({layerName, animationName});
+
+    if (layerName === this._layer && animationName === this._animation) {
+      this._registerLocomotionAnimation();
+    }
+  }
+
+  /**
+   * Remove the first waypoint from the path and emit the waypoint or arrive
+   * message, resolving the path promise if it was the last one. The host stops
+   * as soon as it arrives so it does not overshoot the last waypoint.
+   *
+   * @private
+   */
+  _reachWaypoint() {
+    const waypoint = this._waypoints.shift();
+
+    if (this._waypoints.length) {
+      this.emit(this.constructor.EVENTS.waypoint, {
+        waypoint,
+        remaining: this._waypoints.length,
+      });
+    } else {
+      this._speed = 0;
+      this.emit(this.constructor.EVENTS.arrive, {waypoint});
+      this._promise.resolve(waypoint);
+    }
+  }
+
+  /**
+   * Turn the owner towards the next waypoint and return the speed it should
+   * move at.
+   *
+   * @private
+   *
+   * @param {number} deltaSeconds - Time in seconds since the last update.
+   *
+   * @returns {number}
+   */
+  _steer(deltaSeconds) {
+    // Skip waypoints that have already been reached
+    let offset = this._getOffset(this._waypoints[0]);
+    while (MathUtils.getVectorMagnitude(offset) <= this._path.arrivalDistance) {
+      this._reachWaypoint();
+
+      if (!this._waypoints.length) {
+        return 0;
+      }
+
+      offset = this._getOffset(this._waypoints[0]);
+    }
+
+    const angle = wrapAngle(
+      MathUtils.toDegrees(Math.atan2(...offset)) - this._getHeading()
+    );
+    const maxTurn = this.turnSpeed * deltaSeconds;
+    const turn = MathUtils.clamp(angle, -maxTurn, maxTurn);
+
+    if (turn !== 0) {
+      this._rotate(turn);
+    }
+
+    if (Math.abs(angle) > this.turnInPlaceAngle) {
+      return 0;
+    }
+
+    // Slow down in time to stop once the last waypoint is reached
+    if (this._waypoints.length === 1) {
+      const distance =
+        MathUtils.getVectorMagnitude(offset) - this._path.arrivalDistance;
+      return Math.min(
+        this._path.speed,
+        Math.sqrt(2 * this.acceleration * distance)
+      );
+    }
+
+    return this._path.speed;
+  }
+
+  /**
+   * Move the owner forward at the current speed, or by the root motion of the
+   * locomotion animation.
+   *
+   * @private
+   *
+   * @param {number} deltaSeconds - Time in seconds since the last update.
+   */
+  _move(deltaSeconds) {
+    let x = 0;
+    let z = this._speed * deltaSeconds;
+
+    if (this.useRootMotion) {
+      [x, , z] = this._isAnimationActive()
+        ? this._host.AnimationFeature.consumeRootMotion(this._layer)
+        : [0, 0, 0];
+    }
+
+    if (x === 0 && z === 0) {
+      return;
+    }
+
+    // Convert from the owner's local space to world space
+    const heading = MathUtils.toRadians(this._getHeading());
+    const sin = Math.sin(heading);
+    const cos = Math.cos(heading);
+    this._translate([x * cos + z * sin, 0, z * cos - x * sin]);
+  }
+
+  /**
+   * Walk to a position or scene object.
+   *
+   * @param {(Object|Array.<number>)} target - Engine-specific 3D transform
+   * object or world position to walk to.
+   * @param {Object=} options - Options for the movement. See
+   * [followPath]{@link core/LocomotionFeature#followPath}.
+   *
+   * @returns {Deferred} Resolves with the target once it is reached.
+   */
+  moveTo(target, options) {
+    return this.followPath([target], options);
+  }
+
+  /**
+   * Walk to each waypoint of a path in order. Any path the host is already
+   * following is canceled.
+   *
+   * @param {Array.<(Object|Array.<number>)>} waypoints - Engine-specific 3D
+   * transform objects or world positions to walk to.
+   * @param {Object=} options - Options for the movement.
+   * @param {number=} options.speed - Speed to move at in units per second.
+   * Defaults to the walkSpeed of the feature.
+   * @param {number=} options.arrivalDistance - Distance from a waypoint at which
+   * it is considered reached. Defaults to the arrivalDistance of the feature.
+   *
+   * @returns {Deferred} Resolves with the last waypoint once it is reached.
+   */
+  followPath(
+    waypoints,
+    {speed = this.walkSpeed, arrivalDistance = this.arrivalDistance} = {}
+  ) {
+    if (!Array.isArray(waypoints) || !waypoints.length) {
+      const e = `Cannot follow path on host ${this._host.id}. At least one waypoint must be defined.`;
+      return Deferred.reject(e);
+    }
+
+    this._promise.cancel();
+    this._waypoints = [...waypoints];
+    this._path = {speed, arrivalDistance};
+    this._promise = new Deferred();
+
+    // Make sure the locomotion animation is playing
+    if (
+      this._isAnimationActive() &&
+      this._host.AnimationFeature.getCurrentAnimation(this._layer) !==
+        this._animation
+    ) {
+      this._host.AnimationFeature.playAnimation(this._layer, this._animation);
+    }
+
+    return this._promise;
+  }
+
+  /**
+   * Stop following the current path. The host slows to a stop from its current
+   * speed.
+   *
+   * @returns {boolean} Whether or not the host was following a path.
+   */
+  stop() {
+    const {moving} = this;
+    this._waypoints = [];
+    this._promise.cancel();
+
+    return moving;
+  }
+
+  update(deltaTime) {
+    super.update(deltaTime);
+
+    const deltaSeconds = deltaTime / 1000;
+    const targetSpeed = this._waypoints.length ? this._steer(deltaSeconds) : 0;
+
+    // Accelerate towards the target speed
+    const maxChange = this.acceleration * deltaSeconds;
+    this._speed += MathUtils.clamp(
+      targetSpeed - this._speed,
+      -maxChange,
+      maxChange
+    );
+
+    if (this._isAnimationActive()) {
+      this._host.AnimationFeature.setAnimationBlendWeight(
+        this._layer,
+        this._animation,
+        null,
+        this._speed
+      );
+    }
+
+    this._move(deltaSeconds);
+  }
+
+  getDefinition() {
+    return {
+      ...super.getDefinition(),
+      args: [
+        {
+          layer: this._layer,
+          animation: this._animation,
+          forwardAxis: this._forwardAxis,
+          walkSpeed: this.walkSpeed,
+          acceleration: this.acceleration,
+          turnSpeed: this.turnSpeed,
+          turnInPlaceAngle: this.turnInPlaceAngle,
+          arrivalDistance: this.arrivalDistance,
+          useRootMotion: this.useRootMotion,
+        },
+      ],
+    };
+  }
+
+  installApi() {
+    /**
+     * @inner
+     * @namespace LocomotionFeature
+     */
+    const api = super.installApi();
+
+    Object.defineProperties(api, {
+      /**
+       * @memberof LocomotionFeature
+       * @instance
+       * @see core/LocomotionFeature#speed
+       */
+      speed: {
+        get: () => this.speed,
+      },
+      /**
+       * @memberof LocomotionFeature
+       * @instance
+       * @see core/LocomotionFeature#moving
+       */
+      moving: {
+        get: () => this.moving,
+      },
+    });
+
+    Object.assign(api, {
+      /**
+       * @memberof LocomotionFeature
+       * @instance
+       * @method
+       * @see core/LocomotionFeature#moveTo
+       */
+      moveTo: this.moveTo.bind(this),
+      /**
+       * @memberof LocomotionFeature
+       * @instance
+       * @method
+       * @see core/LocomotionFeature#followPath
+       */
+      followPath: this.followPath.bind(this),
+      /**
+       * @memberof LocomotionFeature
+       * @instance
+       * @method
+       * @see core/LocomotionFeature#stop
+       */
+      stop: this.stop.bind(this),
+    });
+
+    return api;
+  }
+
+  discard() {
+    this._promise.cancel();
+    this._waypoints = [];
+
+    super.discard();
+  }
+}
+
+Object.defineProperties(LocomotionFeature, {
+  EVENTS: {
+    value: {
+      ...Object.getPrototypeOf(LocomotionFeature).EVENTS,
+      waypoint: 'onWaypointEvent',
+      arrive: 'onArriveEvent',
+    },
+  },
+  DEPENDENCIES: {
+    value: {
+      required: [],
+      optional: ['AnimationFeature'],
+    },
+    writable: false,
+  },
+  UPDATE_PHASE: {
+    value: UpdatePhases.PreAnimation,
+    writable: false,
+  },
+});
+
+export default LocomotionFeature;
@@ -2,6 +2,7 @@
 // SPDX-License-Identifier: MIT-0
 /* eslint-disable no-underscore-dangle */
 import Utils from './Utils';
+import EventDispatcher from './EventDispatcher';
 
 /**
  * Class that can execute functions when local messages are received. Local messages
@@ -12,6 +13,8 @@ import Utils from './Utils';
  * @property {core/Messenger} GlobalMessenger - A messenger that can be used for
  * global messaging. When using static listen and emit methods they are executed
  * on this messenger.
+ * @property {core/EventDispatcher} defaultDispatcher - The dispatcher shared by
+ * messengers that are not given their own. It does not depend on the DOM.
  * @property {Object} EVENTS - Built-in events that the Messenger emits.
  */
 class Messenger {
@@ -20,12 +23,20 @@ class Messenger {
    *
    * @param {any=} id - Id for the object. If none is provided a new id will
    * be created. Id should be able to be represented as a string.
+   * @param {Object=} dispatcher - Object that delivers the messenger's events,
+   * with addEventListener, removeEventListener and dispatchEvent methods. This
+   * can be a {@link core/EventDispatcher} or a DOM EventTarget. If none is
+   * provided the shared [defaultDispatcher]{@link core/Messenger.defaultDispatcher}
+   * is used.
    */
-  constructor(id) {
+  constructor(id, dispatcher) {
     this._id = id !== undefined ? id : Utils.createId();
-    this._dispatcher = window;
+    this._dispatcher =
+      dispatcher !== undefined ? dispatcher : Messenger.defaultDispatcher;
     this._callbacks = {};
     this._eventListeners = {};
+    this._wildcards = new Set();
+    this._replays = {};
   }
 
   /**
@@ -38,6 +49,16 @@ class Messenger {
     return this._id;
   }
 
+  /**
+   * Gets the object that delivers the messenger's events.
+   *
+   * @readonly
+   * @type {Object}
+   */
+  get dispatcher() {
+    return this._dispatcher;
+  }
+
   /**
    * Prefix a message with the instance id.
    *
@@ -74,17 +95,58 @@ class Messenger {
   }
 
   /**
-   * Create an event object and send it to listeners.
+   * Create an event object to send to listeners. DOM event targets require a
+   * CustomEvent, other dispatchers receive a plain object.
    *
    * @private
    *
    * @param {string} message - Event type name.
    * @param {any=} value - Value to send to listeners.
    *
-   * @returns {CustomEvent}
+   * @returns {(Object|CustomEvent)}
    */
   _createEvent(message, value) {
-    return new CustomEvent(message, {detail: value});
+    if (
+      typeof EventTarget !== 'undefined' &&
+      this._dispatcher instanceof EventTarget
+    ) {
+      return new CustomEvent(message, {detail: value});
+    }
+
+    return {type: message, detail: value};
+  }
+
+  /**
+   * Return whether or not a message is a pattern that matches other messages.
+   * Patterns contain '*' characters, which match any sequence of characters.
+   *
+   * @private
+   *
+   * @param {string} message - The message to check.
+   *
+   * @returns {boolean}
+   */
+  _isWildcard(message) {
+    return typeof message === 'string' && message.includes('*');
+  }
+
+  /**
+   * Return whether or not a message matches a wildcard pattern.
+   *
+   * @private
+   *
+   * @param {string} pattern - The wildcard pattern.
+   * @param {string} message - The message to check.
+   *
+   * @returns {boolean}
+   */
+  _matchesWildcard(pattern, message) {
+    const source = pattern
+      .split('*')
+      .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*');
+
+    return new RegExp(`^${source}$`).test(`${message}`);
   }
 
   /**
@@ -118,12 +180,34 @@ class Messenger {
   }
 
   /**
-   * Execute a function when a message is received for this object.
+   * Send an event to the listeners of a message.
    *
-   * @param {string} message - The message to listen for.
-   * @param {Function} callback - Function to execute once the message is received.
+   * @private
+   *
+   * @param {string} message - Event type name.
+   * @param {any=} value - Value to send to listeners.
    */
-  listenTo(message, callback) {
+  _dispatchEvent(message, value) {
+    const event = this._createEvent(this._createLocalMessage(message), value);
+    this._dispatcher.dispatchEvent(event);
+  }
+
+  /**
+   * Store a callback and start listening for a message. Wildcard patterns are
+   * not registered with the dispatcher, their handlers are executed directly
+   * when a matching message is emitted.
+   *
+   * @private
+   *
+   * @param {string} message - The message or wildcard pattern to listen for.
+   * @param {Function} callback - The callback given by the user, used to stop
+   * listening.
+   * @param {Function} handler - The function to execute with the message value
+   * and message name.
+   *
+   * @returns {Function} The listener that was registered.
+   */
+  _listen(message, callback, handler) {
     if (typeof callback !== 'function') {
       throw new Error(
         `Cannot add listener for ${message} on ${this.id}. Callback must be a function.`
@@ -135,11 +219,123 @@ class Messenger {
       this._eventListeners[message] = [];
     }
 
-    const listener = this._createListener(callback);
+    const isWildcard = this._isWildcard(message);
+    const listener = isWildcard ? handler : this._createListener(handler);
     this._callbacks[message].push(callback);
     this._eventListeners[message].push(listener);
 
-    this._addListener(message, listener);
+    if (isWildcard) {
+      this._wildcards.add(message);
+    } else {
+      this._addListener(message, listener);
+    }
+
+    return listener;
+  }
+
+  /**
+   * Stop listening with the listener at the given index for a message.
+   *
+   * @private
+   *
+   * @param {string} message - The message or wildcard pattern.
+   * @param {number} index - Index of the listener.
+   */
+  _removeListenerAt(message, index) {
+    const listener = this._eventListeners[message][index];
+
+    if (!this._isWildcard(message)) {
+      this._removeListener(message, listener);
+    }
+
+    this._callbacks[message].splice(index, 1);
+    this._eventListeners[message].splice(index, 1);
+
+    if (this._callbacks[message].length === 0) {
+      delete this._callbacks[message];
+      delete this._eventListeners[message];
+      this._wildcards.delete(message);
+    }
+  }
+
+  /**
+   * Execute a newly added handler with the stored values of the messages it
+   * listens for. Replay stops if the listener is removed, such as by a once
+   * listener receiving its first value.
+   *
+   * @private
+   *
+   * @param {string} message - The message or wildcard pattern listened for.
+   * @param {Function} listener - The listener that was registered.
+   * @param {Function} handler - The function to execute with the message value
+   * and message name.
+   */
+  _replay(message, listener, handler) {
+    const isWildcard = this._isWildcard(message);
+    const replays = Object.entries(this._replays).filter(([name]) =>
+      isWildcard ? this._matchesWildcard(message, name) : name === `${message}`
+    );
+
+    replays.forEach(([name, {values}]) => {
+      [...values].forEach(value => {
+        const listeners = this._eventListeners[message];
+
+        if (listeners === undefined || !listeners.includes(listener)) {
+          return;
+        }
+
+        if (isWildcard) {
+          handler(value, name);
+        } else {
+          handler(value);
+        }
+      });
+    });
+  }
+
+  /**
+   * Execute a function when a message is received for this object. The message
+   * can be a wildcard pattern where each '*' matches any sequence of
+   * characters, for example 'TextToSpeechFeature.*' matches every message the
+   * TextToSpeechFeature emits. Wildcard callbacks receive the name of the
+   * message as a second argument.
+   *
+   * If replay has been enabled for the message with [enableReplay]{@link core/Messenger#enableReplay},
+   * the callback is executed right away with each stored value.
+   *
+   * @param {string} message - The message to listen for.
+   * @param {Function} callback - Function to execute once the message is received.
+   */
+  listenTo(message, callback) {
+    const listener = this._listen(message, callback, callback);
+    this._replay(message, listener, callback);
+  }
+
+  /**
+   * Execute a function the first time a message is received for this object,
+   * then stop listening. Messages are matched the same way as [listenTo]{@link core/Messenger#listenTo},
+   * including replayed values.
+   *
+   * @param {string} message - The message to listen for.
+   * @param {Function} callback - Function to execute once the message is received.
+   */
+  once(message, callback) {
+    let listener;
+    const handler = (...args) => {
+      const listeners = this._eventListeners[message];
+      const index = listeners !== undefined ? listeners.indexOf(listener) : -1;
+
+      // Exit if the listener was removed during the current emit
+      if (index === -1) {
+        return;
+      }
+
+      this._removeListenerAt(message, index);
+      callback(...args);
+    };
+
+    listener = this._listen(message, callback, handler);
+    this._replay(message, listener, handler);
   }
 
   /**
@@ -168,16 +364,7 @@ class Messenger {
       return;
     }
 
-    const listener = this._eventListeners[message][index];
-    this._removeListener(message, listener);
-
-    this._callbacks[message].splice(index, 1);
-    this._eventListeners[message].splice(index, 1);
-
-    if (this._callbacks[message].length === 0) {
-      delete this._callbacks[message];
-      delete this._eventListeners[message];
-    }
+    this._removeListenerAt(message, index);
   }
 
   /**
@@ -210,21 +397,59 @@ class Messenger {
     }
   }
 
+  /**
+   * Store the values emitted for a message so listeners added later receive
+   * them. Only the most recent values are kept.
+   *
+   * @param {string} message - The message to store values for.
+   * @param {number} [size=1] - The number of values to keep.
+   */
+  enableReplay(message, size = 1) {
+    const {values = []} = this._replays[message] || {};
+
+    this._replays[message] = {size, values: values.slice(-size)};
+  }
+
+  /**
+   * Stop storing the values emitted for a message and discard the stored
+   * values.
+   *
+   * @param {string} message - The message to stop storing values for.
+   */
+  disableReplay(message) {
+    delete this._replays[message];
+  }
+
   /**
    * Send a message, causing listener functions for the message on this object
-   * to be executed.
+   * to be executed. Listeners for wildcard patterns matching the message are
+   * executed after the listeners for the message.
    *
    * @param {string} message - The message to emit.
    * @param {any=} value - Optional argument to pass to listener callbacks.
    */
   emit(message, value) {
-    if (this._callbacks[message] === undefined) {
-      return;
+    const replay = this._replays[message];
+
+    if (replay !== undefined) {
+      replay.values.push(value);
+      replay.values.splice(0, replay.values.length - replay.size);
     }
 
-    message = this._createLocalMessage(message);
-    const event = this._createEvent(message, value);
-    this._dispatcher.dispatchEvent(event);
+    if (this._callbacks[message] !== undefined) {
+      this._dispatchEvent(message, value);
+    }
+
+    [...this._wildcards].forEach(pattern => {
+      if (
+        this._eventListeners[pattern] !== undefined &&
+        this._matchesWildcard(pattern, message)
+      ) {
+        [...this._eventListeners[pattern]].forEach(handler => {
+          handler(value, message);
+        });
+      }
+    });
   }
 
   /**
@@ -239,6 +464,19 @@ class Messenger {
     this.GlobalMessenger.listenTo(message, callback, messenger);
   }
 
+  /**
+   * Execute a function the first time a message is received for the global
+   * Messenger instance.
+   *
+   * @static
+   *
+   * @param {string} message - The message to listen for.
+   * @param {Function} callback - Function to execute once the message is received.
+   */
+  static once(message, callback) {
+    this.GlobalMessenger.once(message, callback);
+  }
+
   /**
    * Prevent a function from being executed when a message is received for the
    * global Messenger instance.
@@ -293,8 +531,41 @@ class Messenger {
   static emit(message, value) {
     this.GlobalMessenger.emit(message, value);
   }
+
+  /**
+   * Store the values emitted for a message on the global Messenger instance so
+   * listeners added later receive them.
+   *
+   * @static
+   *
+   * @param {string} message - The message to store values for.
+   * @param {number} [size=1] - The number of values to keep.
+   */
+  static enableReplay(message, size) {
+    this.GlobalMessenger.enableReplay(message, size);
+  }
+
+  /**
+   * Stop storing the values emitted for a message on the global Messenger
+   * instance.
+   *
+   * @static
+   *
+   * @param {string} message - The message to stop storing values for.
+   */
+  static disableReplay(message) {
+    this.GlobalMessenger.disableReplay(message);
+  }
 }
 
+Object.defineProperties(Messenger, {
+  defaultDispatcher: {
+    value: new EventDispatcher(),
+    writable: false,
+  },
+});
+
+// The global messenger uses the default dispatcher, so it is defined afterwards
 Object.defineProperties(Messenger, {
   GlobalMessenger: {
     value: new Messenger(),
@@ -5,9 +5,10 @@
 import ManagedAnimationLayerInterface from './animpack/ManagedAnimationLayerInterface';
 import {AnimationTypes} from './animpack/AnimationFeature';
 import SSMLSpeechmarkInterface from './awspack/SSMLSpeechmarkInterface';
-import AbstractHostFeature from './AbstractHostFeature';
+import AbstractHostFeature, {UpdatePhases} from './AbstractHostFeature';
 import {Quadratic} from './animpack/Easing';
 import MathUtils from './MathUtils';
+import AnimationUtils from './animpack/AnimationUtils';
 import Utils from './Utils';
 
 /**
@@ -667,6 +668,21 @@ class PointOfInterestFeature extends AbstractHostFeature.mix(
     }
   }
 
+  /**
+   * Return the name that [setTargetByName]{@link core/PointOfInterestFeature#setTargetByName}
+   * would find a scene object with. Should be overloaded for rendering engine
+   * implementations whose objects are not named.
+   *
+   * @private
+   *
+   * @param {Object} obj - The scene object.
+   *
+   * @returns {string}
+   */
+  _getObjectName(obj) {
+    return obj.name;
+  }
+
   /**
    * Finds an object given its id and sets it as the new target to look at.
    * Should be overloaded for each rendering engine implementation.
@@ -919,6 +935,75 @@ class PointOfInterestFeature extends AbstractHostFeature.mix(
     });
   }
 
+  getDefinition() {
+    const lookLayers = Object.entries(this._lookLayers).map(
+      ([name, animation]) => {
+        const options = this._managedLayers[name];
+        const {reference, forwardAxis} = options.trackingConfig;
+
+        return {
+          name,
+          animation,
+          maxSpeed: options.maxSpeed,
+          reference:
+            reference !== this._host.owner ? reference.name : undefined,
+          forwardAxis: Object.keys(AxisMap).find(
+            axis => AxisMap[axis] === forwardAxis
+          ),
+          hasSaccade: options.hasSaccade,
+          blendTime: options.blendTime,
+          easingFn: AnimationUtils.getEasingName(options.easingFn),
+        };
+      }
+    );
+    const blinkLayers = Object.entries(this._blinkLayers).map(
+      ([name, animation]) => ({
+        name,
+        animation,
+        blendTime: this._managedLayers[name].blendTime,
+        easingFn: AnimationUtils.getEasingName(
+          this._managedLayers[name].easingFn
+        ),
+      })
+    );
+
+    // Scene objects are described by name
+    return {
+      ...super.getDefinition(),
+      args: [
+        {lookTracker: this._lookTracker.name},
+        {layers: lookLayers},
+        {layers: blinkLayers},
+      ],
+    };
+  }
+
+  /**
+   * Return a JSON compatible snapshot of the feature's current target. The
+   * target is described by name, or null if there is no target.
+   *
+   * @returns {Object} An object with the signature {target: (string|null)}.
+   */
+  serializeState() {
+    return {
+      target: this._target ? this._getObjectName(this._target) : null,
+    };
+  }
+
+  /**
+   * Apply a snapshot returned by [serializeState]{@link core/PointOfInterestFeature#serializeState}.
+   * Named targets are found with [setTargetByName]{@link core/PointOfInterestFeature#setTargetByName}.
+   *
+   * @param {Object} state - The snapshot to apply.
+   */
+  restoreState(state) {
+    if (state.target === null) {
+      this.setTarget(null);
+    } else if (state.target !== undefined) {
+      this.setTargetByName(state.target);
+    }
+  }
+
   installApi() {
     /**
      * @inner
@@ -982,5 +1067,19 @@ class PointOfInterestFeature extends AbstractHostFeature.mix(
   }
 }
 
+Object.defineProperties(PointOfInterestFeature, {
+  DEPENDENCIES: {
+    value: {
+      required: [],
+      optional: ['AnimationFeature', 'TextToSpeechFeature'],
+    },
+    writable: false,
+  },
+  UPDATE_PHASE: {
+    value: UpdatePhases.PreAnimation,
+    writable: false,
+  },
+});
+
 export default PointOfInterestFeature;
 export {AxisMap};
@@ -1,6 +1,6 @@
 // Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
 // SPDX-License-Identifier: MIT-0
-import AbstractHostFeature from '../AbstractHostFeature';
+import AbstractHostFeature, {UpdatePhases} from '../AbstractHostFeature';
 import Utils from '../Utils';
 import QueueState from './state/QueueState';
 import FreeBlendState from './state/FreeBlendState';
@@ -96,6 +96,20 @@ export const AnimationTypes = {
  * the name of the layer contains the animation that was stopped and the name of
  * the animation that was stopped with the signature {layerName: string, animationName: string}
  * is supplied as an argument to listener functions.
+ * @property {string} [EVENTS.marker=onMarkerEvent] - Message that is emitted
+ * each time playback of a {@link SingleState} reaches one of its markers,
+ * including single states inside of container animations such as queues and
+ * blends. An object with the signature {layerName: string, animationName: string, stateName: string, marker: Object}
+ * is supplied as an argument to listener functions, where stateName is the name
+ * of the single state and marker has 'name', 'time' and 'payload' properties.
+ * @property {string} [EVENTS.loopAnimation=onLoopEvent] - Message that is
+ * emitted each time a {@link SingleState} completes a loop. An object with the
+ * signature {layerName: string, animationName: string, stateName: string, loopsCompleted: number}
+ * is supplied as an argument to listener functions.
+ * @property {string} [EVENTS.completeAnimation=onCompleteEvent] - Message that
+ * is emitted when a {@link SingleState} finishes playing all of its loops. An
+ * object with the signature {layerName: string, animationName: string, stateName: string}
+ * is supplied as an argument to listener functions.
  */
 class AnimationFeature extends AbstractHostFeature {
   /**
@@ -165,6 +179,60 @@ class AnimationFeature extends AbstractHostFeature {
     }
   }
 
+  /**
+   * Return the factor that the host's time scale should be applied to
+   * animation playback with. Engines that advance animations by the delta time
+   * passed to [update]{@link AnimationFeature#update} already play back at the
+   * host's time scale, so by default this returns 1. Should be overloaded for
+   * rendering engines that advance animations on their own clock.
+   *
+   * @private
+   *
+   * @returns {number}
+   */
+  _getPlaybackTimeScale() {
+    return 1;
+  }
+
+  /**
+   * Keep the playing states of each sync group in phase, on every layer, by
+   * setting their normalized time to that of the state in the group with the
+   * highest internal weight. Synced states reach markers and loop along with
+   * that state, the rest are released to follow their own playback.
+   *
+   * @private
+   */
+  _updateSyncGroups() {
+    const groups = {};
+
+    this._layers.forEach(layer => {
+      if (!layer.currentState) {
+        return;
+      }
+
+      layer.currentState.getActiveStates().forEach(state => {
+        if (state.syncGroup) {
+          groups[state.syncGroup] = groups[state.syncGroup] || [];
+          groups[state.syncGroup].push(state);
+        }
+      });
+    });
+
+    Object.values(groups).forEach(states => {
+      const leadState = states.reduce((lead, state) =>
+        state.internalWeight > lead.internalWeight ? state : lead
+      );
+
+      states.forEach(state => {
+        if (state !== leadState && !state.paused) {
+          state.syncNormalizedTime(leadState.normalizedTime);
+        } else {
+          state.releaseSync();
+        }
+      });
+    });
+  }
+
   /**
    * Return a new instance of a SingleState.
    *
@@ -180,6 +248,16 @@ class AnimationFeature extends AbstractHostFeature {
    * repeat before finishing.
    * @param {string} [options.blendMode=LayerBlendModes[DefaultLayerBlendMode]] - Type of
    * blending the animation should use.
+   * @param {Array.<Object>} [options.markers=[]] - Named points in the animation's
+   * timeline with the signature {name: string, time: number, payload: any}, where
+   * time is normalized between 0 and 1. Markers can also be defined in the
+   * options of sub-states, such as queueOptions in gesture configs.
+   * @param {LayerMask=} options.mask - Mask that limits the joints the animation
+   * has influence over.
+   * @param {string=} options.rootMotionJoint - Name of the joint to extract
+   * horizontal root motion from.
+   * @param {string=} options.syncGroup - Name of a group of states, on any
+   * layer, that should be kept in phase.
    *
    * @returns {core/SingleState}
    */
@@ -204,20 +282,30 @@ class AnimationFeature extends AbstractHostFeature {
    * blending the animation should use.
    * @param {Array.<Object>} [options.blendStateOptions] - Array of options used to create the
    * blend states for this container.
+   * @param {Array.<boolean>} [options.blendMatchPhases=[]] - Optional array of booleans used to
+   * set whether or not each blend state in this container will match phases.
+   * @param {boolean} [options.normalizeDurations=false] - Whether or not to scale
+   * the playback speed of each blend state to match their weighted average
+   * duration.
    *
    * @returns {FreeBlendState}
    */
   _createFreeBlendState(options) {
     const {blendStateOptions = []} = options;
+    const {blendMatchPhases = []} = options;
 
     const blendStates = [];
     blendStateOptions.forEach(blendOptions => {
       blendStates.push(
-        this._createSingleState({...blendOptions, blendMode: options.blendMode})
+        this._createSingleState({
+          ...blendOptions,
+          blendMode: options.blendMode,
+          mask: options.mask,
+        })
       );
     });
 
-    return new FreeBlendState(options, blendStates);
+    return new FreeBlendState(options, blendStates, blendMatchPhases);
   }
 
   /**
@@ -246,6 +334,7 @@ class AnimationFeature extends AbstractHostFeature {
         transitionTime: options.transitionTime,
         ...queueOption,
         blendMode: options.blendMode,
+        mask: options.mask,
       })
     );
 
@@ -273,6 +362,9 @@ class AnimationFeature extends AbstractHostFeature {
    * thresholds for each blend state in this container.
    * @param {Array.<boolean>} [options.blendMatchPhases=[]] - Optional array of booleans used to
    * set whether or not each blend state in this container will match phases.
+   * @param {boolean} [options.normalizeDurations=false] - Whether or not to scale
+   * the playback speed of each blend state to match their weighted average
+   * duration.
    *
    * @returns {Blend1dState}
    */
@@ -284,7 +376,11 @@ class AnimationFeature extends AbstractHostFeature {
     const blendStates = [];
     blendStateOptions.forEach(blendOptions => {
       blendStates.push(
-        this._createSingleState({...blendOptions, blendMode: options.blendMode})
+        this._createSingleState({
+          ...blendOptions,
+          blendMode: options.blendMode,
+          mask: options.mask,
+        })
       );
     });
 
@@ -317,6 +413,9 @@ class AnimationFeature extends AbstractHostFeature {
    * thresholds for each blend state in this container.
    * @param {Array.<boolean>} [options.blendMatchPhases=[]] - Optional array of booleans used to
    * set whether or not each blend state in this container will match phases.
+   * @param {boolean} [options.normalizeDurations=false] - Whether or not to scale
+   * the playback speed of each blend state to match their weighted average
+   * duration.
    *
    * @returns {Blend1dState}
    */
@@ -328,7 +427,11 @@ class AnimationFeature extends AbstractHostFeature {
     const blendStates = [];
     blendStateOptions.forEach(blendOptions => {
       blendStates.push(
-        this._createSingleState({...blendOptions, blendMode: options.blendMode})
+        this._createSingleState({
+          ...blendOptions,
+          blendMode: options.blendMode,
+          mask: options.mask,
+        })
       );
     });
 
@@ -363,6 +466,7 @@ class AnimationFeature extends AbstractHostFeature {
         this._createSingleState({
           ...subStateOptions,
           blendMode: options.blendMode,
+          mask: options.mask,
         })
       );
     });
@@ -370,6 +474,49 @@ class AnimationFeature extends AbstractHostFeature {
     return new RandomAnimationState(options, subStates);
   }
 
+  /**
+   * Emit marker, loop and complete messages for a new animation and any single
+   * states it contains. Names are looked up when messages are emitted so they
+   * stay correct if the layer or animation is renamed.
+   *
+   * @private
+   *
+   * @param {AnimationLayer} layer - The layer that contains the animation.
+   * @param {AbstractState} animation - The animation that was added.
+   * @param {AbstractState} [state=animation] - The state to set callbacks on.
+   */
+  _setStateEventCallbacks(layer, animation, state = animation) {
+    if (state instanceof SingleState) {
+      const getEventData = () => ({
+        layerName: layer.name,
+        animationName: animation.name,
+        stateName: state.name,
+      });
+
+      state.setEventCallbacks({
+        onMarker: marker => {
+          this.emit(this.constructor.EVENTS.marker, {
+            ...getEventData(),
+            marker,
+          });
+        },
+        onLoop: loopsCompleted => {
+          this.emit(this.constructor.EVENTS.loopAnimation, {
+            ...getEventData(),
+            loopsCompleted,
+          });
+        },
+        onComplete: () => {
+          this.emit(this.constructor.EVENTS.completeAnimation, getEventData());
+        },
+      });
+    } else if (state && typeof state.getStateNames === 'function') {
+      state.getStateNames().forEach(name => {
+        this._setStateEventCallbacks(layer, animation, state.getState(name));
+      });
+    }
+  }
+
   /**
    * Make sure the layer with the given name exists and return a unique version
    * of the animation name supplied for that layer.
@@ -648,6 +795,53 @@ class AnimationFeature extends AbstractHostFeature {
     return layer.setWeight(weight, seconds, easingFn);
   }
 
+  /**
+   * Return the time scale of an animation layer.
+   *
+   * @param {string} name - Name of the layer to return time scale from.
+   *
+   * @returns {number}
+   */
+  getLayerTimeScale(name) {
+    // Make sure the name is valid
+    const layer = this._layerMap[name];
+
+    if (layer === undefined) {
+      throw new Error(
+        `Cannot get time scale on layer ${name} from host ${this._host.id}. No layer exists with this name.`
+      );
+    }
+
+    return layer.timeScale;
+  }
+
+  /**
+   * Update the factor that the playback speed of all animations on a layer is
+   * scaled by.
+   *
+   * @param {string} name - The name of the layer to update.
+   * @param {number} timeScale - The time scale value to set on the layer. Values
+   * below 0 are clamped to 0.
+   * @param {number=} seconds - The number of seconds it should take to reach the
+   * new time scale. Default is zero and will set immediately.
+   * @param {Function=} easingFn - The easing function to use while interpolating
+   * the time scale. Default is Easing.Linear.InOut.
+   *
+   * @returns {Deferred} A promise that will resolve once the layer's time scale
+   * reaches the target value.
+   */
+  setLayerTimeScale(name, timeScale, seconds, easingFn) {
+    // Make sure the name is valid
+    const layer = this._layerMap[name];
+
+    if (layer === undefined) {
+      const e = `Cannot set time scale on layer ${name} from host ${this._host.id}. No layer exists with this name.`;
+      return Deferred.reject(e);
+    }
+
+    return layer.setTimeScale(timeScale, seconds, easingFn);
+  }
+
   /**
    * Returns the names of blend states in an animation in a layer.
    *
@@ -858,6 +1052,117 @@ class AnimationFeature extends AbstractHostFeature {
     return layer.getStateNames();
   }
 
+  /**
+   * Set the state machine that switches the states of an animation layer based
+   * on parameter values.
+   *
+   * @param {string} layerName - Name of the layer.
+   * @param {(AnimationStateMachine|Object|null)} stateMachine - The state
+   * machine, options to create one with or null to remove the layer's state
+   * machine. See {@link AnimationStateMachine}.
+   *
+   * @returns {(AnimationStateMachine|null)} The new state machine.
+   */
+  setStateMachine(layerName, stateMachine) {
+    // Make sure the layerName is valid
+    const layer = this._layerMap[layerName];
+
+    if (layer === undefined) {
+      throw new Error(
+        `Cannot set state machine on layer ${layerName} from host ${this._host.id}. No layer exists with this name.`
+      );
+    }
+
+    return layer.setStateMachine(stateMachine);
+  }
+
+  /**
+   * Return the value of a state machine parameter of an animation layer.
+   *
+   * @param {string} layerName - Name of the layer.
+   * @param {string} name - Name of the parameter.
+   *
+   * @returns {(boolean|number)}
+   */
+  getParameter(layerName, name) {
+    // Make sure the layerName is valid
+    const layer = this._layerMap[layerName];
+
+    if (layer === undefined) {
+      throw new Error(
+        `Cannot get parameter ${name} on layer ${layerName} from host ${this._host.id}. No layer exists with this name.`
+      );
+    }
+
+    return layer.getParameter(name);
+  }
+
+  /**
+   * Update the value of a state machine parameter of an animation layer. The
+   * layer will take any transition whose conditions are met during the next
+   * update.
+   *
+   * @param {string} layerName - Name of the layer.
+   * @param {string} name - Name of the parameter.
+   * @param {(boolean|number)=} value - The new value. Defaults to true, which
+   * sets Trigger parameters.
+   */
+  setParameter(layerName, name, value) {
+    // Make sure the layerName is valid
+    const layer = this._layerMap[layerName];
+
+    if (layer === undefined) {
+      throw new Error(
+        `Cannot set parameter ${name} on layer ${layerName} from host ${this._host.id}. No layer exists with this name.`
+      );
+    }
+
+    layer.setParameter(name, value);
+  }
+
+  /**
+   * Clear a Trigger parameter of the state machine of an animation layer.
+   *
+   * @param {string} layerName - Name of the layer.
+   * @param {string} name - Name of the parameter.
+   */
+  resetTrigger(layerName, name) {
+    // Make sure the layerName is valid
+    const layer = this._layerMap[layerName];
+
+    if (layer === undefined) {
+      throw new Error(
+        `Cannot reset trigger ${name} on layer ${layerName} from host ${this._host.id}. No layer exists with this name.`
+      );
+    }
+
+    layer.resetTrigger(name);
+  }
+
+  /**
+   * Return the weighted horizontal movement extracted from the root motion
+   * joints of the current animation on a layer since the last time root motion
+   * was consumed, and reset it. Only animations created with a rootMotionJoint
+   * produce root motion.
+   *
+   * @param {string} layerName - Name of the layer.
+   *
+   * @returns {Array.<number>} - An array consisting of three numbers representing
+   * x, y and z movement in the local space of the host owner.
+   */
+  consumeRootMotion(layerName) {
+    // Make sure the layerName is valid
+    const layer = this._layerMap[layerName];
+
+    if (layer === undefined) {
+      throw new Error(
+        `Cannot consume root motion on layer ${layerName} from host ${this._host.id}. No layer exists with this name.`
+      );
+    }
+
+    return layer.consumeRootMotion();
+  }
+
   /**
    * Return the name of the state currently active on the layer with the given name.
    * Return null if there is no current animation for the layer.
@@ -961,9 +1266,15 @@ class AnimationFeature extends AbstractHostFeature {
     const layer = this._layerMap[layerName];
     options.blendMode = layer.blendMode;
     options.transitionTime = layer.transitionTime;
+
+    if (layer.mask) {
+      options.mask = layer.mask;
+    }
+
     const state = this[`_create${animationType.name}`](options);
 
     const name = layer.addState(state);
+    this._setStateEventCallbacks(layer, state);
 
     // Notify that an animation has been added to the feature
     this.emit(this.constructor.EVENTS.addAnimation, {
@@ -1395,6 +1706,20 @@ class AnimationFeature extends AbstractHostFeature {
        * @see core/AnimationFeature#setLayerWeight
        */
       setLayerWeight: this.setLayerWeight.bind(this),
+      /**
+       * @memberof AnimationFeature
+       * @instance
+       * @method
+       * @see core/AnimationFeature#getLayerTimeScale
+       */
+      getLayerTimeScale: this.getLayerTimeScale.bind(this),
+      /**
+       * @memberof AnimationFeature
+       * @instance
+       * @method
+       * @see core/AnimationFeature#setLayerTimeScale
+       */
+      setLayerTimeScale: this.setLayerTimeScale.bind(this),
       /**
        * @memberof AnimationFeature
        * @instance
@@ -1438,6 +1763,41 @@ class AnimationFeature extends AbstractHostFeature {
        * @see core/AnimationFeature#getAnimations
        */
       getAnimations: this.getAnimations.bind(this),
+      /**
+       * @memberof AnimationFeature
+       * @instance
+       * @method
+       * @see core/AnimationFeature#setStateMachine
+       */
+      setStateMachine: this.setStateMachine.bind(this),
+      /**
+       * @memberof AnimationFeature
+       * @instance
+       * @method
+       * @see core/AnimationFeature#getParameter
+       */
+      getParameter: this.getParameter.bind(this),
+      /**
+       * @memberof AnimationFeature
+       * @instance
+       * @method
+       * @see core/AnimationFeature#setParameter
+       */
+      setParameter: this.setParameter.bind(this),
+      /**
+       * @memberof AnimationFeature
+       * @instance
+       * @method
+       * @see core/AnimationFeature#resetTrigger
+       */
+      resetTrigger: this.resetTrigger.bind(this),
+      /**
+       * @memberof AnimationFeature
+       * @instance
+       * @method
+       * @see core/AnimationFeature#consumeRootMotion
+       */
+      consumeRootMotion: this.consumeRootMotion.bind(this),
       /**
        * @memberof AnimationFeature
        * @instance
@@ -1556,6 +1916,87 @@ class AnimationFeature extends AbstractHostFeature {
        */
       resume: this.resume.bind(this),
     });
+
+    return api;
+  }
+
+  /**
+   * Return a JSON compatible description of the feature's layers and their
+   * animations that can be used to recreate them with {@link HostBuilder}.
+   * Each animation is described by the options it would be added with and the
+   * name of its {@link AnimationTypes} value.
+   *
+   * @returns {Object} An object with the signature {type: string, args: Array, layers: Array.<Object>}.
+   */
+  getDefinition() {
+    return {
+      ...super.getDefinition(),
+      layers: this._layers.map(layer => ({
+        ...layer.getDefinition(),
+        animations: layer.getStateNames().map(name => ({
+          type: this.getAnimationType(layer.name, name),
+          ...layer.getState(name).getDefinition(),
+        })),
+      })),
+    };
+  }
+
+  /**
+   * Return a JSON compatible snapshot of whether the feature is paused and of
+   * the weights, time scales, current animations and paused flags of its
+   * layers, including the playback times and blend weights of their animations.
+   *
+   * @returns {Object} An object with the signature {paused: boolean, layers: Array.<Object>}.
+   */
+  serializeState() {
+    return {
+      paused: this._paused,
+      layers: this._layers.map(layer => layer.serializeState()),
+    };
+  }
+
+  /**
+   * Apply a snapshot returned by [serializeState]{@link AnimationFeature#serializeState}.
+   * Current animations are switched to without a transition and play from
+   * their restored playback time. Layers in the snapshot that do not exist on
+   * the feature are skipped.
+   *
+   * @param {Object} state - The snapshot to apply.
+   */
+  restoreState(state) {
+    if (state.paused === true && !this._paused) {
+      this.pause();
+    } else if (state.paused === false && this._paused) {
+      this.resume();
+    }
+
+    (state.layers || []).forEach(layerState => {
+      const layer = this._layerMap[layerState.name];
+
+      if (layer === undefined) {
+        console.warn(
+          `Did not restore layer ${layerState.name} on host ${this._host.id}. No layer exists with this name.`
+        );
+        return;
+      }
+
+      const {currentAnimation} = layerState;
+
+      if (
+        typeof currentAnimation === 'string' &&
+        (layer.currentAnimation !== currentAnimation || layer.isTransitioning)
+      ) {
+        this.playAnimation(layer.name, currentAnimation, 0);
+      }
+
+      layer.restoreState(layerState);
+
+      if (layerState.paused && !this.getPaused(layer.name)) {
+        this.pauseAnimation(layer.name);
+      } else if (layerState.paused === false && this.getPaused(layer.name)) {
+        this.resumeAnimation(layer.name, layer.currentAnimation);
+      }
+    });
   }
 
   /**
@@ -1576,10 +2017,14 @@ class AnimationFeature extends AbstractHostFeature {
     this._updateInternalWeights();
 
     // Update layers
+    const timeScale = this._getPlaybackTimeScale();
     this._layers.forEach(layer => {
+      layer.updateInternalTimeScale(timeScale);
       layer.update(deltaTime);
     });
 
+    this._updateSyncGroups();
+
     super.update(deltaTime);
   }
 
@@ -1610,7 +2055,15 @@ Object.defineProperty(AnimationFeature, 'EVENTS', {
     resumeAnimation: 'onResumeEvent',
     interruptAnimation: 'onInterruptEvent',
     stopAnimation: 'onStopEvent',
+    marker: 'onMarkerEvent',
+    loopAnimation: 'onLoopEvent',
+    completeAnimation: 'onCompleteEvent',
   },
 });
 
+Object.defineProperty(AnimationFeature, 'UPDATE_PHASE', {
+  value: UpdatePhases.Animation,
+  writable: false,
+});
+
 export default AnimationFeature;
@@ -6,6 +6,8 @@ import AnimationUtils from './AnimationUtils';
 import MathUtils from '../MathUtils';
 import Deferred from '../Deferred';
 import StateContainerInterface from './state/StateContainerInterface';
+import AnimationStateMachine from './AnimationStateMachine';
+import LayerMask from './LayerMask';
 
 /**
  * Enum for types of {@link AnimationLayer} blending.
@@ -59,10 +61,18 @@ class AnimationLayer extends AnimationPlayerInterface.Mixin(
    * Type of blending to use for all states controlled by the layer.
    * @param {number} [options.weight=1] - The amount of influence the layer's current
    * animation has over the result for the host.
+   * @param {number} [options.timeScale=1] - Factor to scale the playback speed of
+   * all states controlled by the layer by.
    * @param {number} [options.transitionTime=0] - The default amount of time to use when
    * playing and resuming animations.
    * @param {Function=} options.easingFn - The default easing function to use when
    * transitioning between animations and setting layer weight.
+   * @param {(AnimationStateMachine|Object)=} options.stateMachine - State machine
+   * that switches the layer's states based on parameter values, or options to
+   * create one with. See {@link AnimationStateMachine}.
+   * @param {(LayerMask|Object)=} options.mask - Mask that limits the joints the
+   * layer's states have influence over, or options to create one with. See
+   * {@link LayerMask}.
    */
   constructor(options = {}) {
     super(options);
@@ -75,11 +85,27 @@ class AnimationLayer extends AnimationPlayerInterface.Mixin(
       : DefaultLayerBlendMode;
     this._promises = {
       weight: Deferred.resolve(),
+      timeScale: Deferred.resolve(),
     };
     this._weightPaused = false;
 
     this.weight = typeof options.weight === 'number' ? options.weight : 1;
     this._internalWeight = this._weight;
+    this.timeScale =
+      typeof options.timeScale === 'number' ? options.timeScale : 1;
+    this._internalTimeScale = this._timeScale;
+
+    this._mask = null;
+    if (options.mask instanceof LayerMask) {
+      this._mask = options.mask;
+    } else if (options.mask) {
+      this._mask = new LayerMask(options.mask);
+    }
+
+    this._stateMachine = null;
+    if (options.stateMachine) {
+      this.setStateMachine(options.stateMachine);
+    }
   }
 
   /**
@@ -92,6 +118,17 @@ class AnimationLayer extends AnimationPlayerInterface.Mixin(
     return this._blendMode;
   }
 
+  /**
+   * Gets the mask that limits the joints the layer's states have influence over,
+   * or null if the layer animates every joint.
+   *
+   * @readonly
+   * @type {(LayerMask|null)}
+   */
+  get mask() {
+    return this._mask;
+  }
+
   /**
    * Gets and sets the amount of influence the layer's current animation has over
    * the result for the host.
@@ -116,6 +153,159 @@ class AnimationLayer extends AnimationPlayerInterface.Mixin(
     return this._promises.weight && this._promises.weight.pending;
   }
 
+  /**
+   * Gets and sets the factor that the playback speed of the layer's states is
+   * scaled by. Values below 0 are clamped to 0.
+   *
+   * @type {number}
+   */
+  set timeScale(timeScale) {
+    this._timeScale = Math.max(timeScale, 0);
+  }
+
+  get timeScale() {
+    return this._timeScale;
+  }
+
+  /**
+   * Gets whether or not the layer's timeScale value is currently being animated.
+   *
+   * @readonly
+   * @type {boolean}
+   */
+  get timeScalePending() {
+    return this._promises.timeScale && this._promises.timeScale.pending;
+  }
+
+  /**
+   * Gets the state machine that switches the layer's states, or null if the
+   * layer's states are only switched manually.
+   *
+   * @readonly
+   * @type {(AnimationStateMachine|null)}
+   */
+  get stateMachine() {
+    return this._stateMachine;
+  }
+
+  /**
+   * Set the state machine that switches the layer's states based on parameter
+   * values. States can still be played manually while a state machine is set,
+   * the state machine will continue evaluating transitions from the state that
+   * was played.
+   *
+   * @param {(AnimationStateMachine|Object|null)} stateMachine - The state
+   * machine, options to create one with or null to remove the current state
+   * machine.
+   *
+   * @returns {(AnimationStateMachine|null)} The new state machine.
+   */
+  setStateMachine(stateMachine) {
+    if (stateMachine === null || stateMachine === undefined) {
+      this._stateMachine = null;
+    } else if (stateMachine instanceof AnimationStateMachine) {
+      this._stateMachine = stateMachine;
+    } else {
+      this._stateMachine = new AnimationStateMachine(stateMachine);
+    }
+
+    return this._stateMachine;
+  }
+
+  /**
+   * Return the state machine, throwing an error if there isn't one.
+   *
+   * @private
+   *
+   * @param {string} action - Name of the operation being prepared for, to be
+   * used in error messaging.
+   *
+   * @returns {AnimationStateMachine}
+   */
+  _getStateMachine(action) {
+    if (this._stateMachine === null) {
+      throw new Error(
+        `Cannot ${action} on layer ${this.name}. The layer does not have a state machine.`
+      );
+    }
+
+    return this._stateMachine;
+  }
+
+  /**
+   * Return the value of a state machine parameter.
+   *
+   * @param {string} name - Name of the parameter.
+   *
+   * @returns {(boolean|number)}
+   */
+  getParameter(name) {
+    return this._getStateMachine(`get parameter ${name}`).getParameter(name);
+  }
+
+  /**
+   * Update the value of a state machine parameter. Transitions are evaluated
+   * during the next update.
+   *
+   * @param {string} name - Name of the parameter.
+   * @param {(boolean|number)=} value - The new value. Defaults to true, which
+   * sets Trigger parameters.
+   */
+  setParameter(name, value) {
+    this._getStateMachine(`set parameter ${name}`).setParameter(name, value);
+  }
+
+  /**
+   * Clear a Trigger parameter of the state machine.
+   *
+   * @param {string} name - Name of the parameter.
+   */
+  resetTrigger(name) {
+    this._getStateMachine(`reset trigger ${name}`).resetTrigger(name);
+  }
+
+  /**
+   * Play the default state of the state machine if the layer has no current
+   * state, otherwise take the first transition from the current state whose
+   * conditions are met.
+   *
+   * @private
+   */
+  _updateStateMachine() {
+    const machine = this._stateMachine;
+
+    if (this._currentState === null) {
+      if (this._states.has(machine.defaultState)) {
+        this.playAnimation(machine.defaultState, 0);
+      }
+      return;
+    }
+
+    const {currentAnimation} = this;
+    const state = this._states.get(currentAnimation);
+    const transition = machine.evaluate(
+      currentAnimation,
+      state ? state.normalizedTime : undefined
+    );
+
+    if (transition === null) {
+      return;
+    }
+
+    if (!this._states.has(transition.to)) {
+      console.warn(
+        `Cannot transition from ${currentAnimation} to ${transition.to} on layer ${this.name}. No animation exists with this name.`
+      );
+      return;
+    }
+
+    this.playAnimation(
+      transition.to,
+      transition.transitionTime,
+      transition.easingFn
+    );
+  }
+
   /**
    * Pause the current animation state and any interpolation happening on the layer's
    * weight property.
@@ -177,6 +367,35 @@ class AnimationLayer extends AnimationPlayerInterface.Mixin(
     return this._promises.weight;
   }
 
+  /**
+   * Updates the user defined timeScale over time.
+   *
+   * @param {number} timeScale - The target timeScale value.
+   * @param {number} [seconds=0] - The amount of time it will take to reach the
+   * target timeScale.
+   * @param {Function=} easingFn - The easing function to use for interpolation.
+   *
+   * @returns {Deferred}
+   */
+  setTimeScale(timeScale, seconds = 0, easingFn) {
+    if (this.timeScalePending) {
+      this._promises.timeScale.cancel();
+    }
+
+    timeScale = Math.max(timeScale, 0);
+    this._promises.timeScale = AnimationUtils.interpolateProperty(
+      this,
+      'timeScale',
+      timeScale,
+      {
+        seconds,
+        easingFn: easingFn !== undefined ? easingFn : this._easingFn,
+      }
+    );
+
+    return this._promises.timeScale;
+  }
+
   /**
    * Pause any interpolation happening on the layer's weight property.
    *
@@ -212,6 +431,20 @@ class AnimationLayer extends AnimationPlayerInterface.Mixin(
     }
   }
 
+  /**
+   * Multiplies the user timeScale by a factor to determine the playback speed
+   * factor of the current state.
+   *
+   * @param {number} factor - Multiplier to apply to the user timeScale.
+   */
+  updateInternalTimeScale(factor) {
+    this._internalTimeScale = this._timeScale * factor;
+
+    if (this._currentState) {
+      this._currentState.updateInternalTimeScale(this._internalTimeScale);
+    }
+  }
+
   /**
    * Returns the names of blend states in an animation.
    *
@@ -305,16 +538,107 @@ class AnimationLayer extends AnimationPlayerInterface.Mixin(
   }
 
   /**
-   * Update any weight interpolators and the current animation.
+   * Evaluate the state machine, then update any weight interpolators and the
+   * current animation.
    *
    * @param {number} deltaTime - Time in milliseconds since the last update.
    */
   update(deltaTime) {
+    if (this._stateMachine !== null && !this._paused) {
+      this._updateStateMachine();
+    }
+
     super.update(deltaTime);
 
     if (!this._paused && !this._weightPaused) {
       this._promises.weight.execute(deltaTime);
     }
+
+    if (!this._paused) {
+      this._promises.timeScale.execute(deltaTime);
+    }
+  }
+
+  /**
+   * Return a JSON compatible description of the layer that can be passed back
+   * to {@link AnimationFeature#addLayer} as options to recreate it. Easing
+   * functions are described by name.
+   *
+   * @returns {Object}
+   */
+  getDefinition() {
+    return {
+      name: this.name,
+      blendMode: this._blendMode,
+      weight: this._weight,
+      timeScale: this._timeScale,
+      transitionTime: this._transitionTime,
+      easingFn: AnimationUtils.getEasingName(this._easingFn),
+      stateMachine: this._stateMachine
+        ? this._stateMachine.getDefinition()
+        : undefined,
+      currentAnimation: this.currentAnimation || undefined,
+      mask: this._mask ? this._mask.getDefinition() : undefined,
+    };
+  }
+
+  /**
+   * Return a JSON compatible snapshot of the runtime values of the layer and
+   * its animations that can be passed to [restoreState]{@link AnimationLayer#restoreState}.
+   * A layer that is transitioning reports the animation it is transitioning to
+   * as its current animation.
+   *
+   * @returns {Object}
+   */
+  serializeState() {
+    const animations = {};
+
+    this._states.forEach((state, name) => {
+      animations[name] = state.serializeState();
+    });
+
+    return {
+      name: this.name,
+      weight: this._weight,
+      timeScale: this._timeScale,
+      currentAnimation: this.currentAnimation,
+      paused: this._currentState ? this._currentState.paused : false,
+      animations,
+    };
+  }
+
+  /**
+   * Apply a snapshot returned by [serializeState]{@link AnimationLayer#serializeState}
+   * to the layer's weight, time scale and animations. Switching the current
+   * animation and pausing it are left to the caller so that playback callbacks
+   * can be attached.
+   *
+   * @param {Object} state - The snapshot to apply.
+   */
+  restoreState(state) {
+    if (state.weight !== undefined) {
+      this.setWeight(state.weight);
+    }
+
+    if (state.timeScale !== undefined) {
+      this.setTimeScale(state.timeScale);
+    }
+
+    if (state.animations === undefined) {
+      return;
+    }
+
+    Object.entries(state.animations).forEach(([name, animation]) => {
+      if (this._states.has(name)) {
+        this._states.get(name).restoreState(animation);
+      }
+    });
+
+    // Transitions are not restored, only the current animation has influence
+    const {currentAnimation} = this;
+    this._states.forEach((animation, name) => {
+      animation.weight = name === currentAnimation ? 1 : 0;
+    });
   }
 
   /**
@@ -324,8 +648,10 @@ class AnimationLayer extends AnimationPlayerInterface.Mixin(
     super.discard();
 
     this.discardStates();
+    this._stateMachine = null;
 
     this._promises.weight.cancel();
+    this._promises.timeScale.cancel();
     delete this._promises;
   }
 }
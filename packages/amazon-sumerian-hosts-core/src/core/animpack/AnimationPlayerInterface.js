@@ -169,6 +169,14 @@ class AnimationPlayerInterface {
    */
   update(deltaTime) {}
 
+  /**
+   * Return the weighted movement extracted from the root joints of the current
+   * animation since the last time root motion was consumed, and reset it.
+   *
+   * @returns {Array.<number>}
+   */
+  consumeRootMotion() {}
+
   /**
    * Discard the transition state.
    */
@@ -314,6 +322,7 @@ class AnimationPlayerInterface {
         // Update weight for the new current state so it has full influence for the player
         this._currentState.weight = 1;
         this._currentState.updateInternalWeight(this._internalWeight);
+        this._currentState.updateInternalTimeScale(this._internalTimeScale);
       }
 
       playAnimation(
@@ -420,6 +429,14 @@ class AnimationPlayerInterface {
         }
       }
 
+      consumeRootMotion() {
+        if (this._currentState) {
+          return this._currentState.consumeRootMotion();
+        } else {
+          return [0, 0, 0];
+        }
+      }
+
       discard() {
         if (super.discard) {
           super.discard();
@@ -0,0 +1,404 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+import AnimationUtils from './AnimationUtils';
+
+/**
+ * Enum for the types of {@link AnimationStateMachine} parameters.
+ *
+ * Bool - A true or false value.
+ *
+ * Float - A numeric value.
+ *
+ * Trigger - A flag that stays set until it is consumed by a transition that
+ * uses it as a condition.
+ *
+ * @readonly
+ * @enum {string}
+ */
+export const ParameterTypes = {
+  Bool: 'Bool',
+  Float: 'Float',
+  Trigger: 'Trigger',
+};
+
+/**
+ * Enum for the comparisons a transition condition can make between a
+ * parameter and the condition value.
+ *
+ * @readonly
+ * @enum {string}
+ */
+export const ConditionOperators = {
+  Equals: 'Equals',
+  NotEquals: 'NotEquals',
+  Greater: 'Greater',
+  Less: 'Less',
+};
+
+/**
+ * Name to use as the 'from' state of a transition that can be taken from any
+ * state.
+ *
+ * @readonly
+ * @type {string}
+ */
+export const AnyState = '*';
+
+/**
+ * Class for switching between the states of an {@link AnimationLayer} based on
+ * the values of named parameters. Each update, the layer asks the state machine
+ * whether any transition from its current state can be taken. 'Any state'
+ * transitions are checked before transitions from the current state, and
+ * transitions are otherwise checked in the order they were added.
+ *
+ * A transition can be taken once all of its conditions are met and, if it
+ * defines an exit time, once the normalized time of the current state has
+ * reached the exit time. A transition with no conditions and no exit time is
+ * taken as soon as its 'from' state is entered.
+ */
+class AnimationStateMachine {
+  /**
+   * @constructor
+   *
+   * @param {Object=} options - Options for the state machine.
+   * @param {Object.<string, Object>=} options.parameters - Map of parameter names
+   * to objects with 'type' and optional 'value' properties. See
+   * [addParameter]{@link AnimationStateMachine#addParameter}.
+   * @param {Array.<Object>=} options.transitions - Transition definitions. See
+   * [addTransition]{@link AnimationStateMachine#addTransition}.
+   * @param {string=} options.defaultState - Name of the state the layer should
+   * play when it has no current state.
+   */
+  constructor(options = {}) {
+    this._parameters = {};
+    this._transitions = [];
+    this.defaultState = options.defaultState;
+
+    Object.entries(options.parameters || {}).forEach(([name, parameter]) => {
+      this.addParameter(name, parameter.type, parameter.value);
+    });
+
+    (options.transitions || []).forEach(transition => {
+      this.addTransition(transition);
+    });
+  }
+
+  /**
+   * Gets an array of the names of the parameters.
+   *
+   * @readonly
+   * @type {Array.<string>}
+   */
+  get parameters() {
+    return Object.keys(this._parameters);
+  }
+
+  /**
+   * Gets a copy of the array of transitions.
+   *
+   * @readonly
+   * @type {Array.<Object>}
+   */
+  get transitions() {
+    return [...this._transitions];
+  }
+
+  /**
+   * Return the parameter with the given name, throwing an error if it does not
+   * exist.
+   *
+   * @private
+   *
+   * @param {string} name - Name of the parameter.
+   * @param {string} action - Name of the operation being prepared for, to be
+   * used in error messaging.
+   *
+   * @returns {Object}
+   */
+  _getParameter(name, action) {
+    const parameter = this._parameters[name];
+
+    if (parameter === undefined) {
+      throw new Error(
+        `Cannot ${action} parameter ${name}. No parameter exists with this name.`
+      );
+    }
+
+    return parameter;
+  }
+
+  /**
+   * Convert a value to the type of a parameter.
+   *
+   * @private
+   *
+   * @param {ParameterTypes} type - The type of the parameter.
+   * @param {any} value - The value to convert.
+   *
+   * @returns {(boolean|number)}
+   */
+  _validateValue(type, value) {
+    if (type === ParameterTypes.Float) {
+      const number = Number(value);
+      return Number.isNaN(number) ? 0 : number;
+    }
+
+    return !!value;
+  }
+
+  /**
+   * Add a new parameter. If a parameter with the same name already exists it
+   * will be replaced.
+   *
+   * @param {string} name - Name of the parameter.
+   * @param {ParameterTypes} [type=ParameterTypes.Bool] - Type of the parameter.
+   * @param {(boolean|number)=} value - Initial value of the parameter. Defaults
+   * to false for Bool and Trigger parameters and 0 for Float parameters.
+   */
+  addParameter(name, type = ParameterTypes.Bool, value) {
+    if (!Object.values(ParameterTypes).includes(type)) {
+      throw new Error(
+        `Cannot add parameter ${name}. ${type} is not a valid parameter type.`
+      );
+    }
+
+    this._parameters[name] = {type, value: this._validateValue(type, value)};
+  }
+
+  /**
+   * Remove a parameter.
+   *
+   * @param {string} name - Name of the parameter.
+   *
+   * @returns {boolean} Whether or not a parameter was removed.
+   */
+  removeParameter(name) {
+    if (this._parameters[name] === undefined) {
+      return false;
+    }
+
+    delete this._parameters[name];
+    return true;
+  }
+
+  /**
+   * Return the type of a parameter.
+   *
+   * @param {string} name - Name of the parameter.
+   *
+   * @returns {ParameterTypes}
+   */
+  getParameterType(name) {
+    return this._getParameter(name, 'get type of').type;
+  }
+
+  /**
+   * Return the value of a parameter.
+   *
+   * @param {string} name - Name of the parameter.
+   *
+   * @returns {(boolean|number)}
+   */
+  getParameter(name) {
+    return this._getParameter(name, 'get').value;
+  }
+
+  /**
+   * Update the value of a parameter. Setting a Trigger parameter to true sets
+   * the trigger until it is consumed by a transition.
+   *
+   * @param {string} name - Name of the parameter.
+   * @param {(boolean|number)} [value=true] - The new value.
+   */
+  setParameter(name, value = true) {
+    const parameter = this._getParameter(name, 'set');
+    parameter.value = this._validateValue(parameter.type, value);
+  }
+
+  /**
+   * Clear a Trigger parameter without taking a transition.
+   *
+   * @param {string} name - Name of the parameter.
+   */
+  resetTrigger(name) {
+    this.setParameter(name, false);
+  }
+
+  /**
+   * Add a new transition.
+   *
+   * @param {Object} options - Options for the transition.
+   * @param {string} [options.from=AnyState] - Name of the state the transition
+   * starts from. Use {@link AnyState} for transitions that can be taken from
+   * any state other than the target state.
+   * @param {string} options.to - Name of the state to transition to.
+   * @param {Array.<Object>} [options.conditions=[]] - Conditions that must all be
+   * met for the transition to be taken. Each condition is an object with a
+   * 'parameter' name, an optional 'operator' ({@link ConditionOperators},
+   * default Equals) and an optional 'value' to compare the parameter against
+   * (default true). Trigger conditions are met whenever the trigger is set.
+   * @param {number=} options.transitionTime - Number of seconds it takes to blend
+   * to the target state. Defaults to the layer's transitionTime.
+   * @param {(Function|string)=} options.easingFn - Easing function to use while
+   * blending, or the name of an {@link Easing} function such as
+   * 'Quadratic.InOut'. Defaults to the layer's easingFn.
+   * @param {number=} options.exitTime - Normalized time between 0 and 1 the
+   * 'from' state must reach before the transition can be taken.
+   *
+   * @returns {Object} The transition.
+   */
+  addTransition(options = {}) {
+    const {
+      from = AnyState,
+      to,
+      conditions = [],
+      transitionTime,
+      exitTime,
+    } = options;
+
+    if (to === undefined) {
+      throw new Error(
+        `Cannot add transition from ${from}. The target state must be defined.`
+      );
+    }
+
+    const transition = {
+      from,
+      to,
+      conditions: conditions.map(condition => {
+        if (this._parameters[condition.parameter] === undefined) {
+          throw new Error(
+            `Cannot add transition from ${from} to ${to}. No parameter exists with the name ${condition.parameter}.`
+          );
+        }
+
+        return {
+          operator: ConditionOperators.Equals,
+          value: true,
+          ...condition,
+        };
+      }),
+      transitionTime,
+      easingFn: AnimationUtils.getEasingFn(options.easingFn),
+      exitTime,
+    };
+
+    this._transitions.push(transition);
+
+    return transition;
+  }
+
+  /**
+   * Remove a transition.
+   *
+   * @param {Object} transition - The transition returned by
+   * [addTransition]{@link AnimationStateMachine#addTransition}.
+   *
+   * @returns {boolean} Whether or not the transition was removed.
+   */
+  removeTransition(transition) {
+    const index = this._transitions.indexOf(transition);
+
+    if (index === -1) {
+      return false;
+    }
+
+    this._transitions.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * Return whether or not a transition condition is met.
+   *
+   * @private
+   *
+   * @param {Object} condition - The condition to check.
+   *
+   * @returns {boolean}
+   */
+  _checkCondition({parameter: name, operator, value}) {
+    const parameter = this._parameters[name];
+
+    if (parameter === undefined) {
+      return false;
+    }
+
+    if (parameter.type === ParameterTypes.Trigger) {
+      return parameter.value;
+    }
+
+    switch (operator) {
+      case ConditionOperators.NotEquals:
+        return parameter.value !== value;
+      case ConditionOperators.Greater:
+        return parameter.value > value;
+      case ConditionOperators.Less:
+        return parameter.value < value;
+      default:
+        return parameter.value === value;
+    }
+  }
+
+  /**
+   * Find the first transition that can be taken from the current state. Any
+   * triggers used by the transition's conditions are consumed.
+   *
+   * @param {string} currentState - Name of the current state.
+   * @param {number=} normalizedTime - Normalized time of the current state. If
+   * undefined, transitions with an exit time cannot be taken.
+   *
+   * @returns {(Object|null)} The transition to take.
+   */
+  evaluate(currentState, normalizedTime) {
+    const candidates = [
+      ...this._transitions.filter(
+        t => t.from === AnyState && t.to !== currentState
+      ),
+      ...this._transitions.filter(t => t.from === currentState),
+    ];
+
+    const transition = candidates.find(
+      t =>
+        (t.exitTime === undefined || normalizedTime >= t.exitTime) &&
+        t.conditions.every(condition => this._checkCondition(condition))
+    );
+
+    if (transition === undefined) {
+      return null;
+    }
+
+    transition.conditions.forEach(({parameter: name}) => {
+      if (this._parameters[name].type === ParameterTypes.Trigger) {
+        this._parameters[name].value = false;
+      }
+    });
+
+    return transition;
+  }
+
+  /**
+   * Return a JSON compatible description of the state machine that can be
+   * passed back to the constructor to recreate it. Easing functions are
+   * described by name.
+   *
+   * @returns {Object}
+   */
+  getDefinition() {
+    const parameters = {};
+    Object.entries(this._parameters).forEach(([name, {type, value}]) => {
+      parameters[name] = {type, value};
+    });
+
+    return {
+      defaultState: this.defaultState,
+      parameters,
+      transitions: this._transitions.map(transition => ({
+        ...transition,
+        conditions: transition.conditions.map(condition => ({...condition})),
+        easingFn: AnimationUtils.getEasingName(transition.easingFn),
+      })),
+    };
+  }
+}
+
+export default AnimationStateMachine;
@@ -3,7 +3,7 @@
 import Deferred from '../Deferred';
 import Utils from '../Utils';
 import MathUtils from '../MathUtils';
-import {Linear} from './Easing';
+import * as Easing from './Easing';
 
 /**
  * A collection of useful animation functions.
@@ -127,7 +127,7 @@ class AnimationUtils {
         );
       }
 
-      easingFn = Linear.InOut;
+      easingFn = Easing.Linear.InOut;
     }
 
     const interpolator = Utils.wait(seconds, {
@@ -180,6 +180,56 @@ class AnimationUtils {
 
     return interpolator;
   }
+
+  /**
+   * Return the {@link Easing} function with the given name, for example
+   * 'Quadratic.InOut'. Functions are returned unchanged so that easing options
+   * can be given either as functions or as names.
+   *
+   * @param {(Function|string)=} easingFn - The easing function or its name.
+   *
+   * @returns {(Function|undefined)}
+   */
+  static getEasingFn(easingFn) {
+    if (typeof easingFn !== 'string') {
+      return easingFn;
+    }
+
+    const [type, mode] = easingFn.split('.');
+    const fn = Easing[type] && Easing[type][mode];
+
+    if (typeof fn !== 'function') {
+      throw new Error(
+        `Cannot use easing function ${easingFn}. No easing function exists with this name.`
+      );
+    }
+
+    return fn;
+  }
+
+  /**
+   * Return the name of an {@link Easing} function, for example
+   * 'Quadratic.InOut'.
+   *
+   * @param {Function=} easingFn - The easing function.
+   *
+   * @returns {(string|undefined)} The name, or undefined if the function is not
+   * one of the {@link Easing} functions.
+   */
+  static getEasingName(easingFn) {
+    let name;
+
+    Object.entries(Easing).some(([type, modes]) =>
+      Object.entries(modes).some(([mode, fn]) => {
+        if (fn === easingFn) {
+          name = `${type}.${mode}`;
+        }
+        return name !== undefined;
+      })
+    );
+
+    return name;
+  }
 }
 
 export default AnimationUtils;
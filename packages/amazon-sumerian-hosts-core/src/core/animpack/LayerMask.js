@@ -0,0 +1,116 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+import MathUtils from '../MathUtils';
+
+/**
+ * Class for limiting the joints an {@link AnimationLayer} has influence over.
+ * Joints are identified by name. Listing a joint includes, excludes or weights
+ * the joint along with all of its descendants, unless one of the descendants is
+ * listed itself. If no joints are included, every joint that is not excluded is
+ * animated.
+ *
+ * @example
+ * // Animate the upper body, keeping the head at half weight
+ * const mask = new LayerMask({
+ *   include: ['char:spine'],
+ *   exclude: ['char:hips'],
+ *   weights: {'char:head': 0.5},
+ * });
+ */
+class LayerMask {
+  /**
+   * @constructor
+   *
+   * @param {Object=} options - Options for the mask.
+   * @param {Array.<string>} [options.include=[]] - Names of the joints to
+   * animate.
+   * @param {Array.<string>} [options.exclude=[]] - Names of the joints that
+   * will not be animated.
+   * @param {Object.<string, number>} [options.weights={}] - Map of joint names to
+   * 0-1 factors to scale the influence of the layer by.
+   */
+  constructor({include = [], exclude = [], weights = {}} = {}) {
+    this._include = [...include];
+    this._exclude = [...exclude];
+    this._weights = {};
+
+    Object.entries(weights).forEach(([name, weight]) => {
+      this._weights[name] = MathUtils.clamp(weight);
+    });
+  }
+
+  /**
+   * Gets a copy of the names of the included joints.
+   *
+   * @readonly
+   * @type {Array.<string>}
+   */
+  get include() {
+    return [...this._include];
+  }
+
+  /**
+   * Gets a copy of the names of the excluded joints.
+   *
+   * @readonly
+   * @type {Array.<string>}
+   */
+  get exclude() {
+    return [...this._exclude];
+  }
+
+  /**
+   * Gets a copy of the map of joint names to weights.
+   *
+   * @readonly
+   * @type {Object.<string, number>}
+   */
+  get weights() {
+    return {...this._weights};
+  }
+
+  /**
+   * Return the 0-1 amount of influence a layer using the mask has over a joint.
+   *
+   * @param {Array.<string>} jointNames - Names of the joint and its ancestors,
+   * ordered from the joint up to the root of the hierarchy.
+   *
+   * @returns {number}
+   */
+  getWeight(jointNames) {
+    let included = this._include.length === 0;
+    const listedName = jointNames.find(
+      name => this._include.includes(name) || this._exclude.includes(name)
+    );
+
+    if (listedName !== undefined) {
+      included = !this._exclude.includes(listedName);
+    }
+
+    if (!included) {
+      return 0;
+    }
+
+    const weightedName = jointNames.find(
+      name => this._weights[name] !== undefined
+    );
+
+    return weightedName === undefined ? 1 : this._weights[weightedName];
+  }
+
+  /**
+   * Return a JSON compatible description of the mask that can be passed back to
+   * the constructor to recreate it.
+   *
+   * @returns {Object}
+   */
+  getDefinition() {
+    return {
+      include: this.include,
+      exclude: this.exclude,
+      weights: this.weights,
+    };
+  }
+}
+
+export default LayerMask;
@@ -0,0 +1,198 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+import MathUtils from '../MathUtils';
+
+/**
+ * Return the product of two quaternions.
+ *
+ * @private
+ *
+ * @param {Array.<number>} a - The left quaternion in [x, y, z, w] order.
+ * @param {Array.<number>} b - The right quaternion in [x, y, z, w] order.
+ *
+ * @returns {Array.<number>}
+ */
+function multiplyQuaternions([ax, ay, az, aw], [bx, by, bz, bw]) {
+  return [
+    aw * bx + ax * bw + ay * bz - az * by,
+    aw * by - ax * bz + ay * bw + az * bx,
+    aw * bz + ax * by - ay * bx + az * bw,
+    aw * bw - ax * bx - ay * by - az * bz,
+  ];
+}
+
+/**
+ * Return the inverse of a unit quaternion.
+ *
+ * @private
+ *
+ * @param {Array.<number>} quaternion - The quaternion in [x, y, z, w] order.
+ *
+ * @returns {Array.<number>}
+ */
+function invertQuaternion([x, y, z, w]) {
+  return [-x, -y, -z, w];
+}
+
+/**
+ * Class for adapting animations authored for one skeleton so they can be
+ * played on a skeleton with different joint names and rest pose. Rotation keys
+ * are converted by applying the source joint's offset from its rest rotation to
+ * the target joint's rest rotation. Position keys are converted by applying the
+ * source joint's offset from its rest position, scaled by the ratio of the
+ * target and source bone lengths, to the target joint's rest position.
+ *
+ * Rest poses are objects mapping joint names to their local rest transforms,
+ * where each transform has a 'position' array in [x, y, z] order and a
+ * 'rotation' array in quaternion [x, y, z, w] order. Joints that do not have a
+ * rest transform on both skeletons are only renamed.
+ *
+ * @example
+ * const retargeter = new Retargeter({
+ *   boneMap: {'char:def_c_spine1': 'mixamorig:Spine'},
+ *   sourceRestPose: {
+ *     'char:def_c_spine1': {position: [0, 0.1, 0], rotation: [0, 0, 0, 1]},
+ *   },
+ *   targetRestPose: {
+ *     'mixamorig:Spine': {position: [0, 0.12, 0], rotation: [0.1, 0, 0, 0.995]},
+ *   },
+ * });
+ */
+class Retargeter {
+  /**
+   * @constructor
+   *
+   * @param {Object=} options - Options for the retargeter.
+   * @param {Object.<string, string>} [options.boneMap={}] - Map of source joint
+   * names to target joint names. Joints that are not listed keep their names.
+   * @param {Object.<string, Object>} [options.sourceRestPose={}] - Rest
+   * transforms of the skeleton the animations were authored for, keyed by
+   * source joint name.
+   * @param {Object.<string, Object>} [options.targetRestPose={}] - Rest
+   * transforms of the skeleton the animations will be played on, keyed by
+   * target joint name.
+   */
+  constructor({boneMap = {}, sourceRestPose = {}, targetRestPose = {}} = {}) {
+    this._boneMap = {...boneMap};
+    this._sourceRestPose = {...sourceRestPose};
+    this._targetRestPose = {...targetRestPose};
+  }
+
+  /**
+   * Gets a copy of the map of source joint names to target joint names.
+   *
+   * @readonly
+   * @type {Object.<string, string>}
+   */
+  get boneMap() {
+    return {...this._boneMap};
+  }
+
+  /**
+   * Return the name of the target joint that animations of a source joint
+   * should be applied to.
+   *
+   * @param {string} sourceName - Name of the joint on the source skeleton.
+   *
+   * @returns {string}
+   */
+  getTargetName(sourceName) {
+    return this._boneMap[sourceName] !== undefined
+      ? this._boneMap[sourceName]
+      : sourceName;
+  }
+
+  /**
+   * Return the rest transforms of a source joint and the target joint it maps
+   * to, or null if either skeleton does not define one.
+   *
+   * @private
+   *
+   * @param {string} sourceName - Name of the joint on the source skeleton.
+   * @param {string} property - Name of the transform property, 'position' or
+   * 'rotation'.
+   *
+   * @returns {(Array.<Array.<number>>|null)}
+   */
+  _getRestTransforms(sourceName, property) {
+    const source = this._sourceRestPose[sourceName];
+    const target = this._targetRestPose[this.getTargetName(sourceName)];
+
+    if (
+      source === undefined ||
+      target === undefined ||
+      source[property] === undefined ||
+      target[property] === undefined
+    ) {
+      return null;
+    }
+
+    return [source[property], target[property]];
+  }
+
+  /**
+   * Convert a local rotation of a source joint to the equivalent local rotation
+   * of the target joint.
+   *
+   * @param {string} sourceName - Name of the joint on the source skeleton.
+   * @param {Array.<number>} rotation - Quaternion in [x, y, z, w] order.
+   *
+   * @returns {Array.<number>} Quaternion in [x, y, z, w] order.
+   */
+  retargetRotation(sourceName, rotation) {
+    const rest = this._getRestTransforms(sourceName, 'rotation');
+
+    if (rest === null) {
+      return [...rotation];
+    }
+
+    const [sourceRest, targetRest] = rest;
+    const offset = multiplyQuaternions(rotation, invertQuaternion(sourceRest));
+
+    return multiplyQuaternions(offset, targetRest);
+  }
+
+  /**
+   * Convert a local position of a source joint to the equivalent local
+   * position of the target joint.
+   *
+   * @param {string} sourceName - Name of the joint on the source skeleton.
+   * @param {Array.<number>} position - Position in [x, y, z] order.
+   *
+   * @returns {Array.<number>} Position in [x, y, z] order.
+   */
+  retargetPosition(sourceName, position) {
+    const rest = this._getRestTransforms(sourceName, 'position');
+
+    if (rest === null) {
+      return [...position];
+    }
+
+    const [sourceRest, targetRest] = rest;
+    const sourceLength = MathUtils.getVectorMagnitude(sourceRest);
+    const scale =
+      sourceLength === 0
+        ? 1
+        : MathUtils.getVectorMagnitude(targetRest) / sourceLength;
+
+    return targetRest.map(
+      (value, index) => value + (position[index] - sourceRest[index]) * scale
+    );
+  }
+
+  /**
+   * Return a JSON compatible description of the retargeter that can be passed
+   * back to the constructor to recreate it.
+   *
+   * @returns {Object}
+   */
+  getDefinition() {
+    return {
+      boneMap: this.boneMap,
+      sourceRestPose: {...this._sourceRestPose},
+      targetRestPose: {...this._targetRestPose},
+    };
+  }
+}
+
+export default Retargeter;
@@ -31,6 +31,13 @@ import RandomAnimationState from './state/RandomAnimationState';
 import Blend1dState from './state/Blend1dState';
 import Blend2dState from './state/Blend2dState';
 import AnimationUtils from './AnimationUtils';
+import LayerMask from './LayerMask';
+import Retargeter from './Retargeter';
+import AnimationStateMachine, {
+  ParameterTypes,
+  ConditionOperators,
+  AnyState,
+} from './AnimationStateMachine';
 
 /**
  * @namespace
@@ -123,6 +130,18 @@ export default {
    * @see AnimationUtils
    */
   AnimationUtils,
+  /**
+   * @see AnimationStateMachine
+   */
+  AnimationStateMachine,
+  /**
+   * @see LayerMask
+   */
+  LayerMask,
+  /**
+   * @see Retargeter
+   */
+  Retargeter,
 
   Easing,
   /**
@@ -137,4 +156,16 @@ export default {
    * @see AnimationTypes
    */
   AnimationTypes,
+  /**
+   * @see ParameterTypes
+   */
+  ParameterTypes,
+  /**
+   * @see ConditionOperators
+   */
+  ConditionOperators,
+  /**
+   * @see AnyState
+   */
+  AnyState,
 };
@@ -12,13 +12,99 @@ import StateContainerInterface from './StateContainerInterface';
  * @implements StateContainerInterface
  */
 class AbstractBlendState extends StateContainerInterface.Mixin(AbstractState) {
+  /**
+   * @constructor
+   *
+   * @param {Object} [options={}] - Options for the container state.
+   * @param {boolean} [options.normalizeDurations=false] - Whether or not to
+   * scale the playback speed of each blend state so that they all complete a
+   * cycle in the weighted average duration of the blend states. This keeps
+   * clips of different lengths, such as a slow and fast walk, from drifting out
+   * of step.
+   * @param {Array.<AbstractState>} [blendStates=[]] - Blend states to be
+   * controlled by this container.
+   */
   constructor(options = {}, blendStates = [], ...args) {
     super(options, ...args);
+    this._normalizeDurations = options.normalizeDurations || false;
     blendStates.forEach(state => {
       this.addState(state);
     });
   }
 
+  /**
+   * Gets whether or not the playback speeds of the blend states are scaled to
+   * match their weighted average duration.
+   *
+   * @readonly
+   * @type {boolean}
+   */
+  get normalizeDurations() {
+    return this._normalizeDurations;
+  }
+
+  /**
+   * Gets the weighted average duration of the blend states that have a known
+   * duration.
+   *
+   * @readonly
+   * @type {number}
+   */
+  get duration() {
+    let totalWeight = 0;
+    let totalDuration = 0;
+
+    this._states.forEach(state => {
+      const {duration, weight} = state;
+
+      if (duration > 0 && weight > 0) {
+        totalWeight += weight;
+        totalDuration += duration * weight;
+      }
+    });
+
+    return totalWeight > 0 ? totalDuration / totalWeight : 0;
+  }
+
+  getDefinition() {
+    const definition = {
+      ...super.getDefinition(),
+      blendStateOptions: [...this._states.values()].map(state =>
+        state.getDefinition()
+      ),
+    };
+
+    if (this._normalizeDurations) {
+      definition.normalizeDurations = true;
+    }
+
+    return definition;
+  }
+
+  serializeState() {
+    const blendStates = {};
+
+    this._states.forEach((state, name) => {
+      blendStates[name] = state.serializeState();
+    });
+
+    return {...super.serializeState(), blendStates};
+  }
+
+  restoreState(state) {
+    super.restoreState(state);
+
+    if (state.blendStates === undefined) {
+      return;
+    }
+
+    Object.entries(state.blendStates).forEach(([name, blendState]) => {
+      if (this._states.has(name)) {
+        this._states.get(name).restoreState(blendState);
+      }
+    });
+  }
+
   /**
    * Gets the sum of internal weights of the sub-states.
    *
@@ -87,6 +173,27 @@ class AbstractBlendState extends StateContainerInterface.Mixin(AbstractState) {
     });
   }
 
+  /**
+   * Pass the time scale factor on to each sub-state. If durations are
+   * normalized, the factor for each sub-state is also scaled by the ratio of
+   * its duration to the weighted average duration.
+   *
+   * @param {number} factor - Time scale of the container the state belongs to.
+   */
+  updateInternalTimeScale(factor) {
+    super.updateInternalTimeScale(factor);
+
+    const duration = this._normalizeDurations ? this.duration : 0;
+
+    this._states.forEach(state => {
+      state.updateInternalTimeScale(
+        duration > 0 && state.duration > 0
+          ? (factor * state.duration) / duration
+          : factor
+      );
+    });
+  }
+
   /**
    * Update any values of the sub-states that need to be evaluated every frame.
    *
@@ -100,6 +207,28 @@ class AbstractBlendState extends StateContainerInterface.Mixin(AbstractState) {
     });
   }
 
+  getActiveStates() {
+    const states = [];
+
+    this._states.forEach(state => {
+      states.push(...state.getActiveStates());
+    });
+
+    return states;
+  }
+
+  consumeRootMotion() {
+    const motion = super.consumeRootMotion();
+
+    this._states.forEach(state => {
+      state.consumeRootMotion().forEach((value, index) => {
+        motion[index] += value;
+      });
+    });
+
+    return motion;
+  }
+
   /**
    * Start playback of the sub-states from the beginning.
    *
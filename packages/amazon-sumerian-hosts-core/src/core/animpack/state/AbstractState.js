@@ -26,6 +26,7 @@ class AbstractState {
     this._weight =
       options.weight !== undefined ? MathUtils.clamp(options.weight, 0, 1) : 0;
     this._internalWeight = this._weight;
+    this._internalTimeScale = 1;
     this._paused = false;
 
     this._promises = {
@@ -116,6 +117,37 @@ class AbstractState {
     this._internalWeight = this._weight * factor;
   }
 
+  /**
+   * Gets the length in seconds of one cycle of the state's animation, without
+   * time scaling. Returns 0 if the duration is unknown.
+   *
+   * @readonly
+   * @type {number}
+   */
+  get duration() {
+    return 0;
+  }
+
+  /**
+   * Gets the factor that the playback speed of the state is multiplied by,
+   * determined by the time scales of the containers the state belongs to.
+   *
+   * @readonly
+   * @type {number}
+   */
+  get internalTimeScale() {
+    return this._internalTimeScale;
+  }
+
+  /**
+   * Set the factor that the playback speed of the state is multiplied by.
+   *
+   * @param {number} factor - Time scale of the container the state belongs to.
+   */
+  updateInternalTimeScale(factor) {
+    this._internalTimeScale = factor;
+  }
+
   /**
    * Update any values that need to be evaluated every frame.
    *
@@ -243,6 +275,59 @@ class AbstractState {
   deactivate() {
     this.updateInternalWeight(0);
   }
+
+  /**
+   * Return the weighted movement extracted from the root joints of the state's
+   * animations since the last time root motion was consumed, and reset it.
+   *
+   * @returns {Array.<number>} - An array consisting of three numbers representing
+   * x, y and z movement.
+   */
+  consumeRootMotion() {
+    return [0, 0, 0];
+  }
+
+  /**
+   * Return the states without sub-states that currently make up the output of
+   * the state. States that are not containers return themselves.
+   *
+   * @returns {Array.<AbstractState>}
+   */
+  getActiveStates() {
+    return [this];
+  }
+
+  /**
+   * Return a JSON compatible description of the state that can be passed back
+   * to {@link AnimationFeature#addAnimation} as options to recreate it.
+   *
+   * @returns {Object}
+   */
+  getDefinition() {
+    return {name: this.name, weight: this._weight};
+  }
+
+  /**
+   * Return a JSON compatible snapshot of the runtime values of the state that
+   * can be passed to [restoreState]{@link AbstractState#restoreState}.
+   *
+   * @returns {Object}
+   */
+  serializeState() {
+    return {weight: this._weight};
+  }
+
+  /**
+   * Apply a snapshot returned by [serializeState]{@link AbstractState#serializeState}
+   * to the state. Values that are missing from the snapshot are left as they are.
+   *
+   * @param {Object} state - The snapshot to apply.
+   */
+  restoreState(state) {
+    if (state.weight !== undefined) {
+      this.setWeight(state.weight);
+    }
+  }
 }
 
 export default AbstractState;
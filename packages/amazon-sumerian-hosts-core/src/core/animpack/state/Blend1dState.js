@@ -237,6 +237,32 @@ class Blend1dState extends AbstractBlendState {
     return threshold.value;
   }
 
+  getDefinition() {
+    const definition = super.getDefinition();
+    const thresholds = definition.blendStateOptions.map(({name}) =>
+      this._thresholds.find(threshold => threshold.name === name)
+    );
+
+    return {
+      ...definition,
+      blendThresholds: thresholds.map(({value}) => value),
+      blendMatchPhases: thresholds.map(({phaseMatch}) => phaseMatch),
+    };
+  }
+
+  serializeState() {
+    return {...super.serializeState(), blendValue: this._blendValue};
+  }
+
+  restoreState(state) {
+    super.restoreState(state);
+
+    // Blend weights are derived from the blend value so it is applied last
+    if (state.blendValue !== undefined) {
+      this.setBlendWeight(null, state.blendValue);
+    }
+  }
+
   updateInternalWeight(factor) {
     super.updateInternalWeight(factor);
 
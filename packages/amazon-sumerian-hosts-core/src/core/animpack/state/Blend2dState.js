@@ -175,6 +175,35 @@ class Blend2dState extends AbstractBlendState {
     return this._promises.blendValueY && this._promises.blendValueY.pending;
   }
 
+  getDefinition() {
+    return {
+      ...super.getDefinition(),
+      blendThresholds: this._vertices.map(vertex => [...vertex]),
+      blendMatchPhases: this._thresholds.map(({phaseMatch}) => phaseMatch),
+    };
+  }
+
+  serializeState() {
+    return {
+      ...super.serializeState(),
+      blendValueX: this._blendValueX,
+      blendValueY: this._blendValueY,
+    };
+  }
+
+  restoreState(state) {
+    super.restoreState(state);
+
+    // Blend weights are derived from the blend values so they are applied last
+    if (state.blendValueX !== undefined) {
+      this.setBlendWeight('X', state.blendValueX);
+    }
+
+    if (state.blendValueY !== undefined) {
+      this.setBlendWeight('Y', state.blendValueY);
+    }
+  }
+
   updateInternalWeight(factor) {
     super.updateInternalWeight(factor);
 
@@ -14,9 +14,61 @@ class FreeBlendState extends AbstractBlendState {
    * @param {Object} [options={}] - Options for the container state.
    * @param {Array.<AbstractState>} [blendStates=[]] - Blend states to be controlled by
    * this container.
+   * @param {Array.<boolean>} [phaseMatches=[]] - Booleans indicating whether or not
+   * each blend state should be phase matched.
    */
-  constructor(options = {}, blendStates = []) {
+  constructor(options = {}, blendStates = [], phaseMatches = []) {
     super(options, blendStates);
+
+    this._phaseMatches = this._phaseMatches || new Set();
+    [...this._states.values()].forEach((state, index) => {
+      if (phaseMatches[index]) {
+        this._phaseMatches.add(state.name);
+      }
+    });
+  }
+
+  addState(state, phaseMatch = false) {
+    this._phaseMatches = this._phaseMatches || new Set();
+
+    const name = super.addState(state);
+
+    if (phaseMatch) {
+      this._phaseMatches.add(name);
+    }
+
+    return name;
+  }
+
+  removeState(name) {
+    const removed = super.removeState(name);
+
+    if (removed) {
+      this._phaseMatches.delete(name);
+    }
+
+    return removed;
+  }
+
+  renameState(currentName, newName) {
+    newName = super.renameState(currentName, newName);
+
+    if (this._phaseMatches.delete(currentName)) {
+      this._phaseMatches.add(newName);
+    }
+
+    return newName;
+  }
+
+  getDefinition() {
+    const definition = super.getDefinition();
+
+    return {
+      ...definition,
+      blendMatchPhases: definition.blendStateOptions.map(({name}) =>
+        this._phaseMatches.has(name)
+      ),
+    };
   }
 
   updateInternalWeight(factor) {
@@ -36,6 +88,29 @@ class FreeBlendState extends AbstractBlendState {
     this._states.forEach(state => {
       state.updateInternalWeight(factor * this._weight);
     });
+
+    // Phase-matched states follow the one with the highest weight
+    let phaseLeadState = null;
+    this._phaseMatches.forEach(name => {
+      const state = this._states.get(name);
+
+      if (
+        state.weight !== 0 &&
+        (phaseLeadState === null || state.weight > phaseLeadState.weight)
+      ) {
+        phaseLeadState = state;
+      }
+    });
+
+    if (phaseLeadState) {
+      this._phaseMatches.forEach(name => {
+        const state = this._states.get(name);
+
+        if (state !== phaseLeadState && state.weight !== 0) {
+          state.normalizedTime = phaseLeadState.normalizedTime;
+        }
+      });
+    }
   }
 }
 
@@ -78,6 +78,23 @@ class QueueState extends AnimationPlayerInterface.Mixin(
     }
   }
 
+  /**
+   * Pass the time scale factor on to the current state.
+   *
+   * @param {number} factor - Time scale of the container the state belongs to.
+   */
+  updateInternalTimeScale(factor) {
+    super.updateInternalTimeScale(factor);
+
+    if (this._currentState) {
+      this._currentState.updateInternalTimeScale(factor);
+    }
+  }
+
+  getActiveStates() {
+    return this._currentState ? this._currentState.getActiveStates() : [];
+  }
+
   /**
    * Start the next animation in the queue.
    *
@@ -223,6 +240,15 @@ class QueueState extends AnimationPlayerInterface.Mixin(
     return stopped;
   }
 
+  getDefinition() {
+    return {
+      ...super.getDefinition(),
+      queueOptions: [...this._states.values()].map(state =>
+        state.getDefinition()
+      ),
+    };
+  }
+
   discard() {
     super.discard();
 
@@ -69,6 +69,18 @@ class RandomAnimationState extends AnimationPlayerInterface.Mixin(
     }
   }
 
+  updateInternalTimeScale(factor) {
+    super.updateInternalTimeScale(factor);
+
+    if (this._currentState) {
+      this._currentState.updateInternalTimeScale(factor);
+    }
+  }
+
+  getActiveStates() {
+    return this._currentState ? this._currentState.getActiveStates() : [];
+  }
+
   /**
    * Pick a random animation and utilize AnimationPlayerInterface to play that animation
    *
@@ -125,6 +137,16 @@ class RandomAnimationState extends AnimationPlayerInterface.Mixin(
     return super.stop() && this.stopAnimation();
   }
 
+  getDefinition() {
+    return {
+      ...super.getDefinition(),
+      playInterval: this._playInterval,
+      subStateOptions: [...this._states.values()].map(state =>
+        state.getDefinition()
+      ),
+    };
+  }
+
   discard() {
     super.discard();
     this.discardStates();
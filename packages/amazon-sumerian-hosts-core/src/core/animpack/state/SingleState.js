@@ -25,6 +25,17 @@ class SingleState extends AbstractState {
    * repeat before finishing.
    * @param {string} [options.blendMode=DefaultLayerBlendMode] - Type of
    * blending the animation should use.
+   * @param {Array.<Object>} [options.markers=[]] - Named points in the
+   * animation's timeline. Each marker is an object with 'name', 'time' and
+   * optional 'payload' properties. See [addMarker]{@link SingleState#addMarker}.
+   * @param {string=} options.rootMotionJoint - Name of the joint whose
+   * horizontal movement should be extracted from the animation as root motion.
+   * The joint stays in place horizontally during playback and its movement can
+   * be applied to the host using [consumeRootMotion]{@link SingleState#consumeRootMotion}.
+   * @param {string=} options.syncGroup - Name of a group of states that should
+   * play in phase. While more than one state in the group is playing, on any
+   * layer, each one is kept at the normalized time of the one with the highest
+   * internal weight.
    */
   constructor(options = {}) {
     super(options);
@@ -34,6 +45,23 @@ class SingleState extends AbstractState {
     this._loopCount =
       options.loopCount !== undefined ? options.loopCount : Infinity;
     this._blendMode = validateBlendMode(options.blendMode);
+
+    this._markers = [];
+    (options.markers || []).forEach(({name, time, payload}) => {
+      this.addMarker(name, time, payload);
+    });
+    this._markerTime = null;
+    this._loopsCompleted = 0;
+    this._rootMotionJoint = options.rootMotionJoint || null;
+    this._rootMotionTime = null;
+    this._rootMotion = [0, 0, 0];
+    this._syncGroup = options.syncGroup || null;
+    this._synced = false;
+    this._eventCallbacks = {
+      onMarker: undefined,
+      onLoop: undefined,
+      onComplete: undefined,
+    };
   }
 
   /**
@@ -45,6 +73,66 @@ class SingleState extends AbstractState {
     return 0;
   }
 
+  set normalizedTime(time) {
+    // Playback time is controlled by the rendering engine implementations
+  }
+
+  /**
+   * Gets the name of the group of states this state is kept in phase with, or
+   * null if it is not synchronized.
+   *
+   * @readonly
+   * @type {(string|null)}
+   */
+  get syncGroup() {
+    return this._syncGroup;
+  }
+
+  /**
+   * Gets whether or not playback is currently being kept in phase with another
+   * state in the sync group.
+   *
+   * @readonly
+   * @type {boolean}
+   */
+  get synced() {
+    return this._synced;
+  }
+
+  /**
+   * Move playback to the normalized time of the state leading the sync group.
+   * While synced, markers, loops and root motion follow the lead state's
+   * progress instead of the state's own playback. The first sync jumps to the
+   * lead state's phase without reaching markers or moving the root.
+   *
+   * @param {number} time - Normalized time of the lead state.
+   */
+  syncNormalizedTime(time) {
+    this.normalizedTime = time;
+
+    if (this._synced) {
+      this._updateMarkers();
+      this._updateRootMotion();
+    } else {
+      this._synced = true;
+      this._skipTrackedTime();
+    }
+  }
+
+  /**
+   * Stop keeping playback in phase with another state. Markers and root motion
+   * passed since the last sync are evaluated from the state's own playback.
+   */
+  releaseSync() {
+    if (!this._synced) {
+      return;
+    }
+
+    this._synced = false;
+    this._updateMarkers();
+    this._updateRootMotion();
+  }
+
   /**
    * Gets and sets the a factor to scale animation playback speed with.
    *
@@ -113,6 +201,342 @@ class SingleState extends AbstractState {
   get blendMode() {
     return this._blendMode;
   }
+
+  /**
+   * Gets the name of the joint root motion is extracted from, or null if the
+   * animation does not use root motion.
+   *
+   * @readonly
+   * @type {string|null}
+   */
+  get rootMotionJoint() {
+    return this._rootMotionJoint;
+  }
+
+  /**
+   * Gets a copy of the array of markers, sorted by time.
+   *
+   * @readonly
+   * @type {Array.<Object>}
+   */
+  get markers() {
+    return [...this._markers];
+  }
+
+  /**
+   * Add a named point to the animation's timeline. Markers are passed to the
+   * onMarker callback each time playback reaches their time.
+   *
+   * @param {string} name - Name of the marker.
+   * @param {number} time - Normalized time between 0 and 1 of the marker.
+   * @param {any=} payload - Data to pass along when the marker is reached.
+   *
+   * @returns {Object} The marker.
+   */
+  addMarker(name, time, payload) {
+    time = Number(time);
+
+    if (!(time >= 0 && time <= 1)) {
+      throw new Error(
+        `Cannot add marker ${name} to animation ${this.name}. Time must be a number between 0 and 1.`
+      );
+    }
+
+    const marker = {name, time, payload};
+    const index = this._markers.findIndex(m => m.time > time);
+
+    if (index === -1) {
+      this._markers.push(marker);
+    } else {
+      this._markers.splice(index, 0, marker);
+    }
+
+    return marker;
+  }
+
+  /**
+   * Remove all markers with the given name.
+   *
+   * @param {string} name - Name of the marker.
+   *
+   * @returns {boolean} Whether or not any markers were removed.
+   */
+  removeMarker(name) {
+    const numMarkers = this._markers.length;
+    this._markers = this._markers.filter(marker => marker.name !== name);
+
+    return this._markers.length !== numMarkers;
+  }
+
+  /**
+   * Set the functions to execute when playback reaches a marker, completes a
+   * loop or finishes.
+   *
+   * @param {Object} callbacks - The functions to execute.
+   * @param {Function=} callbacks.onMarker - Executed with the marker each time
+   * playback reaches a marker.
+   * @param {Function=} callbacks.onLoop - Executed with the number of loops
+   * completed since playback started each time the animation loops.
+   * @param {Function=} callbacks.onComplete - Executed once the animation
+   * finishes playing all of its loops.
+   */
+  setEventCallbacks({onMarker, onLoop, onComplete} = {}) {
+    this._eventCallbacks = {onMarker, onLoop, onComplete};
+  }
+
+  /**
+   * Execute the onMarker callback for each marker with a time greater than
+   * start and less than or equal to end.
+   *
+   * @private
+   *
+   * @param {number} start - Normalized time to search from.
+   * @param {number} end - Normalized time to search to.
+   */
+  _reachMarkers(start, end) {
+    const {onMarker} = this._eventCallbacks;
+
+    if (typeof onMarker !== 'function') {
+      return;
+    }
+
+    this._markers.forEach(marker => {
+      if (marker.time > start && marker.time <= end) {
+        onMarker(marker);
+      }
+    });
+  }
+
+  /**
+   * Find the markers and loops that playback has passed since the last update.
+   * A decrease in normalized time means the animation has looped.
+   *
+   * @private
+   */
+  _updateMarkers() {
+    if (this._markerTime === null) {
+      return;
+    }
+
+    const time = this.normalizedTime;
+    const lastTime = this._markerTime;
+    this._markerTime = time;
+
+    if (time > lastTime) {
+      this._reachMarkers(lastTime, time);
+    } else if (time < lastTime) {
+      this._reachMarkers(lastTime, 1);
+
+      this._loopsCompleted += 1;
+      if (typeof this._eventCallbacks.onLoop === 'function') {
+        this._eventCallbacks.onLoop(this._loopsCompleted);
+      }
+
+      this._reachMarkers(-Infinity, time);
+    }
+  }
+
+  /**
+   * Return the local position of the root motion joint at a normalized time in
+   * the animation. Should be overloaded for each rendering engine
+   * implementation.
+   *
+   * @private
+   *
+   * @param {number} time - Normalized time between 0 and 1.
+   *
+   * @returns {Array.<number>} - An array consisting of three numbers representing
+   * x, y and z coordinates.
+   */
+  // eslint-disable-next-line no-unused-vars
+  _sampleRootMotion(time) {
+    return [0, 0, 0];
+  }
+
+  /**
+   * Add the weighted horizontal movement of the root motion joint between two
+   * normalized times to the accumulated root motion.
+   *
+   * @private
+   *
+   * @param {number} start - Normalized time to measure from.
+   * @param {number} end - Normalized time to measure to.
+   */
+  _addRootMotion(start, end) {
+    const from = this._sampleRootMotion(start);
+    const to = this._sampleRootMotion(end);
+
+    // Vertical movement is left in the animation
+    this._rootMotion[0] += (to[0] - from[0]) * this._internalWeight;
+    this._rootMotion[2] += (to[2] - from[2]) * this._internalWeight;
+  }
+
+  /**
+   * Find the root motion that playback has passed since the last update. A
+   * decrease in normalized time means the animation has looped.
+   *
+   * @private
+   */
+  _updateRootMotion() {
+    if (this._rootMotionJoint === null || this._rootMotionTime === null) {
+      return;
+    }
+
+    const time = this.normalizedTime;
+    const lastTime = this._rootMotionTime;
+    this._rootMotionTime = time;
+
+    if (time >= lastTime) {
+      this._addRootMotion(lastTime, time);
+    } else {
+      this._addRootMotion(lastTime, 1);
+      this._addRootMotion(0, time);
+    }
+  }
+
+  /**
+   * Return the weighted horizontal movement of the root motion joint since the
+   * last time root motion was consumed, and reset it. The y value is always 0
+   * since vertical movement is left in the animation.
+   *
+   * @returns {Array.<number>} - An array consisting of three numbers representing
+   * x, y and z movement.
+   */
+  consumeRootMotion() {
+    const motion = this._rootMotion;
+    this._rootMotion = [0, 0, 0];
+
+    return motion;
+  }
+
+  /**
+   * Reach any remaining markers, execute the onComplete callback and resolve
+   * the play promise. Should be called once the animation has finished playing
+   * all of its loops.
+   *
+   * @private
+   */
+  _finish() {
+    if (this._markerTime !== null) {
+      this._reachMarkers(this._markerTime, 1);
+      this._markerTime = null;
+    }
+
+    if (this._rootMotionJoint !== null && this._rootMotionTime !== null) {
+      this._addRootMotion(this._rootMotionTime, 1);
+      this._rootMotionTime = null;
+    }
+
+    if (typeof this._eventCallbacks.onComplete === 'function') {
+      this._eventCallbacks.onComplete();
+    }
+
+    this._promises.play.resolve();
+  }
+
+  /**
+   * Move the times markers and root motion are tracked from to the current
+   * normalized time, so jumping to it does not reach markers or move the root.
+   *
+   * @private
+   */
+  _skipTrackedTime() {
+    if (this._markerTime !== null) {
+      this._markerTime = this.normalizedTime;
+    }
+
+    if (this._rootMotionTime !== null) {
+      this._rootMotionTime = this.normalizedTime;
+    }
+  }
+
+  update(deltaTime) {
+    super.update(deltaTime);
+
+    // Synced states are evaluated once their time has been synced
+    if (!this._synced) {
+      this._updateMarkers();
+      this._updateRootMotion();
+    }
+  }
+
+  play(onFinish, onError, onCancel) {
+    // Markers at the start of the timeline are reached on the first update
+    this._markerTime = -Infinity;
+    this._loopsCompleted = 0;
+    this._rootMotionTime = 0;
+    this._rootMotion = [0, 0, 0];
+    this._synced = false;
+
+    return super.play(onFinish, onError, onCancel);
+  }
+
+  resume(onFinish, onError, onCancel) {
+    if (this._markerTime === null) {
+      this._markerTime = -Infinity;
+      this._loopsCompleted = 0;
+    }
+
+    if (this._rootMotionTime === null) {
+      this._rootMotionTime = this.normalizedTime;
+    }
+
+    this._synced = false;
+
+    return super.resume(onFinish, onError, onCancel);
+  }
+
+  getDefinition() {
+    const definition = {...super.getDefinition(), timeScale: this._timeScale};
+
+    // Infinity cannot be represented in JSON, it is the default loopCount
+    if (Number.isFinite(this._loopCount)) {
+      definition.loopCount = this._loopCount;
+    }
+
+    if (this._markers.length) {
+      definition.markers = this._markers.map(marker => ({...marker}));
+    }
+
+    if (this._rootMotionJoint !== null) {
+      definition.rootMotionJoint = this._rootMotionJoint;
+    }
+
+    if (this._syncGroup !== null) {
+      definition.syncGroup = this._syncGroup;
+    }
+
+    return definition;
+  }
+
+  serializeState() {
+    return {
+      ...super.serializeState(),
+      timeScale: this._timeScale,
+      normalizedTime: this.normalizedTime,
+    };
+  }
+
+  restoreState(state) {
+    super.restoreState(state);
+
+    if (state.timeScale !== undefined) {
+      this.setTimeScale(state.timeScale);
+    }
+
+    if (state.normalizedTime !== undefined) {
+      this.normalizedTime = state.normalizedTime;
+      this._skipTrackedTime();
+    }
+  }
+
+  stop() {
+    this._markerTime = null;
+    this._rootMotionTime = null;
+    this._synced = false;
+
+    return super.stop();
+  }
 }
 
 export default SingleState;
@@ -44,6 +44,32 @@ class TransitionState extends AbstractState {
     }
   }
 
+  getActiveStates() {
+    const states = [];
+
+    this._from.forEach(state => {
+      states.push(...state.getActiveStates());
+    });
+
+    if (this._to) {
+      states.push(...this._to.getActiveStates());
+    }
+
+    return states;
+  }
+
+  updateInternalTimeScale(factor) {
+    super.updateInternalTimeScale(factor);
+
+    this._from.forEach(state => {
+      state.updateInternalTimeScale(factor);
+    });
+
+    if (this._to) {
+      this._to.updateInternalTimeScale(factor);
+    }
+  }
+
   /**
    * Update sub-states the transition is controlling and start new weight
    * animations on each one. This should be called each time the current state of
@@ -232,6 +258,19 @@ class TransitionState extends AbstractState {
     }
   }
 
+  consumeRootMotion() {
+    const motion = super.consumeRootMotion();
+    const states = this._to ? [...this._from, this._to] : this._from;
+
+    states.forEach(state => {
+      state.consumeRootMotion().forEach((value, index) => {
+        motion[index] += value;
+      });
+    });
+
+    return motion;
+  }
+
   discard() {
     super.discard();
 
@@ -0,0 +1,719 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+import Messenger from '../Messenger';
+import Deferred from '../Deferred';
+import Utils from '../Utils';
+import LexUtils from './LexUtils';
+
+// Name the microphone recorder is registered with in the AudioWorkletGlobalScope
+const recorderProcessorName = 'sumerian-hosts-chatbot-recorder';
+
+// Number of microphone samples collected before they are processed
+const recorderBufferSize = 4096;
+
+// Promises for loading the recorder module, keyed by AudioContext
+const recorderModules = new WeakMap();
+
+/**
+ * Source of the AudioWorklet module that records microphone input. The
+ * processor collects input samples, downsamples them and measures their level
+ * on the audio rendering thread, then posts the results to the main thread.
+ * The module is loaded from a string so it must not reference anything outside
+ * of it.
+ *
+ * @private
+ */
+const recorderModuleSource = `
+function getAudioLevel(samples) {
+  let sum = 0;
+  for (let i = 0; i < samples.length; i++) {
+    sum += samples[i] * samples[i];
+  }
+
+  return Math.min(1, Math.sqrt(sum / samples.length));
+}
+
+class ChatbotRecorderProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+    const {bufferSize, targetSampleRate} = options.processorOptions;
+    this._buffer = new Float32Array(bufferSize);
+    this._length = 0;
+
+    // Each output sample is the average of the input samples it spans. The
+    // fractional input position the current output sample ends at is carried
+    // over to the next buffer so the output does not drift.
+    this._ratio = sampleRate / targetSampleRate;
+    this._end = this._ratio;
+    this._sum = 0;
+    this._count = 0;
+  }
+
+  process(inputs) {
+    const input = inputs[0] && inputs[0][0];
+    let offset = 0;
+
+    while (input && offset < input.length) {
+      const count = Math.min(
+        input.length - offset,
+        this._buffer.length - this._length
+      );
+      this._buffer.set(input.subarray(offset, offset + count), this._length);
+      this._length += count;
+      offset += count;
+
+      if (this._length === this._buffer.length) {
+        this._flush();
+      }
+    }
+
+    return true;
+  }
+
+  _downsample() {
+    const buffer = this._buffer;
+    const samples = new Float32Array(Math.floor(buffer.length / this._ratio) + 1);
+    let length = 0;
+
+    for (let i = 0; i < buffer.length; i++) {
+      this._sum += buffer[i];
+      this._count += 1;
+
+      if (i + 1 >= this._end) {
+        samples[length] = this._sum / this._count;
+        length += 1;
+        this._sum = 0;
+        this._count = 0;
+        this._end += this._ratio;
+      }
+    }
+    this._end -= buffer.length;
+
+    return samples.slice(0, length);
+  }
+
+  _flush() {
+    const level = getAudioLevel(this._buffer);
+    const samples = this._downsample();
+    this._length = 0;
+
+    this.port.postMessage({samples, level}, [samples.buffer]);
+  }
+}
+
+registerProcessor('${recorderProcessorName}', ChatbotRecorderProcessor);
+`;
+
+/**
+ * Base class for chatbot backends. A backend sends text or recorded voice input
+ * to a chatbot service and resolves with the chatbot's response. Microphone
+ * recording and voice activity detection are handled by this class, backends
+ * only need to implement [request]{@link AbstractChatbotBackend#request}.
+ *
+ * Responses must be objects with the following properties, additional
+ * properties are allowed:
+ *
+ * message - The text the bot responded with, empty if there is none.
+ *
+ * messageFormat - Optional format of the message, such as 'PlainText' or 'SSML'.
+ *
+ * dialogState - The state of the dialog, such as 'ElicitSlot', 'Fulfilled' or
+ * 'Failed'.
+ *
+ * sessionAttributes - An object containing the attributes of the session.
+ *
+ * @abstract
+ * @extends core/Messenger
+ *
+ * @property {Object} AUDIO_DEFAULTS - Default values to use for recorded audio.
+ * @property {string} [AUDIO_DEFAULTS.SampleRate='16000']
+ * @property {Object} VAD_DEFAULTS - Default options for [enableVAD]{@link AbstractChatbotBackend#enableVAD}.
+ * @property {number} [VAD_DEFAULTS.threshold=0.02]
+ * @property {number} [VAD_DEFAULTS.hangover=800]
+ * @property {number} [VAD_DEFAULTS.maxUtteranceLength=15000]
+ * @property {boolean} [VAD_DEFAULTS.suppressWhileSpeaking=true]
+ * @property {number} [VAD_DEFAULTS.speakingThreshold=0.1]
+ * @property {Object} EVENTS - Built-in messages that the backend emits.
+ * @property {string} [EVENTS.responseReady=responseReady] - Message that is
+ * emitted after receiving a response for the input sent. The response is supplied
+ * to listener functions.
+ * @property {string} [EVENTS.responseError=responseError] - Message that is
+ * emitted if a request fails. The error is supplied to listener functions.
+ * @property {string} [EVENTS.micReady=micReady] - Message that is emitted after
+ * microphone is ready to use. The message is replayed to listeners added afterwards.
+ * @property {string} [EVENTS.recordBegin=recordBegin] - Message that is emitted after
+ * microphone starts recording
+ * @property {string} [EVENTS.recordEnd=recordEnd] - Message that is emitted after
+ * microphone ends recording
+ * @property {string} [EVENTS.micLevel=micLevel] - Message that is emitted each
+ * time a block of microphone input has been processed, with the root mean square
+ * level of the input between 0 and 1. Emitted whether or not the microphone is
+ * recording.
+ * @property {string} [EVENTS.speechStart=speechStart] - Message that is emitted
+ * when voice activity detection detects the start of an utterance and begins
+ * recording.
+ * @property {string} [EVENTS.speechEnd=speechEnd] - Message that is emitted when
+ * voice activity detection detects the end of an utterance. An object with a
+ * 'sent' property is supplied to listener functions, it is false if the
+ * utterance was discarded instead of being sent to the chatbot.
+ */
+class AbstractChatbotBackend extends Messenger {
+  /**
+   * @constructor
+   *
+   * @param {Object=} options - Options for the backend.
+   * @param {string=} options.userId - The id used to keep track of the session
+   * with the chatbot. A random id is created if none is defined.
+   */
+  constructor(options = {userId: undefined}) {
+    super();
+
+    this._userId = options.userId ? options.userId : Utils.createId();
+
+    //Microphone related fields
+    this._micReady = false;
+    this.enableReplay(this.constructor.EVENTS.micReady);
+    this._recording = false;
+    this._recLength = 0;
+    this._recBuffer = [];
+    this._recSampleRate = undefined;
+    this._setupAudioContext();
+
+    //Voice activity detection related fields
+    this._vad = null;
+    this._vadUtterance = null;
+    this._vadSuppressed = false;
+    this._vadHostSpeaking = false;
+  }
+
+  /**
+   * Setup audio context which will be used for setting up microphone related audio node
+   */
+  _setupAudioContext() {
+    this._audioContext = new AudioContext();
+  }
+
+  /**
+   * Sends recorded audio input to the chatbot.
+   *
+   * @private
+   *
+   * @param {TypedArray} inputAudio - TypedArray view of the input audio buffer
+   * @param {Number} sourceSampleRate - Sample rate of the input audio
+   * @param {Object=} config - Optional config for overriding backend settings.
+   *
+   * @returns {Promise} A Promise-like object that resolves to a chatbot response object.
+   */
+  _processWithAudio(inputAudio, sourceSampleRate, config = {}) {
+    const audio = this._prepareAudio(inputAudio, sourceSampleRate);
+    return this._process('audio/x-l16; rate=16000', audio, config);
+  }
+
+  /**
+   * Sends text user input to the chatbot.
+   *
+   * @param {String} inputText - Text to send to the chatbot
+   * @param {Object=} config - Optional config for overriding backend settings.
+   *
+   * @returns {Promise} A Promise-like object that resolves to a chatbot response object.
+   */
+  processWithText(inputText, config = {}) {
+    return this._process('text/plain; charset=utf-8', inputText, config);
+  }
+
+  /**
+   * Send input to the chatbot and emit the response.
+   *
+   * @private
+   *
+   * @param {string} contentType - The content type of the input.
+   * @param {(string|Blob)} inputStream - The text or audio input.
+   * @param {Object} config - Optional config for overriding backend settings.
+   *
+   * @returns {Promise} Resolves with the chatbot response object.
+   */
+  _process(contentType, inputStream, config) {
+    return this.request(contentType, inputStream, config)
+      .then(data => {
+        this.emit(this.constructor.EVENTS.responseReady, data);
+        return data;
+      })
+      .catch(error => {
+        const errorMessage = this._getErrorMessage(error);
+        console.error(errorMessage);
+        this.emit(this.constructor.EVENTS.responseError, error);
+        throw new Error(errorMessage);
+      });
+  }
+
+  /**
+   * Create the message of the error that is thrown when a request fails.
+   *
+   * @private
+   *
+   * @param {any} error - The error the request failed with.
+   *
+   * @returns {string}
+   */
+  _getErrorMessage(error) {
+    return `Error happened while processing chatbot input: ${error}.`;
+  }
+
+  /**
+   * Send input to the chatbot service.
+   *
+   * @param {string} contentType - The content type of the input. Text input
+   * uses 'text/plain; charset=utf-8' and audio input uses
+   * 'audio/x-l16; rate=16000'.
+   * @param {(string|Blob)} inputStream - The input text, or a Blob containing
+   * 16kHz mono WAV audio.
+   * @param {Object} config - Optional config for overriding backend settings.
+   *
+   * @returns {Promise} Resolves with the chatbot response object.
+   */
+  // eslint-disable-next-line no-unused-vars
+  request(contentType, inputStream, config) {
+    return Deferred.reject(
+      `${this.constructor.name} does not implement request.`
+    );
+  }
+
+  _prepareAudio(audioBuffer, sourceSampleRate) {
+    const downsampledAudio = LexUtils.downsampleAudio(
+      audioBuffer,
+      sourceSampleRate,
+      this.constructor.AUDIO_DEFAULTS.SampleRate
+    );
+    const encodedAudio = LexUtils.encodeWAV(
+      downsampledAudio,
+      this.constructor.AUDIO_DEFAULTS.SampleRate
+    );
+
+    return new Blob([encodedAudio], {type: 'application/octet-stream'});
+  }
+
+  /**
+   * Async function to setup microphone recorder which will get user permission for accessing microphone
+   * This method must be called before attempting to record voice input with the
+   * beginVoiceRecording() method. Expect an error to be thrown if the user has
+   * chosen to block microphone access.
+   *
+   * Microphone input is recorded with an AudioWorklet so that it is captured and
+   * downsampled off the main thread. If AudioWorklet is not supported, a
+   * ScriptProcessor is used instead.
+   *
+   * @throws {DOMException} See the documentation for
+   * [MediaDevices.getUserMedia()](https://developer.mozilla.org/en-US/docs/Web/API/MediaDevices/getUserMedia).
+   * The most likely error to expect will be the "NotAllowed" error indicating
+   * the user has denied access to the microphone.
+   */
+  async enableMicInput() {
+    const stream = await navigator.mediaDevices.getUserMedia({
+      audio: true,
+      video: false,
+    });
+    const source = this._audioContext.createMediaStreamSource(stream);
+    const node =
+      (await this._createWorkletRecorder()) ||
+      this._createScriptProcessorRecorder();
+
+    source.connect(node);
+    node.connect(this._audioContext.destination);
+
+    this.emit(this.constructor.EVENTS.micReady);
+    this._micReady = true;
+  }
+
+  /**
+   * Create an AudioWorklet node that records microphone input on the audio
+   * rendering thread. Input is downsampled to the chatbot sample rate as it is
+   * recorded.
+   *
+   * @private
+   *
+   * @returns {Promise} Resolves with the AudioWorkletNode, or undefined if
+   * AudioWorklet is not supported or the recorder module failed to load.
+   */
+  async _createWorkletRecorder() {
+    const {audioWorklet} = this._audioContext;
+
+    if (!audioWorklet || typeof AudioWorkletNode === 'undefined') {
+      return undefined;
+    }
+
+    if (!recorderModules.has(this._audioContext)) {
+      const url = URL.createObjectURL(
+        new Blob([recorderModuleSource], {type: 'application/javascript'})
+      );
+      const loading = audioWorklet.addModule(url).finally(() => {
+        URL.revokeObjectURL(url);
+      });
+      recorderModules.set(this._audioContext, loading);
+    }
+
+    try {
+      await recorderModules.get(this._audioContext);
+    } catch (error) {
+      recorderModules.delete(this._audioContext);
+      console.warn(
+        `Could not load the AudioWorklet microphone recorder, a ScriptProcessor will be used instead. ${error}`
+      );
+      return undefined;
+    }
+
+    const targetSampleRate = Math.min(
+      this._audioContext.sampleRate,
+      Number(this.constructor.AUDIO_DEFAULTS.SampleRate)
+    );
+    const node = new AudioWorkletNode(
+      this._audioContext,
+      recorderProcessorName,
+      {
+        numberOfInputs: 1,
+        numberOfOutputs: 1,
+        channelCount: 1,
+        processorOptions: {bufferSize: recorderBufferSize, targetSampleRate},
+      }
+    );
+
+    node.port.onmessage = ({data}) => {
+      this._onMicInput(data.samples, data.level);
+    };
+    this._recSampleRate = targetSampleRate;
+
+    return node;
+  }
+
+  /**
+   * Create a ScriptProcessor node that records microphone input on the main
+   * thread. Used when AudioWorklet is not available.
+   *
+   * @private
+   *
+   * @returns {ScriptProcessorNode}
+   */
+  _createScriptProcessorRecorder() {
+    const node = this._audioContext.createScriptProcessor(
+      recorderBufferSize,
+      1,
+      1
+    );
+
+    node.onaudioprocess = e => {
+      const buffer = e.inputBuffer.getChannelData(0);
+      this._onMicInput(
+        new Float32Array(buffer),
+        LexUtils.getAudioLevel(buffer)
+      );
+    };
+    this._recSampleRate = this._audioContext.sampleRate;
+
+    return node;
+  }
+
+  /**
+   * Handle a block of recorded microphone input. The input level is always
+   * emitted, the samples are only stored while recording.
+   *
+   * @private
+   *
+   * @param {Float32Array} samples - The recorded samples.
+   * @param {number} level - The root mean square level of the input.
+   */
+  _onMicInput(samples, level) {
+    this.emit(this.constructor.EVENTS.micLevel, level);
+    this._updateVAD(level, (samples.length / this._recSampleRate) * 1000);
+
+    if (!this._recording) return;
+
+    this._recBuffer.push(samples);
+    this._recLength += samples.length;
+  }
+
+  /**
+   * Gets whether or not voice activity detection is enabled.
+   *
+   * @readonly
+   * @type {boolean}
+   */
+  get vadEnabled() {
+    return this._vad !== null;
+  }
+
+  /**
+   * Gets and sets whether or not voice activity detection is suppressed. While
+   * suppressed, microphone input is ignored and any utterance in progress is
+   * discarded. Detection is also suppressed while the host passed to
+   * [enableVAD]{@link AbstractChatbotBackend#enableVAD} is playing speech, regardless of
+   * this value, unless the suppressWhileSpeaking option was disabled.
+   *
+   * @type {boolean}
+   */
+  get vadSuppressed() {
+    return (
+      this._vadSuppressed ||
+      (this._vadHostSpeaking && this._vad.suppressWhileSpeaking)
+    );
+  }
+
+  set vadSuppressed(suppressed) {
+    this._vadSuppressed = suppressed;
+  }
+
+  /**
+   * Enable voice activity detection. Once the microphone is enabled with
+   * [enableMicInput]{@link AbstractChatbotBackend#enableMicInput}, recording begins
+   * automatically when the input level rises above the threshold and the
+   * recorded utterance is sent to the chatbot once the input has stayed below the
+   * threshold for the hangover duration or the utterance reaches its maximum
+   * length.
+   *
+   * @param {Object=} options - Voice activity detection options.
+   * @param {number} [options.threshold=0.02] - The input level between 0 and 1
+   * that is considered speech.
+   * @param {number} [options.hangover=800] - The number of milliseconds the input
+   * must stay below the threshold before an utterance ends.
+   * @param {number} [options.maxUtteranceLength=15000] - The maximum number of
+   * milliseconds an utterance can last before it is sent to the chatbot.
+   * @param {core/HostObject=} options.host - A host with a TextToSpeechFeature
+   * whose speech is tracked by voice activity detection.
+   * @param {boolean} [options.suppressWhileSpeaking=true] - Whether or not
+   * detection is suppressed while the host plays speech so that its own voice
+   * isn't sent to the chatbot. Disable this to let the user interrupt the host
+   * by voice.
+   * @param {number} [options.speakingThreshold=0.1] - The input level between 0
+   * and 1 that is considered speech while the host plays speech and detection
+   * isn't suppressed. It should be higher than the threshold so that the host's
+   * own voice picked up by the microphone doesn't start an utterance.
+   */
+  enableVAD(options = {}) {
+    const {host} = options;
+
+    if (host && !host.TextToSpeechFeature) {
+      throw Error(
+        `Cannot enable voice activity detection. Host ${host.id} does not have a TextToSpeechFeature.`
+      );
+    }
+
+    this.disableVAD();
+
+    const defaults = this.constructor.VAD_DEFAULTS;
+    this._vad = {
+      threshold:
+        options.threshold !== undefined
+          ? options.threshold
+          : defaults.threshold,
+      hangover:
+        options.hangover !== undefined ? options.hangover : defaults.hangover,
+      maxUtteranceLength:
+        options.maxUtteranceLength !== undefined
+          ? options.maxUtteranceLength
+          : defaults.maxUtteranceLength,
+      suppressWhileSpeaking:
+        options.suppressWhileSpeaking !== undefined
+          ? options.suppressWhileSpeaking
+          : defaults.suppressWhileSpeaking,
+      speakingThreshold:
+        options.speakingThreshold !== undefined
+          ? options.speakingThreshold
+          : defaults.speakingThreshold,
+      host,
+    };
+
+    if (host) {
+      const {EVENTS} = host.TextToSpeechFeature;
+      const onSpeaking = () => {
+        this._vadHostSpeaking = true;
+      };
+      const onSilent = () => {
+        this._vadHostSpeaking = false;
+      };
+
+      this._vad.listeners = [
+        [EVENTS.play, onSpeaking],
+        [EVENTS.resume, onSpeaking],
+        [EVENTS.pause, onSilent],
+        [EVENTS.stop, onSilent],
+        [EVENTS.interrupt, onSilent],
+      ];
+      this._vad.listeners.forEach(([message, callback]) => {
+        host.listenTo(message, callback);
+      });
+    }
+  }
+
+  /**
+   * Disable voice activity detection. An utterance that is in progress is
+   * discarded.
+   */
+  disableVAD() {
+    if (this._vad === null) {
+      return;
+    }
+
+    if (this._vadUtterance) {
+      this._discardUtterance();
+    }
+
+    const {host, listeners} = this._vad;
+    if (listeners) {
+      listeners.forEach(([message, callback]) => {
+        host.stopListening(message, callback);
+      });
+    }
+
+    this._vad = null;
+    this._vadHostSpeaking = false;
+  }
+
+  /**
+   * Detect the start and end of utterances from the level of a block of
+   * microphone input.
+   *
+   * @private
+   *
+   * @param {number} level - The root mean square level of the input.
+   * @param {number} duration - The number of milliseconds of input in the block.
+   */
+  _updateVAD(level, duration) {
+    if (this._vad === null) {
+      return;
+    }
+
+    if (this.vadSuppressed) {
+      if (this._vadUtterance) {
+        this._discardUtterance();
+      }
+      return;
+    }
+
+    const threshold = this._vadHostSpeaking
+      ? this._vad.speakingThreshold
+      : this._vad.threshold;
+    const isSpeech = level >= threshold;
+
+    // Utterances only start when there is no manual recording in progress
+    if (!this._vadUtterance) {
+      if (isSpeech && !this._recording) {
+        this.beginVoiceRecording();
+        this._vadUtterance = {length: 0, silence: 0};
+        this.emit(this.constructor.EVENTS.speechStart);
+      }
+      return;
+    }
+
+    this._vadUtterance.length += duration;
+    this._vadUtterance.silence = isSpeech
+      ? 0
+      : this._vadUtterance.silence + duration;
+
+    if (
+      this._vadUtterance.silence >= this._vad.hangover ||
+      this._vadUtterance.length >= this._vad.maxUtteranceLength
+    ) {
+      this._vadUtterance = null;
+      this.emit(this.constructor.EVENTS.speechEnd, {sent: true});
+
+      // Errors are already logged by _process
+      this.endVoiceRecording().catch(() => {});
+    }
+  }
+
+  /**
+   * Stop recording the current utterance without sending it to the chatbot.
+   *
+   * @private
+   */
+  _discardUtterance() {
+    this._vadUtterance = null;
+    this._recording = false;
+    this._recLength = 0;
+    this._recBuffer = [];
+
+    this.emit(this.constructor.EVENTS.speechEnd, {sent: false});
+  }
+
+  /**
+   * Begin microphone recording. This function will also try to resume audioContext so that
+   * it's suggested to call this function after a user interaction
+   */
+  beginVoiceRecording() {
+    if (!this._micReady) {
+      return;
+    }
+
+    if (
+      this._audioContext.state === 'suspended' ||
+      this._audioContext.state === 'interrupted'
+    ) {
+      this._audioContext.resume();
+    }
+    this._recLength = 0;
+    this._recBuffer = [];
+    this._recording = true;
+
+    this.emit(this.constructor.EVENTS.recordBegin);
+  }
+
+  /**
+   * Stop microphone recording and send recorded audio data to the chatbot.
+   *
+   * @returns {Promise} A Promise-like object that resolves to a chatbot response
+   * object.
+   */
+  endVoiceRecording() {
+    if (!this._recording) {
+      return Promise.resolve();
+    }
+
+    this._recording = false;
+    this._vadUtterance = null;
+
+    const result = new Float32Array(this._recLength);
+    let offset = 0;
+    for (let i = 0; i < this._recBuffer.length; i++) {
+      result.set(this._recBuffer[i], offset);
+      offset += this._recBuffer[i].length;
+    }
+
+    this.emit(this.constructor.EVENTS.recordEnd);
+    return this._processWithAudio(
+      result,
+      this._recSampleRate || this._audioContext.sampleRate
+    );
+  }
+}
+
+Object.defineProperties(AbstractChatbotBackend, {
+  AUDIO_DEFAULTS: {
+    value: {
+      SampleRate: '16000',
+    },
+    writable: false,
+  },
+  VAD_DEFAULTS: {
+    value: {
+      threshold: 0.02,
+      hangover: 800,
+      maxUtteranceLength: 15000,
+      suppressWhileSpeaking: true,
+      speakingThreshold: 0.1,
+    },
+    writable: false,
+  },
+  EVENTS: {
+    value: {
+      ...Object.getPrototypeOf(AbstractChatbotBackend).EVENTS,
+      responseReady: 'responseReady',
+      responseError: 'responseError',
+      micReady: 'micReady',
+      recordBegin: 'recordBegin',
+      recordEnd: 'recordEnd',
+      micLevel: 'micLevel',
+      speechStart: 'speechStart',
+      speechEnd: 'speechEnd',
+    },
+  },
+});
+
+export default AbstractChatbotBackend;
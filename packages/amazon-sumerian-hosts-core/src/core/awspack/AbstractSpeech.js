@@ -165,6 +165,16 @@ class AbstractSpeech {
     this._speechmarkOffset = offset * 1000; // Store as milliseconds
   }
 
+  /**
+   * Gets the number of seconds of the speech that have been played.
+   *
+   * @readonly
+   * @type {number}
+   */
+  get position() {
+    return this._localTime / 1000;
+  }
+
   /**
    * Emit speechmark messages as they are encountered in sync with audio.
    *
@@ -276,6 +286,31 @@ class AbstractSpeech {
     return this._promise;
   }
 
+  /**
+   * Move playback to a new position in the speech. Speechmarks before the new
+   * position are skipped without being emitted. If the speech is paused it
+   * will continue from the new position when it is resumed.
+   *
+   * @param {number} currentTime - Current global time when seek was called.
+   * @param {number} position - Number of seconds from the start of the speech.
+   */
+  seek(currentTime, position) {
+    const localTime = position * 1000;
+    this._startTime = currentTime - localTime;
+    this._localTime = localTime;
+    this._pauseTime = currentTime;
+
+    this._markIter = this._speechmarks.values();
+    let {value, done} = this._markIter.next();
+
+    while (!done && value.time + this._speechmarkOffset < localTime) {
+      ({value, done} = this._markIter.next());
+    }
+
+    this._currentMark = value;
+    this._done = done;
+  }
+
   /**
    * Cancels playback of the speech at the current time. Cancel the speech promise.
    */
@@ -299,6 +334,19 @@ class AbstractSpeech {
 
     this._playing = false;
   }
+
+  /**
+   * Cancel the speech promise and release any resources held by the speech. The
+   * speech should not be played once it has been discarded.
+   */
+  discard() {
+    if (this._promise) {
+      this._promise.cancel();
+      this._promise = null;
+    }
+
+    this._playing = false;
+  }
 }
 
 export default AbstractSpeech;
@@ -0,0 +1,60 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+/* eslint-disable no-unused-vars */
+import Deferred from '../Deferred';
+
+/**
+ * Base class for objects that turn text and speech options into playable audio
+ * and a list of speechmarks. A provider is used by {@link AbstractTextToSpeechFeature}
+ * to generate speeches, so any service capable of producing audio and speechmarks
+ * can drive lipsync, gestures and point of interest tracking.
+ *
+ * @abstract
+ */
+class AbstractSpeechProvider {
+  /**
+   * Indicates whether or not the provider is capable of generating speeches.
+   *
+   * @readonly
+   * @type {boolean}
+   */
+  get isReady() {
+    return false;
+  }
+
+  /**
+   * Generate the audio for a speech.
+   *
+   * @param {Object} params - Parameters object compatible with Polly.synthesizeSpeech.
+   * @param {string} params.Text - The text of the speech.
+   * @param {string} params.TextType - The type of text, either 'ssml' or 'text'.
+   *
+   * @returns {Deferred} Resolves with an object containing the audio URL.
+   */
+  synthesizeAudio(params) {
+    return Deferred.reject(
+      `${this.constructor.name} does not implement synthesizeAudio.`
+    );
+  }
+
+  /**
+   * Generate the speechmarks for a speech. Speechmarks should follow the format
+   * output by Polly, each containing 'time', 'type', 'start', 'end' and 'value'
+   * properties.
+   *
+   * @param {Object} params - Parameters object compatible with Polly.synthesizeSpeech.
+   * @param {string} params.Text - The text of the speech.
+   * @param {string} params.TextType - The type of text, either 'ssml' or 'text'.
+   * @param {Array.<string>} params.SpeechMarkTypes - The types of speechmarks
+   * to generate.
+   *
+   * @returns {Deferred} Resolves with an array of speechmark objects.
+   */
+  synthesizeSpeechmarks(params) {
+    return Deferred.reject(
+      `${this.constructor.name} does not implement synthesizeSpeechmarks.`
+    );
+  }
+}
+
+export default AbstractSpeechProvider;
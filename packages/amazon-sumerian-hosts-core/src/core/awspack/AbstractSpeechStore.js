@@ -0,0 +1,65 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+/* eslint-disable no-unused-vars */
+import Deferred from '../Deferred';
+
+/**
+ * Base class for persistent storage of generated speech data. A store is used by
+ * {@link AbstractTextToSpeechFeature} to keep speechmarks and audio across page
+ * reloads so they don't need to be generated by the speech provider again.
+ * Values are either speechmark strings in the JSON lines format returned by
+ * Polly or audio Blobs.
+ *
+ * @abstract
+ */
+class AbstractSpeechStore {
+  /**
+   * Retrieve a stored value.
+   *
+   * @param {string} key - The key of the value.
+   *
+   * @returns {Promise} Resolves with the stored value, or undefined if there is
+   * no value stored for the key.
+   */
+  get(key) {
+    return Deferred.reject(`${this.constructor.name} does not implement get.`);
+  }
+
+  /**
+   * Store a value.
+   *
+   * @param {string} key - The key of the value.
+   * @param {(string|Blob)} value - The value to store.
+   *
+   * @returns {Promise} Resolves once the value has been stored.
+   */
+  set(key, value) {
+    return Deferred.reject(`${this.constructor.name} does not implement set.`);
+  }
+
+  /**
+   * Remove a stored value.
+   *
+   * @param {string} key - The key of the value.
+   *
+   * @returns {Promise} Resolves once the value has been removed.
+   */
+  delete(key) {
+    return Deferred.reject(
+      `${this.constructor.name} does not implement delete.`
+    );
+  }
+
+  /**
+   * Remove all stored values.
+   *
+   * @returns {Promise} Resolves once all values have been removed.
+   */
+  clear() {
+    return Deferred.reject(
+      `${this.constructor.name} does not implement clear.`
+    );
+  }
+}
+
+export default AbstractSpeechStore;
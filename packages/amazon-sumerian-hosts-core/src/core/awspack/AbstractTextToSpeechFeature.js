@@ -1,13 +1,18 @@
 // Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
 // SPDX-License-Identifier: MIT-0
 import {compareVersions} from 'compare-versions';
-import AbstractHostFeature from '../AbstractHostFeature';
+import AbstractHostFeature, {UpdatePhases} from '../AbstractHostFeature';
 import AnimationUtils from '../animpack/AnimationUtils';
 import MathUtils from '../MathUtils';
 import Utils from '../Utils';
 import Deferred from '../Deferred';
 import Speech from './AbstractSpeech';
+import ChunkedSpeech from './ChunkedSpeech';
 import TextToSpeechUtils from './TextToSpeechUtils';
+import AbstractSpeechProvider from './AbstractSpeechProvider';
+import PollySpeechProvider from './PollySpeechProvider';
+import SpeechCache from './SpeechCache';
+import AbstractSpeechStore from './AbstractSpeechStore';
 
 /**
  * The Amazon Polly service object.
@@ -44,6 +49,24 @@ const sampleRates = {
 sampleRates.ogg_vorbis = sampleRates.mp3;
 let awsVersion;
 
+/**
+ * Enum for the ways a queued speech can behave if the speaker is busy when it
+ * is added to the queue of an {@link AbstractTextToSpeechFeature}.
+ *
+ * Interrupt - Stop the current speech and play the new speech immediately.
+ * Wait - Play the new speech once all queued speeches of the same or higher
+ * priority have finished.
+ * DropIfBusy - Skip the new speech.
+ *
+ * @readonly
+ * @enum {string}
+ */
+export const SpeechQueuePolicies = {
+  Interrupt: 'Interrupt',
+  Wait: 'Wait',
+  DropIfBusy: 'DropIfBusy',
+};
+
 /**
  * Base class for turning text input into playable audio. There should be one instance
  * per speaker, each instance can play only one piece of text at a time.
@@ -85,7 +108,7 @@ let awsVersion;
  * name of the feature class + '.'.
  * @property {string} [EVENTS.ready=onReadyEvent] - Message that is emitted after
  * [initializeService]{@link AbstractTextToSpeechFeature.initializeService} has been
- * successfully executed.
+ * successfully executed. The message is replayed to listeners added afterwards.
  * @property {string} [EVENTS.play=onPlayEvent] - Message that is emitted after
  * each call to [play]{@link AbstractTextToSpeechFeature#play}. The speech that was played
  * is supplied as an argument to listener functions.
@@ -119,6 +142,16 @@ let awsVersion;
  * each time a ssml speechmark is encountered whose timestamp matches up with
  * the speech audio's current time. The ssml speechmark object is supplied as
  * an argument to listener functions.
+ * @property {string} [EVENTS.queueStart=onQueueStartEvent] - Message that is
+ * emitted each time an entry from the speech queue starts playing. The queue
+ * entry is supplied as an argument to listener functions.
+ * @property {string} [EVENTS.queueFinish=onQueueFinishEvent] - Message that is
+ * emitted each time an entry from the speech queue finishes, whether it reached
+ * the end of playback, was interrupted or failed. The queue entry is supplied
+ * as an argument to listener functions.
+ * @property {string} [EVENTS.queueSkip=onQueueSkipEvent] - Message that is
+ * emitted each time an entry is removed from the speech queue before it started
+ * playing. The queue entry is supplied as an argument to listener functions.
  * @property {Object} SERVICES - AWS services that are necessary for the feature
  * to function.
  * @property {external:Polly} SERVICES.polly - The Polly service that is used
@@ -151,6 +184,18 @@ class AbstractTextToSpeechFeature extends AbstractHostFeature {
    * with.
    * @param {boolean} [options.isGlobal=false] - Whether the audio source should default
    * to global regardless of whether or not it is attached to an object.
+   * @param {AbstractSpeechProvider=} options.provider - The provider used to
+   * generate speech audio and speechmarks. Defaults to a {@link PollySpeechProvider}
+   * using the services stored by [initializeService]{@link AbstractTextToSpeechFeature.initializeService}.
+   * @param {boolean} [options.chunked=false] - Whether speech text should be split
+   * at sentence boundaries and generated in parallel chunks. Chunked speeches
+   * start playing as soon as their first sentence is available.
+   * @param {number} [options.maxCachedSpeeches=100] - The maximum number of
+   * generated speeches to keep in memory. Once the maximum is reached the least
+   * recently used speech is discarded.
+   * @param {AbstractSpeechStore=} options.speechStore - Optional store used to
+   * persist generated speechmarks and audio, such as an {@link IndexedDBSpeechStore}.
+   * Stored speeches are played without using the speech provider.
    */
   constructor(
     host,
@@ -164,13 +209,33 @@ class AbstractTextToSpeechFeature extends AbstractHostFeature {
       minEndMarkDuration: 0.05,
       volume: 1,
       isGlobal: false,
+      provider: undefined,
+      chunked: false,
+      maxCachedSpeeches: 100,
+      speechStore: undefined,
     }
   ) {
     super(host);
 
-    this._speechCache = {};
+    this._speechCache = new SpeechCache({
+      maxEntries:
+        options.maxCachedSpeeches === undefined
+          ? 100
+          : options.maxCachedSpeeches,
+      onRemove: (key, entry) => {
+        this._releaseCacheEntry(entry);
+      },
+    });
+    this._pendingReleases = new Map();
+    this.speechStore = options.speechStore;
+    this._speechBundles = {};
+    this.provider =
+      options.provider || new PollySpeechProvider(this.constructor);
     this._currentSpeech = null;
     this._currentPromise = null;
+    this._speechQueue = [];
+    this._queueEntry = null;
+    this._queuePromise = null;
     this._isValidated = false;
     this.speechmarkOffset = Number.isNaN(Number(options.speechmarkOffset))
       ? 0
@@ -182,6 +247,7 @@ class AbstractTextToSpeechFeature extends AbstractHostFeature {
       ? 1
       : Number(options.volume);
     this._isGlobal = options.isGlobal || false;
+    this._chunked = options.chunked || false;
     this._promises = {
       volume: Deferred.resolve(),
     };
@@ -294,8 +360,10 @@ class AbstractTextToSpeechFeature extends AbstractHostFeature {
           availableLanguageCodes[code] = name;
         });
 
-        // Notify that we're ready to generate speeches
+        // Notify that we're ready to generate speeches, listeners added after
+        // initialization still receive the message
         this._isReady = true;
+        this.enableReplay(this.EVENTS.ready);
         this.emit(this.EVENTS.ready);
       });
   }
@@ -312,6 +380,86 @@ class AbstractTextToSpeechFeature extends AbstractHostFeature {
     return this._isReady;
   }
 
+  /**
+   * Gets and sets the provider used to generate speech audio and speechmarks.
+   * Setting a new provider clears any speeches that were generated by the
+   * previous provider.
+   *
+   * @type {AbstractSpeechProvider}
+   */
+  get provider() {
+    return this._provider;
+  }
+
+  set provider(provider) {
+    if (!(provider instanceof AbstractSpeechProvider)) {
+      throw new Error(
+        `Cannot set speech provider on host ${this._host.id}. Provider must extend AbstractSpeechProvider.`
+      );
+    }
+
+    if (this._provider !== undefined && this._provider !== provider) {
+      this._speechCache.clear();
+    }
+
+    this._provider = provider;
+  }
+
+  /**
+   * Gets and sets whether speech text should be split at sentence boundaries
+   * and generated in parallel chunks. Changing the value clears any speeches
+   * that were already generated.
+   *
+   * @type {boolean}
+   */
+  get chunked() {
+    return this._chunked;
+  }
+
+  set chunked(chunked) {
+    chunked = !!chunked;
+
+    if (chunked !== this._chunked) {
+      this._speechCache.clear();
+    }
+
+    this._chunked = chunked;
+  }
+
+  /**
+   * Gets and sets the maximum number of generated speeches to keep in memory.
+   * Once the maximum is reached the least recently used speech is discarded.
+   *
+   * @type {number}
+   */
+  get maxCachedSpeeches() {
+    return this._speechCache.maxEntries;
+  }
+
+  set maxCachedSpeeches(maxEntries) {
+    this._speechCache.maxEntries = maxEntries;
+  }
+
+  /**
+   * Gets and sets the store used to persist generated speechmarks and audio.
+   * Can be undefined if speeches should only be cached in memory.
+   *
+   * @type {(AbstractSpeechStore|undefined)}
+   */
+  get speechStore() {
+    return this._speechStore;
+  }
+
+  set speechStore(store) {
+    if (store !== undefined && !(store instanceof AbstractSpeechStore)) {
+      throw new Error(
+        `Cannot set speech store on host ${this._host.id}. Store must extend AbstractSpeechStore.`
+      );
+    }
+
+    this._speechStore = store;
+  }
+
   /**
    * Gets the text of the currently playing speech.
    *
@@ -406,17 +554,18 @@ class AbstractTextToSpeechFeature extends AbstractHostFeature {
    *
    * @private
    *
-   * @param {string} engine - The type of Polly voice engine to validate.
+   * @param {number} rate - The audio sampling rate to validate.
+   * @param {string} [format=this._audioFormat] - The audio format to validate
+   * against.
+   * @param {string} [engine=this._engine] - The Polly engine to use the default
+   * sample rate of.
    *
    * @returns {string}
    */
-  _validateRate(rate) {
+  _validateRate(rate, format = this._audioFormat, engine = this._engine) {
     // Use default if specified sample rate is not valid for the audio format
-    if (
-      rate === undefined ||
-      !sampleRates[this._audioFormat].rates.includes(rate)
-    ) {
-      rate = sampleRates[this._audioFormat].defaults[this._engine];
+    if (rate === undefined || !sampleRates[format].rates.includes(rate)) {
+      rate = sampleRates[format].defaults[engine];
     }
 
     return rate;
@@ -428,15 +577,17 @@ class AbstractTextToSpeechFeature extends AbstractHostFeature {
    *
    * @private
    *
-   * @param {string} engine - The type of Polly voice engine to validate.
+   * @param {string} voiceId - The Polly voice id to validate.
+   * @param {string} [engine=this._engine] - The Polly engine to validate
+   * against.
    *
    * @returns {string}
    */
-  _validateVoice(voiceId) {
+  _validateVoice(voiceId, engine = this._engine) {
     const voice = this.constructor.POLLY_VOICES.find(v => v.Id === voiceId);
 
     // Use the default voice if the voice isn't supported by the engine
-    if (voice === undefined || !voice.SupportedEngines.includes(this._engine)) {
+    if (voice === undefined || !voice.SupportedEngines.includes(engine)) {
       voiceId = this.constructor.POLLY_DEFAULTS.VoiceId;
     }
 
@@ -449,12 +600,14 @@ class AbstractTextToSpeechFeature extends AbstractHostFeature {
    *
    * @private
    *
-   * @param {string} engine - The type of Polly voice engine to validate.
+   * @param {string} language - The Polly language to validate.
+   * @param {string} [voiceId=this._voice] - The Polly voice to validate
+   * against.
    *
    * @returns {string}
    */
-  _validateLanguage(language) {
-    const voice = this.constructor.POLLY_VOICES.find(v => v.Id === this._voice);
+  _validateLanguage(language, voiceId = this._voice) {
+    const voice = this.constructor.POLLY_VOICES.find(v => v.Id === voiceId);
     const languageCode = this.constructor.POLLY_LANGUAGES[language];
 
     // Find the languages available for the current voice
@@ -511,19 +664,56 @@ class AbstractTextToSpeechFeature extends AbstractHostFeature {
   }
 
   /**
-   * Update Polly parameters with options from a given config. All stored speeches
-   * will be updated to use the new parameters, unless the speech text is contained
-   * in the 'skipSpeeches' parameter.
+   * Return an object containing parameters compatible with Polly.synthesizeSpeech
+   * for the current Polly parameters overridden by options from a given config.
+   * Unlike [_updateConfig]{@link AbstractTextToSpeechFeature#_updateConfig},
+   * the speaker's parameters are not changed.
+   *
+   * @private
+   *
+   * @param {Object=} config - Polly parameter options to override.
+   *
+   * @returns {Object}
+   */
+  _resolveConfig(config) {
+    if (!config) {
+      return this._getConfig();
+    }
+
+    let engine = config.Engine || this._engine;
+    let audioFormat = config.audioFormat || this._audioFormat;
+    let sampleRate = config.SampleRate || this._sampleRate;
+    let voice = config.VoiceId || this._voice;
+    let language = config.Language || this._language;
+
+    if (this.constructor.isReady) {
+      engine = this._validateEngine(engine);
+      audioFormat = this._validateFormat(audioFormat);
+      sampleRate = this._validateRate(sampleRate, audioFormat, engine);
+      voice = this._validateVoice(voice, engine);
+      language = this._validateLanguage(language, voice);
+    }
+
+    return {
+      Engine: engine,
+      OutputFormat: audioFormat,
+      SampleRate: sampleRate,
+      VoiceId: voice,
+      LanguageCode: this.constructor.POLLY_LANGUAGES[language],
+    };
+  }
+
+  /**
+   * Update Polly parameters with options from a given config. Cached speeches
+   * are stored per set of parameters, so they don't need to be regenerated.
    *
    * @private
    *
    * @param {Object} config - Polly parameter options to overwrite.
-   * @param {Array.<string>} skipSpeeches - Text of any speeches that should not
-   * have parameters updated.
    *
    * @returns {Object}
    */
-  _updateConfig(config, skipSpeeches = []) {
+  _updateConfig(config) {
     const currentConfig = this._getConfig();
     if (!config) {
       return currentConfig;
@@ -556,56 +746,138 @@ class AbstractTextToSpeechFeature extends AbstractHostFeature {
     // Validate the config
     const validConfig = this._getConfig();
 
-    // Exit if nothing has changed
-    const configStr = JSON.stringify(validConfig);
-    if (currentConfigStr === configStr) {
+    // Skip validation next time if nothing has changed
+    if (currentConfigStr === JSON.stringify(validConfig)) {
       this._isValidated = true;
-      return validConfig;
     }
 
-    // Update all cached configs
-    Object.entries(this._speechCache).forEach(([text, speech]) => {
-      // Check if this is a skipped speech
-      if (skipSpeeches.includes(text)) {
-        return;
-      }
+    return validConfig;
+  }
 
-      const speechConfigStr = JSON.stringify(speech.config);
+  /**
+   * Return the key a speech is stored with in the speech cache. Bundled speeches
+   * are stored by text alone since they can't be regenerated with new parameters.
+   *
+   * @private
+   *
+   * @param {string} text - The text of the speech.
+   * @param {Object=} config - Polly parameter options of the speech.
+   *
+   * @returns {string}
+   */
+  _getCacheKey(text, config) {
+    return this._speechBundles[text] !== undefined
+      ? SpeechCache.getKey(text)
+      : SpeechCache.getKey(text, config);
+  }
 
-      // Update the speech with new parameters
-      if (speechConfigStr !== configStr) {
-        this._updateSpeech(text, validConfig);
+  /**
+   * Release resources held by a speech cache entry once it is removed from the
+   * cache. If the entry's speech is the current speech, its resources are
+   * released once the speech stops or is interrupted.
+   *
+   * @private
+   *
+   * @param {Object} entry - The speech cache entry.
+   */
+  _releaseCacheEntry(entry) {
+    const release = () => {
+      (entry.objectUrls || []).forEach(url => {
+        URL.revokeObjectURL(url);
+      });
+    };
+
+    entry.promise.then(speech => {
+      if (speech === this._currentSpeech && this._speechCache !== undefined) {
+        this._pendingReleases.set(speech, release);
+      } else {
+        release();
       }
-    });
+    }, release);
+  }
 
-    return validConfig;
+  /**
+   * Release the resources of a speech whose cache entry was removed while the
+   * speech was in use.
+   *
+   * @private
+   *
+   * @param {AbstractSpeech} speech - The speech that is no longer in use.
+   */
+  _releaseSpeech(speech) {
+    const release = this._pendingReleases.get(speech);
+
+    if (release !== undefined) {
+      this._pendingReleases.delete(speech);
+      release();
+    }
   }
 
   /**
-   * Update an existing speech, or add a new speech with new Polly parameters with
-   * options from a given config.
+   * Return the speech cache entry for the given text and parameters, generating
+   * a new speech if it isn't cached yet.
    *
    * @private
    *
    * @param {string} text - The text of the speech to update.
-   * @param {Object} config - Polly parameter options to update.
-   * @param {boolean} [force=false] - Whether to force the speech to be updated
-   * if no parameters have changes.
+   * @param {Object} config - Polly parameter options of the speech.
+   * @param {boolean} [force=false] - Whether to force the speech to be generated
+   * again if it is already cached.
    *
-   * @returns {AbstractSpeech}
+   * @returns {Object} A speech cache entry containing the speech config and a
+   * promise that resolves with the speech.
    */
   _updateSpeech(text, config, force = false) {
-    const speech = this._speechCache[text] || {};
-    // Exit if nothing has changed and force is false
-    if (
-      !force &&
-      config !== undefined &&
-      speech.config &&
-      JSON.stringify(config) === JSON.stringify(speech.config)
-    ) {
-      return speech;
+    const key = this._getCacheKey(text, config);
+    const bundle = this._speechBundles[text];
+
+    // Exit if the speech has already been generated and force is false
+    if (!force && this._speechCache.has(key)) {
+      return this._speechCache.get(key);
+    }
+
+    const speech = {
+      config: bundle !== undefined && bundle.config ? bundle.config : config,
+      objectUrls: [],
+    };
+
+    // Split the text into sentences if needed
+    const chunks =
+      this._chunked && bundle === undefined
+        ? TextToSpeechUtils.splitSentences(text)
+        : [text];
+
+    if (chunks.length > 1) {
+      // Generate all chunks in parallel, start once the first is available
+      const chunkPromises = chunks.map(chunk =>
+        this._synthesizeSpeech(chunk, config, speech)
+      );
+      speech.chunked = true;
+      speech.promise = chunkPromises[0].then(() =>
+        this._createChunkedSpeech(text, chunkPromises)
+      );
+    } else {
+      speech.promise = this._synthesizeSpeech(text, config, speech);
     }
+    this._speechCache.set(key, speech);
 
+    return speech;
+  }
+
+  /**
+   * Generate audio and speechmarks for the given text and create a new Speech
+   * object from them.
+   *
+   * @private
+   *
+   * @param {string} text - The text of the speech.
+   * @param {Object} config - Polly parameter options to generate the speech with.
+   * @param {Object=} cacheEntry - Optional speech cache entry to store the
+   * generated audio URL on. The URL is not stored for chunks of chunked speeches.
+   *
+   * @returns {Promise} Resolves with the new Speech.
+   */
+  _synthesizeSpeech(text, config, cacheEntry) {
     // Create separate parameters for audio and speechmark generation
     const audioParams = {
       ...config,
@@ -619,16 +891,24 @@ class AbstractTextToSpeechFeature extends AbstractHostFeature {
     };
 
     // Generate audio and speechmarks
-    speech.config = config;
-    speech.promise = Promise.all([
+    return Promise.all([
       this._synthesizeSpeechmarks(speechmarkParams),
       this._synthesizeAudio(audioParams),
     ]).then(results => {
+      if (cacheEntry !== undefined) {
+        const {url, isObjectUrl} = results[1];
+
+        if (isObjectUrl) {
+          cacheEntry.objectUrls.push(url);
+        }
+
+        if (!cacheEntry.chunked) {
+          cacheEntry.url = url;
+        }
+      }
+
       return this._createSpeech(text, ...results);
     });
-    this._speechCache[text] = speech;
-
-    return speech;
   }
 
   /**
@@ -647,6 +927,21 @@ class AbstractTextToSpeechFeature extends AbstractHostFeature {
     return new Speech(this, text, speechmarks, audioConfig);
   }
 
+  /**
+   * Create a new Speech object that plays a sequence of speeches as one.
+   *
+   * @private
+   *
+   * @param {string} text - Text of the speech.
+   * @param {Array.<Promise>} chunks - Promises that resolve with the speeches
+   * to play, in order.
+   *
+   * @returns {ChunkedSpeech}
+   */
+  _createChunkedSpeech(text, chunks) {
+    return new ChunkedSpeech(this, text, chunks);
+  }
+
   /**
    * Create presigned URL of speech audio for the given speech text.
    *
@@ -657,17 +952,32 @@ class AbstractTextToSpeechFeature extends AbstractHostFeature {
    * @returns {Deferred} Resolves with an object containing the audio URL.
    */
   _synthesizeAudio(params) {
-    return new Deferred((resolve, reject) => {
-      this.constructor.SERVICES.presigner.getSynthesizeSpeechUrl(
-        params,
-        function(error, url) {
-          if (!error) {
-            resolve({url});
-          } else {
-            reject(error);
-          }
-        }
-      );
+    const bundle = this._speechBundles[params && params.Text];
+
+    if (bundle !== undefined) {
+      return Deferred.resolve({url: bundle.url});
+    }
+
+    if (this._speechStore === undefined) {
+      return this._provider.synthesizeAudio(params);
+    }
+
+    // Use stored audio if possible, otherwise download and store the new audio
+    const key = this._getStoreKey(params);
+    return this._readStore(key).then(stored => {
+      if (stored instanceof Blob) {
+        return {url: URL.createObjectURL(stored), isObjectUrl: true};
+      }
+
+      return this._provider
+        .synthesizeAudio(params)
+        .then(result => fetch(result.url))
+        .then(response => response.blob())
+        .then(audio => {
+          this._writeStore(key, audio);
+
+          return {url: URL.createObjectURL(audio), isObjectUrl: true};
+        });
     });
   }
 
@@ -681,90 +991,132 @@ class AbstractTextToSpeechFeature extends AbstractHostFeature {
    * @returns {Deferred} Resolves with an array of speechmark objects
    */
   _synthesizeSpeechmarks(params) {
-    return this.constructor.SERVICES.polly
-      .synthesizeSpeech(params)
-      .promise()
-      .then(result => {
-        // Convert charcodes to string
-        const jsonString = JSON.stringify(result.AudioStream);
-        const json = JSON.parse(jsonString);
-        const dataStr = json.data.map(c => String.fromCharCode(c)).join('');
-
-        const markTypes = {
-          sentence: [],
-          word: [],
-          viseme: [],
-          ssml: [],
-        };
-        const endMarkTypes = {
-          sentence: null,
-          word: null,
-          viseme: null,
-          ssml: null,
-        };
+    const bundle = this._speechBundles[params && params.Text];
+    let promise;
 
-        // Split by enclosing {} to create speechmark objects
-        const speechMarks = [...dataStr.matchAll(/\{.*?\}(?=\n|$)/gm)].map(
-          match => {
-            const mark = JSON.parse(match[0]);
+    if (bundle !== undefined) {
+      promise = Deferred.resolve(bundle.speechmarks.map(mark => ({...mark})));
+    } else if (this._speechStore === undefined) {
+      promise = this._provider.synthesizeSpeechmarks(params);
+    } else {
+      // Use stored speechmarks if possible, otherwise store the new speechmarks
+      const key = this._getStoreKey(params);
+      promise = this._readStore(key).then(stored => {
+        if (typeof stored === 'string') {
+          return TextToSpeechUtils.parseSpeechmarks(stored);
+        }
 
-            // Set the duration of the last speechmark stored matching this one's type
-            const numMarks = markTypes[mark.type].length;
-            if (numMarks > 0) {
-              const lastMark = markTypes[mark.type][numMarks - 1];
-              lastMark.duration = mark.time - lastMark.time;
-            }
+        return this._provider.synthesizeSpeechmarks(params).then(marks => {
+          this._writeStore(key, TextToSpeechUtils.stringifySpeechmarks(marks));
 
-            markTypes[mark.type].push(mark);
-            endMarkTypes[mark.type] = mark;
-            return mark;
-          }
-        );
+          return marks;
+        });
+      });
+    }
 
-        // Find the time of the latest speechmark
-        const endTimes = [];
-        if (endMarkTypes.sentence) {
-          endTimes.push(endMarkTypes.sentence.time);
-        }
-        if (endMarkTypes.word) {
-          endTimes.push(endMarkTypes.word.time);
-        }
-        if (endMarkTypes.viseme) {
-          endTimes.push(endMarkTypes.viseme.time);
-        }
-        if (endMarkTypes.ssml) {
-          endTimes.push(endMarkTypes.ssml.time);
-        }
-        const endTime = Math.max(...endTimes);
+    return promise.then(speechMarks =>
+      this._setSpeechmarkDurations(speechMarks)
+    );
+  }
 
-        // Calculate duration for the ending speechMarks of each type
-        if (endMarkTypes.sentence) {
-          endMarkTypes.sentence.duration = Math.max(
-            this._minEndMarkDuration,
-            endTime - endMarkTypes.sentence.time
-          );
-        }
-        if (endMarkTypes.word) {
-          endMarkTypes.word.duration = Math.max(
-            this._minEndMarkDuration,
-            endTime - endMarkTypes.word.time
-          );
-        }
-        if (endMarkTypes.viseme) {
-          endMarkTypes.viseme.duration = Math.max(
-            this._minEndMarkDuration,
-            endTime - endMarkTypes.viseme.time
-          );
-        }
-        if (endMarkTypes.ssml) {
-          endMarkTypes.ssml.duration = Math.max(
-            this._minEndMarkDuration,
-            endTime - endMarkTypes.ssml.time
-          );
-        }
+  /**
+   * Return the key used to persist generated speech data in the speech store.
+   *
+   * @private
+   *
+   * @param {Object} params - Parameters object compatible with Polly.synthesizeSpeech.
+   *
+   * @returns {string}
+   */
+  _getStoreKey(params) {
+    const {Text, ...config} = params;
 
-        return speechMarks;
-      });
+    return SpeechCache.getKey(Text, {
+      ...config,
+      Provider: this._provider.constructor.name,
+    });
+  }
+
+  /**
+   * Read a value from the speech store. Errors are logged rather than thrown so
+   * speeches can still be generated if the store is unavailable.
+   *
+   * @private
+   *
+   * @param {string} key - The key of the value.
+   *
+   * @returns {Promise} Resolves with the stored value or undefined.
+   */
+  _readStore(key) {
+    return Promise.resolve(this._speechStore.get(key)).catch(e => {
+      console.warn(
+        `Cannot read from speech store on host ${this._host.id}. ${e}`
+      );
+      return undefined;
+    });
+  }
+
+  /**
+   * Write a value to the speech store. Errors are logged rather than thrown so
+   * speeches can still be played if the store is unavailable.
+   *
+   * @private
+   *
+   * @param {string} key - The key of the value.
+   * @param {(string|Blob)} value - The value to store.
+   *
+   * @returns {Promise} Resolves once the value has been written.
+   */
+  _writeStore(key, value) {
+    return Promise.resolve(this._speechStore.set(key, value)).catch(e => {
+      console.warn(
+        `Cannot write to speech store on host ${this._host.id}. ${e}`
+      );
+    });
+  }
+
+  /**
+   * Set the duration property on each speechmark in the given array. Each mark
+   * lasts until the next mark of the same type, the last mark of each type lasts
+   * until the time of the latest speechmark.
+   *
+   * @private
+   *
+   * @param {Array.<Object>} speechMarks - Array of speechmark objects ordered
+   * by time.
+   *
+   * @returns {Array.<Object>}
+   */
+  _setSpeechmarkDurations(speechMarks) {
+    const markTypes = {};
+
+    speechMarks.forEach(mark => {
+      if (markTypes[mark.type] === undefined) {
+        markTypes[mark.type] = [];
+      }
+
+      // Set the duration of the last speechmark stored matching this one's type
+      const numMarks = markTypes[mark.type].length;
+      if (numMarks > 0) {
+        const lastMark = markTypes[mark.type][numMarks - 1];
+        lastMark.duration = mark.time - lastMark.time;
+      }
+
+      markTypes[mark.type].push(mark);
+    });
+
+    // Find the time of the latest speechmark
+    const endMarks = Object.values(markTypes).map(
+      marks => marks[marks.length - 1]
+    );
+    const endTime = Math.max(...endMarks.map(mark => mark.time));
+
+    // Calculate duration for the ending speechMarks of each type
+    endMarks.forEach(mark => {
+      mark.duration = Math.max(this._minEndMarkDuration, endTime - mark.time);
+    });
+
+    return speechMarks;
   }
 
   /**
@@ -774,13 +1126,21 @@ class AbstractTextToSpeechFeature extends AbstractHostFeature {
    *
    * @param {string} text - The text content of the Speech.
    * @param {Object=} config - Options to update the Speech with.
+   * @param {Object=} speechConfig - Parameters compatible with
+   * Polly.synthesizeSpeech to generate the Speech with. If defined, config is
+   * ignored and the speaker's parameters are not changed.
    *
    * @returns {Deferred} Resolves with Speech or null;
    */
-  _getSpeech(text, config) {
-    // Make sure AWS services exist
-    if (!this.constructor.isReady) {
-      const e = 'AWS services have not been initialized.';
+  _getSpeech(text, config, speechConfig) {
+    const validText = text ? TextToSpeechUtils.validateText(text) : text;
+
+    // Make sure the provider can generate speeches, unless the speech is bundled
+    if (!this._provider.isReady && !this._speechBundles[validText]) {
+      const e =
+        this._provider instanceof PollySpeechProvider
+          ? 'AWS services have not been initialized.'
+          : `Speech provider ${this._provider.constructor.name} is not ready.`;
       return Deferred.reject(e);
     }
 
@@ -791,12 +1151,159 @@ class AbstractTextToSpeechFeature extends AbstractHostFeature {
     }
 
     // Update the speech with options
-    text = TextToSpeechUtils.validateText(text);
-    config = this._updateConfig(config, text);
+    text = validText;
+    config = speechConfig || this._updateConfig(config);
 
     return this._updateSpeech(text, config).promise;
   }
 
+  /**
+   * Generate speeches ahead of time so they can be played without waiting for
+   * the speech provider. Speeches are kept in the speech cache, and in the speech
+   * store if one is defined. Unlike [play]{@link AbstractTextToSpeechFeature#play},
+   * the config does not change the speaker's current speech parameters.
+   *
+   * @param {Array.<string>} texts - The texts of the speeches to generate.
+   * @param {Object=} config - Optional parameters for the speeches.
+   *
+   * @returns {Deferred} Resolves with an array of the generated speeches.
+   */
+  prefetch(texts, config) {
+    if (!Array.isArray(texts)) {
+      return Deferred.reject(
+        `Cannot prefetch speeches on host ${this._host.id}. Texts must be an array of strings.`
+      );
+    }
+
+    const speechConfig = this._resolveConfig(config);
+
+    return Deferred.all(
+      texts.map(text => this._getSpeech(text, undefined, speechConfig))
+    );
+  }
+
+  /**
+   * Store a pre-generated speech so it can be played without using the speech
+   * provider. Bundled speeches will play, emit speechmark events and be updated
+   * exactly as generated speeches do, but will not be regenerated when speech
+   * parameters change.
+   *
+   * @param {Object} bundle - The speech bundle to load.
+   * @param {string} bundle.ssml - The source SSML text of the speech. Speeches
+   * played with matching text will use the bundle.
+   * @param {(string|Array.<Object>)} bundle.speechmarks - Speechmarks for the speech,
+   * either in the JSON lines format returned by Polly or as an array of speechmark
+   * objects.
+   * @param {(string|Blob)} bundle.audio - URL of the speech audio file, or a Blob
+   * containing the audio data.
+   * @param {Object=} bundle.config - Optional parameters the speech was generated
+   * with.
+   *
+   * @returns {Promise} Resolves with the speech once its audio has loaded.
+   */
+  loadBundle(bundle) {
+    const {ssml, speechmarks, audio, config} = bundle || {};
+
+    if (!ssml) {
+      return Deferred.reject(
+        `Cannot load speech bundle on host ${this._host.id}. Bundle must define ssml text.`
+      );
+    }
+
+    if (typeof speechmarks !== 'string' && !Array.isArray(speechmarks)) {
+      return Deferred.reject(
+        `Cannot load speech bundle on host ${this._host.id}. Bundle speechmarks must be a string or an array.`
+      );
+    }
+
+    if (typeof audio !== 'string' && !(audio instanceof Blob)) {
+      return Deferred.reject(
+        `Cannot load speech bundle on host ${this._host.id}. Bundle audio must be a URL or a Blob.`
+      );
+    }
+
+    const text = TextToSpeechUtils.validateText(ssml);
+
+    // Release any bundle that was already stored for the text
+    if (this._speechBundles[text] !== undefined) {
+      this.unloadBundle(text);
+    }
+
+    this._speechBundles[text] = {
+      speechmarks:
+        typeof speechmarks === 'string'
+          ? TextToSpeechUtils.parseSpeechmarks(speechmarks)
+          : speechmarks,
+      url: typeof audio === 'string' ? audio : URL.createObjectURL(audio),
+      isObjectUrl: typeof audio !== 'string',
+      config,
+    };
+
+    return this._updateSpeech(text, this._getConfig(), true).promise;
+  }
+
+  /**
+   * Remove a speech bundle that was stored with [loadBundle]{@link AbstractTextToSpeechFeature#loadBundle}.
+   * Future speeches with matching text will be generated with the speech provider.
+   *
+   * @param {string} ssml - The source SSML text of the bundle.
+   *
+   * @returns {boolean} Whether or not a bundle was removed.
+   */
+  unloadBundle(ssml) {
+    const text = TextToSpeechUtils.validateText(ssml);
+    const bundle = this._speechBundles[text];
+
+    if (bundle === undefined) {
+      return false;
+    }
+
+    if (bundle.isObjectUrl) {
+      URL.revokeObjectURL(bundle.url);
+    }
+
+    this._speechCache.delete(this._getCacheKey(text));
+    delete this._speechBundles[text];
+
+    return true;
+  }
+
+  /**
+   * Generate a speech bundle for the given text that can be stored and later
+   * played offline using [loadBundle]{@link AbstractTextToSpeechFeature#loadBundle}.
+   *
+   * @param {string} text - The text of the speech to export.
+   * @param {Object=} config - Optional parameters for the speech.
+   *
+   * @returns {Promise} Resolves with a bundle object containing the speech's
+   * ssml text, speechmarks in JSON lines format, audio Blob and config.
+   */
+  exportBundle(text, config) {
+    return this._getSpeech(text, config).then(speech => {
+      // The speech is generated again if it was evicted from the cache
+      const cached = this._updateSpeech(speech.text, this._getConfig());
+
+      return cached.promise.then(() => {
+        if (cached.url === undefined) {
+          throw new Error(
+            `Cannot export speech bundle on host ${this._host.id}. Chunked speeches cannot be exported.`
+          );
+        }
+
+        return fetch(cached.url)
+          .then(response => response.blob())
+          .then(audio => ({
+            ssml: speech.text,
+            speechmarks: TextToSpeechUtils.stringifySpeechmarks(
+              speech.speechmarks
+            ),
+            audio,
+            config: {...cached.config},
+          }));
+      });
+    });
+  }
+
   /**
    * Adds a namespace to the host with the name of the feature to contain properties
    * and methods from the feature that users of the host need access to.
@@ -867,6 +1374,55 @@ class AbstractTextToSpeechFeature extends AbstractHostFeature {
        * @see AbstractTextToSpeechFeature#resumeVolume
        */
       resumeVolume: this.resumeVolume.bind(this),
+      /**
+       * @memberof TextToSpeechFeature
+       * @instance
+       * @method
+       * @see AbstractTextToSpeechFeature#loadBundle
+       */
+      loadBundle: this.loadBundle.bind(this),
+      /**
+       * @memberof TextToSpeechFeature
+       * @instance
+       * @method
+       * @see AbstractTextToSpeechFeature#unloadBundle
+       */
+      unloadBundle: this.unloadBundle.bind(this),
+      /**
+       * @memberof TextToSpeechFeature
+       * @instance
+       * @method
+       * @see AbstractTextToSpeechFeature#exportBundle
+       */
+      exportBundle: this.exportBundle.bind(this),
+      /**
+       * @memberof TextToSpeechFeature
+       * @instance
+       * @method
+       * @see AbstractTextToSpeechFeature#prefetch
+       */
+      prefetch: this.prefetch.bind(this),
+      /**
+       * @memberof TextToSpeechFeature
+       * @instance
+       * @method
+       * @see AbstractTextToSpeechFeature#enqueue
+       */
+      enqueue: this.enqueue.bind(this),
+      /**
+       * @memberof TextToSpeechFeature
+       * @instance
+       * @method
+       * @see AbstractTextToSpeechFeature#playNext
+       */
+      playNext: this.playNext.bind(this),
+      /**
+       * @memberof TextToSpeechFeature
+       * @instance
+       * @method
+       * @see AbstractTextToSpeechFeature#clearQueue
+       */
+      clearQueue: this.clearQueue.bind(this),
     });
 
     Object.defineProperties(api, {
@@ -881,6 +1437,14 @@ class AbstractTextToSpeechFeature extends AbstractHostFeature {
           this.speechmarkOffset = offset;
         },
       },
+      /**
+       * @memberof TextToSpeechFeature
+       * @instance
+       * @see AbstractTextToSpeechFeature#queue
+       */
+      queue: {
+        get: () => this.queue,
+      },
     });
 
     return api;
@@ -966,6 +1530,80 @@ class AbstractTextToSpeechFeature extends AbstractHostFeature {
     return this.volumePending;
   }
 
+  /**
+   * Return a JSON compatible description of the feature's speech options. The
+   * provider and speech store can't be described in JSON, pass them to
+   * [HostBuilder.build]{@link HostBuilder#build} with the featureArgs option.
+   *
+   * @returns {Object} An object with the signature {type: string, args: Array}.
+   */
+  getDefinition() {
+    return {
+      ...super.getDefinition(),
+      args: [
+        {
+          voice: this._voice,
+          engine: this._engine,
+          language: this._language,
+          audioFormat: this._audioFormat,
+          sampleRate: this._sampleRate,
+          speechmarkOffset: this.speechmarkOffset,
+          minEndMarkDuration: this.minEndMarkDuration,
+          volume: this.volume,
+          isGlobal: this._isGlobal,
+          chunked: this.chunked,
+          maxCachedSpeeches: this.maxCachedSpeeches,
+        },
+      ],
+    };
+  }
+
+  /**
+   * Return a JSON compatible snapshot of the speaker's volume and of the text,
+   * playback position and paused flag of the current speech. The speech is
+   * null if there is no current speech.
+   *
+   * @returns {Object} An object with the signature {volume: number, speech: (Object|null)}.
+   */
+  serializeState() {
+    const state = {volume: this._volume, speech: null};
+
+    if (this._currentSpeech) {
+      state.speech = {
+        text: this._currentSpeech.text,
+        position: this._currentSpeech.position,
+        paused: !this._currentSpeech.playing,
+      };
+    }
+
+    return state;
+  }
+
+  /**
+   * Apply a snapshot returned by [serializeState]{@link AbstractTextToSpeechFeature#serializeState}.
+   * The speech is played with the current speech parameters and moved to the
+   * restored position once it has been generated.
+   *
+   * @param {Object} state - The snapshot to apply.
+   */
+  restoreState(state) {
+    if (state.volume !== undefined) {
+      this.setVolume(state.volume);
+    }
+
+    if (state.speech) {
+      const {text, position, paused} = state.speech;
+      this._startSpeech(text, undefined, 'play', {position, paused}).catch(
+        e => {
+          console.warn(`Did not restore speech on host ${this._host.id}. ${e}`);
+        }
+      );
+    } else if (state.speech === null && this._currentSpeech) {
+      this._currentSpeech.cancel();
+      this._currentSpeech = null;
+    }
+  }
+
   /**
    * Update the currently playing speech.
    *
@@ -976,6 +1614,15 @@ class AbstractTextToSpeechFeature extends AbstractHostFeature {
       this._promises.volume.execute(deltaTime);
     }
 
+    // Start queued speeches that were waiting on speeches played outside the queue
+    if (
+      this._queueEntry === null &&
+      this._speechQueue.length &&
+      !this._isSpeaking()
+    ) {
+      this._startQueueEntry();
+    }
+
     if (this._currentSpeech && this._currentSpeech.playing) {
       this._currentSpeech.volume = this._volume;
       this._currentSpeech.update(this._host.now);
@@ -1006,8 +1653,13 @@ class AbstractTextToSpeechFeature extends AbstractHostFeature {
    * @param {Object=} config - Optional parameters for the speech.
    * @param {string} [playMethod = 'play'] - Method to execute on the resulting
    * Speech object. Valid options are 'play' and 'resume'.
+   * @param {Object=} options - Optional playback options.
+   * @param {number=} options.position - Number of seconds into the speech to
+   * start playback from.
+   * @param {boolean} [options.paused=false] - Whether or not to pause the speech
+   * once it has started.
    */
-  _startSpeech(text, config, playMethod = 'play') {
+  _startSpeech(text, config, playMethod = 'play', {position, paused} = {}) {
     // If no text is provided, try to use the current speech
     if (text === undefined && playMethod === 'resume' && this._currentSpeech) {
       text = this._currentSpeech.text;
@@ -1045,6 +1697,7 @@ class AbstractTextToSpeechFeature extends AbstractHostFeature {
         const onFinish = () => {
           this._currentSpeech = null;
           this._currentPromise = null;
+          this._releaseSpeech(speech);
         };
 
         // Cancel the currently playing speech
@@ -1068,6 +1721,14 @@ class AbstractTextToSpeechFeature extends AbstractHostFeature {
           onFinish,
           onFinish
         );
+
+        if (position !== undefined) {
+          speech.seek(this._host.now, position);
+        }
+
+        if (paused) {
+          speech.pause(this._host.now);
+        }
         currentPromise.speech
           .then(() => {
             if (currentPromise.speech.resolved) {
@@ -1141,12 +1802,245 @@ class AbstractTextToSpeechFeature extends AbstractHostFeature {
     }
   }
 
+  /**
+   * Gets a copy of the list of queue entries that are waiting to be played, in
+   * the order they will be played. Each entry contains the 'text', 'config',
+   * 'priority' and 'policy' it was enqueued with and the 'promise' that was
+   * returned by [enqueue]{@link AbstractTextToSpeechFeature#enqueue}.
+   *
+   * @readonly
+   * @type {Array.<Object>}
+   */
+  get queue() {
+    return [...this._speechQueue];
+  }
+
+  /**
+   * Gets whether or not a speech is currently playing, paused or loading,
+   * either from the queue or from a direct call to play or resume.
+   *
+   * @private
+   *
+   * @returns {boolean}
+   */
+  _isSpeaking() {
+    return (
+      this._queueEntry !== null ||
+      !!(this._currentPromise && this._currentPromise.play.pending) ||
+      !!(this._currentSpeech && this._currentSpeech.playing)
+    );
+  }
+
+  /**
+   * Remove the next entry from the queue and play it, interrupting any speech
+   * that is currently playing.
+   *
+   * @private
+   */
+  _startQueueEntry() {
+    const entry = this._speechQueue.shift();
+
+    if (entry === undefined) {
+      return;
+    }
+
+    // Interrupt speeches that were played outside the queue
+    if (this._currentPromise && this._currentPromise.play.pending) {
+      this._currentPromise.play.cancel();
+    }
+    this._currentPromise = null;
+
+    this._queueEntry = entry;
+    this.emit(this.constructor.EVENTS.queueStart, entry);
+
+    const playPromise = this.play(entry.text, entry.config);
+    this._queuePromise = playPromise;
+    playPromise.then(
+      () => {
+        if (playPromise.canceled) {
+          entry.promise.cancel();
+        } else {
+          entry.promise.resolve();
+        }
+      },
+      error => {
+        entry.promise.reject(error);
+      }
+    );
+  }
+
+  /**
+   * Clean up after a queue entry's promise is no longer pending. Entries that
+   * have not started yet are skipped, entries that are playing are finished and
+   * the next entry in the queue is started.
+   *
+   * @private
+   *
+   * @param {Object} entry - The queue entry.
+   */
+  _onQueueEntryDone(entry) {
+    const index = this._speechQueue.indexOf(entry);
+
+    if (index !== -1) {
+      this._speechQueue.splice(index, 1);
+      this.emit(this.constructor.EVENTS.queueSkip, entry);
+    } else if (this._queueEntry === entry) {
+      if (this._queuePromise.pending) {
+        this._queuePromise.cancel();
+      }
+      this._queueEntry = null;
+      this._queuePromise = null;
+      this.emit(this.constructor.EVENTS.queueFinish, entry);
+
+      this._startQueueEntry();
+    }
+  }
+
+  /**
+   * Add a speech to the queue. Entries are played one after another in order of
+   * priority, entries with the same priority are played in the order they were
+   * added. The policy determines what happens if a speech is already playing,
+   * paused or loading when the entry is added, see {@link SpeechQueuePolicies}.
+   *
+   * @param {string} text - The text of the speech to play.
+   * @param {Object=} config - Optional parameters for the speech.
+   * @param {Object=} options - Optional options for the queue entry.
+   * @param {number} [options.priority=0] - Entries with higher priority values
+   * are played before entries with lower values.
+   * @param {SpeechQueuePolicies} [options.policy=SpeechQueuePolicies.Wait] - How
+   * the entry behaves if the speaker is busy.
+   *
+   * @returns {Deferred} Resolves once the speech reaches the end of playback.
+   * Cancels if the entry is skipped or interrupted. Canceling the promise removes
+   * the entry from the queue or interrupts it if it is playing.
+   */
+  enqueue(text, config, options = {}) {
+    const {priority = 0, policy = SpeechQueuePolicies.Wait} = options;
+
+    if (!Object.values(SpeechQueuePolicies).includes(policy)) {
+      return Deferred.reject(
+        `Cannot enqueue speech ${text} on host ${
+          this._host.id
+        }. Policy must be one of ${Object.values(SpeechQueuePolicies).join(
+          ', '
+        )}.`
+      );
+    }
+
+    if (typeof priority !== 'number' || Number.isNaN(priority)) {
+      return Deferred.reject(
+        `Cannot enqueue speech ${text} on host ${this._host.id}. Priority must be a number.`
+      );
+    }
+
+    const entry = {text, config, priority, policy};
+    entry.promise = new Deferred(
+      undefined,
+      value => {
+        this._onQueueEntryDone(entry);
+        return value;
+      },
+      error => {
+        this._onQueueEntryDone(entry);
+        return error;
+      },
+      value => {
+        this._onQueueEntryDone(entry);
+        return value;
+      }
+    );
+
+    const isSpeaking = this._isSpeaking();
+
+    if (isSpeaking && policy === SpeechQueuePolicies.DropIfBusy) {
+      this.emit(this.constructor.EVENTS.queueSkip, entry);
+      entry.promise.cancel();
+    } else if (isSpeaking && policy === SpeechQueuePolicies.Interrupt) {
+      this._speechQueue.unshift(entry);
+      this.playNext();
+    } else {
+      // Insert after all entries with the same or higher priority
+      const index = this._speechQueue.findIndex(
+        queued => queued.priority < priority
+      );
+
+      if (index === -1) {
+        this._speechQueue.push(entry);
+      } else {
+        this._speechQueue.splice(index, 0, entry);
+      }
+
+      if (!isSpeaking) {
+        this._startQueueEntry();
+      }
+    }
+
+    return entry.promise;
+  }
+
+  /**
+   * Interrupt the queue entry or speech that is currently playing and play the
+   * next entry in the queue.
+   */
+  playNext() {
+    if (!this._speechQueue.length) {
+      console.warn(
+        `Cannot play next speech on host ${this._host.id}. The speech queue is empty.`
+      );
+      return;
+    }
+
+    if (this._queueEntry !== null) {
+      // Canceling the current entry starts the next one
+      this._queueEntry.promise.cancel();
+    } else {
+      this._startQueueEntry();
+    }
+  }
+
+  /**
+   * Skip all entries in the queue that have not started playing yet. The queue
+   * entry that is currently playing is not affected.
+   */
+  clearQueue() {
+    [...this._speechQueue].forEach(entry => {
+      entry.promise.cancel();
+    });
+  }
+
   discard() {
+    this.clearQueue();
+
+    if (this._queueEntry !== null) {
+      this._queueEntry.promise.cancel();
+    }
+
     if (this._currentSpeech && this._currentSpeech.playing) {
       this._currentSpeech.stop();
     }
 
+    Object.keys(this._speechBundles).forEach(text => {
+      this.unloadBundle(text);
+    });
+
+    // Release the audio of cached speeches, including any still generating
+    this._speechCache.keys().forEach(key => {
+      this._speechCache.get(key).promise.then(
+        speech => {
+          speech.discard();
+        },
+        () => {}
+      );
+    });
+    this._speechCache.clear();
+
     delete this._speechCache;
+    delete this._speechBundles;
+
+    this._pendingReleases.forEach(release => {
+      release();
+    });
+    this._pendingReleases.clear();
 
     super.discard();
   }
@@ -1161,6 +2055,10 @@ class AbstractTextToSpeechFeature extends AbstractHostFeature {
 }
 
 Object.defineProperties(AbstractTextToSpeechFeature, {
+  UPDATE_PHASE: {
+    value: UpdatePhases.PreAnimation,
+    writable: false,
+  },
   AWS_VERSION: {
     get: () => awsVersion,
   },
@@ -1211,6 +2109,9 @@ Object.defineProperties(AbstractTextToSpeechFeature, {
       word: 'onWordEvent',
       viseme: 'onVisemeEvent',
       ssml: 'onSsmlEvent',
+      queueStart: 'onQueueStartEvent',
+      queueFinish: 'onQueueFinishEvent',
+      queueSkip: 'onQueueSkipEvent',
     },
   },
   SERVICES: {
@@ -0,0 +1,410 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+/* eslint-disable no-underscore-dangle */
+import AbstractSpeech from './AbstractSpeech';
+
+// Speech events that are forwarded from chunks to the speaker
+const markEvents = ['sentence', 'word', 'viseme', 'ssml'];
+
+/**
+ * Speech made up of a sequence of smaller speeches that are played back-to-back
+ * as one logical speech. Chunks can still be loading when playback starts, the
+ * speech will wait for each chunk to become available before playing it.
+ * Play, pause, resume and stop events are emitted once for the whole speech
+ * while speechmark events are emitted for every chunk, with mark times offset
+ * to the start of the speech. Each chunk is assumed to last until the end of its
+ * final speechmark, this is used to offset mark times and to find the chunk to
+ * play when seeking.
+ *
+ * @extends AbstractSpeech
+ */
+class ChunkedSpeech extends AbstractSpeech {
+  /**
+   * @constructor
+   *
+   * @param {core/TextToSpeechFeature} speaker - The feature that owns the Speech and
+   * will emit speechmark messages.
+   * @param {string} text - The text of the speech.
+   * @param {Array.<Promise>} chunks - An array of promises that resolve with the
+   * speeches to play, in order.
+   */
+  constructor(speaker, text, chunks) {
+    super(speaker, text);
+
+    this._chunks = [];
+    this._chunkErrors = [];
+    this._volume = 1;
+    this._discarded = false;
+
+    // Chunks relay speechmark events through this object instead of the speaker
+    this._relay = {
+      emit: (message, value) => {
+        this._onChunkEvent(message, value);
+      },
+    };
+    this._relay.constructor = {
+      EVENTS: speaker.constructor.EVENTS,
+      emit: () => {},
+    };
+
+    chunks.forEach((chunk, index) => {
+      chunk.then(
+        speech => {
+          // Chunks that finish generating after discard are released right away
+          if (this._discarded) {
+            speech.discard();
+            return;
+          }
+
+          speech._speaker = this._relay;
+          this._chunks[index] = speech;
+        },
+        error => {
+          this._chunkErrors[index] = error;
+        }
+      );
+    });
+    this._numChunks = chunks.length;
+    this._resetChunks();
+  }
+
+  /**
+   * Reset chunk tracking properties.
+   *
+   * @private
+   */
+  _resetChunks() {
+    this._chunkIndex = 0;
+    this._currentChunk = null;
+    this._chunkStartTime = 0;
+    this._seekTime = null;
+  }
+
+  /**
+   * Get the number of milliseconds a chunk lasts, measured to the end of its
+   * final speechmark.
+   *
+   * @private
+   *
+   * @param {AbstractSpeech} chunk - The chunk.
+   *
+   * @returns {number}
+   */
+  _getChunkDuration(chunk) {
+    const marks = chunk.speechmarks;
+
+    if (!marks.length) {
+      return 0;
+    }
+
+    const lastMark = marks[marks.length - 1];
+    return lastMark.time + (lastMark.duration || 0);
+  }
+
+  /**
+   * Get the number of milliseconds from the start of the speech to the start of
+   * a chunk. Only chunks that have loaded are counted.
+   *
+   * @private
+   *
+   * @param {number} index - The index of the chunk.
+   *
+   * @returns {number}
+   */
+  _getChunkOffset(index) {
+    let offset = 0;
+
+    for (let i = 0; i < index && this._chunks[i]; i++) {
+      offset += this._getChunkDuration(this._chunks[i]);
+    }
+
+    return offset;
+  }
+
+  /**
+   * Emit speechmark events received from the current chunk on the speaker. Chunk
+   * playback events are ignored since they are emitted for the whole speech.
+   *
+   * @private
+   *
+   * @param {string} message - The message emitted by the chunk.
+   * @param {any} value - The value emitted by the chunk.
+   */
+  _onChunkEvent(message, value) {
+    const {EVENTS} = this._speaker.constructor;
+    const isMark = markEvents.some(type => EVENTS[type] === message);
+
+    if (isMark && value && value.mark) {
+      this._speaker.emit(message, {
+        speech: this,
+        mark: {...value.mark, time: value.mark.time + this._chunkStartTime},
+      });
+    }
+  }
+
+  /**
+   * Start playback of the next chunk if it has loaded. If a seek is pending,
+   * chunks that end before the seek position are skipped and playback of the
+   * chunk that contains it starts from the seek position.
+   *
+   * @private
+   *
+   * @param {number} currentTime - Current global time.
+   */
+  _startChunk(currentTime) {
+    let chunk;
+    let chunkStartTime;
+
+    while (chunk === undefined) {
+      if (this._chunkErrors[this._chunkIndex] !== undefined) {
+        this._promise.reject(this._chunkErrors[this._chunkIndex]);
+        this._promise = null;
+        return;
+      }
+
+      chunk = this._chunks[this._chunkIndex];
+      if (chunk === undefined) {
+        return;
+      }
+
+      chunkStartTime = this._getChunkOffset(this._chunkIndex);
+
+      if (
+        this._seekTime !== null &&
+        this._chunkIndex < this._numChunks - 1 &&
+        this._seekTime >= chunkStartTime + this._getChunkDuration(chunk)
+      ) {
+        chunk = undefined;
+        this._chunkIndex += 1;
+      }
+    }
+
+    this._currentChunk = chunk;
+    this._chunkStartTime = chunkStartTime;
+    chunk.speechmarkOffset = this.speechmarkOffset;
+    chunk.volume = this._volume;
+
+    const onFinish = () => {
+      if (this._currentChunk === chunk) {
+        this._currentChunk = null;
+        this._chunkIndex += 1;
+      }
+    };
+    chunk.play(currentTime, onFinish, onFinish);
+
+    if (this._seekTime !== null) {
+      chunk.seek(currentTime, (this._seekTime - chunkStartTime) / 1000);
+      this._seekTime = null;
+    }
+  }
+
+  _checkFinished() {
+    return this._chunkIndex >= this._numChunks;
+  }
+
+  /**
+   * Gets the playable audio of the chunk that is currently playing.
+   *
+   * @readonly
+   * @type {any}
+   */
+  get audio() {
+    return this._currentChunk ? this._currentChunk.audio : undefined;
+  }
+
+  /**
+   * Gets and sets the audio volume for the speech.
+   *
+   * @type {number}
+   */
+  get volume() {
+    return this._volume;
+  }
+
+  set volume(volume) {
+    this._volume = volume;
+
+    if (this._currentChunk) {
+      this._currentChunk.volume = volume;
+    }
+  }
+
+  /**
+   * Gets a copy of the speechmarks of all loaded chunks. Mark times are offset
+   * to the start of the speech, matching the times of emitted speechmark events.
+   *
+   * @readonly
+   * @type {Array.<Object>}
+   */
+  get speechmarks() {
+    const speechmarks = [];
+
+    for (let i = 0; i < this._numChunks && this._chunks[i]; i++) {
+      const offset = this._getChunkOffset(i);
+      speechmarks.push(
+        ...this._chunks[i].speechmarks.map(mark => ({
+          ...mark,
+          time: mark.time + offset,
+        }))
+      );
+    }
+
+    return speechmarks;
+  }
+
+  /**
+   * Gets the number of seconds from the start of the speech to the playback
+   * position of the current chunk.
+   *
+   * @readonly
+   * @type {number}
+   */
+  get position() {
+    if (this._currentChunk) {
+      return this._chunkStartTime / 1000 + this._currentChunk.position;
+    }
+
+    if (this._seekTime !== null) {
+      return this._seekTime / 1000;
+    }
+
+    return this._getChunkOffset(this._chunkIndex) / 1000;
+  }
+
+  /**
+   * Gets the number of chunks in the speech.
+   *
+   * @readonly
+   * @type {number}
+   */
+  get numChunks() {
+    return this._numChunks;
+  }
+
+  update(currentTime) {
+    if (!this._playing) {
+      return;
+    }
+
+    this._localTime = currentTime - this._startTime;
+
+    if (this._currentChunk === null) {
+      this._startChunk(currentTime);
+    }
+
+    if (this._currentChunk !== null) {
+      this._currentChunk.update(currentTime);
+    }
+
+    // End playback
+    if (this._promise && this._checkFinished()) {
+      this.stop();
+      this._reset();
+    }
+  }
+
+  play(currentTime, onFinish, onError, onInterrupt) {
+    if (this._currentChunk) {
+      this._currentChunk.cancel();
+    }
+    this._resetChunks();
+
+    const promise = super.play(currentTime, onFinish, onError, onInterrupt);
+    this._startChunk(currentTime);
+
+    return promise;
+  }
+
+  pause(currentTime) {
+    if (this._currentChunk && this._currentChunk.playing) {
+      this._currentChunk.pause(currentTime);
+    }
+
+    super.pause(currentTime);
+  }
+
+  resume(currentTime, onFinish, onError, onInterrupt) {
+    // Play from the first chunk if the speech hasn't played yet
+    if (!this._promise) {
+      this._resetChunks();
+    }
+
+    const promise = super.resume(currentTime, onFinish, onError, onInterrupt);
+
+    if (this._currentChunk) {
+      this._currentChunk.resume(currentTime);
+    } else {
+      this._startChunk(currentTime);
+    }
+
+    return promise;
+  }
+
+  /**
+   * Move playback to a new position in the speech. The position is found in the
+   * chunk that contains it, once that chunk has loaded.
+   *
+   * @param {number} currentTime - Current global time when seek was called.
+   * @param {number} position - Number of seconds from the start of the speech.
+   */
+  seek(currentTime, position) {
+    super.seek(currentTime, position);
+
+    const seekTime = position * 1000;
+    const chunk = this._currentChunk;
+
+    if (chunk) {
+      const isLastChunk = this._chunkIndex === this._numChunks - 1;
+
+      if (
+        seekTime >= this._chunkStartTime &&
+        (isLastChunk ||
+          seekTime < this._chunkStartTime + this._getChunkDuration(chunk))
+      ) {
+        chunk.seek(currentTime, (seekTime - this._chunkStartTime) / 1000);
+        return;
+      }
+
+      this._currentChunk = null;
+      chunk.cancel();
+    }
+
+    this._chunkIndex = 0;
+    this._seekTime = seekTime;
+
+    if (this._playing) {
+      this._startChunk(currentTime);
+    }
+  }
+
+  cancel() {
+    if (this._currentChunk) {
+      this._currentChunk.cancel();
+    }
+    this._resetChunks();
+
+    super.cancel();
+  }
+
+  stop() {
+    if (this._currentChunk) {
+      this._currentChunk.stop();
+    }
+    this._resetChunks();
+
+    super.stop();
+  }
+
+  discard() {
+    this._discarded = true;
+    this._chunks.forEach(chunk => {
+      chunk.discard();
+    });
+    this._chunks = [];
+    this._resetChunks();
+
+    super.discard();
+  }
+}
+
+export default ChunkedSpeech;
@@ -0,0 +1,586 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+import AbstractHostFeature from '../AbstractHostFeature';
+import TextToSpeechFeatureDependentInterface from './TextToSpeechFeatureDependentInterface';
+import TextToSpeechUtils from './TextToSpeechUtils';
+
+/**
+ * Enum for the states of a conversation.
+ *
+ * Idle - Waiting for the user to speak.
+ *
+ * Listening - Recording the user's voice input.
+ *
+ * Processing - Waiting for the chatbot to respond or for the response speech
+ * to load.
+ *
+ * Speaking - The host is speaking.
+ *
+ * @readonly
+ * @enum {string}
+ */
+export const ConversationStates = {
+  Idle: 'Idle',
+  Listening: 'Listening',
+  Processing: 'Processing',
+  Speaking: 'Speaking',
+};
+
+/**
+ * Default map of chatbot dialog states to the names of the emotes to play when a
+ * response with that dialog state is received.
+ *
+ * @readonly
+ * @type {Object.<string, string>}
+ */
+export const DefaultDialogStateEmotes = {
+  Fulfilled: 'cheer',
+  Failed: 'bored',
+};
+
+// Chatbot backend messages and the names of the methods that handle them
+const backendEventHandlers = {
+  recordBegin: '_onRecordBegin',
+  speechStart: '_onSpeechStart',
+  recordEnd: '_onRecordEnd',
+  speechEnd: '_onSpeechEnd',
+  responseReady: '_onResponse',
+  responseError: '_onResponseError',
+};
+
+/**
+ * Feature that manages a conversation between the user and a chatbot. Voice
+ * input recorded by a {@link core/AbstractChatbotBackend}, such as a
+ * {@link core/LexFeature}, is tracked, responses from the bot
+ * are spoken by the host's TextToSpeechFeature with gestures generated from the
+ * host's GestureFeature and the dialog state of each response can trigger an
+ * emote. The feature keeps track of the state of the conversation, see
+ * {@link ConversationStates}.
+ *
+ * @extends AbstractHostFeature
+ * @alias core/ConversationFeature
+ * @implements TextToSpeechFeatureDependentInterface
+ *
+ * @property {Object} EVENTS - Built-in messages that the feature emits. When the
+ * feature is added to a {@link core/HostObject}, event names will be prefixed by the
+ * name of the feature class + '.'.
+ * @property {string} [EVENTS.stateChange=onStateChangeEvent] - Message that is
+ * emitted each time the conversation state changes. An object with 'state' and
+ * 'previousState' properties is supplied to listener functions.
+ * @property {string} [EVENTS.response=onResponseEvent] - Message that is emitted
+ * each time a response is received from the chatbot. The response is supplied
+ * to listener functions.
+ */
+class ConversationFeature extends AbstractHostFeature.mix(
+  TextToSpeechFeatureDependentInterface.Mixin
+) {
+  /**
+   * @constructor
+   *
+   * @param {core/HostObject} host - Host that owns the feature.
+   * @param {Object=} options - Options for the feature.
+   * @param {core/AbstractChatbotBackend=} options.backend - The chatbot backend
+   * to converse with. A backend can also be attached later using
+   * [attachBackend]{@link ConversationFeature#attachBackend}.
+   * @param {core/LexFeature=} options.lexFeature - Alias of options.backend.
+   * @param {boolean} [options.autoGestures=true] - Whether or not to insert SSML
+   * marks for the host's GestureFeature into responses before they are spoken.
+   * @param {Array.<string>} [options.gestureLayers=['Gesture']] - The names of
+   * the gesture layers to play random gestures from for sentences that don't
+   * contain any gesture words.
+   * @param {string} [options.emoteLayer='Emote'] - The name of the gesture layer
+   * that contains emote animations.
+   * @param {Object.<string, string>} [options.dialogStateEmotes=DefaultDialogStateEmotes] -
+   * Map of chatbot dialog states to the names of emotes to play when a response
+   * with that dialog state is received.
+   * @param {boolean} [options.bargeIn=true] - Whether or not the host should stop
+   * speaking when the user starts talking. To barge in by voice, voice activity
+   * detection must not be suppressed while the host speaks, see the
+   * suppressWhileSpeaking option of [enableVAD]{@link AbstractChatbotBackend#enableVAD}.
+   */
+  constructor(
+    host,
+    {
+      backend,
+      lexFeature,
+      autoGestures = true,
+      gestureLayers = ['Gesture'],
+      emoteLayer = 'Emote',
+      dialogStateEmotes = DefaultDialogStateEmotes,
+      bargeIn = true,
+    } = {}
+  ) {
+    super(host);
+
+    this._state = ConversationStates.Idle;
+    this._backend = null;
+    this._backendListeners = {};
+    this.autoGestures = autoGestures;
+    this.gestureLayers = gestureLayers;
+    this.emoteLayer = emoteLayer;
+    this.dialogStateEmotes = dialogStateEmotes;
+    this.bargeIn = bargeIn;
+
+    if (backend || lexFeature) {
+      this.attachBackend(backend || lexFeature);
+    }
+  }
+
+  /**
+   * Gets the current state of the conversation.
+   *
+   * @readonly
+   * @type {ConversationStates}
+   */
+  get state() {
+    return this._state;
+  }
+
+  /**
+   * Gets the chatbot backend the host is conversing with.
+   *
+   * @readonly
+   * @type {(core/AbstractChatbotBackend|null)}
+   */
+  get backend() {
+    return this._backend;
+  }
+
+  /**
+   * Alias of [backend]{@link ConversationFeature#backend}.
+   *
+   * @readonly
+   * @type {(core/AbstractChatbotBackend|null)}
+   */
+  get lexFeature() {
+    return this._backend;
+  }
+
+  /**
+   * Gets and sets whether or not to insert SSML marks for the host's
+   * GestureFeature into responses before they are spoken.
+   *
+   * @type {boolean}
+   */
+  get autoGestures() {
+    return this._autoGestures;
+  }
+
+  set autoGestures(autoGestures) {
+    this._autoGestures = !!autoGestures;
+  }
+
+  /**
+   * Gets and sets whether or not the host should stop speaking when the user
+   * starts talking.
+   *
+   * @type {boolean}
+   */
+  get bargeIn() {
+    return this._bargeIn;
+  }
+
+  set bargeIn(bargeIn) {
+    this._bargeIn = !!bargeIn;
+  }
+
+  /**
+   * Update the conversation state and emit the stateChange message if it has
+   * changed.
+   *
+   * @private
+   *
+   * @param {ConversationStates} state - The new state.
+   */
+  _setState(state) {
+    if (state === this._state) {
+      return;
+    }
+
+    const previousState = this._state;
+    this._state = state;
+
+    this.emit(this.constructor.EVENTS.stateChange, {state, previousState});
+  }
+
+  /**
+   * Start listening to messages from a chatbot backend. If another backend is
+   * already attached it will be detached first.
+   *
+   * @param {core/AbstractChatbotBackend} backend - The chatbot backend to
+   * converse with.
+   */
+  attachBackend(backend) {
+    if (!backend) {
+      throw new Error(
+        `Cannot attach chatbot backend to host ${this._host.id}. Backend must be defined.`
+      );
+    }
+
+    this.detachBackend();
+
+    const {EVENTS} = backend.constructor;
+    Object.entries(backendEventHandlers).forEach(([eventName, handlerName]) => {
+      const message = EVENTS[eventName];
+      this._backendListeners[message] = this[handlerName].bind(this);
+      backend.listenTo(message, this._backendListeners[message]);
+    });
+
+    this._backend = backend;
+  }
+
+  /**
+   * Stop listening to messages from the attached chatbot backend.
+   */
+  detachBackend() {
+    if (this._backend === null) {
+      return;
+    }
+
+    Object.entries(this._backendListeners).forEach(([message, callback]) => {
+      this._backend.stopListening(message, callback);
+    });
+
+    this._backend = null;
+    this._backendListeners = {};
+
+    if (
+      this._state === ConversationStates.Listening ||
+      this._state === ConversationStates.Processing
+    ) {
+      this._setState(ConversationStates.Idle);
+    }
+  }
+
+  /**
+   * Alias of [attachBackend]{@link ConversationFeature#attachBackend}.
+   *
+   * @param {core/LexFeature} lexFeature - The LexFeature to converse with.
+   */
+  attachLexFeature(lexFeature) {
+    this.attachBackend(lexFeature);
+  }
+
+  /**
+   * Alias of [detachBackend]{@link ConversationFeature#detachBackend}.
+   */
+  detachLexFeature() {
+    this.detachBackend();
+  }
+
+  /**
+   * Send text input to the chatbot. The host will speak the response.
+   *
+   * @param {string} text - The text to send.
+   *
+   * @returns {Promise} Resolves with the chatbot response.
+   */
+  sendText(text) {
+    if (this._backend === null) {
+      return Promise.reject(
+        new Error(
+          `Cannot send text for host ${this._host.id}. No chatbot backend is attached.`
+        )
+      );
+    }
+
+    this._stopSpeaking();
+    this._setState(ConversationStates.Processing);
+
+    return this._backend.processWithText(text);
+  }
+
+  /**
+   * Stop the host's speech if barge-in is enabled and the host is speaking.
+   *
+   * @private
+   */
+  _stopSpeaking() {
+    if (
+      this._bargeIn &&
+      this._state === ConversationStates.Speaking &&
+      this._host.TextToSpeechFeature
+    ) {
+      this._host.TextToSpeechFeature.stop();
+    }
+  }
+
+  /**
+   * Insert SSML marks for the host's gestures into text.
+   *
+   * @private
+   *
+   * @param {string} text - The text to mark up.
+   *
+   * @returns {string}
+   */
+  _addGestureMarks(text) {
+    if (!this._autoGestures || !this._host.GestureFeature) {
+      return text;
+    }
+
+    const gestureMap = this._host.GestureFeature.createGestureMap();
+    const gestureArray = this._host.GestureFeature.createGenericGestureArray(
+      this.gestureLayers
+    );
+
+    return TextToSpeechUtils.autoGenerateSSMLMarks(
+      text,
+      gestureMap,
+      gestureArray
+    );
+  }
+
+  /**
+   * Play the emote mapped to the dialog state of a response.
+   *
+   * @private
+   *
+   * @param {string} dialogState - The dialog state of the response.
+   */
+  _playEmote(dialogState) {
+    const emote = this.dialogStateEmotes[dialogState];
+
+    if (emote && this._host.GestureFeature) {
+      this._host.GestureFeature.playGesture(this.emoteLayer, emote);
+    }
+  }
+
+  /**
+   * Executed when the chatbot backend begins recording.
+   *
+   * @private
+   */
+  _onRecordBegin() {
+    this._stopSpeaking();
+    this._setState(ConversationStates.Listening);
+  }
+
+  /**
+   * Executed when voice activity detection detects the start of an utterance.
+   *
+   * @private
+   */
+  _onSpeechStart() {
+    this._stopSpeaking();
+  }
+
+  /**
+   * Executed when the chatbot backend ends recording and sends the input to
+   * the chatbot.
+   *
+   * @private
+   */
+  _onRecordEnd() {
+    this._setState(ConversationStates.Processing);
+  }
+
+  /**
+   * Executed when voice activity detection ends an utterance. Discarded
+   * utterances are never sent to the chatbot.
+   *
+   * @private
+   *
+   * @param {Object} result - Whether or not the utterance was sent.
+   */
+  _onSpeechEnd({sent}) {
+    if (!sent && this._state === ConversationStates.Listening) {
+      this._setState(ConversationStates.Idle);
+    }
+  }
+
+  /**
+   * Executed when a response is received from the chatbot. Plays the emote for the
+   * dialog state of the response and speaks the response message.
+   *
+   * @private
+   *
+   * @param {Object} response - The chatbot response.
+   */
+  _onResponse(response) {
+    this.emit(this.constructor.EVENTS.response, response);
+    this._playEmote(response.dialogState);
+
+    if (!response.message || !this._host.TextToSpeechFeature) {
+      this._setState(ConversationStates.Idle);
+      return;
+    }
+
+    const onDone = () => {
+      // The speech either failed or was replaced before it began playing
+      if (this._state === ConversationStates.Processing) {
+        this._setState(ConversationStates.Idle);
+      }
+    };
+
+    this._host.TextToSpeechFeature.play(
+      this._addGestureMarks(response.message)
+    ).then(onDone, onDone);
+  }
+
+  /**
+   * Executed when a request to the chatbot fails.
+   *
+   * @private
+   */
+  _onResponseError() {
+    if (this._state === ConversationStates.Processing) {
+      this._setState(ConversationStates.Idle);
+    }
+  }
+
+  _onPlay() {
+    if (this._state !== ConversationStates.Listening) {
+      this._setState(ConversationStates.Speaking);
+    }
+  }
+
+  _onResume() {
+    this._onPlay();
+  }
+
+  _onPause() {
+    if (this._state === ConversationStates.Speaking) {
+      this._setState(ConversationStates.Idle);
+    }
+  }
+
+  _onStop() {
+    this._onPause();
+  }
+
+  /**
+   * Executed when the host's speech is canceled, for example by stopping speech,
+   * playing new speech or clearing the speech queue.
+   *
+   * @private
+   */
+  _onInterrupt() {
+    this._onPause();
+  }
+
+  installApi() {
+    /**
+     * @inner
+     * @namespace ConversationFeature
+     */
+    const api = super.installApi();
+
+    Object.assign(api, {
+      /**
+       * @memberof ConversationFeature
+       * @instance
+       * @method
+       * @see ConversationFeature#attachBackend
+       */
+      attachBackend: this.attachBackend.bind(this),
+      /**
+       * @memberof ConversationFeature
+       * @instance
+       * @method
+       * @see ConversationFeature#detachBackend
+       */
+      detachBackend: this.detachBackend.bind(this),
+      /**
+       * @memberof ConversationFeature
+       * @instance
+       * @method
+       * @see ConversationFeature#attachLexFeature
+       */
+      attachLexFeature: this.attachLexFeature.bind(this),
+      /**
+       * @memberof ConversationFeature
+       * @instance
+       * @method
+       * @see ConversationFeature#detachLexFeature
+       */
+      detachLexFeature: this.detachLexFeature.bind(this),
+      /**
+       * @memberof ConversationFeature
+       * @instance
+       * @method
+       * @see ConversationFeature#sendText
+       */
+      sendText: this.sendText.bind(this),
+    });
+
+    Object.defineProperties(api, {
+      /**
+       * @memberof ConversationFeature
+       * @instance
+       * @see ConversationFeature#state
+       */
+      state: {
+        get: () => this.state,
+      },
+      /**
+       * @memberof ConversationFeature
+       * @instance
+       * @see ConversationFeature#backend
+       */
+      backend: {
+        get: () => this.backend,
+      },
+      /**
+       * @memberof ConversationFeature
+       * @instance
+       * @see ConversationFeature#autoGestures
+       */
+      autoGestures: {
+        get: () => this.autoGestures,
+        set: autoGestures => {
+          this.autoGestures = autoGestures;
+        },
+      },
+      /**
+       * @memberof ConversationFeature
+       * @instance
+       * @see ConversationFeature#bargeIn
+       */
+      bargeIn: {
+        get: () => this.bargeIn,
+        set: bargeIn => {
+          this.bargeIn = bargeIn;
+        },
+      },
+    });
+
+    return api;
+  }
+
+  discard() {
+    this.detachBackend();
+
+    super.discard();
+  }
+}
+
+Object.defineProperties(ConversationFeature, {
+  EVENTS: {
+    value: {
+      ...Object.getPrototypeOf(ConversationFeature).EVENTS,
+      stateChange: 'onStateChangeEvent',
+      response: 'onResponseEvent',
+    },
+  },
+  DEPENDENCIES: {
+    value: {
+      required: [],
+      optional: ['TextToSpeechFeature'],
+    },
+    writable: false,
+  },
+  EVENT_DEPENDENCIES: {
+    value: {
+      ...Object.getPrototypeOf(ConversationFeature).EVENT_DEPENDENCIES,
+      TextToSpeechFeature: {
+        ...Object.getPrototypeOf(ConversationFeature).EVENT_DEPENDENCIES
+          .TextToSpeechFeature,
+        interrupt: '_onInterrupt',
+      },
+    },
+    writable: false,
+  },
+});
+
+export default ConversationFeature;
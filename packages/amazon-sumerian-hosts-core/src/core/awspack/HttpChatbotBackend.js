@@ -0,0 +1,173 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+import AbstractChatbotBackend from './AbstractChatbotBackend';
+
+/**
+ * Encode binary data as a base64 string.
+ *
+ * @private
+ *
+ * @param {ArrayBuffer} buffer - The data to encode.
+ *
+ * @returns {string}
+ */
+function toBase64(buffer) {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+
+  return btoa(binary);
+}
+
+/**
+ * Chatbot backend that sends input to an HTTP endpoint as JSON. This can be used
+ * to converse with a custom natural language understanding service, or with a
+ * local mock server during testing.
+ *
+ * Input is sent with a POST request. Text input has the body
+ * `{userId, sessionAttributes, inputType: 'text', text}` and voice input has the
+ * body `{userId, sessionAttributes, inputType: 'audio', contentType, audio}`,
+ * where audio is a base64 encoded 16kHz mono WAV file.
+ *
+ * The endpoint must respond with a JSON object containing 'message' or
+ * 'messages', 'dialogState' and optionally 'messageFormat' and
+ * 'sessionAttributes'. 'messages' can be an array of strings or of objects with
+ * a 'content' property, they are joined into a single message. The session
+ * attributes of each response are sent back with the next request.
+ *
+ * @extends AbstractChatbotBackend
+ * @alias core/HttpChatbotBackend
+ */
+class HttpChatbotBackend extends AbstractChatbotBackend {
+  /**
+   * @constructor
+   *
+   * @param {string} url - The url of the endpoint that input is posted to.
+   * @param {Object=} options - Options for the backend.
+   * @param {Object=} options.headers - Additional headers to send with each
+   * request, such as authorization headers.
+   * @param {string=} options.userId - The id used to keep track of the session
+   * with the chatbot.
+   */
+  constructor(url, options = {headers: undefined, userId: undefined}) {
+    super({userId: options.userId});
+
+    if (!url) {
+      throw Error(
+        'Cannot initialize HTTP chatbot backend. The endpoint url must be defined'
+      );
+    }
+
+    this._url = url;
+    this._headers = {...options.headers};
+    this._sessionAttributes = {};
+  }
+
+  /**
+   * Gets the url of the endpoint that input is posted to.
+   *
+   * @readonly
+   * @type {string}
+   */
+  get url() {
+    return this._url;
+  }
+
+  /**
+   * Gets and sets the session attributes that are sent with the next request.
+   * They are replaced by the session attributes of each response.
+   *
+   * @type {Object}
+   */
+  get sessionAttributes() {
+    return this._sessionAttributes;
+  }
+
+  set sessionAttributes(sessionAttributes) {
+    this._sessionAttributes = {...sessionAttributes};
+  }
+
+  /**
+   * Post input to the endpoint as JSON.
+   *
+   * @param {string} contentType - The content type of the input.
+   * @param {(string|Blob)} inputStream - The text or audio input.
+   * @param {Object=} config - Optional config for overriding backend settings.
+   * @param {string=} config.userId - The id used to keep track of the session
+   * with the chatbot.
+   * @param {Object=} config.sessionAttributes - Session attributes to send
+   * instead of the ones from the previous response.
+   * @param {Object=} config.headers - Additional headers to send with the
+   * request.
+   *
+   * @returns {Promise} Resolves with the chatbot response object.
+   */
+  async request(contentType, inputStream, config = {}) {
+    const body = {
+      userId: config.userId || this._userId,
+      sessionAttributes: config.sessionAttributes || this._sessionAttributes,
+    };
+
+    if (typeof inputStream === 'string') {
+      body.inputType = 'text';
+      body.text = inputStream;
+    } else {
+      body.inputType = 'audio';
+      body.contentType = contentType;
+      body.audio = toBase64(await inputStream.arrayBuffer());
+    }
+
+    const response = await fetch(this._url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...this._headers,
+        ...config.headers,
+      },
+      body: JSON.stringify(body),
+    });
+
+    if (!response.ok) {
+      throw new Error(
+        `Request to ${this._url} failed with status ${response.status}`
+      );
+    }
+
+    const data = this.constructor.normalizeResponse(await response.json());
+    this._sessionAttributes = data.sessionAttributes;
+
+    return data;
+  }
+
+  /**
+   * Convert the JSON returned by the endpoint into a chatbot response object.
+   *
+   * @param {Object} data - The parsed response body.
+   *
+   * @returns {Object} The response with 'message', 'messageFormat',
+   * 'dialogState' and 'sessionAttributes' properties. Other properties of the
+   * response body are kept.
+   */
+  static normalizeResponse(data) {
+    let {message} = data;
+
+    if (message === undefined && Array.isArray(data.messages)) {
+      message = data.messages
+        .map(item => (typeof item === 'string' ? item : item.content))
+        .filter(content => content)
+        .join(' ');
+    }
+
+    return {
+      ...data,
+      message: message || '',
+      messageFormat: data.messageFormat || 'PlainText',
+      dialogState: data.dialogState,
+      sessionAttributes: data.sessionAttributes || {},
+    };
+  }
+}
+
+export default HttpChatbotBackend;
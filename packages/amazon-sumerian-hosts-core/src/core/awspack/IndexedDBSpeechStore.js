@@ -0,0 +1,139 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+import AbstractSpeechStore from './AbstractSpeechStore';
+
+/**
+ * Speech store that persists speechmarks and audio in an IndexedDB object store.
+ *
+ * @extends AbstractSpeechStore
+ */
+class IndexedDBSpeechStore extends AbstractSpeechStore {
+  /**
+   * @constructor
+   *
+   * @param {Object=} options - Options for the store.
+   * @param {string} [options.databaseName='SumerianHostsSpeech'] - The name of
+   * the IndexedDB database.
+   * @param {string} [options.storeName='speeches'] - The name of the object
+   * store within the database.
+   */
+  constructor(
+    options = {databaseName: 'SumerianHostsSpeech', storeName: 'speeches'}
+  ) {
+    super();
+
+    this._databaseName = options.databaseName || 'SumerianHostsSpeech';
+    this._storeName = options.storeName || 'speeches';
+    this._database = null;
+  }
+
+  /**
+   * Open the database, creating the object store if it doesn't exist yet.
+   *
+   * @private
+   *
+   * @returns {Promise} Resolves with the IDBDatabase.
+   */
+  _open() {
+    if (!this._database) {
+      this._database = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this._databaseName, 1);
+
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(this._storeName);
+        };
+        request.onsuccess = () => {
+          resolve(request.result);
+        };
+        request.onerror = () => {
+          reject(request.error);
+        };
+      });
+
+      // Allow opening to be retried after a failure
+      this._database.catch(() => {
+        this._database = null;
+      });
+    }
+
+    return this._database;
+  }
+
+  /**
+   * Execute a request on the object store.
+   *
+   * @private
+   *
+   * @param {string} mode - The transaction mode, either 'readonly' or 'readwrite'.
+   * @param {Function} createRequest - Function that receives the IDBObjectStore
+   * and returns an IDBRequest.
+   *
+   * @returns {Promise} Resolves with the result of the request.
+   */
+  _request(mode, createRequest) {
+    return this._open().then(
+      database =>
+        new Promise((resolve, reject) => {
+          const transaction = database.transaction(this._storeName, mode);
+          const request = createRequest(
+            transaction.objectStore(this._storeName)
+          );
+
+          request.onsuccess = () => {
+            resolve(request.result);
+          };
+          request.onerror = () => {
+            reject(request.error);
+          };
+        })
+    );
+  }
+
+  /**
+   * Retrieve a value from the object store.
+   *
+   * @param {string} key - The key of the value.
+   *
+   * @returns {Promise} Resolves with the stored value, or undefined if there is
+   * no value stored for the key. Rejects if the database cannot be opened or
+   * read.
+   */
+  get(key) {
+    return this._request('readonly', store => store.get(key));
+  }
+
+  /**
+   * Store a value in the object store, replacing any value already stored for
+   * the key.
+   *
+   * @param {string} key - The key of the value.
+   * @param {(string|Blob)} value - The value to store.
+   *
+   * @returns {Promise} Resolves once the value has been stored.
+   */
+  set(key, value) {
+    return this._request('readwrite', store => store.put(value, key));
+  }
+
+  /**
+   * Remove a value from the object store.
+   *
+   * @param {string} key - The key of the value.
+   *
+   * @returns {Promise} Resolves once the value has been removed.
+   */
+  delete(key) {
+    return this._request('readwrite', store => store.delete(key));
+  }
+
+  /**
+   * Remove all values from the object store. The database itself is kept.
+   *
+   * @returns {Promise} Resolves once all values have been removed.
+   */
+  clear() {
+    return this._request('readwrite', store => store.clear());
+  }
+}
+
+export default IndexedDBSpeechStore;
@@ -1,7 +1,7 @@
 // Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
 // SPDX-License-Identifier: MIT-0
-import Messenger from '../Messenger';
 import Utils from '../Utils';
+import AbstractChatbotBackend from './AbstractChatbotBackend';
 import LexUtils from './LexUtils';
 
 /**
@@ -10,45 +10,74 @@ import LexUtils from './LexUtils';
  * @see https://docs.aws.amazon.com/AWSJavaScriptSDK/latest/AWS/LexRuntime.html
  */
 
+/**
+ * The AWS LexRuntimeV2 service object.
+ * @external LexRuntimeV2
+ * @see https://docs.aws.amazon.com/AWSJavaScriptSDK/latest/AWS/LexRuntimeV2.html
+ */
+
+// Lex V2 RecognizeUtterance response fields that are gzip compressed and base64 encoded
+const compressedV2Fields = [
+  'messages',
+  'sessionState',
+  'interpretations',
+  'requestAttributes',
+  'inputTranscript',
+];
+
+// Size in bytes of the header LexUtils.encodeWAV writes before the audio samples
+const wavHeaderSize = 44;
+
 /**
  * Feature class for interacting with Lex bot which the response from lex bot can be used for speech or other purpose.
+ * Both Lex V1 and Lex V2 bots are supported. The version is determined by the
+ * runtime service passed to the constructor: Lex V2 is used with an {@link external:LexRuntimeV2}
+ * and Lex V1 with an {@link external:LexRuntime}. Responses from Lex V2 bots are
+ * normalized so they contain the same properties as Lex V1 responses, see
+ * {@link LexUtils.normalizeLexV2Response}.
  *
- * @extends core/Messenger
+ * @extends AbstractChatbotBackend
  * @alias core/LexFeature
  *
  * @property {Object} LEX_DEFAULTS - Default values to use with calls to {@link external:LexRuntime}.
  * @property {string} [LEX_DEFAULTS.SampleRate='16000']
  * @property {Object} EVENTS - Built-in messages that the feature emits.
  * @property {string} [EVENTS.lexResponseReady=lexResponseReady] - Message that is emitted after
- * receiving lex response for the input sent
- * @property {string} [EVENTS.micReady=micReady] - Message that is emitted after
- * microphone is ready to use
- * @property {string} [EVENTS.recordBegin=recordBegin] - Message that is emitted after
- * microphone starts recording
- * @property {string} [EVENTS.recordEnd=recordEnd] - Message that is emitted after
- * microphone ends recording
+ * receiving lex response for the input sent. Same as EVENTS.responseReady.
+ * @property {string} [EVENTS.lexResponseError=lexResponseError] - Message that
+ * is emitted if the request to lex fails. The error is supplied to listener
+ * functions. Same as EVENTS.responseError.
  */
-class LexFeature extends Messenger {
+class LexFeature extends AbstractChatbotBackend {
   /**
    * @constructor
    *
-   * @param {external:LexRuntime} lexRuntime - The LexRuntime service that is used
-   * to interact with lex bot. Will be undefined until [initializeService]{@link LexFeature.initializeService}
+   * @param {(external:LexRuntime|external:LexRuntimeV2)} lexRuntime - The LexRuntime
+   * or LexRuntimeV2 service that is used to interact with lex bot. Will be undefined until [initializeService]{@link LexFeature.initializeService}
    * has been successfully executed
    * @param {Object=} options - Options that will be used to interact with lex bot.
-   * @param {string=} options.botName - The name of the lex bot.
-   * @param {string=} options.botAlias - The alias of the lex bot.
+   * @param {string=} options.botName - The name of the lex bot. Only used with Lex V1.
+   * @param {string=} options.botAlias - The alias of the lex bot. Only used with Lex V1.
+   * @param {string=} options.botId - The id of the lex bot. Only used with Lex V2.
+   * @param {string=} options.botAliasId - The id of the lex bot alias. Only used
+   * with Lex V2.
+   * @param {string=} options.localeId - The locale of the lex bot, such as 'en_US'.
+   * Only used with Lex V2.
    * @param {string=} options.userId - The userId used to keep track of the session with lex bot.
+   * Used as the session id with Lex V2.
    */
   constructor(
     lexRuntime,
     options = {
       botName: undefined,
       botAlias: undefined,
+      botId: undefined,
+      botAliasId: undefined,
+      localeId: undefined,
       userId: undefined,
     }
   ) {
-    super();
+    super({userId: options.userId});
 
     if (!lexRuntime) {
       throw Error('Cannot initialize Lex feature. LexRuntime must be defined');
@@ -63,62 +92,73 @@ class LexFeature extends Messenger {
       );
     }
     this._lexRuntime = lexRuntime;
+    this._isV2 = typeof lexRuntime.recognizeText === 'function';
 
     this._botName = options.botName;
     this._botAlias = options.botAlias;
-    this._userId = options.userId ? options.userId : Utils.createId();
-
-    //Microphone related fields
-    this._micReady = false;
-    this._recording = false;
-    this._recLength = 0;
-    this._recBuffer = [];
-    this._setupAudioContext();
+    this._botId = options.botId;
+    this._botAliasId = options.botAliasId;
+    this._localeId = options.localeId;
   }
 
   /**
-   * Setup audio context which will be used for setting up microphone related audio node
+   * Gets whether or not the feature interacts with a Lex V2 bot.
+   *
+   * @readonly
+   * @type {boolean}
    */
-  _setupAudioContext() {
-    this._audioContext = new AudioContext();
+  get isV2() {
+    return this._isV2;
   }
 
   /**
-   * Sends audio input to Amazon Lex.
+   * Send input to a Lex V1 bot using PostContent, or to a Lex V2 bot using
+   * RecognizeText for text input and RecognizeUtterance for audio input.
    *
-   * @param {TypedArray} inputAudio - TypedArray view of the input audio buffer
-   * @param {Number} sourceSampleRate - Sample rate of the input audio
+   * @param {string} contentType - The content type of the input.
+   * @param {(string|Blob)} inputStream - The text or audio input.
    * @param {Object=} config - Optional config for overriding lex bot info
    * @param {string=} config.botName - The name of the lex bot.
    * @param {string=} config.botAlias - The alias of the lex bot.
+   * @param {string=} config.botId - The id of the lex V2 bot.
+   * @param {string=} config.botAliasId - The id of the lex V2 bot alias.
+   * @param {string=} config.localeId - The locale of the lex V2 bot.
    * @param {string=} config.userId - The userId used to keep track of the session with lex bot.
    *
    * @returns {Promise} A Promise-like object that resolves to a Lex response object.
    * For details on the structure of that response object see: https://docs.aws.amazon.com/AWSJavaScriptSDK/latest/AWS/LexRuntime.html#postContent-property
+   * and https://docs.aws.amazon.com/AWSJavaScriptSDK/latest/AWS/LexRuntimeV2.html#recognizeText-property
    */
-  _processWithAudio(inputAudio, sourceSampleRate, config = {}) {
-    const audio = this._prepareAudio(inputAudio, sourceSampleRate);
-    return this._process('audio/x-l16; rate=16000', audio, config);
+  request(contentType, inputStream, config) {
+    let settings;
+
+    try {
+      settings = this._validateConfig(config);
+    } catch (error) {
+      return Promise.reject(error);
+    }
+
+    return this._isV2
+      ? this._requestV2(contentType, inputStream, settings)
+      : this._requestV1(contentType, inputStream, settings);
+  }
+
+  _getErrorMessage(error) {
+    return `Error happened during voice recording: ${error}. Please check whether your speech is more than 15s.`;
   }
 
   /**
-   * Sends text user input to Amazon Lex.
+   * Send input to a Lex V1 bot using PostContent.
    *
-   * @param {String} inputText - Text to send to lex bot
-   * @param {Object=} config - Optional config for overriding lex bot info
-   * @param {string=} config.botName - The name of the lex bot.
-   * @param {string=} config.botAlias - The alias of the lex bot.
-   * @param {string=} config.userId - The userId used to keep track of the session with lex bot.
+   * @private
    *
-   * @returns {Promise} A Promise-like object that resolves to a Lex response object.
-   * For details on the structure of that response object see: https://docs.aws.amazon.com/AWSJavaScriptSDK/latest/AWS/LexRuntime.html#postContent-property
+   * @param {string} contentType - The content type of the input.
+   * @param {(string|Blob)} inputStream - The text or audio input.
+   * @param {Object} settings - Validated lex bot info.
+   *
+   * @returns {Promise} Resolves with the Lex response object.
    */
-  processWithText(inputText, config = {}) {
-    return this._process('text/plain; charset=utf-8', inputText, config);
-  }
-
-  _process(contentType, inputStream, config) {
-    const settings = this._validateConfig(config);
+  _requestV1(contentType, inputStream, settings) {
     const lexSettings = {
       botName: settings.botName,
       botAlias: settings.botAlias,
@@ -133,127 +173,115 @@ class LexFeature extends Messenger {
         }
         return resolve(data);
       });
-    })
-      .then(data => {
-        this.emit(this.constructor.EVENTS.lexResponseReady, data);
-        return data;
-      })
-      .catch(error => {
-        const errorMessage = `Error happened during voice recording: ${error}. Please check whether your speech is more than 15s.`;
-        console.error(errorMessage);
-        throw new Error(errorMessage);
-      });
+    });
   }
 
-  _validateConfig(config) {
-    const settings = {};
-
-    settings.botName = config.botName ? config.botName : this._botName;
-    settings.botAlias = config.botAlias ? config.botAlias : this._botAlias;
-    settings.userId = config.userId ? config.userId : this._userId;
+  /**
+   * Send input to a Lex V2 bot using RecognizeText for text input and
+   * RecognizeUtterance for audio input. RecognizeUtterance expects raw PCM
+   * audio, so the WAV header is removed from audio input.
+   *
+   * @private
+   *
+   * @param {string} contentType - The content type of the input.
+   * @param {(string|Blob)} inputStream - The text or audio input.
+   * @param {Object} settings - Validated lex bot info.
+   *
+   * @returns {Promise} Resolves with the decoded and normalized Lex response object.
+   */
+  _requestV2(contentType, inputStream, settings) {
+    const lexSettings = {
+      botId: settings.botId,
+      botAliasId: settings.botAliasId,
+      localeId: settings.localeId,
+      sessionId: settings.userId,
+    };
+    const isText = contentType.startsWith('text/');
 
-    if (!settings.botName || !settings.botAlias || !settings.userId) {
-      throw new Error(
-        'Cannot process lex request. All arguments must be defined.'
-      );
+    if (isText) {
+      lexSettings.text = inputStream;
+    } else {
+      lexSettings.requestContentType = `audio/l16; rate=${this.constructor.LEX_DEFAULTS.SampleRate}; channels=1`;
+      lexSettings.responseContentType = 'text/plain; charset=utf-8';
+      lexSettings.inputStream =
+        inputStream instanceof Blob
+          ? inputStream.slice(wavHeaderSize)
+          : inputStream;
     }
 
-    return settings;
-  }
-
-  _prepareAudio(audioBuffer, sourceSampleRate) {
-    const downsampledAudio = LexUtils.downsampleAudio(
-      audioBuffer,
-      sourceSampleRate,
-      this.constructor.LEX_DEFAULTS.SampleRate
-    );
-    const encodedAudio = LexUtils.encodeWAV(
-      downsampledAudio,
-      this.constructor.LEX_DEFAULTS.SampleRate
-    );
-
-    return new Blob([encodedAudio], {type: 'application/octet-stream'});
+    return new Promise((resolve, reject) => {
+      const method = isText ? 'recognizeText' : 'recognizeUtterance';
+      this._lexRuntime[method](lexSettings, (error, data) => {
+        if (error) {
+          return reject(error);
+        }
+        return resolve(data);
+      });
+    })
+      .then(data => (isText ? data : this._decodeResponseV2(data)))
+      .then(data => LexUtils.normalizeLexV2Response(data));
   }
 
   /**
-   * Async function to setup microphone recorder which will get user permission for accessing microphone
-   * This method must be called before attempting to record voice input with the
-   * beginVoiceRecording() method. Expect an error to be thrown if the user has
-   * chosen to block microphone access.
+   * Decode the compressed fields of a Lex V2 RecognizeUtterance response.
+   *
+   * @private
+   *
+   * @param {Object} data - The Lex V2 response.
    *
-   * @throws {DOMException} See the documentation for
-   * [MediaDevices.getUserMedia()](https://developer.mozilla.org/en-US/docs/Web/API/MediaDevices/getUserMedia).
-   * The most likely error to expect will be the "NotAllowed" error indicating
-   * the user has denied access to the microphone.
+   * @returns {Promise} Resolves with a copy of the response with decoded fields.
    */
-  async enableMicInput() {
-    const stream = await navigator.mediaDevices.getUserMedia({
-      audio: true,
-      video: false,
-    });
-    const source = this._audioContext.createMediaStreamSource(stream);
-    //TODO: createScriptProcessor is deprecated which should be replaced
-    const node = this._audioContext.createScriptProcessor(4096, 1, 1);
-
-    node.onaudioprocess = e => {
-      if (!this._recording) return;
-
-      const buffer = e.inputBuffer.getChannelData(0);
-      this._recBuffer.push(new Float32Array(buffer));
-      this._recLength += buffer.length;
-    };
-
-    source.connect(node);
-    node.connect(this._audioContext.destination);
+  _decodeResponseV2(data) {
+    const decoded = {...data};
+    const fields = compressedV2Fields.filter(
+      field => typeof data[field] === 'string' && data[field].length
+    );
 
-    this.emit(this.constructor.EVENTS.micReady);
-    this._micReady = true;
+    return Promise.all(
+      fields.map(field =>
+        LexUtils.decodeLexV2Value(data[field]).then(value => {
+          decoded[field] = value;
+        })
+      )
+    ).then(() => decoded);
   }
 
-  /**
-   * Begin microphone recording. This function will also try to resume audioContext so that
-   * it's suggested to call this function after a user interaction
-   */
-  beginVoiceRecording() {
-    if (!this._micReady) {
-      return;
-    }
+  _validateConfig(config) {
+    const settings = {};
 
-    if (
-      this._audioContext.state === 'suspended' ||
-      this._audioContext.state === 'interrupted'
-    ) {
-      this._audioContext.resume();
-    }
-    this._recLength = 0;
-    this._recBuffer = [];
-    this._recording = true;
+    settings.userId = config.userId ? config.userId : this._userId;
 
-    this.emit(this.constructor.EVENTS.recordBegin);
-  }
+    if (this._isV2) {
+      settings.botId = config.botId ? config.botId : this._botId;
+      settings.botAliasId = config.botAliasId
+        ? config.botAliasId
+        : this._botAliasId;
+      settings.localeId = config.localeId ? config.localeId : this._localeId;
 
-  /**
-   * Stop microphone recording and send recorded audio data to lex.
-   *
-   * @returns {Promise} A Promise-like object that resolves to a Lex response object.
-   * For details on the structure of that response object see: https://docs.aws.amazon.com/AWSJavaScriptSDK/latest/AWS/LexRuntime.html#postContent-property
-   */
-  endVoiceRecording() {
-    if (!this._recording) {
-      return Promise.resolve();
+      if (
+        !settings.botId ||
+        !settings.botAliasId ||
+        !settings.localeId ||
+        !settings.userId
+      ) {
+        throw new Error(
+          'Cannot process lex request. All arguments must be defined.'
+        );
+      }
+
+      return settings;
     }
 
-    this._recording = false;
+    settings.botName = config.botName ? config.botName : this._botName;
+    settings.botAlias = config.botAlias ? config.botAlias : this._botAlias;
 
-    const result = new Float32Array(this._recLength);
-    let offset = 0;
-    for (let i = 0; i < this._recBuffer.length; i++) {
-      result.set(this._recBuffer[i], offset);
-      offset += this._recBuffer[i].length;
+    if (!settings.botName || !settings.botAlias || !settings.userId) {
+      throw new Error(
+        'Cannot process lex request. All arguments must be defined.'
+      );
     }
 
-    this.emit(this.constructor.EVENTS.recordEnd);
-    return this._processWithAudio(result, this._audioContext.sampleRate);
+    return settings;
   }
 
   /**
@@ -275,10 +303,10 @@ Object.defineProperties(LexFeature, {
   EVENTS: {
     value: {
       ...Object.getPrototypeOf(LexFeature).EVENTS,
+      responseReady: 'lexResponseReady',
+      responseError: 'lexResponseError',
       lexResponseReady: 'lexResponseReady',
-      micReady: 'micReady',
-      recordBegin: 'recordBegin',
-      recordEnd: 'recordEnd',
+      lexResponseError: 'lexResponseError',
     },
   },
 });
@@ -65,6 +65,26 @@ class LexUtils {
     return downsampledBuffer;
   }
 
+  /**
+   * Calculates the root mean square level of the audio.
+   *
+   * @param {Float32Array} buffer - Input audio buffer
+   *
+   * @return {float} The level of the audio, between 0 and 1
+   */
+  static getAudioLevel(buffer) {
+    if (!buffer || !buffer.length) {
+      return 0;
+    }
+
+    let sum = 0;
+    for (let i = 0; i < buffer.length; i++) {
+      sum += buffer[i] * buffer[i];
+    }
+
+    return Math.min(1, Math.sqrt(sum / buffer.length));
+  }
+
   /**
    * Converts audio data to WAV.
    *
@@ -114,6 +134,89 @@ class LexUtils {
 
     return view;
   }
+
+  /**
+   * Decodes a value from a Lex V2 RecognizeUtterance response. Lex V2 compresses
+   * fields such as 'messages' and 'sessionState' with gzip and base64 encodes
+   * them when responding to audio input.
+   *
+   * @param {string} value - The base64 encoded, gzip compressed value.
+   *
+   * @returns {Promise} Resolves with the parsed JSON value, or the decompressed
+   * text if it is not valid JSON.
+   */
+  static decodeLexV2Value(value) {
+    if (typeof DecompressionStream === 'undefined') {
+      return Promise.reject(
+        new Error(
+          'Cannot decode Lex V2 value. DecompressionStream is not supported in this environment.'
+        )
+      );
+    }
+
+    const binary = atob(value);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+
+    // Support for DecompressionStream is checked above
+    // eslint-disable-next-line compat/compat, no-undef
+    const decompressor = new DecompressionStream('gzip');
+    const stream = new Blob([bytes]).stream().pipeThrough(decompressor);
+
+    return new Response(stream).text().then(text => {
+      try {
+        return JSON.parse(text);
+      } catch (e) {
+        return text;
+      }
+    });
+  }
+
+  /**
+   * Adds the properties of a Lex V1 PostContent response to a Lex V2 response
+   * so the response can be used the same way regardless of the Lex version.
+   * The original Lex V2 properties are kept.
+   *
+   * @param {Object} response - A decoded Lex V2 RecognizeText or RecognizeUtterance
+   * response.
+   *
+   * @returns {Object} A new response object that includes the 'message',
+   * 'messageFormat', 'dialogState', 'intentName', 'slots', 'slotToElicit' and
+   * 'sessionAttributes' properties of a Lex V1 response.
+   */
+  static normalizeLexV2Response(response) {
+    const messages = response.messages || [];
+    const sessionState = response.sessionState || {};
+    const dialogAction = sessionState.dialogAction || {};
+    const intent = sessionState.intent || {};
+
+    // Lex V1 reports the state of the intent once the conversation is closed
+    const dialogState =
+      dialogAction.type === 'Close' ? intent.state : dialogAction.type;
+
+    // Lex V1 slots only contain the interpreted value
+    const slots = {};
+    Object.entries(intent.slots || {}).forEach(([name, slot]) => {
+      slots[name] =
+        slot && slot.value ? slot.value.interpretedValue || null : null;
+    });
+
+    return {
+      ...response,
+      message: messages
+        .filter(message => message.content)
+        .map(message => message.content)
+        .join(' '),
+      messageFormat: messages.length ? messages[0].contentType : undefined,
+      dialogState,
+      intentName: intent.name,
+      slots,
+      slotToElicit: dialogAction.slotToElicit,
+      sessionAttributes: sessionState.sessionAttributes || {},
+    };
+  }
 }
 
 export default LexUtils;
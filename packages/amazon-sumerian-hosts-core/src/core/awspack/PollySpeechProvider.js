@@ -0,0 +1,84 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+import Deferred from '../Deferred';
+import AbstractSpeechProvider from './AbstractSpeechProvider';
+import TextToSpeechUtils from './TextToSpeechUtils';
+
+/**
+ * Speech provider that generates speechmarks with {@link external:Polly} and
+ * audio URLs with {@link external:Presigner}. Services are read from the class
+ * that owns them each time they are needed, so the provider can be created
+ * before [initializeService]{@link AbstractTextToSpeechFeature.initializeService}
+ * has been executed.
+ *
+ * @extends AbstractSpeechProvider
+ */
+class PollySpeechProvider extends AbstractSpeechProvider {
+  /**
+   * @constructor
+   *
+   * @param {Class} serviceOwner - Class that stores the Polly and Presigner
+   * services on its SERVICES property and exposes a static isReady property,
+   * such as {@link AbstractTextToSpeechFeature}.
+   */
+  constructor(serviceOwner) {
+    super();
+
+    this._serviceOwner = serviceOwner;
+  }
+
+  /**
+   * Indicates whether or not the Polly services have been initialized.
+   *
+   * @readonly
+   * @type {boolean}
+   */
+  get isReady() {
+    return !!this._serviceOwner.isReady;
+  }
+
+  /**
+   * Create presigned URL of speech audio for the given speech text.
+   *
+   * @param {Object} params - Parameters object compatible with Polly.synthesizeSpeech.
+   *
+   * @returns {Deferred} Resolves with an object containing the audio URL.
+   */
+  synthesizeAudio(params) {
+    return new Deferred((resolve, reject) => {
+      this._serviceOwner.SERVICES.presigner.getSynthesizeSpeechUrl(
+        params,
+        function(error, url) {
+          if (!error) {
+            resolve({url});
+          } else {
+            reject(error);
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Retrieves and parses speechmarks for the given speech text.
+   *
+   * @param {Object} params - Parameters object compatible with Polly.synthesizeSpeech.
+   *
+   * @returns {Promise} Resolves with an array of speechmark objects.
+   */
+  synthesizeSpeechmarks(params) {
+    return this._serviceOwner.SERVICES.polly
+      .synthesizeSpeech(params)
+      .promise()
+      .then(result => {
+        // Convert charcodes to string
+        const jsonString = JSON.stringify(result.AudioStream);
+        const json = JSON.parse(jsonString);
+        const dataStr = json.data.map(c => String.fromCharCode(c)).join('');
+
+        return TextToSpeechUtils.parseSpeechmarks(dataStr);
+      });
+  }
+}
+
+export default PollySpeechProvider;
@@ -99,6 +99,15 @@ class Speech extends AbstractSpeech {
     });
   }
 
+  /**
+   * Play the audio from its current local time.
+   *
+   * @private
+   */
+  _resumeAudio() {
+    this._audio.play();
+  }
+
   play(currentTime, onFinish, onError, onInterrupt) {
     this._audioFinished = false;
     this._playAudio();
@@ -113,7 +122,7 @@ class Speech extends AbstractSpeech {
 
   resume(currentTime, onFinish, onError, onInterrupt) {
     this._audioFinished = false;
-    this._audio.play();
+    this._resumeAudio();
 
     return super.resume(currentTime, onFinish, onError, onInterrupt);
   }
@@ -123,11 +132,36 @@ class Speech extends AbstractSpeech {
     super.cancel();
   }
 
+  seek(currentTime, position) {
+    super.seek(currentTime, position);
+
+    // Audio starts later than speechmarks when the offset is negative
+    this._audioFinished = false;
+    this._audio.currentTime = Math.max(
+      position + Math.min(this.speechmarkOffset, 0),
+      0
+    );
+  }
+
   stop() {
     this._pauseAudio();
     this._audio.currentTime = 0;
     super.stop();
   }
+
+  discard() {
+    // Unload the audio and remove it from the document
+    this._audio.onended = null;
+    this._audio.pause();
+    this._audio.removeAttribute('src');
+    this._audio.load();
+
+    if (this._audio.parentNode) {
+      this._audio.parentNode.removeChild(this._audio);
+    }
+
+    super.discard();
+  }
 }
 
 export default Speech;
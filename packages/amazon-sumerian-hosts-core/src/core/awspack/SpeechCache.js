@@ -0,0 +1,180 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+
+/**
+ * A least recently used cache with an optional maximum number of entries. Once
+ * the maximum is reached, adding a new entry evicts the entry that was used the
+ * longest time ago. Used by {@link AbstractTextToSpeechFeature} to store speeches.
+ */
+class SpeechCache {
+  /**
+   * @constructor
+   *
+   * @param {Object=} options - Options for the cache.
+   * @param {number} [options.maxEntries=Infinity] - The maximum number of entries
+   * the cache can hold.
+   * @param {Function=} options.onRemove - Function to execute each time an
+   * entry is evicted, deleted or cleared from the cache. The key and the entry
+   * are supplied as arguments.
+   */
+  constructor(options = {maxEntries: Infinity, onRemove: undefined}) {
+    this._entries = new Map();
+    this._onRemove = options.onRemove;
+    this.maxEntries =
+      options.maxEntries === undefined ? Infinity : options.maxEntries;
+  }
+
+  /**
+   * Create a cache key for a speech. Speeches with the same text and the same
+   * speech parameters, such as voice, engine and language, produce the same key.
+   *
+   * @param {string} text - The text of the speech.
+   * @param {Object=} config - Speech parameters compatible with Polly.synthesizeSpeech.
+   *
+   * @returns {string}
+   */
+  static getKey(text, config = {}) {
+    const params = Object.keys(config)
+      .sort()
+      .map(name => [name, config[name]]);
+
+    return JSON.stringify([text, params]);
+  }
+
+  /**
+   * Gets and sets the maximum number of entries the cache can hold. Lowering
+   * the value evicts the least recently used entries that no longer fit.
+   *
+   * @type {number}
+   */
+  get maxEntries() {
+    return this._maxEntries;
+  }
+
+  set maxEntries(maxEntries) {
+    maxEntries = Number(maxEntries);
+
+    if (Number.isNaN(maxEntries) || maxEntries < 1) {
+      throw new Error(
+        `Cannot set maxEntries of speech cache. Value must be a number greater than 0.`
+      );
+    }
+
+    this._maxEntries = maxEntries;
+    this._evict();
+  }
+
+  /**
+   * Gets the number of entries in the cache.
+   *
+   * @readonly
+   * @type {number}
+   */
+  get size() {
+    return this._entries.size;
+  }
+
+  /**
+   * Remove least recently used entries until the cache is within its maximum.
+   *
+   * @private
+   */
+  _evict() {
+    while (this._entries.size > this._maxEntries) {
+      const key = this._entries.keys().next().value;
+      this.delete(key);
+    }
+  }
+
+  /**
+   * Return the keys of all entries, ordered from least to most recently used.
+   *
+   * @returns {Array.<string>}
+   */
+  keys() {
+    return [...this._entries.keys()];
+  }
+
+  /**
+   * Gets whether or not the cache has an entry for the given key. Does not
+   * count as a use of the entry.
+   *
+   * @param {string} key - The key of the entry.
+   *
+   * @returns {boolean}
+   */
+  has(key) {
+    return this._entries.has(key);
+  }
+
+  /**
+   * Return the entry for the given key and mark it as the most recently used.
+   *
+   * @param {string} key - The key of the entry.
+   *
+   * @returns {(Object|undefined)}
+   */
+  get(key) {
+    if (!this._entries.has(key)) {
+      return undefined;
+    }
+
+    const entry = this._entries.get(key);
+    this._entries.delete(key);
+    this._entries.set(key, entry);
+
+    return entry;
+  }
+
+  /**
+   * Store an entry as the most recently used, evicting the least recently used
+   * entries if the cache is full.
+   *
+   * @param {string} key - The key of the entry.
+   * @param {Object} entry - The entry to store.
+   */
+  set(key, entry) {
+    const existing = this._entries.get(key);
+    this._entries.delete(key);
+
+    if (existing !== undefined && existing !== entry && this._onRemove) {
+      this._onRemove(key, existing);
+    }
+
+    this._entries.set(key, entry);
+    this._evict();
+  }
+
+  /**
+   * Remove the entry for the given key.
+   *
+   * @param {string} key - The key of the entry.
+   *
+   * @returns {boolean} Whether or not an entry was removed.
+   */
+  delete(key) {
+    if (!this._entries.has(key)) {
+      return false;
+    }
+
+    const entry = this._entries.get(key);
+    this._entries.delete(key);
+
+    if (this._onRemove) {
+      this._onRemove(key, entry);
+    }
+
+    return true;
+  }
+
+  /**
+   * Remove all entries from the cache.
+   */
+  clear() {
+    this.keys().forEach(key => {
+      this.delete(key);
+    });
+  }
+}
+
+export default SpeechCache;
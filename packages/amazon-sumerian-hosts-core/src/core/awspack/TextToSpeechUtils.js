@@ -191,6 +191,122 @@ class TextToSpeechUtils {
     return text;
   }
 
+  /**
+   * Split SSML text into separate speeches at sentence boundaries. Sentences
+   * are only split where no SSML tags are left open, so each resulting string
+   * is valid SSML. Text will be surrounded by <speak></speak> tags if needed.
+   *
+   * @param {string} text - Input string.
+   *
+   * @returns {Array.<string>} - Array of SSML strings, one for each sentence.
+   */
+  static splitSentences(text) {
+    text = TextToSpeechUtils.validateText(text)
+      .replace(/^<speak>/, '')
+      .replace(/<\/speak>$/, '');
+
+    const ssmlTagRegex = /<[^>]*>/g;
+    const sentenceRegex = /[^.!?]+[.!?]+/g;
+
+    // Find all SSML tags in the text and replace them with whitespace
+    const existingTags = [];
+    let cleanedText = text;
+    let ssmlResult = ssmlTagRegex.exec(text);
+    while (ssmlResult !== null) {
+      existingTags.push({
+        end: ssmlResult.index + ssmlResult[0].length,
+        text: ssmlResult[0],
+      });
+      cleanedText = [
+        cleanedText.slice(0, ssmlResult.index),
+        ' '.repeat(ssmlResult[0].length),
+        cleanedText.slice(ssmlResult.index + ssmlResult[0].length),
+      ].join('');
+      ssmlResult = ssmlTagRegex.exec(text);
+    }
+
+    // Find the number of open tags at the given index
+    const getDepth = index => {
+      let depth = 0;
+      existingTags.forEach(tag => {
+        if (tag.end > index || /\/\s*>$/.test(tag.text)) return;
+        depth += /^<\s*\//.test(tag.text) ? -1 : 1;
+      });
+      return depth;
+    };
+
+    // Split after sentence punctuation that isn't inside a tag. If a sentence
+    // ends right before its tags are closed, split after the closing tags.
+    const splitIndices = [];
+    let result = sentenceRegex.exec(cleanedText);
+    while (result !== null) {
+      let index = result.index + result[0].length;
+
+      if (getDepth(index) !== 0) {
+        const closingTag = existingTags.find(
+          tag => tag.end > index && getDepth(tag.end) === 0
+        );
+        index =
+          closingTag && cleanedText.slice(index, closingTag.end).trim() === ''
+            ? closingTag.end
+            : undefined;
+      }
+
+      if (index !== undefined) {
+        splitIndices.push(index);
+      }
+      result = sentenceRegex.exec(cleanedText);
+    }
+    splitIndices.push(text.length);
+
+    // Merge any chunks without spoken text into the previous chunk
+    const chunks = [];
+    let prevIndex = 0;
+    splitIndices.forEach(index => {
+      const chunk = text.slice(prevIndex, index);
+      const isSpoken = cleanedText.slice(prevIndex, index).trim() !== '';
+      prevIndex = index;
+
+      if (isSpoken || chunks.length === 0) {
+        chunks.push(chunk);
+      } else {
+        chunks[chunks.length - 1] += chunk;
+      }
+    });
+
+    return chunks.map(chunk => TextToSpeechUtils.validateText(chunk.trim()));
+  }
+
+  /**
+   * Parse a string of speechmarks in the JSON lines format returned by Polly
+   * into an array of speechmark objects.
+   *
+   * @param {string} text - Speechmark objects separated by newlines.
+   *
+   * @returns {Array.<Object>} - Array of speechmark objects.
+   */
+  static parseSpeechmarks(text) {
+    // Split by enclosing {} to create speechmark objects
+    return [...text.matchAll(/\{.*?\}(?=\n|$)/gm)].map(match =>
+      JSON.parse(match[0])
+    );
+  }
+
+  /**
+   * Convert an array of speechmark objects into the JSON lines format returned
+   * by Polly. Duration properties that were calculated for the speechmarks are
+   * not included.
+   *
+   * @param {Array.<Object>} speechmarks - Array of speechmark objects.
+   *
+   * @returns {string} - Speechmark objects separated by newlines.
+   */
+  static stringifySpeechmarks(speechmarks) {
+    return speechmarks
+      .map(({duration, ...mark}) => JSON.stringify(mark))
+      .join('\n');
+  }
+
   /**
    * Parse an input string and insert SSML marks based on
    * word matches in a map.
@@ -2,16 +2,38 @@
 // SPDX-License-Identifier: MIT-0
 import TextToSpeechUtils from './TextToSpeechUtils';
 import AbstractSpeech from './AbstractSpeech';
+import AbstractSpeechProvider from './AbstractSpeechProvider';
+import PollySpeechProvider from './PollySpeechProvider';
 import Speech from './Speech';
-import AbstractTextToSpeechFeature from './AbstractTextToSpeechFeature';
+import ChunkedSpeech from './ChunkedSpeech';
+import SpeechCache from './SpeechCache';
+import AbstractSpeechStore from './AbstractSpeechStore';
+import IndexedDBSpeechStore from './IndexedDBSpeechStore';
+import AbstractTextToSpeechFeature, {
+  SpeechQueuePolicies,
+} from './AbstractTextToSpeechFeature';
 import TextToSpeechFeature from './TextToSpeechFeature';
+import AbstractChatbotBackend from './AbstractChatbotBackend';
+import HttpChatbotBackend from './HttpChatbotBackend';
 import LexFeature from './LexFeature';
 import LexUtils from './LexUtils';
+import ConversationFeature, {
+  ConversationStates,
+  DefaultDialogStateEmotes,
+} from './ConversationFeature';
 /**
  * @module core/awspack
  */
 
 export default {
+  /**
+   * @see AbstractChatbotBackend
+   */
+  AbstractChatbotBackend,
+  /**
+   * @see core/HttpChatbotBackend
+   */
+  HttpChatbotBackend,
   /**
    * @see LexFeature
    */
@@ -20,10 +42,26 @@ export default {
    * @see LexUtils
    */
   LexUtils,
+  /**
+   * @see core/ConversationFeature
+   */
+  ConversationFeature,
+  /**
+   * @see ConversationStates
+   */
+  ConversationStates,
+  /**
+   * @see DefaultDialogStateEmotes
+   */
+  DefaultDialogStateEmotes,
   /**
    * @see AbstractTextToSpeechFeature
    */
   AbstractTextToSpeechFeature,
+  /**
+   * @see SpeechQueuePolicies
+   */
+  SpeechQueuePolicies,
   /**
    * @see core/TextToSpeechFeature
    */
@@ -40,4 +78,28 @@ export default {
    * @see core/Speech
    */
   Speech,
+  /**
+   * @see ChunkedSpeech
+   */
+  ChunkedSpeech,
+  /**
+   * @see AbstractSpeechProvider
+   */
+  AbstractSpeechProvider,
+  /**
+   * @see PollySpeechProvider
+   */
+  PollySpeechProvider,
+  /**
+   * @see SpeechCache
+   */
+  SpeechCache,
+  /**
+   * @see AbstractSpeechStore
+   */
+  AbstractSpeechStore,
+  /**
+   * @see IndexedDBSpeechStore
+   */
+  IndexedDBSpeechStore,
 };
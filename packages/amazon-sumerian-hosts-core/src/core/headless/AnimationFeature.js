@@ -0,0 +1,80 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+import CoreAnimationFeature from '../animpack/AnimationFeature';
+import SingleState from './SingleState';
+
+/**
+ * @typedef {Object} HeadlessPoseEntry
+ * @property {string} layer - Name of the layer the clip is playing on.
+ * @property {string} animation - Name of the state playing the clip.
+ * @property {string} clip - Name of the clip.
+ * @property {number} normalizedTime - Playback time of the clip between 0 and 1.
+ * @property {number} weight - Influence of the clip on the final pose, after
+ * layer and container weights have been applied.
+ * @property {string} blendMode - The {@link LayerBlendModes} value of the clip.
+ */
+
+/**
+ * Feature for managing animations without a rendering engine. Animations are
+ * described by {@link HeadlessClip} objects and produce an abstract pose that
+ * can be read with [getPose]{@link headless/AnimationFeature#getPose}.
+ *
+ * @extends core/AnimationFeature
+ * @alias headless/AnimationFeature
+ */
+class AnimationFeature extends CoreAnimationFeature {
+  _createSingleState(options) {
+    return new SingleState(options);
+  }
+
+  /**
+   * Return the clips that currently influence the host's pose, in layer order.
+   * Clips with no weight are excluded.
+   *
+   * @returns {Array.<HeadlessPoseEntry>}
+   */
+  getPose() {
+    const pose = [];
+
+    this._layers.forEach(layer => {
+      if (!layer.currentState) {
+        return;
+      }
+
+      layer.currentState.getActiveStates().forEach(state => {
+        if (state.internalWeight === 0 || state.clip === undefined) {
+          return;
+        }
+
+        pose.push({
+          layer: layer.name,
+          animation: state.name,
+          clip: state.clip.name,
+          normalizedTime: state.normalizedTime,
+          weight: state.internalWeight,
+          blendMode: state.blendMode,
+        });
+      });
+    });
+
+    return pose;
+  }
+
+  installApi() {
+    const api = super.installApi();
+
+    Object.assign(api, {
+      /**
+       * @memberof AnimationFeature
+       * @instance
+       * @method
+       * @see headless/AnimationFeature#getPose
+       */
+      getPose: this.getPose.bind(this),
+    });
+
+    return api;
+  }
+}
+
+export default AnimationFeature;
@@ -0,0 +1,80 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+import CoreHostBuilder from '../HostBuilder';
+import AnimationFeature from './AnimationFeature';
+import PointOfInterestFeature from './PointOfInterestFeature';
+import LocomotionFeature from './LocomotionFeature';
+import TextToSpeechFeature from './TextToSpeechFeature';
+
+/**
+ * Builder that creates headless hosts from a {@link HostDefinition}. Clips are
+ * looked up by name in the {@link HeadlessClip} objects given to the builder
+ * and scene objects are looked up by name in the scene, an object mapping
+ * names to {@link HeadlessTransform} objects.
+ *
+ * @extends core/HostBuilder
+ * @alias headless/HostBuilder
+ */
+class HostBuilder extends CoreHostBuilder {
+  /**
+   * @constructor
+   *
+   * @param {Object.<string, HeadlessTransform>} [scene={}] - The scene objects
+   * that can be referenced by name in definitions.
+   * @param {Array.<HeadlessClip>} [clips=[]] - Animation clips that can be
+   * referenced by name in definitions.
+   * @param {Object=} options - Options for the builder. See
+   * {@link core/HostBuilder}.
+   */
+  constructor(scene = {}, clips = [], options = {}) {
+    super({
+      ...options,
+      featureClasses: {
+        AnimationFeature,
+        PointOfInterestFeature,
+        LocomotionFeature,
+        TextToSpeechFeature,
+        ...options.featureClasses,
+      },
+    });
+
+    this._scene = scene;
+    this._clips = clips;
+  }
+
+  _resolveClip(clip, layerDefinition) {
+    if (typeof clip !== 'string') {
+      return clip;
+    }
+
+    const headlessClip = this._clips.find(({name}) => name === clip);
+
+    if (headlessClip === undefined) {
+      throw new Error(
+        `Cannot resolve clip ${clip} for layer ${layerDefinition.name}. No animation clip exists with this name.`
+      );
+    }
+
+    return headlessClip;
+  }
+
+  _resolveObject(host, object) {
+    if (typeof object !== 'string') {
+      return object;
+    }
+
+    return this._scene[object];
+  }
+
+  _resolveFeatureArgs(host, type, args) {
+    args = super._resolveFeatureArgs(host, type, args);
+
+    if (type === 'PointOfInterestFeature') {
+      args[0].scene = args[0].scene || this._scene;
+    }
+
+    return args;
+  }
+}
+
+export default HostBuilder;
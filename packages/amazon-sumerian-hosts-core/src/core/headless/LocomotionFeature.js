@@ -0,0 +1,30 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+import CoreLocomotionFeature from '../LocomotionFeature';
+import TransformUtils from './TransformUtils';
+
+/**
+ * The host owner and targets are {@link HeadlessTransform} objects.
+ *
+ * @extends core/LocomotionFeature
+ * @alias headless/LocomotionFeature
+ */
+class LocomotionFeature extends CoreLocomotionFeature {
+  static _getWorldPosition(obj) {
+    return TransformUtils.getPosition(obj);
+  }
+
+  static _getWorldDirection(obj, direction) {
+    return TransformUtils.rotateVector(obj, direction);
+  }
+
+  _rotate(degrees) {
+    TransformUtils.rotateAroundUp(this._host.owner, degrees);
+  }
+
+  _translate(offset) {
+    TransformUtils.translate(this._host.owner, offset);
+  }
+}
+
+export default LocomotionFeature;
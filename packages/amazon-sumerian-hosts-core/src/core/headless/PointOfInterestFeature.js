@@ -0,0 +1,50 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+import CorePointOfInterestFeature from '../PointOfInterestFeature';
+import TransformUtils from './TransformUtils';
+
+/**
+ * Scene objects are {@link HeadlessTransform} objects. The scene is an object
+ * mapping names to transforms, transforms can optionally have an 'id' property
+ * to be found with [setTargetById]{@link headless/PointOfInterestFeature#setTargetById}.
+ *
+ * @extends core/PointOfInterestFeature
+ * @alias headless/PointOfInterestFeature
+ */
+class PointOfInterestFeature extends CorePointOfInterestFeature {
+  static _getWorldPosition(obj) {
+    return TransformUtils.getPosition(obj);
+  }
+
+  static _getWorldMatrix(obj) {
+    return TransformUtils.getMatrix(obj);
+  }
+
+  _getObjectName(obj) {
+    const name = Object.keys(this._scene || {}).find(
+      key => this._scene[key] === obj
+    );
+
+    return name !== undefined ? name : obj.name;
+  }
+
+  setTargetByName(name) {
+    super.setTargetByName(name);
+    if (!name) {
+      return;
+    }
+
+    this.target = this._scene[name];
+  }
+
+  setTargetById(id) {
+    super.setTargetById(id);
+    if (!id) {
+      return;
+    }
+
+    this.target = Object.values(this._scene).find(obj => obj.id === id);
+  }
+}
+
+export default PointOfInterestFeature;
@@ -0,0 +1,128 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+import CoreSingleState from '../animpack/state/SingleState';
+import MathUtils from '../MathUtils';
+
+/**
+ * @typedef {Object} HeadlessClip
+ * @property {string} name - Name of the clip.
+ * @property {number} [duration=0] - Length of the clip in seconds.
+ */
+
+/**
+ * Class for playing a single animation clip without a rendering engine. The
+ * state keeps track of playback time and weight so other features and
+ * applications can read the pose the host would be in.
+ *
+ * @extends core/SingleState
+ * @alias headless/SingleState
+ */
+class SingleState extends CoreSingleState {
+  /**
+   * @constructor
+   *
+   * @param {Object=} options - Options for the animation state.
+   * @param {HeadlessClip=} options.clip - The clip to play. If none is provided
+   * a clip with no duration is played, which never finishes.
+   */
+  constructor(options = {}) {
+    super(options);
+
+    this._clip = {duration: 0, name: this.name, ...options.clip};
+    this._time = 0;
+    this._loopsPlayed = 0;
+  }
+
+  /**
+   * Gets the clip that the state plays.
+   *
+   * @readonly
+   * @type {HeadlessClip}
+   */
+  get clip() {
+    return this._clip;
+  }
+
+  get duration() {
+    return this._clip.duration;
+  }
+
+  get normalizedTime() {
+    return this._clip.duration ? this._time / this._clip.duration : 0;
+  }
+
+  set normalizedTime(time) {
+    this._time = MathUtils.clamp(time) * this._clip.duration;
+  }
+
+  /**
+   * Move the playback time forward, wrapping it each time the end of the clip
+   * is passed.
+   *
+   * @private
+   *
+   * @param {number} deltaTime - Amount of time in milliseconds to advance by.
+   *
+   * @returns {boolean} Whether or not playback reached the end of its final
+   * loop.
+   */
+  _advanceTime(deltaTime) {
+    const {duration} = this._clip;
+    this._time +=
+      (deltaTime / 1000) * this._timeScale * this._internalTimeScale;
+
+    if (!duration) {
+      return false;
+    }
+
+    const loops = Math.floor(this._time / duration);
+
+    if (this._loopsPlayed + loops >= this._loopCount) {
+      // Hold the last frame on completion
+      this._time = duration;
+      return true;
+    }
+
+    this._loopsPlayed += loops;
+    this._time -= loops * duration;
+    return false;
+  }
+
+  update(deltaTime) {
+    const finished =
+      !this._paused &&
+      this._promises.play.pending &&
+      this._advanceTime(deltaTime);
+
+    super.update(deltaTime);
+
+    if (finished) {
+      this._finish();
+
+      // Stop evaluating interpolators if they have already completed
+      if (!this.weightPending && !this.timeScalePending) {
+        this._paused = true;
+      }
+    }
+  }
+
+  play(onFinish, onError, onCancel) {
+    this._time = 0;
+    this._loopsPlayed = 0;
+
+    return super.play(onFinish, onError, onCancel);
+  }
+
+  stop() {
+    this._time = 0;
+    this._loopsPlayed = 0;
+
+    return super.stop();
+  }
+
+  getDefinition() {
+    return {...super.getDefinition(), clip: this._clip.name};
+  }
+}
+
+export default SingleState;
@@ -0,0 +1,55 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+import AbstractSpeech from '../awspack/AbstractSpeech';
+
+/**
+ * Class that emits speechmark messages on the host clock without playing any
+ * audio. The URL of the speech audio is kept so it can be played elsewhere,
+ * such as by a client the host's speechmarks are streamed to.
+ *
+ * @extends AbstractSpeech
+ * @alias headless/Speech
+ */
+class Speech extends AbstractSpeech {
+  /**
+   * @constructor
+   *
+   * @param {headless/TextToSpeechFeature} speaker - The owner of the Speech that
+   * will emit speechmark messages.
+   * @param {string} text - The text of the speech.
+   * @param {Array.<Object>} [speechmarks=[]] - An array of speechmark objects
+   * representing the text and timing of the speech.
+   * @param {Object=} audioConfig - Object containing the url of the speech audio.
+   */
+  constructor(speaker, text, speechmarks = [], audioConfig = {}) {
+    super(speaker, text, speechmarks);
+    this._url = audioConfig.url;
+    this._volume = 1;
+  }
+
+  /**
+   * Gets the URL of the speech audio.
+   *
+   * @readonly
+   * @type {(string|undefined)}
+   */
+  get url() {
+    return this._url;
+  }
+
+  /**
+   * Gets and sets the audio volume for the speech. The volume is stored so it
+   * can be applied wherever the audio is played.
+   *
+   * @type {number}
+   */
+  get volume() {
+    return this._volume;
+  }
+
+  set volume(volume) {
+    this._volume = volume;
+  }
+}
+
+export default Speech;
@@ -0,0 +1,52 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+import AbstractTextToSpeechFeature from '../awspack/AbstractTextToSpeechFeature';
+import Speech from './Speech';
+
+/**
+ * Feature for speaking without audio output. Speeches emit their speechmark
+ * messages on the host clock, so the LipsyncFeature and GestureFeature respond
+ * to them as they would in a rendering engine, and no audio context is needed.
+ *
+ * @extends AbstractTextToSpeechFeature
+ * @alias headless/TextToSpeechFeature
+ */
+class TextToSpeechFeature extends AbstractTextToSpeechFeature {
+  _createSpeech(text, speechmarks, audioConfig) {
+    return new Speech(this, text, speechmarks, audioConfig);
+  }
+
+  /**
+   * Gets whether or not speech can be played. Headless speech does not depend
+   * on an audio context, so this is always true.
+   *
+   * @readonly
+   * @type {boolean}
+   */
+  get enabled() {
+    return true;
+  }
+
+  getEngineUserAgentString() {
+    return 'Headless';
+  }
+
+  installApi() {
+    const api = super.installApi();
+
+    Object.defineProperties(api, {
+      /**
+       * @memberof TextToSpeechFeature
+       * @instance
+       * @see headless/TextToSpeechFeature#enabled
+       */
+      enabled: {
+        get: () => this.enabled,
+      },
+    });
+
+    return api;
+  }
+}
+
+export default TextToSpeechFeature;
@@ -0,0 +1,126 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+import MathUtils from '../MathUtils';
+
+/**
+ * @typedef {Object} HeadlessTransform
+ * @property {Array.<number>} [position=[0, 0, 0]] - World space x, y and z
+ * coordinates.
+ * @property {Array.<number>} [rotation=[0, 0, 0, 1]] - World space rotation
+ * as an x, y, z, w quaternion.
+ */
+
+/**
+ * A collection of functions for the plain transform objects that stand in for
+ * scene objects in headless hosts. Transforms have no hierarchy, their values
+ * are in world space.
+ *
+ * @alias headless/TransformUtils
+ */
+class TransformUtils {
+  /**
+   * Return a copy of the world position of a transform.
+   *
+   * @param {HeadlessTransform} obj - The transform.
+   *
+   * @returns {Array.<number>}
+   */
+  static getPosition(obj) {
+    return obj.position ? [...obj.position] : [0, 0, 0];
+  }
+
+  /**
+   * Return a copy of the world rotation quaternion of a transform.
+   *
+   * @param {HeadlessTransform} obj - The transform.
+   *
+   * @returns {Array.<number>}
+   */
+  static getRotation(obj) {
+    return obj.rotation ? [...obj.rotation] : [0, 0, 0, 1];
+  }
+
+  /**
+   * Return the column major world transformation matrix of a transform.
+   *
+   * @param {HeadlessTransform} obj - The transform.
+   *
+   * @returns {Array.<number>} - An array of 16 numbers.
+   */
+  static getMatrix(obj) {
+    const [x, y, z, w] = this.getRotation(obj);
+    const [px, py, pz] = this.getPosition(obj);
+
+    return [
+      1 - 2 * (y * y + z * z),
+      2 * (x * y + z * w),
+      2 * (x * z - y * w),
+      0,
+      2 * (x * y - z * w),
+      1 - 2 * (x * x + z * z),
+      2 * (y * z + x * w),
+      0,
+      2 * (x * z + y * w),
+      2 * (y * z - x * w),
+      1 - 2 * (x * x + y * y),
+      0,
+      px,
+      py,
+      pz,
+      1,
+    ];
+  }
+
+  /**
+   * Rotate a local direction vector by the world rotation of a transform.
+   *
+   * @param {HeadlessTransform} obj - The transform.
+   * @param {Array.<number>} direction - Vector in the local space of the
+   * transform.
+   *
+   * @returns {Array.<number>}
+   */
+  static rotateVector(obj, direction) {
+    const [x, y, z, w] = this.getRotation(obj);
+    const [vx, vy, vz] = direction;
+
+    // v + 2w(q x v) + 2q x (q x v)
+    const cx = 2 * (y * vz - z * vy);
+    const cy = 2 * (z * vx - x * vz);
+    const cz = 2 * (x * vy - y * vx);
+
+    return [
+      vx + w * cx + (y * cz - z * cy),
+      vy + w * cy + (z * cx - x * cz),
+      vz + w * cz + (x * cy - y * cx),
+    ];
+  }
+
+  /**
+   * Rotate a transform around the world up axis.
+   *
+   * @param {HeadlessTransform} obj - The transform.
+   * @param {number} degrees - Angle to rotate by. Positive angles turn from the
+   * positive Z axis towards the positive X axis.
+   */
+  static rotateAroundUp(obj, degrees) {
+    const [x, y, z, w] = this.getRotation(obj);
+    const halfAngle = MathUtils.toRadians(degrees) / 2;
+    const s = Math.sin(halfAngle);
+    const c = Math.cos(halfAngle);
+
+    obj.rotation = [c * x + s * z, c * y + s * w, c * z - s * x, c * w - s * y];
+  }
+
+  /**
+   * Move a transform in world space.
+   *
+   * @param {HeadlessTransform} obj - The transform.
+   * @param {Array.<number>} offset - Vector to move by.
+   */
+  static translate(obj, offset) {
+    obj.position = this.getPosition(obj).map((value, i) => value + offset[i]);
+  }
+}
+
+export default TransformUtils;
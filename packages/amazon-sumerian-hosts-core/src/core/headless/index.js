@@ -0,0 +1,56 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+
+/**
+ * Classes for running hosts without a rendering engine or DOM, such as in Node
+ * or a Web Worker. Animations produce an abstract pose, speech emits its
+ * speechmarks on the host clock without playing audio and scene objects are
+ * plain transform objects. Features that have no engine-specific behavior,
+ * like the LipsyncFeature and GestureFeature, are used from core.
+ *
+ * @module core/headless
+ */
+
+import TransformUtils from './TransformUtils';
+import SingleState from './SingleState';
+import AnimationFeature from './AnimationFeature';
+import Speech from './Speech';
+import TextToSpeechFeature from './TextToSpeechFeature';
+import PointOfInterestFeature from './PointOfInterestFeature';
+import LocomotionFeature from './LocomotionFeature';
+import HostBuilder from './HostBuilder';
+
+export default {
+  /**
+   * @see headless/TransformUtils
+   */
+  TransformUtils,
+  /**
+   * @see headless/SingleState
+   */
+  SingleState,
+  /**
+   * @see headless/AnimationFeature
+   */
+  AnimationFeature,
+  /**
+   * @see headless/Speech
+   */
+  Speech,
+  /**
+   * @see headless/TextToSpeechFeature
+   */
+  TextToSpeechFeature,
+  /**
+   * @see headless/PointOfInterestFeature
+   */
+  PointOfInterestFeature,
+  /**
+   * @see headless/LocomotionFeature
+   */
+  LocomotionFeature,
+  /**
+   * @see headless/HostBuilder
+   */
+  HostBuilder,
+};
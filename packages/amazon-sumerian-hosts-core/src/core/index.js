@@ -10,16 +10,22 @@ import MathUtils from './MathUtils';
 import Deferred from './Deferred';
 import {env} from './HostEnvironment';
 import Messenger from './Messenger';
-import AbstractHostFeature from './AbstractHostFeature';
+import EventDispatcher from './EventDispatcher';
+import AbstractHostFeature, {UpdatePhases} from './AbstractHostFeature';
 import HostObject from './HostObject';
+import HostBuilder from './HostBuilder';
 import LipsyncFeature, {DefaultVisemeMap} from './LipsyncFeature';
 import GestureFeature, {DefaultGestureWords} from './GestureFeature';
 import PointOfInterestFeature, {AxisMap} from './PointOfInterestFeature';
+import IKFeature, {IKChainTypes} from './IKFeature';
+import LocomotionFeature from './LocomotionFeature';
 
 import animpack from './animpack';
 
 import aws from './awspack';
 
+import headless from './headless';
+
 const Version = Utils.getVersion();
 
 const {
@@ -37,15 +43,33 @@ const {
   Blend1dState,
   Blend2dState,
   AnimationUtils,
+  AnimationStateMachine,
+  LayerMask,
+  Retargeter,
+  ParameterTypes,
+  ConditionOperators,
+  AnyState,
 } = animpack;
 const {
+  AbstractChatbotBackend,
+  HttpChatbotBackend,
   LexFeature,
   LexUtils,
+  ConversationFeature,
+  ConversationStates,
+  DefaultDialogStateEmotes,
   AbstractTextToSpeechFeature,
+  SpeechQueuePolicies,
   TextToSpeechFeature,
   TextToSpeechUtils,
   AbstractSpeech,
   Speech,
+  ChunkedSpeech,
+  AbstractSpeechProvider,
+  PollySpeechProvider,
+  SpeechCache,
+  AbstractSpeechStore,
+  IndexedDBSpeechStore,
 } = aws;
 
 export {
@@ -69,10 +93,18 @@ export {
    * @see core/Messenger
    */
   Messenger,
+  /**
+   * @see core/EventDispatcher
+   */
+  EventDispatcher,
   /**
    * @see core/HostObject
    */
   HostObject,
+  /**
+   * @see core/HostBuilder
+   */
+  HostBuilder,
   /**
    * @see core/LipsyncFeature
    */
@@ -85,10 +117,22 @@ export {
    * @see core/PointOfInterestFeature
    */
   PointOfInterestFeature,
+  /**
+   * @see core/IKFeature
+   */
+  IKFeature,
+  /**
+   * @see core/LocomotionFeature
+   */
+  LocomotionFeature,
   /**
    * @see module:core/AbstractHostFeature
    */
   AbstractHostFeature,
+  /**
+   * @see UpdatePhases
+   */
+  UpdatePhases,
   /**
    * @see DefaultVisemeMap
    */
@@ -101,6 +145,10 @@ export {
    * @see AxisMap
    */
   AxisMap,
+  /**
+   * @see IKChainTypes
+   */
+  IKChainTypes,
   // Animpack
   /**
    * @see module:core/animpack.Easing
@@ -158,7 +206,39 @@ export {
    * @see module:core/animpack.AnimationTypes
    */
   AnimationTypes,
+  /**
+   * @see module:core/animpack.AnimationStateMachine
+   */
+  AnimationStateMachine,
+  /**
+   * @see module:core/animpack.LayerMask
+   */
+  LayerMask,
+  /**
+   * @see module:core/animpack.Retargeter
+   */
+  Retargeter,
+  /**
+   * @see module:core/animpack.ParameterTypes
+   */
+  ParameterTypes,
+  /**
+   * @see module:core/animpack.ConditionOperators
+   */
+  ConditionOperators,
+  /**
+   * @see module:core/animpack.AnyState
+   */
+  AnyState,
   // AWS Pack
+  /**
+   * @see module:core/awspack.AbstractChatbotBackend
+   */
+  AbstractChatbotBackend,
+  /**
+   * @see module:core/awspack.HttpChatbotBackend
+   */
+  HttpChatbotBackend,
   /**
    * @see module:core/awspack.LexFeature
    */
@@ -167,10 +247,26 @@ export {
    * @see module:core/awspack.LexUtils
    */
   LexUtils,
+  /**
+   * @see module:core/awspack.ConversationFeature
+   */
+  ConversationFeature,
+  /**
+   * @see module:core/awspack.ConversationStates
+   */
+  ConversationStates,
+  /**
+   * @see module:core/awspack.DefaultDialogStateEmotes
+   */
+  DefaultDialogStateEmotes,
   /**
    * @see module:core/awspack.AbstractTextToSpeechFeature
    */
   AbstractTextToSpeechFeature,
+  /**
+   * @see module:core/awspack.SpeechQueuePolicies
+   */
+  SpeechQueuePolicies,
   /**
    * @see module:core/awspack.TextToSpeechFeature
    */
@@ -187,6 +283,34 @@ export {
    * @see module:core/awspack.Speech
    */
   Speech,
+  /**
+   * @see module:core/awspack.ChunkedSpeech
+   */
+  ChunkedSpeech,
+  /**
+   * @see module:core/awspack.AbstractSpeechProvider
+   */
+  AbstractSpeechProvider,
+  /**
+   * @see module:core/awspack.PollySpeechProvider
+   */
+  PollySpeechProvider,
+  /**
+   * @see module:core/awspack.SpeechCache
+   */
+  SpeechCache,
+  /**
+   * @see module:core/awspack.AbstractSpeechStore
+   */
+  AbstractSpeechStore,
+  /**
+   * @see module:core/awspack.IndexedDBSpeechStore
+   */
+  IndexedDBSpeechStore,
+  /**
+   * @see module:core/headless
+   */
+  headless,
   /**
    * The Version of the Sumerian Hosts library
    */
@@ -20,6 +20,7 @@ describeEnvironment('AbstractHostFeature', (options = {}) => {
       _features: {MockFeature},
       _callbacks: {},
       listenTo: () => {},
+      once: () => {},
       stopListening: () => {},
       stopListeningToAll: () => {},
       emit: () => {},
@@ -69,6 +70,41 @@ describeEnvironment('AbstractHostFeature', (options = {}) => {
     });
   });
 
+  describe('once', () => {
+    it("should execute the host's once method", () => {
+      const hostFn = spyOn(mockHost, 'once');
+      const listener = () => {};
+      hostFeature.once('message', listener);
+
+      expect(hostFn).toHaveBeenCalledWith('message', listener);
+    });
+  });
+
+  describe('constructor.once', () => {
+    it("should execute Messenger's static once method with the prefixed message", () => {
+      const messengerFn = spyOn(Messenger, 'once');
+      const listener = () => {};
+      AbstractHostFeature.once('message', listener);
+
+      expect(messengerFn).toHaveBeenCalledWith(
+        'AbstractHostFeature.message',
+        listener
+      );
+    });
+  });
+
+  describe('constructor.enableReplay', () => {
+    it("should execute Messenger's static enableReplay method with the prefixed message", () => {
+      const messengerFn = spyOn(Messenger, 'enableReplay');
+      AbstractHostFeature.enableReplay('message', 2);
+
+      expect(messengerFn).toHaveBeenCalledWith(
+        'AbstractHostFeature.message',
+        2
+      );
+    });
+  });
+
   describe('stopListening', () => {
     it("should execute the host's stopListening method", () => {
       const hostFn = spyOn(mockHost, 'stopListening');
@@ -0,0 +1,90 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+import {EventDispatcher} from '@amazon-sumerian-hosts/core';
+
+describe('EventDispatcher', () => {
+  let dispatcher;
+  let listener;
+
+  beforeEach(() => {
+    dispatcher = new EventDispatcher();
+    listener = jasmine.createSpy('listener');
+  });
+
+  describe('addEventListener', () => {
+    it('should execute the listener with the event when an event of its type is dispatched', () => {
+      const event = {type: 'test', detail: 'value'};
+      dispatcher.addEventListener('test', listener);
+      dispatcher.dispatchEvent(event);
+      dispatcher.dispatchEvent({type: 'other'});
+
+      expect(listener).toHaveBeenCalledOnceWith(event);
+    });
+
+    it('should not add the same listener twice for a type', () => {
+      dispatcher.addEventListener('test', listener);
+      dispatcher.addEventListener('test', listener);
+      dispatcher.dispatchEvent({type: 'test'});
+
+      expect(listener).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('removeEventListener', () => {
+    it('should stop the listener from being executed', () => {
+      dispatcher.addEventListener('test', listener);
+      dispatcher.removeEventListener('test', listener);
+      dispatcher.dispatchEvent({type: 'test'});
+
+      expect(listener).not.toHaveBeenCalled();
+      expect(dispatcher.hasEventListener('test', listener)).toBeFalse();
+    });
+
+    it('should not throw an error if the listener was not added', () => {
+      expect(() => {
+        dispatcher.removeEventListener('test', listener);
+      }).not.toThrowError();
+    });
+  });
+
+  describe('dispatchEvent', () => {
+    it('should return whether or not any listeners received the event', () => {
+      expect(dispatcher.dispatchEvent({type: 'test'})).toBeFalse();
+
+      dispatcher.addEventListener('test', listener);
+
+      expect(dispatcher.dispatchEvent({type: 'test'})).toBeTrue();
+    });
+
+    it('should not deliver the event to listeners added while it is dispatched', () => {
+      dispatcher.addEventListener('test', () => {
+        dispatcher.addEventListener('test', listener);
+      });
+      dispatcher.dispatchEvent({type: 'test'});
+
+      expect(listener).not.toHaveBeenCalled();
+    });
+
+    it('should not deliver the event to listeners removed while it is dispatched', () => {
+      dispatcher.addEventListener('test', () => {
+        dispatcher.removeEventListener('test', listener);
+      });
+      dispatcher.addEventListener('test', listener);
+      dispatcher.dispatchEvent({type: 'test'});
+
+      expect(listener).not.toHaveBeenCalled();
+    });
+
+    it('should log errors thrown by listeners and continue to execute the remaining listeners', () => {
+      spyOn(console, 'error');
+      dispatcher.addEventListener('test', () => {
+        throw new Error('test error');
+      });
+      dispatcher.addEventListener('test', listener);
+      dispatcher.dispatchEvent({type: 'test'});
+
+      expect(console.error).toHaveBeenCalledTimes(1);
+      expect(listener).toHaveBeenCalledTimes(1);
+    });
+  });
+});
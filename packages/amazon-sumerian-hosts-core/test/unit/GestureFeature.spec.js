@@ -655,4 +655,108 @@ describeEnvironment('GestureFeature', () => {
       expect(gestureFeature._managedLayers.Gesture.playTimer).toEqual(2.1);
     });
   });
+
+  describe('serializeState', () => {
+    it('should return the current gesture and timers of each managed layer', () => {
+      gestureFeature._managedLayers = {
+        Gesture: {
+          holdTimer: Deferred.resolve(),
+          holdTimeRemaining: 0,
+          playTimer: null,
+          currentGesture: null,
+          animations: {},
+        },
+      };
+      gestureFeature._startHoldTimer('Gesture', 'big', 3);
+      gestureFeature._managedLayers.Gesture.currentGesture = 'big';
+      gestureFeature._managedLayers.Gesture.playTimer = 1.5;
+      gestureFeature._managedLayers.Gesture.holdTimer.execute(1000);
+
+      expect(gestureFeature.serializeState()).toEqual({
+        layers: {Gesture: {currentGesture: 'big', playTimer: 1.5, holdTime: 2}},
+      });
+    });
+
+    it('should return a null holdTime if the hold timer is not running', () => {
+      gestureFeature._managedLayers = {
+        Gesture: {
+          holdTimer: Deferred.resolve(),
+          holdTimeRemaining: 0,
+          playTimer: null,
+          currentGesture: null,
+          animations: {},
+        },
+      };
+
+      expect(
+        gestureFeature.serializeState().layers.Gesture.holdTime
+      ).toBeNull();
+    });
+  });
+
+  describe('restoreState', () => {
+    beforeEach(() => {
+      gestureFeature._managedLayers = {
+        Gesture: {
+          holdTimer: new Deferred(),
+          holdTimeRemaining: 0,
+          playTimer: null,
+          currentGesture: null,
+          animations: {big: {words: DefaultGestureWords.big}},
+        },
+      };
+    });
+
+    it('should set the current gesture and play timer of managed layers', () => {
+      gestureFeature.restoreState({
+        layers: {
+          Gesture: {currentGesture: 'big', playTimer: 1, holdTime: null},
+        },
+      });
+
+      expect(gestureFeature._managedLayers.Gesture.currentGesture).toEqual(
+        'big'
+      );
+
+      expect(gestureFeature._managedLayers.Gesture.playTimer).toEqual(1);
+    });
+
+    it('should cancel the existing hold timer', () => {
+      const {holdTimer} = gestureFeature._managedLayers.Gesture;
+
+      gestureFeature.restoreState({
+        layers: {
+          Gesture: {currentGesture: null, playTimer: null, holdTime: null},
+        },
+      });
+
+      expect(holdTimer.canceled).toBeTrue();
+    });
+
+    it('should advance the gesture once the remaining hold time has passed', () => {
+      gestureFeature.restoreState({
+        layers: {Gesture: {currentGesture: 'big', playTimer: 1, holdTime: 0.5}},
+      });
+      gestureFeature._managedLayers.Gesture.holdTimer.execute(400);
+
+      expect(mockAnimationFeature.playNextAnimation).not.toHaveBeenCalled();
+
+      gestureFeature._managedLayers.Gesture.holdTimer.execute(100);
+
+      expect(mockAnimationFeature.playNextAnimation).toHaveBeenCalledWith(
+        'Gesture',
+        'big'
+      );
+    });
+
+    it('should log a warning and skip layers that are not managed', () => {
+      spyOn(console, 'warn');
+
+      gestureFeature.restoreState({
+        layers: {Other: {currentGesture: 'big', playTimer: 1, holdTime: null}},
+      });
+
+      expect(console.warn).toHaveBeenCalledTimes(1);
+    });
+  });
 });
@@ -0,0 +1,353 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+/* eslint-disable no-underscore-dangle */
+/* eslint-disable max-classes-per-file */
+import {
+  AbstractHostFeature,
+  AnimationFeature,
+  Easing,
+  HostBuilder,
+  HostObject,
+  LayerBlendModes,
+  QueueState,
+  TextToSpeechFeature,
+} from '@amazon-sumerian-hosts/core';
+import describeEnvironment from './EnvironmentHarness';
+
+describeEnvironment('HostBuilder', () => {
+  let builder;
+  let definition;
+
+  beforeEach(() => {
+    builder = new HostBuilder();
+    definition = {
+      features: [
+        {
+          type: 'AnimationFeature',
+          layers: [
+            {
+              name: 'Base',
+              animations: [{name: 'idle', loopCount: 2}],
+              currentAnimation: 'idle',
+            },
+            {
+              name: 'Gesture',
+              blendMode: LayerBlendModes.Additive,
+              transitionTime: 0.5,
+              easingFn: 'Quadratic.InOut',
+              animations: [
+                {
+                  name: 'wave',
+                  type: 'queue',
+                  queueOptions: [
+                    {name: 'in', loopCount: 1},
+                    {
+                      name: 'loop',
+                      markers: [{name: 'peak', time: 0.5}],
+                    },
+                  ],
+                },
+              ],
+            },
+            {
+              name: 'Viseme',
+              weight: 0,
+              animations: [
+                {
+                  name: 'visemes',
+                  type: 'freeBlend',
+                  blendStateOptions: [{name: 'sil'}, {name: 'p'}],
+                },
+              ],
+              currentAnimation: 'visemes',
+            },
+            {
+              name: 'Look',
+              animations: [
+                {
+                  name: 'look',
+                  type: 'blend2d',
+                  blendStateOptions: [{name: 'a'}, {name: 'b'}, {name: 'c'}],
+                  blendThresholds: [
+                    [0, 0],
+                    [1, 0],
+                    [0, 1],
+                  ],
+                },
+                {
+                  name: 'lean',
+                  type: 'blend1d',
+                  blendStateOptions: [{name: 'left'}, {name: 'right'}],
+                  blendThresholds: [-1, 1],
+                  blendMatchPhases: [true, true],
+                },
+              ],
+            },
+            {
+              name: 'Blink',
+              animations: [
+                {
+                  name: 'blink',
+                  type: 'randomAnimation',
+                  playInterval: 5,
+                  subStateOptions: [{name: 'blink_fast', loopCount: 1}],
+                },
+              ],
+            },
+          ],
+        },
+        {
+          type: 'LipsyncFeature',
+          args: [
+            {
+              blendTime: 0.2,
+              layers: [
+                {
+                  name: 'Viseme',
+                  animation: 'visemes',
+                  visemeMap: {sil: {name: 'sil'}, p: {name: 'p'}},
+                },
+              ],
+            },
+          ],
+        },
+        {
+          type: 'GestureFeature',
+          args: [{layers: {Gesture: {minimumInterval: 3}}}],
+        },
+      ],
+    };
+  });
+
+  describe('featureClasses', () => {
+    it('should include the default feature classes', () => {
+      expect(Object.keys(builder.featureClasses)).toEqual([
+        'AnimationFeature',
+        'LipsyncFeature',
+        'GestureFeature',
+        'PointOfInterestFeature',
+        'IKFeature',
+        'LocomotionFeature',
+        'TextToSpeechFeature',
+      ]);
+    });
+  });
+
+  describe('registerFeatureClass', () => {
+    it('should allow definitions to use the feature type', () => {
+      class MockFeature extends AbstractHostFeature {}
+      builder.registerFeatureClass(MockFeature);
+      const host = builder.build({features: [{type: 'MockFeature'}]});
+
+      expect(host.hasFeature('MockFeature')).toBeTrue();
+    });
+  });
+
+  describe('build', () => {
+    it('should create a host using the hostClass and hostOptions', () => {
+      class MockHost extends HostObject {}
+      const owner = {id: 'owner'};
+      builder = new HostBuilder({hostClass: MockHost});
+      const host = builder.build({}, {hostOptions: {owner}});
+
+      expect(host).toBeInstanceOf(MockHost);
+      expect(host.owner).toBe(owner);
+    });
+
+    it('should throw an error if a feature type is not registered', () => {
+      expect(() =>
+        builder.build({features: [{type: 'UnknownFeature'}]})
+      ).toThrowError();
+    });
+
+    it('should add the features in order', () => {
+      const host = builder.build(definition);
+
+      expect(host.listFeatures()).toEqual([
+        'AnimationFeature',
+        'LipsyncFeature',
+        'GestureFeature',
+      ]);
+    });
+
+    it('should add the layers and animations of the AnimationFeature', () => {
+      const host = builder.build(definition);
+      const feature = host._features.AnimationFeature;
+
+      expect(feature.layers).toEqual([
+        'Base',
+        'Gesture',
+        'Viseme',
+        'Look',
+        'Blink',
+      ]);
+
+      expect(feature.getAnimationType('Gesture', 'wave')).toEqual('queue');
+      expect(feature._layerMap.Gesture.blendMode).toEqual('Additive');
+      expect(feature._layerMap.Gesture.easingFn).toBe(Easing.Quadratic.InOut);
+      expect(feature.getLayerWeight('Viseme')).toEqual(0);
+    });
+
+    it('should play the current animation of each layer', () => {
+      const host = builder.build(definition);
+
+      expect(host.AnimationFeature.getCurrentAnimation('Base')).toEqual('idle');
+      expect(host.AnimationFeature.getCurrentAnimation('Gesture')).toBeNull();
+    });
+
+    it('should throw an error if an animation type is not valid', () => {
+      definition.features[0].layers[0].animations[0].type = 'unknown';
+
+      expect(() => builder.build(definition)).toThrowError();
+    });
+
+    it('should pass clips to _resolveClip with the layer definition', () => {
+      spyOn(builder, '_resolveClip').and.callFake(clip => `resolved_${clip}`);
+      spyOn(AnimationFeature.prototype, 'addAnimation').and.callThrough();
+      definition.features[0].layers[1].animations[0].queueOptions[0].clip =
+        'wave_in';
+      builder.build(definition);
+      const options = AnimationFeature.prototype.addAnimation.calls
+        .allArgs()
+        .find(([, name]) => name === 'wave')[3];
+
+      expect(builder._resolveClip).toHaveBeenCalledOnceWith(
+        'wave_in',
+        definition.features[0].layers[1]
+      );
+
+      expect(options.queueOptions[0].clip).toEqual('resolved_wave_in');
+    });
+
+    it('should not modify the definition', () => {
+      const json = JSON.stringify(definition);
+      builder.build(definition);
+
+      expect(JSON.stringify(definition)).toEqual(json);
+    });
+
+    it('should resolve easing function names in feature arguments', () => {
+      const host = builder.build({
+        features: [
+          {
+            type: 'LipsyncFeature',
+            args: [
+              {
+                easingFn: 'Cubic.In',
+                layers: [{name: 'Viseme', visemeMap: {sil: {name: 'sil'}}}],
+              },
+            ],
+          },
+        ],
+      });
+
+      expect(host._features.LipsyncFeature._managedLayers.Viseme.easingFn).toBe(
+        Easing.Cubic.In
+      );
+    });
+
+    it('should merge featureArgs with the arguments from the definition', () => {
+      const lookTracker = {name: 'tracker'};
+      const host = builder.build(
+        {
+          features: [
+            {type: 'PointOfInterestFeature', args: [{}, {blendTime: 0.3}]},
+          ],
+        },
+        {featureArgs: {PointOfInterestFeature: [{lookTracker}]}}
+      );
+      const feature = host._features.PointOfInterestFeature;
+
+      expect(feature._lookTracker).toBe(lookTracker);
+    });
+
+    it('should resolve scene object names with _resolveObject', () => {
+      const lookTracker = {name: 'tracker'};
+      spyOn(builder, '_resolveObject').and.callFake((host, name) =>
+        name === 'tracker' ? lookTracker : name
+      );
+      const host = builder.build({
+        features: [
+          {type: 'PointOfInterestFeature', args: [{lookTracker: 'tracker'}]},
+        ],
+      });
+
+      expect(host._features.PointOfInterestFeature._lookTracker).toBe(
+        lookTracker
+      );
+    });
+  });
+
+  describe('round trip', () => {
+    it('should recreate a host from its definition', () => {
+      const host = builder.build(definition);
+      const json = JSON.stringify(host.getDefinition());
+      const copy = builder.build(JSON.parse(json));
+
+      expect(JSON.stringify(copy.getDefinition())).toEqual(json);
+    });
+
+    it('should describe the animations of each layer', () => {
+      const host = builder.build(definition);
+      const {layers} = host.getDefinition().features[0];
+      const [wave] = layers[1].animations;
+      const [, lean] = layers[3].animations;
+
+      expect(layers[0].currentAnimation).toEqual('idle');
+      expect(layers[1].easingFn).toEqual('Quadratic.InOut');
+      expect(wave.type).toEqual('queue');
+      expect(wave.queueOptions[1].markers).toEqual([
+        {name: 'peak', time: 0.5, payload: undefined},
+      ]);
+
+      expect(lean.blendThresholds).toEqual([-1, 1]);
+      expect(lean.blendMatchPhases).toEqual([true, true]);
+      expect(layers[4].animations[0].playInterval).toEqual(5);
+    });
+
+    it('should describe the feature options', () => {
+      const host = builder.build(definition);
+      const [, lipsync, gesture] = host.getDefinition().features;
+
+      expect(lipsync.args[0].blendTime).toEqual(0.2);
+      expect(lipsync.args[0].layers[0].animation).toEqual('visemes');
+      expect(gesture.args[0].layers.Gesture.minimumInterval).toEqual(3);
+      expect(gesture.args[0].layers.Gesture.animations.wave).toBeDefined();
+    });
+
+    it('should recreate the TextToSpeechFeature with its speech options', () => {
+      const host = new HostObject();
+      host.addFeature(TextToSpeechFeature, false, {
+        voice: 'Joanna',
+        engine: 'neural',
+        language: 'en-US',
+        volume: 0.5,
+        chunked: true,
+        maxCachedSpeeches: 10,
+      });
+      const json = JSON.stringify(host.getDefinition());
+      const copy = builder.build(JSON.parse(json));
+      const feature = copy._features.TextToSpeechFeature;
+
+      expect(feature).toBeInstanceOf(TextToSpeechFeature);
+      expect(feature._voice).toEqual('Joanna');
+      expect(feature._engine).toEqual('neural');
+      expect(feature._language).toEqual('en-US');
+      expect(feature.volume).toEqual(0.5);
+      expect(feature.chunked).toBeTrue();
+      expect(feature.maxCachedSpeeches).toEqual(10);
+      expect(JSON.stringify(copy.getDefinition())).toEqual(json);
+    });
+
+    it('should create states of the same types', () => {
+      const host = builder.build(definition);
+      const copy = builder.build(host.getDefinition());
+      const state = copy._features.AnimationFeature._layerMap.Gesture.getState(
+        'wave'
+      );
+
+      expect(state).toBeInstanceOf(QueueState);
+      expect(state.getState('loop').markers.length).toEqual(1);
+    });
+  });
+});
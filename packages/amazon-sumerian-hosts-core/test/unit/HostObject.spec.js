@@ -1,10 +1,12 @@
 /* eslint-disable no-underscore-dangle */
+/* eslint-disable max-classes-per-file */
 // Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
 // SPDX-License-Identifier: MIT-0
 /* eslint-disable no-undef */
 import {
   HostObject,
   AbstractHostFeature,
+  UpdatePhases,
   Deferred,
 } from '@amazon-sumerian-hosts/core';
 import describeEnvironment from './EnvironmentHarness';
@@ -13,6 +15,22 @@ describeEnvironment('HostObject', (options = {}) => {
   let host;
 
   class MockFeature extends AbstractHostFeature {}
+  class PreFeature extends AbstractHostFeature {}
+  class PostFeature extends AbstractHostFeature {}
+  class DependentFeature extends AbstractHostFeature {}
+  class RequiringFeature extends AbstractHostFeature {}
+  Object.defineProperty(PreFeature, 'UPDATE_PHASE', {
+    value: UpdatePhases.PreAnimation,
+  });
+  Object.defineProperty(PostFeature, 'UPDATE_PHASE', {
+    value: UpdatePhases.PostAnimation,
+  });
+  Object.defineProperty(DependentFeature, 'DEPENDENCIES', {
+    value: {required: [], optional: ['MockFeature']},
+  });
+  Object.defineProperty(RequiringFeature, 'DEPENDENCIES', {
+    value: {required: ['MockFeature'], optional: []},
+  });
 
   beforeEach(() => {
     host = new HostObject(options);
@@ -35,6 +53,31 @@ describeEnvironment('HostObject', (options = {}) => {
     });
   });
 
+  describe('clock', () => {
+    it('should be used to find the current time', () => {
+      let time = 1000;
+      host = new HostObject({...options, clock: () => time});
+
+      expect(host.now).toEqual(1000);
+
+      time = 1500;
+
+      expect(host.now).toEqual(1500);
+      expect(host.deltaTime).toEqual(500);
+    });
+
+    it('should only let time pass when the host is stepped if the clock is null', () => {
+      host = new HostObject({...options, clock: null});
+
+      expect(host.now).toEqual(0);
+
+      host.step(250);
+
+      expect(host.now).toEqual(250);
+      expect(host.deltaTime).toEqual(0);
+    });
+  });
+
   describe('deltaTime', () => {
     it('should return the number of milliseconds since the last time update was called', done => {
       host.update();
@@ -46,6 +89,38 @@ describeEnvironment('HostObject', (options = {}) => {
     });
   });
 
+  describe('timeScale', () => {
+    it('should clamp values below 0 to 0', () => {
+      host.timeScale = -1;
+
+      expect(host.timeScale).toEqual(0);
+    });
+  });
+
+  describe('setTimeScale', () => {
+    it('should return a Deferred promise that interpolates the timeScale', () => {
+      expect(host.setTimeScale(0.5, 1)).toBeInstanceOf(Deferred);
+    });
+
+    it('should update the timeScale value when the promise is executed', () => {
+      const interpolator = host.setTimeScale(0.5, 1);
+
+      expect(host.timeScale).toEqual(1);
+
+      interpolator.execute(500);
+
+      expect(host.timeScale).toEqual(0.75);
+    });
+
+    it('should cancel the previous timeScale interpolation', () => {
+      const interpolator = host.setTimeScale(0.5, 1);
+      host.setTimeScale(2);
+
+      expect(interpolator.canceled).toBeTrue();
+      expect(host.timeScale).toEqual(2);
+    });
+  });
+
   describe('wait', () => {
     it('should return a Deferred promise', () => {
       expect(host.wait(3)).toBeInstanceOf(Deferred);
@@ -81,6 +156,27 @@ describeEnvironment('HostObject', (options = {}) => {
       expect(onExecute).toHaveBeenCalledWith(deltaTime);
     });
 
+    it("should scale the delta time passed to the deferred's execute method by the timeScale", () => {
+      const wait = host.wait(3);
+      const onExecute = spyOn(wait, 'execute');
+      host.timeScale = 0;
+
+      host.update();
+
+      expect(onExecute).toHaveBeenCalledWith(0);
+    });
+
+    it("should not scale the delta time passed to the deferred's execute method if useTimeScale is false", () => {
+      const wait = host.wait(3, {useTimeScale: false});
+      const onExecute = spyOn(wait, 'execute');
+      host.timeScale = 0;
+      const {deltaTime} = host;
+
+      host.update();
+
+      expect(onExecute).toHaveBeenCalledWith(deltaTime);
+    });
+
     it('should remove the deferred from the _waits array once the deferred is no longer pending', () => {
       const wait = host.wait(0.001);
 
@@ -105,6 +201,176 @@ describeEnvironment('HostObject', (options = {}) => {
 
       return expectAsync(promise).toBeResolved();
     });
+
+    it('should pass the delta time scaled by the timeScale to features', () => {
+      host.addFeature(MockFeature);
+      const onUpdate = spyOn(host._features.MockFeature, 'update');
+      host.timeScale = 0;
+
+      host.update();
+
+      expect(onUpdate).toHaveBeenCalledWith(0);
+    });
+
+    it('should update features in update order', () => {
+      const calls = [];
+      host.addFeature(PostFeature);
+      host.addFeature(MockFeature);
+      host.addFeature(PreFeature);
+      [PostFeature, MockFeature, PreFeature].forEach(FeatureClass => {
+        spyOn(host._features[FeatureClass.name], 'update').and.callFake(() => {
+          calls.push(FeatureClass.name);
+        });
+      });
+
+      host.update();
+
+      expect(calls).toEqual(['PreFeature', 'MockFeature', 'PostFeature']);
+    });
+  });
+
+  describe('step', () => {
+    it('should pass the given delta time scaled by the timeScale to features', () => {
+      host.addFeature(MockFeature);
+      const onUpdate = spyOn(host._features.MockFeature, 'update');
+      host.timeScale = 0.5;
+
+      host.step(100);
+
+      expect(onUpdate).toHaveBeenCalledOnceWith(50);
+    });
+
+    it('should progress waits by the given delta time', () => {
+      host = new HostObject({...options, clock: null});
+      const wait = host.wait(1);
+
+      host.step(999);
+
+      expect(wait.pending).toBeTrue();
+
+      host.step(1);
+
+      expect(wait.resolved).toBeTrue();
+    });
+
+    it('should not advance the next update by the stepped time', () => {
+      let time = 0;
+      host = new HostObject({...options, clock: () => time});
+      host.addFeature(MockFeature);
+      const onUpdate = spyOn(host._features.MockFeature, 'update');
+      time = 100;
+
+      host.step(100);
+      host.update();
+
+      expect(onUpdate.calls.allArgs()).toEqual([[100], [0]]);
+    });
+  });
+
+  describe('fixedTimeStep', () => {
+    let onUpdate;
+
+    beforeEach(() => {
+      host = new HostObject({...options, clock: null, fixedTimeStep: 0.01});
+      host.addFeature(MockFeature);
+      onUpdate = spyOn(host._features.MockFeature, 'update');
+    });
+
+    it('should clamp negative step lengths to 0', () => {
+      host.fixedTimeStep = -1;
+
+      expect(host.fixedTimeStep).toEqual(0);
+    });
+
+    it('should update features once for each whole step that has passed', () => {
+      host.step(25);
+
+      expect(onUpdate.calls.allArgs()).toEqual([[10], [10]]);
+    });
+
+    it('should carry time that does not fill a step over to the next update', () => {
+      host.step(25);
+      host.step(5);
+
+      expect(onUpdate).toHaveBeenCalledTimes(3);
+    });
+
+    it('should not take more than maxSubSteps steps in one update', () => {
+      host.maxSubSteps = 3;
+
+      host.step(1000);
+
+      expect(onUpdate).toHaveBeenCalledTimes(3);
+
+      host.step(5);
+
+      expect(onUpdate).toHaveBeenCalledTimes(3);
+    });
+
+    it('should fill steps despite rounding errors in the delta time', () => {
+      host.fixedTimeStep = 1 / 60;
+
+      for (let i = 0; i < 30; i += 1) {
+        host.step(1000 / 30);
+      }
+
+      expect(onUpdate).toHaveBeenCalledTimes(60);
+    });
+  });
+
+  describe('maxSubSteps', () => {
+    it('should clamp values below 1 to 1', () => {
+      host.maxSubSteps = 0;
+
+      expect(host.maxSubSteps).toEqual(1);
+    });
+  });
+
+  describe('getUpdateOrder', () => {
+    it('should order features by update phase', () => {
+      host.addFeature(PostFeature);
+      host.addFeature(MockFeature);
+      host.addFeature(PreFeature);
+
+      expect(host.getUpdateOrder()).toEqual([
+        'PreFeature',
+        'MockFeature',
+        'PostFeature',
+      ]);
+    });
+
+    it('should order features after their dependencies within a phase', () => {
+      host.addFeature(DependentFeature);
+      host.addFeature(MockFeature);
+
+      expect(host.getUpdateOrder()).toEqual([
+        'MockFeature',
+        'DependentFeature',
+      ]);
+    });
+
+    it('should keep the order features were added in when dependencies form a cycle', () => {
+      class CycleFeatureA extends AbstractHostFeature {}
+      class CycleFeatureB extends AbstractHostFeature {}
+      Object.defineProperty(CycleFeatureA, 'DEPENDENCIES', {
+        value: {required: [], optional: ['CycleFeatureB']},
+      });
+      Object.defineProperty(CycleFeatureB, 'DEPENDENCIES', {
+        value: {required: [], optional: ['CycleFeatureA']},
+      });
+      host.addFeature(CycleFeatureB);
+      host.addFeature(CycleFeatureA);
+
+      expect(host.getUpdateOrder()).toEqual(['CycleFeatureB', 'CycleFeatureA']);
+    });
+
+    it('should exclude features that have been removed', () => {
+      host.addFeature(MockFeature);
+      host.addFeature(PreFeature);
+      host.removeFeature('PreFeature');
+
+      expect(host.getUpdateOrder()).toEqual(['MockFeature']);
+    });
   });
 
   describe('addFeature', () => {
@@ -134,6 +400,17 @@ describeEnvironment('HostObject', (options = {}) => {
       expect(host.addFeature.bind(host, MockFeature)).toThrowError();
       expect(host.addFeature.bind(host, MockFeature, true)).not.toThrowError();
     });
+
+    it('should throw an error if a required feature has not been added', () => {
+      expect(host.addFeature.bind(host, RequiringFeature)).toThrowError();
+      expect(host.hasFeature('RequiringFeature')).toBeFalse();
+    });
+
+    it('should add a feature once its required features have been added', () => {
+      host.addFeature(MockFeature);
+
+      expect(host.addFeature.bind(host, RequiringFeature)).not.toThrowError();
+    });
   });
 
   describe('hasFeature', () => {
@@ -180,5 +457,154 @@ describeEnvironment('HostObject', (options = {}) => {
 
       await expectAsync(promise).toBeResolvedTo('MockFeature');
     });
+
+    it('should throw an error if another feature requires the feature', () => {
+      host.addFeature(MockFeature);
+      host.addFeature(RequiringFeature);
+
+      expect(host.removeFeature.bind(host, 'MockFeature')).toThrowError();
+      expect(host.hasFeature('MockFeature')).toBeTrue();
+    });
+
+    it('should allow removing a feature once its dependents are removed', () => {
+      host.addFeature(MockFeature);
+      host.addFeature(RequiringFeature);
+      host.removeFeature('RequiringFeature');
+
+      expect(host.removeFeature('MockFeature')).toBeTrue();
+    });
+  });
+
+  describe('dispose', () => {
+    it('should emit the dispose event', () => {
+      const onDispose = jasmine.createSpy('onDispose');
+      host.listenTo(HostObject.EVENTS.dispose, onDispose);
+
+      host.dispose();
+
+      expect(onDispose).toHaveBeenCalledTimes(1);
+    });
+
+    it('should cancel pending waits', () => {
+      const wait = host.wait(1);
+
+      host.dispose();
+
+      expect(wait.canceled).toBeTrue();
+    });
+
+    it('should remove dependent features before the features they require', () => {
+      const removed = [];
+      host.addFeature(MockFeature);
+      host.addFeature(RequiringFeature);
+      host.listenTo(HostObject.EVENTS.removeFeature, typeName => {
+        removed.push(typeName);
+      });
+
+      host.dispose();
+
+      expect(removed).toEqual(['RequiringFeature', 'MockFeature']);
+      expect(host.listFeatures()).toEqual([]);
+    });
+
+    it('should stop all listeners on the host', () => {
+      const onUpdate = jasmine.createSpy('onUpdate');
+      host.listenTo(HostObject.EVENTS.update, onUpdate);
+
+      host.dispose();
+      host.update();
+
+      expect(onUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should only tear down the host once', () => {
+      const onDispose = jasmine.createSpy('onDispose');
+      host.dispose();
+      host.listenTo(HostObject.EVENTS.dispose, onDispose);
+
+      host.dispose();
+
+      expect(host.disposed).toBeTrue();
+      expect(onDispose).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('serializeState', () => {
+    it('should return the timeScale and the state of each feature keyed by type', () => {
+      host.addFeature(MockFeature);
+      host.timeScale = 0.5;
+      spyOn(host._features.MockFeature, 'serializeState').and.returnValue({
+        value: 1,
+      });
+
+      expect(host.serializeState()).toEqual({
+        timeScale: 0.5,
+        features: {MockFeature: {value: 1}},
+      });
+    });
+
+    it('should return a JSON compatible object', () => {
+      host.addFeature(MockFeature);
+      const snapshot = host.serializeState();
+
+      expect(JSON.parse(JSON.stringify(snapshot))).toEqual(snapshot);
+    });
+  });
+
+  describe('restoreState', () => {
+    it('should set the timeScale', () => {
+      host.restoreState({timeScale: 2, features: {}});
+
+      expect(host.timeScale).toEqual(2);
+    });
+
+    it('should cancel timeScale interpolation', () => {
+      const interpolation = host.setTimeScale(0, 1);
+
+      host.restoreState({timeScale: 2, features: {}});
+
+      expect(interpolation.canceled).toBeTrue();
+    });
+
+    it('should pass each feature its state', () => {
+      host.addFeature(MockFeature);
+      spyOn(host._features.MockFeature, 'restoreState');
+
+      host.restoreState({features: {MockFeature: {value: 1}}});
+
+      expect(host._features.MockFeature.restoreState).toHaveBeenCalledWith({
+        value: 1,
+      });
+    });
+
+    it('should restore features after the features they depend on regardless of update phase', () => {
+      const restored = [];
+      class PreDependentFeature extends AbstractHostFeature {}
+      Object.defineProperty(PreDependentFeature, 'UPDATE_PHASE', {
+        value: UpdatePhases.PreAnimation,
+      });
+      Object.defineProperty(PreDependentFeature, 'DEPENDENCIES', {
+        value: {required: [], optional: ['MockFeature']},
+      });
+      host.addFeature(PreDependentFeature);
+      host.addFeature(MockFeature);
+      ['PreDependentFeature', 'MockFeature'].forEach(typeName => {
+        spyOn(host._features[typeName], 'restoreState').and.callFake(() => {
+          restored.push(typeName);
+        });
+      });
+
+      host.restoreState({features: {PreDependentFeature: {}, MockFeature: {}}});
+
+      expect(restored).toEqual(['MockFeature', 'PreDependentFeature']);
+    });
+
+    it('should log a warning and skip features that are not installed', () => {
+      spyOn(console, 'warn');
+
+      host.restoreState({features: {MockFeature: {}}});
+
+      expect(console.warn).toHaveBeenCalledTimes(1);
+    });
   });
 });
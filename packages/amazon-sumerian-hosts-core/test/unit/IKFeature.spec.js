@@ -0,0 +1,280 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+/* eslint-disable no-underscore-dangle */
+import {
+  AxisMap,
+  HostObject,
+  IKChainTypes,
+  IKFeature,
+} from '@amazon-sumerian-hosts/core';
+import describeEnvironment from './EnvironmentHarness';
+
+describeEnvironment('IKFeature', () => {
+  let host;
+  let ikFeature;
+  let joints;
+
+  beforeEach(() => {
+    joints = {
+      shoulder: {name: 'shoulder'},
+      elbow: {name: 'elbow'},
+      wrist: {name: 'wrist'},
+      head: {name: 'head'},
+    };
+    spyOn(IKFeature.prototype, '_findJoint').and.callFake(name => joints[name]);
+    host = new HostObject();
+    host.addFeature(IKFeature, false, {
+      chains: [{name: 'Arm', joints: ['shoulder', 'elbow', 'wrist']}],
+    });
+    ikFeature = host._features.IKFeature;
+  });
+
+  describe('constructor', () => {
+    it('should add the chains from the options', () => {
+      expect(ikFeature.chains).toEqual(['Arm']);
+    });
+  });
+
+  describe('addChain', () => {
+    it('should throw an error if a chain with the name already exists', () => {
+      expect(() =>
+        ikFeature.addChain('Arm', {joints: ['shoulder', 'elbow', 'wrist']})
+      ).toThrowError();
+    });
+
+    it('should throw an error if the chain type is not valid', () => {
+      expect(() =>
+        ikFeature.addChain('Look', {type: 'Unknown', joints: ['head']})
+      ).toThrowError();
+    });
+
+    it('should throw an error if a TwoBone chain does not have 3 joints', () => {
+      expect(() =>
+        ikFeature.addChain('Leg', {joints: ['shoulder', 'elbow']})
+      ).toThrowError();
+    });
+
+    it('should throw an error if a chain has no joints', () => {
+      expect(() =>
+        ikFeature.addChain('Look', {type: IKChainTypes.LookAt})
+      ).toThrowError();
+    });
+
+    it('should throw an error if the forward axis is not valid', () => {
+      expect(() =>
+        ikFeature.addChain('Look', {
+          type: IKChainTypes.LookAt,
+          joints: ['head'],
+          forwardAxis: 'Forward',
+        })
+      ).toThrowError();
+    });
+
+    it('should throw an error if a joint name cannot be found', () => {
+      expect(() =>
+        ikFeature.addChain('Look', {
+          type: IKChainTypes.LookAt,
+          joints: ['neck'],
+        })
+      ).toThrowError();
+    });
+
+    it('should accept joint objects in place of joint names', () => {
+      const neck = {name: 'neck'};
+      ikFeature.addChain('Look', {
+        type: IKChainTypes.LookAt,
+        joints: [neck, 'head'],
+      });
+
+      expect(ikFeature._chains.Look.joints).toEqual([neck, joints.head]);
+    });
+
+    it('should clamp the weight between 0 and 1', () => {
+      ikFeature.addChain('Look', {
+        type: IKChainTypes.LookAt,
+        joints: ['head'],
+        weight: 2,
+      });
+
+      expect(ikFeature.getWeight('Look')).toEqual(1);
+    });
+
+    it('should return the name of the chain', () => {
+      const name = ikFeature.addChain('Look', {
+        type: IKChainTypes.LookAt,
+        joints: ['head'],
+      });
+
+      expect(name).toEqual('Look');
+    });
+  });
+
+  describe('removeChain', () => {
+    it('should remove the chain and return true', () => {
+      expect(ikFeature.removeChain('Arm')).toBeTrue();
+      expect(ikFeature.chains).toEqual([]);
+    });
+
+    it('should return false if no chain exists with the name', () => {
+      expect(ikFeature.removeChain('Leg')).toBeFalse();
+    });
+  });
+
+  describe('setTarget', () => {
+    it('should throw an error if no chain exists with the name', () => {
+      expect(() => ikFeature.setTarget('Leg', [0, 0, 0])).toThrowError();
+    });
+
+    it('should update the target of the chain', () => {
+      const target = {name: 'cup'};
+      ikFeature.setTarget('Arm', target);
+
+      expect(ikFeature.getTarget('Arm')).toBe(target);
+    });
+
+    it('should set the target to null if no target is given', () => {
+      ikFeature.setTarget('Arm', [0, 1, 0]);
+      ikFeature.setTarget('Arm');
+
+      expect(ikFeature.getTarget('Arm')).toBeNull();
+    });
+  });
+
+  describe('pin', () => {
+    it('should set the target to the world position of the last joint', () => {
+      spyOn(IKFeature, '_getWorldPosition').and.returnValue([1, 2, 3]);
+      const position = ikFeature.pin('Arm');
+
+      expect(IKFeature._getWorldPosition).toHaveBeenCalledWith(joints.wrist);
+      expect(position).toEqual([1, 2, 3]);
+      expect(ikFeature.getTarget('Arm')).toEqual([1, 2, 3]);
+    });
+  });
+
+  describe('setWeight', () => {
+    it('should update the weight of the chain over time', () => {
+      ikFeature.setWeight('Arm', 0, 1);
+      ikFeature.update(500);
+
+      expect(ikFeature.getWeight('Arm')).toBeGreaterThan(0);
+      expect(ikFeature.getWeight('Arm')).toBeLessThan(1);
+
+      ikFeature.update(500);
+
+      expect(ikFeature.getWeight('Arm')).toEqual(0);
+    });
+
+    it('should cancel a pending weight change', () => {
+      const promise = ikFeature.setWeight('Arm', 0, 1);
+      ikFeature.setWeight('Arm', 0.5);
+
+      expect(promise.canceled).toBeTrue();
+      expect(ikFeature.getWeight('Arm')).toEqual(0.5);
+    });
+  });
+
+  describe('solve', () => {
+    beforeEach(() => {
+      spyOn(ikFeature, '_solveTwoBone');
+      spyOn(ikFeature, '_solveLookAt');
+    });
+
+    it('should not solve chains without a target', () => {
+      ikFeature.solve();
+
+      expect(ikFeature._solveTwoBone).not.toHaveBeenCalled();
+    });
+
+    it('should not solve chains with a weight of 0', () => {
+      ikFeature.setTarget('Arm', [0, 1, 0]);
+      ikFeature.setWeight('Arm', 0);
+      ikFeature.solve();
+
+      expect(ikFeature._solveTwoBone).not.toHaveBeenCalled();
+    });
+
+    it('should solve TwoBone chains with the target and pole positions', () => {
+      const target = {name: 'cup'};
+      spyOn(IKFeature, '_getWorldPosition').and.returnValue([1, 2, 3]);
+      ikFeature.setTarget('Arm', target);
+      ikFeature._chains.Arm.pole = [0, 0, -1];
+      ikFeature.solve();
+
+      expect(IKFeature._getWorldPosition).toHaveBeenCalledWith(target);
+      expect(ikFeature._solveTwoBone).toHaveBeenCalledWith(
+        [joints.shoulder, joints.elbow, joints.wrist],
+        [1, 2, 3],
+        [0, 0, -1],
+        1
+      );
+    });
+
+    it('should solve LookAt chains with the forward axis vector', () => {
+      ikFeature.addChain('Look', {
+        type: IKChainTypes.LookAt,
+        joints: ['head'],
+        target: [0, 1, 1],
+        weight: 0.5,
+        forwardAxis: 'NegativeZ',
+      });
+      ikFeature.solve();
+
+      expect(ikFeature._solveLookAt).toHaveBeenCalledWith(
+        [joints.head],
+        [0, 1, 1],
+        AxisMap.NegativeZ,
+        0.5
+      );
+    });
+  });
+
+  describe('update', () => {
+    it('should solve the chains', () => {
+      spyOn(ikFeature, 'solve');
+      ikFeature.update(100);
+
+      expect(ikFeature.solve).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not solve the chains if solving on update is disabled', () => {
+      spyOn(ikFeature, 'solve');
+      ikFeature._solveOnUpdate = false;
+      ikFeature.update(100);
+
+      expect(ikFeature.solve).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getDefinition', () => {
+    it('should describe the chains with joint names', () => {
+      ikFeature.setTarget('Arm', [0, 1, 0]);
+      const definition = ikFeature.getDefinition();
+
+      expect(definition).toEqual({
+        type: 'IKFeature',
+        args: [
+          {
+            chains: [
+              {
+                name: 'Arm',
+                type: IKChainTypes.TwoBone,
+                joints: ['shoulder', 'elbow', 'wrist'],
+                weight: 1,
+                forwardAxis: 'PositiveZ',
+              },
+            ],
+          },
+        ],
+      });
+    });
+  });
+
+  describe('installApi', () => {
+    it('should add chain methods to the host namespace', () => {
+      host.IKFeature.setTarget('Arm', [0, 1, 0]);
+
+      expect(host.IKFeature.chains).toEqual(['Arm']);
+      expect(host.IKFeature.getTarget('Arm')).toEqual([0, 1, 0]);
+    });
+  });
+});
@@ -0,0 +1,228 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+/* eslint-disable no-underscore-dangle */
+import {HostObject, LocomotionFeature} from '@amazon-sumerian-hosts/core';
+import describeEnvironment from './EnvironmentHarness';
+
+describeEnvironment('LocomotionFeature', () => {
+  let host;
+  let locomotionFeature;
+  let owner;
+  let mockAnimationFeature;
+
+  beforeEach(() => {
+    // Simulated owner transform, heading is in degrees from the positive Z axis
+    owner = {position: [0, 0, 0], heading: 0};
+    spyOn(LocomotionFeature, '_getWorldPosition').and.callFake(
+      obj => obj.position
+    );
+    spyOn(LocomotionFeature, '_getWorldDirection').and.callFake(obj => {
+      const heading = (obj.heading * Math.PI) / 180;
+      return [Math.sin(heading), 0, Math.cos(heading)];
+    });
+    spyOn(LocomotionFeature.prototype, '_rotate').and.callFake(degrees => {
+      owner.heading += degrees;
+    });
+    spyOn(LocomotionFeature.prototype, '_translate').and.callFake(offset => {
+      owner.position = owner.position.map((value, i) => value + offset[i]);
+    });
+
+    host = new HostObject({owner});
+    host.addFeature(LocomotionFeature, false, {acceleration: 100});
+    locomotionFeature = host._features.LocomotionFeature;
+  });
+
+  describe('constructor', () => {
+    it('should throw an error if the forward axis is not valid', () => {
+      expect(() => {
+        host.addFeature(LocomotionFeature, true, {forwardAxis: 'Forward'});
+      }).toThrowError();
+    });
+  });
+
+  describe('followPath', () => {
+    it('should return a rejected promise if no waypoints are defined', () => {
+      return expectAsync(locomotionFeature.followPath([])).toBeRejected();
+    });
+
+    it('should cancel the path that was being followed', () => {
+      const promise = locomotionFeature.followPath([[0, 0, 5]]);
+      locomotionFeature.followPath([[0, 0, 2]]);
+
+      expect(promise.canceled).toBeTrue();
+      expect(locomotionFeature.waypoints).toEqual([[0, 0, 2]]);
+    });
+
+    it('should emit the waypoint message for each waypoint before the last', () => {
+      spyOn(locomotionFeature, 'emit');
+      locomotionFeature.followPath([
+        [0, 0, 0],
+        [0, 0, 5],
+      ]);
+      locomotionFeature.update(100);
+
+      expect(locomotionFeature.emit).toHaveBeenCalledWith(
+        LocomotionFeature.EVENTS.waypoint,
+        {waypoint: [0, 0, 0], remaining: 1}
+      );
+    });
+
+    it('should emit the arrive message and resolve once the last waypoint is reached', async () => {
+      spyOn(locomotionFeature, 'emit');
+      const promise = locomotionFeature.followPath([[0, 0, 0.05]]);
+      locomotionFeature.update(100);
+
+      expect(locomotionFeature.emit).toHaveBeenCalledWith(
+        LocomotionFeature.EVENTS.arrive,
+        {waypoint: [0, 0, 0.05]}
+      );
+
+      expect(locomotionFeature.moving).toBeFalse();
+
+      await expectAsync(promise).toBeResolvedTo([0, 0, 0.05]);
+    });
+  });
+
+  describe('moveTo', () => {
+    it('should move the owner towards the target', () => {
+      locomotionFeature.moveTo([0, 0, 5]);
+
+      for (let i = 0; i < 10; i += 1) {
+        locomotionFeature.update(100);
+      }
+
+      expect(locomotionFeature.speed).toBeGreaterThan(0);
+      expect(owner.position[2]).toBeGreaterThan(0);
+      expect(owner.position[0]).toBeCloseTo(0);
+    });
+
+    it('should stop without overshooting once the target is reached', () => {
+      locomotionFeature.acceleration = 2;
+      locomotionFeature.moveTo([0, 0, 2]);
+
+      for (let i = 0; i < 100 && locomotionFeature.moving; i += 1) {
+        locomotionFeature.update(100);
+      }
+      const [, , z] = owner.position;
+
+      expect(locomotionFeature.moving).toBeFalse();
+      expect(locomotionFeature.speed).toEqual(0);
+      expect(z).toBeGreaterThanOrEqual(2 - locomotionFeature.arrivalDistance);
+      expect(z).toBeLessThanOrEqual(2);
+
+      locomotionFeature.update(100);
+
+      expect(owner.position[2]).toEqual(z);
+    });
+
+    it('should turn in place if the target is too far to the side', () => {
+      locomotionFeature.moveTo([5, 0, 0]);
+      locomotionFeature.update(100);
+
+      expect(locomotionFeature._rotate).toHaveBeenCalledWith(18);
+      expect(locomotionFeature.speed).toEqual(0);
+      expect(locomotionFeature._translate).not.toHaveBeenCalled();
+    });
+
+    it('should follow targets that are scene objects', () => {
+      const target = {position: [0, 0, 0.05]};
+      const promise = locomotionFeature.moveTo(target);
+      locomotionFeature.update(100);
+
+      expect(promise.resolved).toBeTrue();
+      expect(LocomotionFeature._getWorldPosition).toHaveBeenCalledWith(target);
+    });
+  });
+
+  describe('stop', () => {
+    it('should cancel the path and return true if the host was moving', () => {
+      const promise = locomotionFeature.moveTo([0, 0, 5]);
+
+      expect(locomotionFeature.stop()).toBeTrue();
+      expect(promise.canceled).toBeTrue();
+      expect(locomotionFeature.moving).toBeFalse();
+    });
+
+    it('should return false if the host was not moving', () => {
+      expect(locomotionFeature.stop()).toBeFalse();
+    });
+  });
+
+  describe('update', () => {
+    beforeEach(() => {
+      mockAnimationFeature = {
+        getCurrentAnimation: jasmine.createSpy('getCurrentAnimation'),
+        playAnimation: jasmine.createSpy('playAnimation'),
+        setAnimationBlendWeight: jasmine.createSpy('setAnimationBlendWeight'),
+        consumeRootMotion: jasmine
+          .createSpy('consumeRootMotion')
+          .and.returnValue([0, 0, 0.5]),
+      };
+      host.AnimationFeature = mockAnimationFeature;
+      locomotionFeature._managedLayers.Locomotion.isActive = true;
+      locomotionFeature._managedLayers.Locomotion.animations.locomotion.isActive = true;
+    });
+
+    it('should play the locomotion animation when a path is followed', () => {
+      locomotionFeature.moveTo([0, 0, 5]);
+
+      expect(mockAnimationFeature.playAnimation).toHaveBeenCalledWith(
+        'Locomotion',
+        'locomotion'
+      );
+    });
+
+    it('should set the blend value of the locomotion animation to the speed', () => {
+      locomotionFeature.moveTo([0, 0, 5]);
+      locomotionFeature.update(100);
+
+      expect(mockAnimationFeature.setAnimationBlendWeight).toHaveBeenCalledWith(
+        'Locomotion',
+        'locomotion',
+        null,
+        locomotionFeature.speed
+      );
+    });
+
+    it('should move the owner by the root motion if root motion is used', () => {
+      locomotionFeature.useRootMotion = true;
+      locomotionFeature.moveTo([0, 0, 5]);
+      locomotionFeature.update(100);
+
+      expect(owner.position).toEqual([0, 0, 0.5]);
+      expect(mockAnimationFeature.consumeRootMotion).toHaveBeenCalledWith(
+        'Locomotion'
+      );
+    });
+  });
+
+  describe('getDefinition', () => {
+    it('should return the options of the feature', () => {
+      expect(locomotionFeature.getDefinition()).toEqual({
+        type: 'LocomotionFeature',
+        args: [
+          {
+            layer: 'Locomotion',
+            animation: 'locomotion',
+            forwardAxis: 'PositiveZ',
+            walkSpeed: 1.2,
+            acceleration: 100,
+            turnSpeed: 180,
+            turnInPlaceAngle: 60,
+            arrivalDistance: 0.1,
+            useRootMotion: false,
+          },
+        ],
+      });
+    });
+  });
+
+  describe('installApi', () => {
+    it('should add movement methods to the host namespace', () => {
+      host.LocomotionFeature.moveTo([0, 0, 5]);
+
+      expect(host.LocomotionFeature.moving).toBeTrue();
+      expect(host.LocomotionFeature.stop()).toBeTrue();
+    });
+  });
+});
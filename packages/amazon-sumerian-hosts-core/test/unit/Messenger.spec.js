@@ -1,6 +1,6 @@
 // Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
 // SPDX-License-Identifier: MIT-0
-import {Messenger} from '@amazon-sumerian-hosts/core';
+import {Messenger, EventDispatcher} from '@amazon-sumerian-hosts/core';
 import describeEnvironment from './EnvironmentHarness';
 
 describeEnvironment('Messenger', () => {
@@ -16,6 +16,28 @@ describeEnvironment('Messenger', () => {
     });
   });
 
+  describe('constructor', () => {
+    it('should use the default dispatcher if none is provided', () => {
+      expect(messenger.dispatcher).toBe(Messenger.defaultDispatcher);
+    });
+
+    it('should deliver events with the provided dispatcher', () => {
+      const dispatcher = new EventDispatcher();
+      spyOn(dispatcher, 'dispatchEvent').and.callThrough();
+      messenger = new Messenger('id', dispatcher);
+      const listener = jasmine.createSpy('listener');
+      messenger.listenTo('test', listener);
+      messenger.emit('test', 'value');
+
+      expect(dispatcher.dispatchEvent).toHaveBeenCalledWith({
+        type: 'id.test',
+        detail: 'value',
+      });
+
+      expect(listener).toHaveBeenCalledWith('value');
+    });
+  });
+
   describe('id', () => {
     it('should return a string', () => {
       const actual = typeof messenger.id;
@@ -70,6 +92,151 @@ describeEnvironment('Messenger', () => {
     });
   });
 
+  describe('listenTo with wildcards', () => {
+    it('should execute the listener with the value and message for each matching message', () => {
+      const listener = jasmine.createSpy('listener');
+      messenger.listenTo('Feature.*', listener);
+      messenger.emit('Feature.onPlay', 1);
+      messenger.emit('Other.onPlay', 2);
+      messenger.emit('Feature.onStop', 3);
+
+      expect(listener).toHaveBeenCalledTimes(2);
+      expect(listener).toHaveBeenCalledWith(1, 'Feature.onPlay');
+      expect(listener).toHaveBeenCalledWith(3, 'Feature.onStop');
+    });
+
+    it('should match all messages with a single wildcard', () => {
+      const listener = jasmine.createSpy('listener');
+      messenger.listenTo('*', listener);
+      messenger.emit('test');
+
+      expect(listener).toHaveBeenCalledWith(undefined, 'test');
+    });
+
+    it('should treat other characters in the pattern literally', () => {
+      const listener = jasmine.createSpy('listener');
+      messenger.listenTo('a.*', listener);
+      messenger.emit('ab.c');
+
+      expect(listener).not.toHaveBeenCalled();
+    });
+
+    it('should stop executing the listener once stopListening is called with the pattern', () => {
+      const listener = jasmine.createSpy('listener');
+      messenger.listenTo('Feature.*', listener);
+      messenger.stopListening('Feature.*', listener);
+      messenger.emit('Feature.onPlay');
+
+      expect(listener).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('once', () => {
+    it('should execute the listener only the first time the message is received', () => {
+      const listener = jasmine.createSpy('listener');
+      messenger.once('test', listener);
+      messenger.emit('test', 1);
+      messenger.emit('test', 2);
+
+      expect(listener).toHaveBeenCalledOnceWith(1);
+    });
+
+    it('should not execute the listener if stopListening is called first', () => {
+      const listener = jasmine.createSpy('listener');
+      messenger.once('test', listener);
+      messenger.stopListening('test', listener);
+      messenger.emit('test');
+
+      expect(listener).not.toHaveBeenCalled();
+    });
+
+    it('should support wildcard patterns', () => {
+      const listener = jasmine.createSpy('listener');
+      messenger.once('Feature.*', listener);
+      messenger.emit('Feature.onPlay');
+      messenger.emit('Feature.onStop');
+
+      expect(listener).toHaveBeenCalledOnceWith(undefined, 'Feature.onPlay');
+    });
+
+    it('should execute the listener on the global messenger when called statically', () => {
+      const listener = jasmine.createSpy('listener');
+      Messenger.once('test', listener);
+      Messenger.emit('test');
+      Messenger.emit('test');
+
+      expect(listener).toHaveBeenCalledTimes(1);
+    });
+
+    it('throws an error if the once callback is not a function', () => {
+      expect(messenger.once.bind(messenger, 'test', 'test')).toThrowError();
+    });
+  });
+
+  describe('enableReplay', () => {
+    it('should execute listeners added later with the stored values', () => {
+      const listener = jasmine.createSpy('listener');
+      messenger.enableReplay('ready');
+      messenger.emit('ready', 'value');
+      messenger.listenTo('ready', listener);
+
+      expect(listener).toHaveBeenCalledOnceWith('value');
+    });
+
+    it('should only keep the given number of most recent values', () => {
+      const listener = jasmine.createSpy('listener');
+      messenger.enableReplay('test', 2);
+      messenger.emit('test', 1);
+      messenger.emit('test', 2);
+      messenger.emit('test', 3);
+      messenger.listenTo('test', listener);
+
+      expect(listener.calls.allArgs()).toEqual([[2], [3]]);
+    });
+
+    it('should only replay one value to once listeners', () => {
+      const listener = jasmine.createSpy('listener');
+      messenger.enableReplay('test', 2);
+      messenger.emit('test', 1);
+      messenger.emit('test', 2);
+      messenger.once('test', listener);
+      messenger.emit('test', 3);
+
+      expect(listener).toHaveBeenCalledOnceWith(1);
+    });
+
+    it('should replay matching messages to wildcard listeners', () => {
+      const listener = jasmine.createSpy('listener');
+      messenger.enableReplay('Feature.ready');
+      messenger.emit('Feature.ready', 'value');
+      messenger.listenTo('Feature.*', listener);
+
+      expect(listener).toHaveBeenCalledWith('value', 'Feature.ready');
+    });
+
+    it('should not replay values to listeners that were already listening', () => {
+      const listener = jasmine.createSpy('listener');
+      messenger.enableReplay('test');
+      messenger.listenTo('test', listener);
+      messenger.emit('test');
+      messenger.listenTo('test', () => {});
+
+      expect(listener).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('disableReplay', () => {
+    it('should discard the stored values', () => {
+      const listener = jasmine.createSpy('listener');
+      messenger.enableReplay('test');
+      messenger.emit('test');
+      messenger.disableReplay('test');
+      messenger.listenTo('test', listener);
+
+      expect(listener).not.toHaveBeenCalled();
+    });
+  });
+
   describe('stopListening', () => {
     it('can stop a specific listener from being executed when a message is received', () => {
       const listener1 = jasmine.createSpy('listener1');
@@ -916,4 +916,36 @@ describeEnvironment('PointOfInterestFeature', ({owner}) => {
       );
     });
   });
+
+  describe('serializeState', () => {
+    it('should describe the target by name', () => {
+      poiFeature.setTarget({name: 'camera'});
+
+      expect(poiFeature.serializeState()).toEqual({target: 'camera'});
+    });
+
+    it('should return a null target if there is no target', () => {
+      poiFeature.setTarget(null);
+
+      expect(poiFeature.serializeState()).toEqual({target: null});
+    });
+  });
+
+  describe('restoreState', () => {
+    it('should find the target by name', () => {
+      const onSetTargetByName = spyOn(poiFeature, 'setTargetByName');
+
+      poiFeature.restoreState({target: 'camera'});
+
+      expect(onSetTargetByName).toHaveBeenCalledWith('camera');
+    });
+
+    it('should clear the target if the snapshot has no target', () => {
+      poiFeature.setTarget({name: 'camera'});
+
+      poiFeature.restoreState({target: null});
+
+      expect(poiFeature.target).toBeNull();
+    });
+  });
 });
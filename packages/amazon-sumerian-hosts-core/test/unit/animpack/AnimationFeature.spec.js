@@ -6,8 +6,11 @@
 /* eslint-disable no-underscore-dangle */
 import {
   AnimationFeature,
+  AnimationTypes,
   Deferred,
   LayerBlendModes,
+  LayerMask,
+  SingleState,
 } from '@amazon-sumerian-hosts/core';
 import describeEnvironment from '../EnvironmentHarness';
 
@@ -33,7 +36,9 @@ describeEnvironment('AnimationFeature', (options = {}) => {
       'layer1',
       [
         'setWeight',
+        'setTimeScale',
         'updateInternalWeight',
+        'updateInternalTimeScale',
         'pause',
         'resume',
         'pauseWeight',
@@ -51,6 +56,7 @@ describeEnvironment('AnimationFeature', (options = {}) => {
       {
         name: 'layer1',
         weight: 1,
+        timeScale: 2,
         blendMode: LayerBlendModes.Override,
       }
     );
@@ -62,6 +68,7 @@ describeEnvironment('AnimationFeature', (options = {}) => {
       [
         'setWeight',
         'updateInternalWeight',
+        'updateInternalTimeScale',
         'pause',
         'resume',
         'pauseWeight',
@@ -91,6 +98,7 @@ describeEnvironment('AnimationFeature', (options = {}) => {
       [
         'setWeight',
         'updateInternalWeight',
+        'updateInternalTimeScale',
         'pause',
         'resume',
         'pauseWeight',
@@ -491,6 +499,85 @@ describeEnvironment('AnimationFeature', (options = {}) => {
     });
   });
 
+  describe('setStateMachine', () => {
+    it('should throw an error if no layer exists with the given name', () => {
+      expect(() =>
+        animationFeature.setStateMachine('someLayer', {})
+      ).toThrowError();
+    });
+
+    it('should execute setStateMachine on the layer', () => {
+      const machine = {};
+      mockLayer1.setStateMachine = jasmine.createSpy('setStateMachine');
+      animationFeature.setStateMachine('layer1', machine);
+
+      expect(mockLayer1.setStateMachine).toHaveBeenCalledWith(machine);
+    });
+  });
+
+  describe('getParameter', () => {
+    it('should throw an error if no layer exists with the given name', () => {
+      expect(() =>
+        animationFeature.getParameter('someLayer', 'isListening')
+      ).toThrowError();
+    });
+
+    it('should return the result of getParameter on the layer', () => {
+      mockLayer1.getParameter = jasmine
+        .createSpy('getParameter')
+        .and.returnValue(true);
+
+      expect(animationFeature.getParameter('layer1', 'isListening')).toBeTrue();
+      expect(mockLayer1.getParameter).toHaveBeenCalledWith('isListening');
+    });
+  });
+
+  describe('setParameter', () => {
+    it('should throw an error if no layer exists with the given name', () => {
+      expect(() =>
+        animationFeature.setParameter('someLayer', 'isListening', true)
+      ).toThrowError();
+    });
+
+    it('should execute setParameter on the layer', () => {
+      mockLayer1.setParameter = jasmine.createSpy('setParameter');
+      animationFeature.setParameter('layer1', 'isListening', true);
+
+      expect(mockLayer1.setParameter).toHaveBeenCalledWith('isListening', true);
+    });
+  });
+
+  describe('resetTrigger', () => {
+    it('should throw an error if no layer exists with the given name', () => {
+      expect(() =>
+        animationFeature.resetTrigger('someLayer', 'wave')
+      ).toThrowError();
+    });
+
+    it('should execute resetTrigger on the layer', () => {
+      mockLayer1.resetTrigger = jasmine.createSpy('resetTrigger');
+      animationFeature.resetTrigger('layer1', 'wave');
+
+      expect(mockLayer1.resetTrigger).toHaveBeenCalledWith('wave');
+    });
+  });
+
+  describe('consumeRootMotion', () => {
+    it('should throw an error if no layer exists with the given name', () => {
+      expect(() =>
+        animationFeature.consumeRootMotion('someLayer')
+      ).toThrowError();
+    });
+
+    it('should return the root motion of the layer', () => {
+      mockLayer1.consumeRootMotion = jasmine
+        .createSpy('consumeRootMotion')
+        .and.returnValue([1, 0, 2]);
+
+      expect(animationFeature.consumeRootMotion('layer1')).toEqual([1, 0, 2]);
+    });
+  });
+
   describe('getLayerWeight', () => {
     it('should throw an error if no layer exists with the given name', () => {
       expect(
@@ -524,6 +611,145 @@ describeEnvironment('AnimationFeature', (options = {}) => {
     });
   });
 
+  describe('getLayerTimeScale', () => {
+    it('should throw an error if no layer exists with the given name', () => {
+      expect(
+        animationFeature.getLayerTimeScale.bind(animationFeature, 'someLayer')
+      ).toThrowError();
+    });
+
+    it('should return the timeScale of the layer', () => {
+      expect(animationFeature.getLayerTimeScale('layer1')).toEqual(2);
+    });
+  });
+
+  describe('setLayerTimeScale', () => {
+    it('should return a rejected promise if no layer exists with the given name', () => {
+      return expectAsync(
+        animationFeature.setLayerTimeScale('someLayer', 2)
+      ).toBeRejected();
+    });
+
+    it('should execute setTimeScale on the layer', () => {
+      animationFeature.setLayerTimeScale('layer1', 0.5, 1);
+
+      expect(mockLayer1.setTimeScale).toHaveBeenCalledWith(0.5, 1, undefined);
+    });
+  });
+
+  describe('_updateSyncGroups', () => {
+    let lead;
+    let follower;
+    let other;
+
+    beforeEach(() => {
+      lead = {syncGroup: 'idle', internalWeight: 1, normalizedTime: 0.6};
+      follower = {syncGroup: 'idle', internalWeight: 0.5, normalizedTime: 0.1};
+      other = {syncGroup: 'talk', internalWeight: 1, normalizedTime: 0.3};
+      [lead, follower, other].forEach(state => {
+        state.syncNormalizedTime = jasmine
+          .createSpy('syncNormalizedTime')
+          .and.callFake(time => {
+            state.normalizedTime = time;
+          });
+        state.releaseSync = jasmine.createSpy('releaseSync');
+      });
+      animationFeature._layers = [
+        {currentState: {getActiveStates: () => [follower]}},
+        {currentState: {getActiveStates: () => [lead, other]}},
+        {currentState: null},
+      ];
+    });
+
+    it('should set the normalizedTime of states in a sync group to that of the state with the highest internal weight', () => {
+      animationFeature._updateSyncGroups();
+
+      expect(follower.normalizedTime).toEqual(0.6);
+      expect(lead.normalizedTime).toEqual(0.6);
+    });
+
+    it('should not change states in other sync groups', () => {
+      animationFeature._updateSyncGroups();
+
+      expect(other.normalizedTime).toEqual(0.3);
+    });
+
+    it('should not change paused states', () => {
+      follower.paused = true;
+      animationFeature._updateSyncGroups();
+
+      expect(follower.normalizedTime).toEqual(0.1);
+    });
+
+    it('should release states that are not following another state', () => {
+      animationFeature._updateSyncGroups();
+
+      expect(lead.releaseSync).toHaveBeenCalledTimes(1);
+      expect(other.releaseSync).toHaveBeenCalledTimes(1);
+      expect(follower.releaseSync).not.toHaveBeenCalled();
+    });
+
+    it('should reach markers and loop in step with the lead state when the states have different lengths', () => {
+      class TimedState extends SingleState {
+        constructor(options) {
+          super(options);
+          this.time = 0;
+        }
+
+        get normalizedTime() {
+          return this.time;
+        }
+
+        set normalizedTime(time) {
+          this.time = time;
+        }
+      }
+
+      const events = {lead: [], follower: []};
+      const createState = (name, weight) => {
+        const state = new TimedState({
+          name,
+          weight,
+          syncGroup: 'walk',
+          markers: [{name: 'step', time: 0.5}],
+        });
+        state.updateInternalWeight(1);
+        state.setEventCallbacks({
+          onMarker: marker => events[name].push(marker.name),
+          onLoop: loops => events[name].push(`loop${loops}`),
+        });
+        state.play();
+
+        return state;
+      };
+      const leadState = createState('lead', 1);
+      const followerState = createState('follower', 0.5);
+      const activeStates = [followerState];
+      animationFeature._layers = [
+        {currentState: {getActiveStates: () => activeStates}},
+      ];
+      const update = (frames, states) => {
+        for (let frame = 0; frame < frames; frame++) {
+          // The follower's clip is half as long, so it plays twice as fast
+          leadState.time = (leadState.time + 0.125) % 1;
+          followerState.time = (followerState.time + 0.25) % 1;
+          states.forEach(state => state.update(125));
+          animationFeature._updateSyncGroups();
+        }
+      };
+
+      // Play the follower alone until it is out of phase with the lead
+      update(2, [followerState]);
+      leadState.time = 0;
+      events.follower.length = 0;
+      activeStates.push(leadState);
+      update(16, [leadState, followerState]);
+
+      expect(events.lead).toEqual(['step', 'loop1', 'step', 'loop2']);
+      expect(events.follower).toEqual(events.lead);
+    });
+  });
+
   describe('pauseLayerWeight', () => {
     it('should throw an error if no layer exists with the given name', () => {
       expect(
@@ -610,6 +836,21 @@ describeEnvironment('AnimationFeature', (options = {}) => {
       });
     });
 
+    it('should pass the layer mask to each single state', () => {
+      const mask = new LayerMask({include: ['spine']});
+      mockLayer1.mask = mask;
+      const onCreateState = spyOn(
+        animationFeature,
+        '_createSingleState'
+      ).and.callThrough();
+      animationFeature.addAnimation('layer1', 'queue', AnimationTypes.queue, {
+        queueOptions: [{name: 'a'}, {name: 'b'}],
+      });
+      const masks = onCreateState.calls.allArgs().map(([opts]) => opts.mask);
+
+      expect(masks).toEqual([mask, mask]);
+    });
+
     it('should return a boolean', () => {
       spyOn(animationFeature, '_createSingleState');
       mockLayer1.addState.and.callFake(() => true);
@@ -617,6 +858,64 @@ describeEnvironment('AnimationFeature', (options = {}) => {
 
       expect(typeof result).toEqual('boolean');
     });
+
+    it('should emit marker, loop and complete messages for single states', () => {
+      const onEmit = spyOn(animationFeature, 'emit');
+      let state;
+      mockLayer1.addState.and.callFake(s => {
+        state = s;
+        return s.name;
+      });
+      animationFeature.addAnimation('layer1', 'newAnim', undefined, {
+        markers: [{name: 'peak', time: 0.5}],
+      });
+      const [marker] = state.markers;
+      state._eventCallbacks.onMarker(marker);
+      state._eventCallbacks.onLoop(1);
+      state._eventCallbacks.onComplete();
+      const eventData = {
+        layerName: 'layer1',
+        animationName: 'newAnim',
+        stateName: 'newAnim',
+      };
+
+      expect(onEmit).toHaveBeenCalledWith(AnimationFeature.EVENTS.marker, {
+        ...eventData,
+        marker,
+      });
+
+      expect(onEmit).toHaveBeenCalledWith(
+        AnimationFeature.EVENTS.loopAnimation,
+        {...eventData, loopsCompleted: 1}
+      );
+
+      expect(onEmit).toHaveBeenCalledWith(
+        AnimationFeature.EVENTS.completeAnimation,
+        eventData
+      );
+    });
+
+    it('should emit marker messages for the single states of container animations', () => {
+      const onEmit = spyOn(animationFeature, 'emit');
+      let state;
+      mockLayer1.addState.and.callFake(s => {
+        state = s;
+        return s.name;
+      });
+      animationFeature.addAnimation('layer1', 'gesture', AnimationTypes.queue, {
+        queueOptions: [
+          {name: 'in', loopCount: 1, markers: [{name: 'peak', time: 1}]},
+          {name: 'out', loopCount: 1},
+        ],
+      });
+      const subState = state.getState('in');
+      subState._eventCallbacks.onMarker(subState.markers[0]);
+      const [, data] = onEmit.calls.mostRecent().args;
+
+      expect(data.animationName).toEqual('gesture');
+      expect(data.stateName).toEqual('in');
+      expect(data.marker.name).toEqual('peak');
+    });
   });
 
   describe('removeAnimation', () => {
@@ -886,6 +1185,16 @@ describeEnvironment('AnimationFeature', (options = {}) => {
 
       expect(mockHost.AnimationFeature.stopAnimation).toBeInstanceOf(Function);
 
+      expect(mockHost.AnimationFeature.setStateMachine).toBeInstanceOf(
+        Function
+      );
+
+      expect(mockHost.AnimationFeature.setParameter).toBeInstanceOf(Function);
+
+      expect(mockHost.AnimationFeature.getParameter).toBeInstanceOf(Function);
+
+      expect(mockHost.AnimationFeature.resetTrigger).toBeInstanceOf(Function);
+
       expect(mockHost.AnimationFeature.pause).toBeInstanceOf(Function);
 
       expect(mockHost.AnimationFeature.resume).toBeInstanceOf(Function);
@@ -910,6 +1219,15 @@ describeEnvironment('AnimationFeature', (options = {}) => {
       expect(mockLayer2.update).toHaveBeenCalledWith(0.1);
       expect(mockLayer3.update).toHaveBeenCalledWith(0.1);
     });
+
+    it('should execute updateInternalTimeScale on layers with the playback time scale', () => {
+      spyOn(animationFeature, '_getPlaybackTimeScale').and.returnValue(0.5);
+      animationFeature.update(0.1);
+
+      expect(mockLayer1.updateInternalTimeScale).toHaveBeenCalledWith(0.5);
+      expect(mockLayer2.updateInternalTimeScale).toHaveBeenCalledWith(0.5);
+      expect(mockLayer3.updateInternalTimeScale).toHaveBeenCalledWith(0.5);
+    });
   });
 
   describe('discard', () => {
@@ -6,8 +6,12 @@
 /* eslint-disable no-underscore-dangle */
 import {
   AnimationLayer,
+  AnimationStateMachine,
   Deferred,
   LayerBlendModes,
+  LayerMask,
+  ParameterTypes,
+  SingleState,
 } from '@amazon-sumerian-hosts/core';
 
 describe('AnimationLayer', () => {
@@ -22,6 +26,7 @@ describe('AnimationLayer', () => {
       weight: 1,
       setWeight: jasmine.createSpy('setWeight'),
       updateInternalWeight: jasmine.createSpy('updateInternalWeight'),
+      updateInternalTimeScale: jasmine.createSpy('updateInternalTimeScale'),
       play: jasmine.createSpy('play'),
       pause: jasmine.createSpy('pause'),
       resume: jasmine.createSpy('resume'),
@@ -38,6 +43,7 @@ describe('AnimationLayer', () => {
       weight: 0,
       setWeight: jasmine.createSpy('setWeight'),
       updateInternalWeight: jasmine.createSpy('updateInternalWeight'),
+      updateInternalTimeScale: jasmine.createSpy('updateInternalTimeScale'),
       play: jasmine.createSpy('play'),
       pause: jasmine.createSpy('pause'),
       resume: jasmine.createSpy('resume'),
@@ -54,6 +60,7 @@ describe('AnimationLayer', () => {
       weight: 0.5,
       setWeight: jasmine.createSpy('setWeight'),
       updateInternalWeight: jasmine.createSpy('updateInternalWeight'),
+      updateInternalTimeScale: jasmine.createSpy('updateInternalTimeScale'),
       play: jasmine.createSpy('play'),
       pause: jasmine.createSpy('pause'),
       resume: jasmine.createSpy('resume'),
@@ -77,6 +84,26 @@ describe('AnimationLayer', () => {
     });
   });
 
+  describe('mask', () => {
+    it('should return null if no mask was defined', () => {
+      expect(layer.mask).toBeNull();
+    });
+
+    it('should return the mask passed to the constructor', () => {
+      const mask = new LayerMask();
+      const other = new AnimationLayer({mask});
+
+      expect(other.mask).toBe(mask);
+    });
+
+    it('should create a LayerMask from mask options', () => {
+      const other = new AnimationLayer({mask: {include: ['spine']}});
+
+      expect(other.mask).toBeInstanceOf(LayerMask);
+      expect(other.mask.include).toEqual(['spine']);
+    });
+  });
+
   describe('weight', () => {
     it('should return a number', () => {
       expect(typeof layer.weight).toEqual('number');
@@ -221,6 +248,42 @@ describe('AnimationLayer', () => {
     });
   });
 
+  describe('timeScale', () => {
+    it('should clamp values below 0 to 0', () => {
+      layer.timeScale = -1;
+
+      expect(layer.timeScale).toEqual(0);
+    });
+  });
+
+  describe('setTimeScale', () => {
+    it('should return a deferred promise', () => {
+      expect(layer.setTimeScale(2)).toBeInstanceOf(Deferred);
+    });
+
+    it('should update the timeScale value when the promise is executed', () => {
+      const interpolator = layer.setTimeScale(2, 1);
+
+      expect(layer.timeScale).toEqual(1);
+
+      interpolator.execute(250);
+
+      expect(layer.timeScale).toEqual(1.25);
+    });
+
+    it('should be executed by update unless the layer is paused', () => {
+      const onExecute = spyOn(layer._promises.timeScale, 'execute');
+      layer.update(200);
+
+      expect(onExecute).toHaveBeenCalledWith(200);
+
+      layer._paused = true;
+      layer.update(200);
+
+      expect(onExecute).toHaveBeenCalledTimes(1);
+    });
+  });
+
   describe('pauseWeight', () => {
     it('should prevent update from executing the weight promise', () => {
       const onExecute = spyOn(layer._promises.weight, 'execute');
@@ -275,6 +338,16 @@ describe('AnimationLayer', () => {
     });
   });
 
+  describe('updateInternalTimeScale', () => {
+    it('should execute updateInternalTimeScale on the current state with the timeScale multiplied by the input factor', () => {
+      layer.timeScale = 0.5;
+      layer.updateInternalTimeScale(3);
+
+      expect(layer._internalTimeScale).toEqual(1.5);
+      expect(state1.updateInternalTimeScale).toHaveBeenCalledWith(1.5);
+    });
+  });
+
   describe('update', () => {
     it("should execute the weight promise if the layer and weight aren't paused", () => {
       const onExecute = spyOn(layer._promises.weight, 'execute');
@@ -298,7 +371,175 @@ describe('AnimationLayer', () => {
     });
   });
 
+  describe('setStateMachine', () => {
+    it('should create a state machine from options', () => {
+      const machine = layer.setStateMachine({defaultState: 'state1'});
+
+      expect(machine).toBeInstanceOf(AnimationStateMachine);
+      expect(layer.stateMachine).toBe(machine);
+      expect(machine.defaultState).toEqual('state1');
+    });
+
+    it('should use an existing state machine', () => {
+      const machine = new AnimationStateMachine();
+      layer.setStateMachine(machine);
+
+      expect(layer.stateMachine).toBe(machine);
+    });
+
+    it('should remove the state machine if null is passed', () => {
+      layer.setStateMachine({});
+      layer.setStateMachine(null);
+
+      expect(layer.stateMachine).toBeNull();
+    });
+
+    it('should accept a state machine in the constructor options', () => {
+      const other = new AnimationLayer({stateMachine: {defaultState: 'a'}});
+
+      expect(other.stateMachine.defaultState).toEqual('a');
+    });
+  });
+
+  describe('getParameter', () => {
+    it('should throw an error if the layer has no state machine', () => {
+      expect(() => layer.getParameter('isListening')).toThrowError();
+    });
+
+    it('should return the value of the state machine parameter', () => {
+      layer.setStateMachine({
+        parameters: {isListening: {type: ParameterTypes.Bool, value: true}},
+      });
+
+      expect(layer.getParameter('isListening')).toBeTrue();
+    });
+  });
+
+  describe('setParameter', () => {
+    it('should throw an error if the layer has no state machine', () => {
+      expect(() => layer.setParameter('isListening', true)).toThrowError();
+    });
+
+    it('should set the value of the state machine parameter', () => {
+      layer.setStateMachine({
+        parameters: {isListening: {type: ParameterTypes.Bool}},
+      });
+      layer.setParameter('isListening', true);
+
+      expect(layer.stateMachine.getParameter('isListening')).toBeTrue();
+    });
+  });
+
+  describe('resetTrigger', () => {
+    it('should clear the state machine trigger', () => {
+      layer.setStateMachine({
+        parameters: {wave: {type: ParameterTypes.Trigger, value: true}},
+      });
+      layer.resetTrigger('wave');
+
+      expect(layer.getParameter('wave')).toBeFalse();
+    });
+  });
+
+  describe('state machine', () => {
+    let idle;
+    let listen;
+
+    beforeEach(() => {
+      idle = new SingleState({name: 'idle'});
+      listen = new SingleState({name: 'listen'});
+      layer = new AnimationLayer({
+        stateMachine: {
+          defaultState: 'idle',
+          parameters: {
+            isListening: {type: ParameterTypes.Bool},
+            wave: {type: ParameterTypes.Trigger},
+          },
+          transitions: [
+            {
+              from: 'idle',
+              to: 'listen',
+              conditions: [{parameter: 'isListening'}],
+              transitionTime: 0.25,
+            },
+            {from: 'listen', to: 'idle', exitTime: 0.5},
+            {to: 'missing', conditions: [{parameter: 'wave'}]},
+          ],
+        },
+      });
+      layer.addState(idle);
+      layer.addState(listen);
+    });
+
+    it('should play the default state if there is no current state', () => {
+      layer.update(0);
+
+      expect(layer.currentAnimation).toEqual('idle');
+      expect(layer.isTransitioning).toBeFalse();
+    });
+
+    it('should transition when the conditions are met', () => {
+      layer.update(0);
+      layer.setParameter('isListening', true);
+      layer.update(0);
+
+      expect(layer.currentAnimation).toEqual('listen');
+      expect(layer.isTransitioning).toBeTrue();
+    });
+
+    it('should use the transition time of the transition', () => {
+      const onPlay = spyOn(layer, 'playAnimation').and.callThrough();
+      layer.update(0);
+      layer.setParameter('isListening', true);
+      layer.update(0);
+
+      expect(onPlay).toHaveBeenCalledWith('listen', 0.25, undefined);
+    });
+
+    it('should wait for the exit time of the current state', () => {
+      let normalizedTime = 0;
+      spyOnProperty(listen, 'normalizedTime').and.callFake(
+        () => normalizedTime
+      );
+      layer.playAnimation('listen', 0);
+      layer.update(0);
+
+      expect(layer.currentAnimation).toEqual('listen');
+
+      normalizedTime = 0.6;
+      layer.update(0);
+
+      expect(layer.currentAnimation).toEqual('idle');
+    });
+
+    it('should not evaluate transitions while the layer is paused', () => {
+      layer.update(0);
+      layer.pause();
+      layer.setParameter('isListening', true);
+      layer.update(0);
+
+      expect(layer.currentAnimation).toEqual('idle');
+    });
+
+    it('should warn and stay in the current state if the target state does not exist', () => {
+      const onWarn = spyOn(console, 'warn');
+      layer.update(0);
+      layer.setParameter('wave');
+      layer.update(0);
+
+      expect(onWarn).toHaveBeenCalledTimes(1);
+      expect(layer.currentAnimation).toEqual('idle');
+    });
+  });
+
   describe('discard', () => {
+    it('should remove the state machine', () => {
+      layer.setStateMachine({});
+      layer.discard();
+
+      expect(layer.stateMachine).toBeNull();
+    });
+
     it('should cancel the weight promise', async () => {
       const weightPromise = new Deferred();
       layer._promises.weight = weightPromise;
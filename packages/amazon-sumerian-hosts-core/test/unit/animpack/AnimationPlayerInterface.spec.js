@@ -21,6 +21,7 @@ describe('AnimationPlayerInterface', () => {
       weight: 1,
       setWeight: jasmine.createSpy('setWeight'),
       updateInternalWeight: jasmine.createSpy('updateInternalWeight'),
+      updateInternalTimeScale: jasmine.createSpy('updateInternalTimeScale'),
       play: jasmine.createSpy('play'),
       pause: jasmine.createSpy('pause'),
       resume: jasmine.createSpy('resume'),
@@ -37,6 +38,7 @@ describe('AnimationPlayerInterface', () => {
       weight: 0,
       setWeight: jasmine.createSpy('setWeight'),
       updateInternalWeight: jasmine.createSpy('updateInternalWeight'),
+      updateInternalTimeScale: jasmine.createSpy('updateInternalTimeScale'),
       play: jasmine.createSpy('play'),
       pause: jasmine.createSpy('pause'),
       resume: jasmine.createSpy('resume'),
@@ -53,6 +55,7 @@ describe('AnimationPlayerInterface', () => {
       weight: 0.5,
       setWeight: jasmine.createSpy('setWeight'),
       updateInternalWeight: jasmine.createSpy('updateInternalWeight'),
+      updateInternalTimeScale: jasmine.createSpy('updateInternalTimeScale'),
       play: jasmine.createSpy('play'),
       pause: jasmine.createSpy('pause'),
       resume: jasmine.createSpy('resume'),
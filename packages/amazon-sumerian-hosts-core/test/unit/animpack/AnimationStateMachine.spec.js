@@ -0,0 +1,211 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+/* eslint-disable no-underscore-dangle */
+import {
+  AnimationStateMachine,
+  AnyState,
+  ConditionOperators,
+  Easing,
+  ParameterTypes,
+} from '@amazon-sumerian-hosts/core';
+
+describe('AnimationStateMachine', () => {
+  let machine;
+
+  beforeEach(() => {
+    machine = new AnimationStateMachine({
+      defaultState: 'idle',
+      parameters: {
+        isListening: {type: ParameterTypes.Bool},
+        speed: {type: ParameterTypes.Float, value: 0.5},
+        wave: {type: ParameterTypes.Trigger},
+      },
+      transitions: [
+        {
+          from: 'idle',
+          to: 'listen',
+          conditions: [{parameter: 'isListening'}],
+          transitionTime: 0.5,
+        },
+        {
+          from: 'listen',
+          to: 'idle',
+          conditions: [{parameter: 'isListening', value: false}],
+        },
+        {
+          from: 'idle',
+          to: 'walk',
+          conditions: [
+            {
+              parameter: 'speed',
+              operator: ConditionOperators.Greater,
+              value: 1,
+            },
+          ],
+        },
+        {to: 'wave', conditions: [{parameter: 'wave'}]},
+        {from: 'wave', to: 'idle', exitTime: 0.9},
+      ],
+    });
+  });
+
+  describe('constructor', () => {
+    it('should add the parameters from the options', () => {
+      expect(machine.parameters).toEqual(['isListening', 'speed', 'wave']);
+      expect(machine.getParameter('speed')).toEqual(0.5);
+    });
+
+    it('should add the transitions from the options', () => {
+      expect(machine.transitions.length).toEqual(5);
+    });
+
+    it('should store the default state', () => {
+      expect(machine.defaultState).toEqual('idle');
+    });
+  });
+
+  describe('addParameter', () => {
+    it('should default to a false Bool parameter', () => {
+      machine.addParameter('isHappy');
+
+      expect(machine.getParameterType('isHappy')).toEqual(ParameterTypes.Bool);
+      expect(machine.getParameter('isHappy')).toBeFalse();
+    });
+
+    it('should default Float parameters to 0', () => {
+      machine.addParameter('angle', ParameterTypes.Float);
+
+      expect(machine.getParameter('angle')).toEqual(0);
+    });
+
+    it('should throw an error if the type is not valid', () => {
+      expect(() => machine.addParameter('foo', 'String')).toThrowError();
+    });
+  });
+
+  describe('removeParameter', () => {
+    it('should return whether or not the parameter was removed', () => {
+      expect(machine.removeParameter('speed')).toBeTrue();
+      expect(machine.removeParameter('speed')).toBeFalse();
+      expect(machine.parameters).not.toContain('speed');
+    });
+  });
+
+  describe('setParameter', () => {
+    it('should throw an error if no parameter exists with the name', () => {
+      expect(() => machine.setParameter('foo', true)).toThrowError();
+    });
+
+    it('should convert the value to the type of the parameter', () => {
+      machine.setParameter('isListening', 1);
+      machine.setParameter('speed', '2');
+
+      expect(machine.getParameter('isListening')).toBeTrue();
+      expect(machine.getParameter('speed')).toEqual(2);
+    });
+
+    it('should set triggers if no value is given', () => {
+      machine.setParameter('wave');
+
+      expect(machine.getParameter('wave')).toBeTrue();
+    });
+  });
+
+  describe('resetTrigger', () => {
+    it('should clear the trigger', () => {
+      machine.setParameter('wave');
+      machine.resetTrigger('wave');
+
+      expect(machine.getParameter('wave')).toBeFalse();
+    });
+  });
+
+  describe('addTransition', () => {
+    it('should default to an any state transition', () => {
+      const transition = machine.addTransition({to: 'sit'});
+
+      expect(transition.from).toEqual(AnyState);
+    });
+
+    it('should throw an error if the target state is not defined', () => {
+      expect(() => machine.addTransition({from: 'idle'})).toThrowError();
+    });
+
+    it('should throw an error if a condition uses a parameter that does not exist', () => {
+      expect(() =>
+        machine.addTransition({to: 'sit', conditions: [{parameter: 'foo'}]})
+      ).toThrowError();
+    });
+
+    it('should resolve easing function names', () => {
+      const transition = machine.addTransition({
+        to: 'sit',
+        easingFn: 'Quadratic.InOut',
+      });
+
+      expect(transition.easingFn).toBe(Easing.Quadratic.InOut);
+      expect(() =>
+        machine.addTransition({to: 'sit', easingFn: 'Foo.Bar'})
+      ).toThrowError();
+    });
+  });
+
+  describe('removeTransition', () => {
+    it('should return whether or not the transition was removed', () => {
+      const [transition] = machine.transitions;
+
+      expect(machine.removeTransition(transition)).toBeTrue();
+      expect(machine.removeTransition(transition)).toBeFalse();
+    });
+  });
+
+  describe('evaluate', () => {
+    it('should return null if no transition conditions are met', () => {
+      expect(machine.evaluate('idle', 0)).toBeNull();
+    });
+
+    it('should return the transition whose conditions are met', () => {
+      machine.setParameter('isListening', true);
+      const transition = machine.evaluate('idle', 0);
+
+      expect(transition.to).toEqual('listen');
+      expect(transition.transitionTime).toEqual(0.5);
+    });
+
+    it('should only consider transitions from the current state', () => {
+      machine.setParameter('isListening', true);
+
+      expect(machine.evaluate('listen', 0)).toBeNull();
+    });
+
+    it('should compare float parameters using the condition operator', () => {
+      machine.setParameter('speed', 1);
+
+      expect(machine.evaluate('idle', 0)).toBeNull();
+
+      machine.setParameter('speed', 1.5);
+
+      expect(machine.evaluate('idle', 0).to).toEqual('walk');
+    });
+
+    it('should check any state transitions first and consume their triggers', () => {
+      machine.setParameter('isListening', true);
+      machine.setParameter('wave');
+
+      expect(machine.evaluate('idle', 0).to).toEqual('wave');
+      expect(machine.getParameter('wave')).toBeFalse();
+    });
+
+    it('should not take any state transitions to the current state', () => {
+      machine.setParameter('wave');
+
+      expect(machine.evaluate('wave', 0)).toBeNull();
+    });
+
+    it('should wait for the exit time', () => {
+      expect(machine.evaluate('wave', 0.5)).toBeNull();
+      expect(machine.evaluate('wave', undefined)).toBeNull();
+      expect(machine.evaluate('wave', 0.95).to).toEqual('idle');
+    });
+  });
+});
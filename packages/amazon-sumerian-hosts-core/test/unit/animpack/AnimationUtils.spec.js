@@ -1,7 +1,7 @@
 // Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
 // SPDX-License-Identifier: MIT-0
 /* eslint-disable no-undef */
-import {AnimationUtils, Deferred} from '@amazon-sumerian-hosts/core';
+import {AnimationUtils, Deferred, Easing} from '@amazon-sumerian-hosts/core';
 
 describe('AnimationUtils', () => {
   describe('interpolateProperty', () => {
@@ -137,4 +137,36 @@ describe('AnimationUtils', () => {
       });
     });
   });
+
+  describe('getEasingFn', () => {
+    it('should return the easing function with the given name', () => {
+      expect(AnimationUtils.getEasingFn('Quadratic.InOut')).toBe(
+        Easing.Quadratic.InOut
+      );
+    });
+
+    it('should return functions and undefined unchanged', () => {
+      const fn = () => {};
+
+      expect(AnimationUtils.getEasingFn(fn)).toBe(fn);
+      expect(AnimationUtils.getEasingFn()).toBeUndefined();
+    });
+
+    it('should throw an error if no easing function exists with the name', () => {
+      expect(() =>
+        AnimationUtils.getEasingFn('Quadratic.Sideways')
+      ).toThrowError();
+    });
+  });
+
+  describe('getEasingName', () => {
+    it('should return the name of an easing function', () => {
+      expect(AnimationUtils.getEasingName(Easing.Back.Out)).toEqual('Back.Out');
+    });
+
+    it('should return undefined for functions that are not easing functions', () => {
+      expect(AnimationUtils.getEasingName(() => {})).toBeUndefined();
+      expect(AnimationUtils.getEasingName()).toBeUndefined();
+    });
+  });
 });
@@ -0,0 +1,88 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+import {LayerMask} from '@amazon-sumerian-hosts/core';
+
+describe('LayerMask', () => {
+  const upperArm = ['upperArm', 'shoulder', 'spine', 'hips', 'root'];
+  const head = ['head', 'neck', 'spine', 'hips', 'root'];
+  const leg = ['leg', 'hips', 'root'];
+
+  describe('constructor', () => {
+    it('should copy the include and exclude arrays', () => {
+      const include = ['spine'];
+      const mask = new LayerMask({include});
+      include.push('hips');
+
+      expect(mask.include).toEqual(['spine']);
+      expect(mask.exclude).toEqual([]);
+    });
+
+    it('should clamp weights between 0 and 1', () => {
+      const mask = new LayerMask({weights: {head: 2, leg: -1}});
+
+      expect(mask.weights).toEqual({head: 1, leg: 0});
+    });
+  });
+
+  describe('getWeight', () => {
+    it('should return 1 for every joint if the mask is empty', () => {
+      const mask = new LayerMask();
+
+      expect(mask.getWeight(upperArm)).toEqual(1);
+      expect(mask.getWeight(leg)).toEqual(1);
+    });
+
+    it('should return 0 for joints that are not descendants of an included joint', () => {
+      const mask = new LayerMask({include: ['spine']});
+
+      expect(mask.getWeight(upperArm)).toEqual(1);
+      expect(mask.getWeight(leg)).toEqual(0);
+      expect(mask.getWeight(['hips', 'root'])).toEqual(0);
+    });
+
+    it('should return 0 for excluded joints and their descendants', () => {
+      const mask = new LayerMask({exclude: ['neck']});
+
+      expect(mask.getWeight(head)).toEqual(0);
+      expect(mask.getWeight(upperArm)).toEqual(1);
+    });
+
+    it('should use the listing of the nearest ancestor', () => {
+      const mask = new LayerMask({
+        include: ['spine', 'head'],
+        exclude: ['neck'],
+      });
+
+      expect(mask.getWeight(head)).toEqual(1);
+      expect(mask.getWeight(['neck', 'spine', 'hips', 'root'])).toEqual(0);
+    });
+
+    it('should return the weight of the nearest weighted ancestor', () => {
+      const mask = new LayerMask({weights: {spine: 0.5, neck: 0.25}});
+
+      expect(mask.getWeight(head)).toEqual(0.25);
+      expect(mask.getWeight(upperArm)).toEqual(0.5);
+      expect(mask.getWeight(leg)).toEqual(1);
+    });
+
+    it('should return 0 for excluded joints that are weighted', () => {
+      const mask = new LayerMask({exclude: ['head'], weights: {head: 0.5}});
+
+      expect(mask.getWeight(head)).toEqual(0);
+    });
+  });
+
+  describe('getDefinition', () => {
+    it('should return options that recreate the mask', () => {
+      const options = {
+        include: ['spine'],
+        exclude: ['neck'],
+        weights: {head: 0.5},
+      };
+      const mask = new LayerMask(options);
+
+      expect(mask.getDefinition()).toEqual(options);
+      expect(new LayerMask(mask.getDefinition()).getWeight(head)).toEqual(0);
+    });
+  });
+});
@@ -0,0 +1,96 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+import {Retargeter} from '@amazon-sumerian-hosts/core';
+
+describe('Retargeter', () => {
+  const halfSqrt2 = Math.SQRT1_2;
+  let retargeter;
+
+  beforeEach(() => {
+    retargeter = new Retargeter({
+      boneMap: {spine: 'Spine', hips: 'Hips'},
+      sourceRestPose: {
+        spine: {position: [0, 1, 0], rotation: [0, 0, 0, 1]},
+        hips: {position: [0, 1, 0]},
+      },
+      targetRestPose: {
+        Spine: {position: [0, 2, 0], rotation: [halfSqrt2, 0, 0, halfSqrt2]},
+        Hips: {position: [0, 1, 0], rotation: [0, 0, 0, 1]},
+      },
+    });
+  });
+
+  describe('constructor', () => {
+    it('should copy the bone map', () => {
+      const boneMap = {spine: 'Spine'};
+      retargeter = new Retargeter({boneMap});
+      boneMap.hips = 'Hips';
+
+      expect(retargeter.boneMap).toEqual({spine: 'Spine'});
+    });
+  });
+
+  describe('getTargetName', () => {
+    it('should return the mapped name of the joint', () => {
+      expect(retargeter.getTargetName('spine')).toEqual('Spine');
+    });
+
+    it('should return the source name if the joint is not mapped', () => {
+      expect(retargeter.getTargetName('head')).toEqual('head');
+    });
+  });
+
+  describe('retargetRotation', () => {
+    it('should return the target rest rotation for the source rest rotation', () => {
+      const rotation = retargeter.retargetRotation('spine', [0, 0, 0, 1]);
+
+      rotation.forEach((value, index) => {
+        expect(value).toBeCloseTo([halfSqrt2, 0, 0, halfSqrt2][index]);
+      });
+    });
+
+    it('should apply the offset from the source rest rotation to the target rest rotation', () => {
+      const rotation = retargeter.retargetRotation('spine', [
+        0,
+        halfSqrt2,
+        0,
+        halfSqrt2,
+      ]);
+
+      rotation.forEach((value, index) => {
+        expect(value).toBeCloseTo([0.5, 0.5, -0.5, 0.5][index]);
+      });
+    });
+
+    it('should return a copy of the rotation if either rest rotation is missing', () => {
+      const rotation = [0, 1, 0, 0];
+      const result = retargeter.retargetRotation('hips', rotation);
+
+      expect(result).toEqual(rotation);
+      expect(result).not.toBe(rotation);
+    });
+  });
+
+  describe('retargetPosition', () => {
+    it('should scale the offset from the source rest position by the ratio of bone lengths', () => {
+      expect(retargeter.retargetPosition('spine', [1, 1, 0])).toEqual([
+        2,
+        2,
+        0,
+      ]);
+    });
+
+    it('should return a copy of the position if either rest position is missing', () => {
+      expect(retargeter.retargetPosition('head', [1, 2, 3])).toEqual([1, 2, 3]);
+    });
+  });
+
+  describe('getDefinition', () => {
+    it('should return the options needed to recreate the retargeter', () => {
+      const copy = new Retargeter(retargeter.getDefinition());
+
+      expect(copy.getDefinition()).toEqual(retargeter.getDefinition());
+      expect(copy.retargetPosition('spine', [1, 1, 0])).toEqual([2, 2, 0]);
+    });
+  });
+});
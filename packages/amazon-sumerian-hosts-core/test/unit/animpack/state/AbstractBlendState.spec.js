@@ -24,6 +24,7 @@ describeHostEnvironment('AbstractBlendState', () => {
       update: jasmine.createSpy('update'),
       discard: jasmine.createSpy('discard'),
       updateInternalWeight: jasmine.createSpy('updateInternalWeight'),
+      updateInternalTimeScale: jasmine.createSpy('updateInternalTimeScale'),
       _promises: {weight: new Deferred(), play: new Deferred()},
     };
     state1.setWeight.and.callFake(weight => {
@@ -41,6 +42,7 @@ describeHostEnvironment('AbstractBlendState', () => {
       update: jasmine.createSpy('update'),
       discard: jasmine.createSpy('discard'),
       updateInternalWeight: jasmine.createSpy('updateInternalWeight'),
+      updateInternalTimeScale: jasmine.createSpy('updateInternalTimeScale'),
       _promises: {weight: new Deferred(), play: new Deferred()},
     };
     state2.setWeight.and.callFake(weight => {
@@ -58,6 +60,7 @@ describeHostEnvironment('AbstractBlendState', () => {
       update: jasmine.createSpy('update'),
       discard: jasmine.createSpy('discard'),
       updateInternalWeight: jasmine.createSpy('updateInternalWeight'),
+      updateInternalTimeScale: jasmine.createSpy('updateInternalTimeScale'),
       _promises: {weight: new Deferred(), play: new Deferred()},
     };
     state3.setWeight.and.callFake(weight => {
@@ -129,6 +132,68 @@ describeHostEnvironment('AbstractBlendState', () => {
     });
   });
 
+  describe('consumeRootMotion', () => {
+    it('should return the sum of the root motion of all blend states', () => {
+      state1.consumeRootMotion = () => [1, 0, 2];
+      state2.consumeRootMotion = () => [0.5, 0, -1];
+
+      expect(blend.consumeRootMotion()).toEqual([1.5, 0, 1]);
+    });
+  });
+
+  describe('duration', () => {
+    it('should return the weighted average duration of the blend states', () => {
+      state1.duration = 1;
+      state1.weight = 0.25;
+      state2.duration = 3;
+      state2.weight = 0.75;
+
+      expect(blend.duration).toEqual(2.5);
+    });
+
+    it('should ignore blend states with no weight or an unknown duration', () => {
+      state1.duration = 2;
+      state2.duration = 3;
+      state2.weight = 0;
+
+      expect(blend.duration).toEqual(2);
+    });
+  });
+
+  describe('updateInternalTimeScale', () => {
+    it('should execute updateInternalTimeScale on all blend states', () => {
+      blend.updateInternalTimeScale(2);
+
+      blend._states.forEach(state => {
+        expect(state.updateInternalTimeScale).toHaveBeenCalledWith(2);
+      });
+    });
+
+    it('should scale the factor by the ratio of each blend state duration to the weighted average duration if durations are normalized', () => {
+      state1.duration = 1;
+      state1.weight = 0.5;
+      state2.duration = 3;
+      state2.weight = 0.5;
+      blend = new AbstractBlendState({normalizeDurations: true}, [
+        state1,
+        state2,
+      ]);
+      blend.updateInternalTimeScale(2);
+
+      expect(state1.updateInternalTimeScale).toHaveBeenCalledWith(1);
+      expect(state2.updateInternalTimeScale).toHaveBeenCalledWith(3);
+    });
+  });
+
+  describe('getActiveStates', () => {
+    it('should return the active states of all blend states', () => {
+      state1.getActiveStates = () => [state1];
+      state2.getActiveStates = () => [state2];
+
+      expect(blend.getActiveStates()).toEqual([state1, state2]);
+    });
+  });
+
   describe('play', () => {
     it('should play all blend states', () => {
       blend.play();
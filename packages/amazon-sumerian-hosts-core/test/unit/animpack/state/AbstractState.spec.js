@@ -324,4 +324,36 @@ describe('AbstractState', () => {
       expect(onUpdateInternalWeight).toHaveBeenCalledWith(0);
     });
   });
+
+  describe('serializeState', () => {
+    it('should return the weight of the state', () => {
+      state.weight = 0.5;
+
+      expect(state.serializeState()).toEqual({weight: 0.5});
+    });
+  });
+
+  describe('restoreState', () => {
+    it('should set the weight of the state', () => {
+      state.restoreState({weight: 0.25});
+
+      expect(state.weight).toEqual(0.25);
+    });
+
+    it('should cancel weight interpolation', () => {
+      const interpolation = state.setWeight(1, 1);
+
+      state.restoreState({weight: 0.25});
+
+      expect(interpolation.canceled).toBeTrue();
+    });
+
+    it('should not change the weight if it is not in the snapshot', () => {
+      state.weight = 0.5;
+
+      state.restoreState({});
+
+      expect(state.weight).toEqual(0.5);
+    });
+  });
 });
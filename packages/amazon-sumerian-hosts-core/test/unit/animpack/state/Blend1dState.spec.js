@@ -3,7 +3,7 @@
 /* eslint-disable jasmine/no-spec-dupes */
 /* eslint-disable no-unused-vars */
 /* eslint-disable no-underscore-dangle */
-import {Blend1dState, Deferred} from '@amazon-sumerian-hosts/core';
+import {Blend1dState, Deferred, SingleState} from '@amazon-sumerian-hosts/core';
 import describeHostEnviornment from '../../EnvironmentHarness';
 
 describeHostEnviornment('Blend1dState', () => {
@@ -17,6 +17,7 @@ describeHostEnviornment('Blend1dState', () => {
       weight: 1,
       setWeight: jasmine.createSpy('setWeight', () => new Deferred()),
       updateInternalWeight: jasmine.createSpy('updateInternalWeight'),
+      updateInternalTimeScale: jasmine.createSpy('updateInternalTimeScale'),
       internalWeight: jasmine.createSpy('internalWeight'),
       discard: jasmine.createSpy('discard'),
     };
@@ -31,6 +32,7 @@ describeHostEnviornment('Blend1dState', () => {
       weight: 0,
       setWeight: jasmine.createSpy('setWeight', () => new Deferred()),
       updateInternalWeight: jasmine.createSpy('updateInternalWeight'),
+      updateInternalTimeScale: jasmine.createSpy('updateInternalTimeScale'),
       internalWeight: jasmine.createSpy('internalWeight'),
       discard: jasmine.createSpy('discard'),
     };
@@ -45,6 +47,7 @@ describeHostEnviornment('Blend1dState', () => {
       weight: 0.5,
       setWeight: jasmine.createSpy('setWeight', () => new Deferred()),
       updateInternalWeight: jasmine.createSpy('updateInternalWeight'),
+      updateInternalTimeScale: jasmine.createSpy('updateInternalTimeScale'),
       internalWeight: jasmine.createSpy('internalWeight'),
       discard: jasmine.createSpy('discard'),
     };
@@ -344,4 +347,37 @@ describeHostEnviornment('Blend1dState', () => {
       expect(sumSubInternalWeights).toEqual(blend._internalWeight);
     });
   });
+
+  describe('serializeState', () => {
+    it('should include the blend value and the state of each blend state', () => {
+      const blend = new Blend1dState(
+        {},
+        [new SingleState({name: 'slow'}), new SingleState({name: 'fast'})],
+        [0, 1]
+      );
+      blend.setBlendWeight(null, 0.5);
+
+      const snapshot = blend.serializeState();
+
+      expect(snapshot.blendValue).toEqual(0.5);
+      expect(Object.keys(snapshot.blendStates)).toEqual(['slow', 'fast']);
+      expect(snapshot.blendStates.slow.weight).toEqual(0.5);
+    });
+  });
+
+  describe('restoreState', () => {
+    it('should set the blend value and update blend weights', () => {
+      const blend = new Blend1dState(
+        {},
+        [new SingleState({name: 'slow'}), new SingleState({name: 'fast'})],
+        [0, 1]
+      );
+
+      blend.restoreState({blendValue: 0.25});
+
+      expect(blend.getBlendWeight()).toEqual(0.25);
+      expect(blend._states.get('slow').weight).toEqual(0.75);
+      expect(blend._states.get('fast').weight).toEqual(0.25);
+    });
+  });
 });
@@ -20,6 +20,7 @@ describeHostEnviornment('Blend2dState', () => {
       weight: 1,
       setWeight: jasmine.createSpy('setWeight', () => new Deferred()),
       updateInternalWeight: jasmine.createSpy('updateInternalWeight'),
+      updateInternalTimeScale: jasmine.createSpy('updateInternalTimeScale'),
       internalWeight: jasmine.createSpy('internalWeight'),
     };
     state1.updateInternalWeight.and.callFake(factor => {
@@ -33,6 +34,7 @@ describeHostEnviornment('Blend2dState', () => {
       weight: 0,
       setWeight: jasmine.createSpy('setWeight', () => new Deferred()),
       updateInternalWeight: jasmine.createSpy('updateInternalWeight'),
+      updateInternalTimeScale: jasmine.createSpy('updateInternalTimeScale'),
       internalWeight: jasmine.createSpy('internalWeight'),
     };
     state2.updateInternalWeight.and.callFake(factor => {
@@ -46,6 +48,7 @@ describeHostEnviornment('Blend2dState', () => {
       weight: 0.5,
       setWeight: jasmine.createSpy('setWeight', () => new Deferred()),
       updateInternalWeight: jasmine.createSpy('updateInternalWeight'),
+      updateInternalTimeScale: jasmine.createSpy('updateInternalTimeScale'),
       internalWeight: jasmine.createSpy('internalWeight'),
     };
     state3.updateInternalWeight.and.callFake(factor => {
@@ -59,6 +62,7 @@ describeHostEnviornment('Blend2dState', () => {
       weight: 0.5,
       setWeight: jasmine.createSpy('setWeight', () => new Deferred()),
       updateInternalWeight: jasmine.createSpy('updateInternalWeight'),
+      updateInternalTimeScale: jasmine.createSpy('updateInternalTimeScale'),
       internalWeight: jasmine.createSpy('internalWeight'),
     };
     state4.updateInternalWeight.and.callFake(factor => {
@@ -18,6 +18,7 @@ describeHostEnvironment('FreeBlendState', () => {
       name: 'state1',
       weight: 1,
       updateInternalWeight: jasmine.createSpy('updateInternalWeight'),
+      updateInternalTimeScale: jasmine.createSpy('updateInternalTimeScale'),
     };
     state1.updateInternalWeight.and.callFake(factor => {
       state1._internalWeight = state1.weight * factor;
@@ -26,6 +27,7 @@ describeHostEnvironment('FreeBlendState', () => {
       name: 'state2',
       weight: 0,
       updateInternalWeight: jasmine.createSpy('updateInternalWeight'),
+      updateInternalTimeScale: jasmine.createSpy('updateInternalTimeScale'),
     };
     state2.updateInternalWeight.and.callFake(factor => {
       state2._internalWeight = state1.weight * factor;
@@ -34,6 +36,7 @@ describeHostEnvironment('FreeBlendState', () => {
       name: 'state2',
       weight: 0.5,
       updateInternalWeight: jasmine.createSpy('updateInternalWeight'),
+      updateInternalTimeScale: jasmine.createSpy('updateInternalTimeScale'),
     };
     state3.updateInternalWeight.and.callFake(factor => {
       state3._internalWeight = state1.weight * factor;
@@ -105,4 +108,49 @@ describeHostEnvironment('FreeBlendState', () => {
       });
     });
   });
+
+  describe('phase matching', () => {
+    beforeEach(() => {
+      state1.normalizedTime = 0.4;
+      state3.name = 'state3';
+      state3.normalizedTime = 0;
+      freeBlend = new FreeBlendState(
+        {weight: 1},
+        [state1, state3],
+        [true, true]
+      );
+    });
+
+    it('should set the normalizedTime of phase matched states to that of the phase matched state with the highest weight', () => {
+      freeBlend.updateInternalWeight(1);
+
+      expect(state3.normalizedTime).toEqual(0.4);
+      expect(state1.normalizedTime).toEqual(0.4);
+    });
+
+    it('should not change the normalizedTime of states that are not phase matched', () => {
+      freeBlend = new FreeBlendState({weight: 1}, [state1, state3], [true]);
+      freeBlend.updateInternalWeight(1);
+
+      expect(state3.normalizedTime).toEqual(0);
+    });
+
+    it('should keep phase matching states that are renamed', () => {
+      freeBlend.renameState('state3', 'renamed');
+      freeBlend.updateInternalWeight(1);
+
+      expect(state3.normalizedTime).toEqual(0.4);
+    });
+  });
+
+  describe('getDefinition', () => {
+    it('should describe whether or not each blend state is phase matched', () => {
+      state1.getDefinition = () => ({name: 'state1'});
+      state3.name = 'state3';
+      state3.getDefinition = () => ({name: 'state3'});
+      freeBlend = new FreeBlendState({}, [state1, state3], [false, true]);
+
+      expect(freeBlend.getDefinition().blendMatchPhases).toEqual([false, true]);
+    });
+  });
 });
@@ -17,6 +17,7 @@ describe('QueueState', () => {
       loopCount: 1,
       setWeight: jasmine.createSpy('setWeight'),
       updateInternalWeight: jasmine.createSpy('updateInternalWeight'),
+      updateInternalTimeScale: jasmine.createSpy('updateInternalTimeScale'),
       play: jasmine.createSpy('play'),
       pause: jasmine.createSpy('pause'),
       resume: jasmine.createSpy('resume'),
@@ -34,6 +35,7 @@ describe('QueueState', () => {
       loopCount: Infinity,
       setWeight: jasmine.createSpy('setWeight'),
       updateInternalWeight: jasmine.createSpy('updateInternalWeight'),
+      updateInternalTimeScale: jasmine.createSpy('updateInternalTimeScale'),
       play: jasmine.createSpy('play'),
       pause: jasmine.createSpy('pause'),
       resume: jasmine.createSpy('resume'),
@@ -51,6 +53,7 @@ describe('QueueState', () => {
       loopCount: 2,
       setWeight: jasmine.createSpy('setWeight'),
       updateInternalWeight: jasmine.createSpy('updateInternalWeight'),
+      updateInternalTimeScale: jasmine.createSpy('updateInternalTimeScale'),
       play: jasmine.createSpy('play'),
       pause: jasmine.createSpy('pause'),
       resume: jasmine.createSpy('resume'),
@@ -23,6 +23,7 @@ describeHostEnvironment('RandomAnimationState', () => {
       weight: 1,
       setWeight: jasmine.createSpy('setWeight', () => new Deferred()),
       updateInternalWeight: jasmine.createSpy('updateInternalWeight'),
+      updateInternalTimeScale: jasmine.createSpy('updateInternalTimeScale'),
       internalWeight: jasmine.createSpy('internalWeight'),
       play: jasmine.createSpy('play'),
       pause: jasmine.createSpy('pause'),
@@ -45,6 +46,7 @@ describeHostEnvironment('RandomAnimationState', () => {
       weight: 0,
       setWeight: jasmine.createSpy('setWeight', () => new Deferred()),
       updateInternalWeight: jasmine.createSpy('updateInternalWeight'),
+      updateInternalTimeScale: jasmine.createSpy('updateInternalTimeScale'),
       play: jasmine.createSpy('play'),
       pause: jasmine.createSpy('pause'),
       resume: jasmine.createSpy('resume'),
@@ -66,6 +68,7 @@ describeHostEnvironment('RandomAnimationState', () => {
       weight: 0.5,
       setWeight: jasmine.createSpy('setWeight', () => new Deferred()),
       updateInternalWeight: jasmine.createSpy('updateInternalWeight'),
+      updateInternalTimeScale: jasmine.createSpy('updateInternalTimeScale'),
       play: jasmine.createSpy('play'),
       pause: jasmine.createSpy('pause'),
       resume: jasmine.createSpy('resume'),
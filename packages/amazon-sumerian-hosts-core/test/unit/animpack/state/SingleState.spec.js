@@ -88,4 +88,258 @@ describeEnvironment('SingleState', () => {
       expect(Object.values(LayerBlendModes)).toContain(state.blendMode);
     });
   });
+
+  describe('syncGroup', () => {
+    it('should return null if no sync group was defined', () => {
+      expect(state.syncGroup).toBeNull();
+    });
+
+    it('should be included in the definition of the state', () => {
+      state = new SingleState({syncGroup: 'idle'});
+
+      expect(state.syncGroup).toEqual('idle');
+      expect(state.getDefinition().syncGroup).toEqual('idle');
+    });
+  });
+
+  describe('markers', () => {
+    it('should add the markers from the options sorted by time', () => {
+      state = new SingleState({
+        markers: [
+          {name: 'end', time: 0.9},
+          {name: 'peak', time: 0.5, payload: {sound: 'whoosh'}},
+        ],
+      });
+
+      expect(state.markers.map(marker => marker.name)).toEqual(['peak', 'end']);
+      expect(state.markers[0].payload).toEqual({sound: 'whoosh'});
+    });
+  });
+
+  describe('addMarker', () => {
+    it('should throw an error if the time is not between 0 and 1', () => {
+      expect(() => state.addMarker('peak', 1.5)).toThrowError();
+      expect(() => state.addMarker('peak', 'foo')).toThrowError();
+    });
+
+    it('should return the new marker', () => {
+      const marker = state.addMarker('peak', 0.5, 'payload');
+
+      expect(marker).toEqual({name: 'peak', time: 0.5, payload: 'payload'});
+      expect(state.markers).toContain(marker);
+    });
+  });
+
+  describe('removeMarker', () => {
+    it('should return whether or not markers were removed', () => {
+      state.addMarker('peak', 0.5);
+
+      expect(state.removeMarker('peak')).toBeTrue();
+      expect(state.removeMarker('peak')).toBeFalse();
+      expect(state.markers.length).toEqual(0);
+    });
+  });
+
+  describe('event callbacks', () => {
+    let normalizedTime;
+    let onMarker;
+    let onLoop;
+    let onComplete;
+
+    beforeEach(() => {
+      normalizedTime = 0;
+      spyOnProperty(state, 'normalizedTime').and.callFake(() => normalizedTime);
+      onMarker = jasmine.createSpy('onMarker');
+      onLoop = jasmine.createSpy('onLoop');
+      onComplete = jasmine.createSpy('onComplete');
+      state.setEventCallbacks({onMarker, onLoop, onComplete});
+      state.addMarker('start', 0);
+      state.addMarker('peak', 0.5);
+    });
+
+    it('should not execute callbacks if the state has not been played', () => {
+      normalizedTime = 0.6;
+      state.update(0);
+
+      expect(onMarker).not.toHaveBeenCalled();
+    });
+
+    it('should execute onMarker when playback reaches a marker', () => {
+      state.play();
+      state.update(0);
+
+      expect(onMarker).toHaveBeenCalledOnceWith(state.markers[0]);
+
+      normalizedTime = 0.4;
+      state.update(0);
+
+      expect(onMarker).toHaveBeenCalledTimes(1);
+
+      normalizedTime = 0.6;
+      state.update(0);
+
+      expect(onMarker).toHaveBeenCalledTimes(2);
+      expect(onMarker.calls.mostRecent().args[0].name).toEqual('peak');
+    });
+
+    it('should execute onLoop and reach markers again when the animation loops', () => {
+      state.play();
+      normalizedTime = 0.4;
+      state.update(0);
+      normalizedTime = 0.1;
+      state.update(0);
+      const names = onMarker.calls.allArgs().map(([marker]) => marker.name);
+
+      expect(onLoop).toHaveBeenCalledOnceWith(1);
+      expect(names).toEqual(['start', 'peak', 'start']);
+    });
+
+    it('should reach the remaining markers and execute onComplete when the animation finishes', async () => {
+      const promise = state.play();
+      normalizedTime = 0.2;
+      state.update(0);
+      state._finish();
+
+      expect(onMarker).toHaveBeenCalledTimes(2);
+      expect(onComplete).toHaveBeenCalledTimes(1);
+      await expectAsync(promise).toBeResolved();
+    });
+
+    it('should not reach markers when first synced to another state', () => {
+      state.play();
+      state.update(0);
+      normalizedTime = 0.6;
+      state.syncNormalizedTime(0.6);
+
+      expect(state.synced).toBeTrue();
+      expect(onMarker).toHaveBeenCalledTimes(1);
+    });
+
+    it('should follow the synced time instead of its own playback while synced', () => {
+      state.play();
+      state.update(0);
+      state.syncNormalizedTime(0);
+      normalizedTime = 0.6;
+      state.update(0);
+
+      expect(onMarker).toHaveBeenCalledTimes(1);
+
+      normalizedTime = 0.4;
+      state.syncNormalizedTime(0.4);
+
+      expect(onMarker).toHaveBeenCalledTimes(1);
+
+      normalizedTime = 0.1;
+      state.syncNormalizedTime(0.1);
+      const names = onMarker.calls.allArgs().map(([marker]) => marker.name);
+
+      expect(onLoop).toHaveBeenCalledOnceWith(1);
+      expect(names).toEqual(['start', 'peak', 'start']);
+    });
+
+    it('should reach markers from its own playback once the sync is released', () => {
+      state.play();
+      state.update(0);
+      state.syncNormalizedTime(0);
+      normalizedTime = 0.6;
+      state.releaseSync();
+
+      expect(state.synced).toBeFalse();
+      expect(onMarker).toHaveBeenCalledTimes(2);
+    });
+
+    it('should stop executing callbacks once the state is stopped', () => {
+      state.play();
+      state.update(0);
+      state.stop();
+      normalizedTime = 0.6;
+      state.update(0);
+
+      expect(onMarker).toHaveBeenCalledTimes(1);
+      expect(onComplete).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('serializeState', () => {
+    it('should return the weight, timeScale and normalizedTime of the state', () => {
+      state = new SingleState({weight: 0.5, timeScale: 2});
+      spyOnProperty(state, 'normalizedTime').and.returnValue(0.25);
+
+      expect(state.serializeState()).toEqual({
+        weight: 0.5,
+        timeScale: 2,
+        normalizedTime: 0.25,
+      });
+    });
+  });
+
+  describe('restoreState', () => {
+    it('should set the timeScale of the state', () => {
+      state.restoreState({timeScale: 3});
+
+      expect(state.timeScale).toEqual(3);
+    });
+
+    it('should set the normalizedTime of the state', () => {
+      const setter = spyOnProperty(state, 'normalizedTime', 'set');
+
+      state.restoreState({normalizedTime: 0.5});
+
+      expect(setter).toHaveBeenCalledWith(0.5);
+    });
+  });
+
+  describe('consumeRootMotion', () => {
+    let normalizedTime;
+
+    beforeEach(() => {
+      normalizedTime = 0;
+      state = new SingleState({weight: 1, rootMotionJoint: 'hips'});
+      state.updateInternalWeight(0.5);
+      spyOnProperty(state, 'normalizedTime').and.callFake(() => normalizedTime);
+      spyOn(state, '_sampleRootMotion').and.callFake(time => [
+        time * 2,
+        time,
+        time * 4,
+      ]);
+    });
+
+    it('should return the weighted horizontal movement since playback started', () => {
+      state.play();
+      normalizedTime = 0.5;
+      state.update(0);
+
+      expect(state.consumeRootMotion()).toEqual([0.5, 0, 1]);
+    });
+
+    it('should reset the movement once it is consumed', () => {
+      state.play();
+      normalizedTime = 0.5;
+      state.update(0);
+      state.consumeRootMotion();
+
+      expect(state.consumeRootMotion()).toEqual([0, 0, 0]);
+    });
+
+    it('should include movement to the end and from the start when the animation loops', () => {
+      state.play();
+      normalizedTime = 0.5;
+      state.update(0);
+      normalizedTime = 0.25;
+      state.update(0);
+
+      expect(state.consumeRootMotion()).toEqual([1.25, 0, 2.5]);
+    });
+
+    it('should not extract movement if there is no root motion joint', () => {
+      state = new SingleState({weight: 1});
+      state.updateInternalWeight(1);
+      spyOnProperty(state, 'normalizedTime').and.callFake(() => normalizedTime);
+      state.play();
+      normalizedTime = 0.5;
+      state.update(0);
+
+      expect(state.consumeRootMotion()).toEqual([0, 0, 0]);
+    });
+  });
 });
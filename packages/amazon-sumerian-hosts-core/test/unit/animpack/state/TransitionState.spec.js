@@ -16,6 +16,7 @@ describe('TransitionState', () => {
       weight: 0,
       setWeight: jasmine.createSpy('setWeight'),
       updateInternalWeight: jasmine.createSpy('updateInternalWeight'),
+      updateInternalTimeScale: jasmine.createSpy('updateInternalTimeScale'),
       play: jasmine.createSpy('play'),
       pause: jasmine.createSpy('pause'),
       resume: jasmine.createSpy('resume'),
@@ -34,6 +35,7 @@ describe('TransitionState', () => {
         weight: 0.5,
         setWeight: jasmine.createSpy('setWeight', () => new Deferred()),
         updateInternalWeight: jasmine.createSpy('updateInternalWeight'),
+        updateInternalTimeScale: jasmine.createSpy('updateInternalTimeScale'),
         play: jasmine.createSpy('play'),
         pause: jasmine.createSpy('pause'),
         resume: jasmine.createSpy('resume'),
@@ -47,6 +49,7 @@ describe('TransitionState', () => {
         weight: 0.5,
         setWeight: jasmine.createSpy('setWeight', () => new Deferred()),
         updateInternalWeight: jasmine.createSpy('updateInternalWeight'),
+        updateInternalTimeScale: jasmine.createSpy('updateInternalTimeScale'),
         play: jasmine.createSpy('play'),
         pause: jasmine.createSpy('pause'),
         resume: jasmine.createSpy('resume'),
@@ -100,6 +103,28 @@ describe('TransitionState', () => {
     });
   });
 
+  describe('consumeRootMotion', () => {
+    it('should return the sum of the root motion of all controlled states', () => {
+      toState.consumeRootMotion = () => [1, 0, 1];
+      fromStates[0].consumeRootMotion = () => [0, 0, 2];
+      fromStates[1].consumeRootMotion = () => [0.5, 0, 0];
+
+      expect(state.consumeRootMotion()).toEqual([1.5, 0, 3]);
+    });
+  });
+
+  describe('updateInternalTimeScale', () => {
+    it('should execute updateInternalTimeScale on all controlled states', () => {
+      state.updateInternalTimeScale(0.5);
+
+      expect(state.internalTimeScale).toEqual(0.5);
+      expect(toState.updateInternalTimeScale).toHaveBeenCalledWith(0.5);
+      fromStates.forEach(fromState => {
+        expect(fromState.updateInternalTimeScale).toHaveBeenCalledWith(0.5);
+      });
+    });
+  });
+
   describe('configure', () => {
     it('should cancel the current weight promise', () => {
       const onCancel = spyOn(state._weightPromise, 'cancel');
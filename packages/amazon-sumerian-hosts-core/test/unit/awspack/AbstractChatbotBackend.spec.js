@@ -0,0 +1,94 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+/* eslint-disable no-underscore-dangle */
+import {AbstractChatbotBackend} from '@amazon-sumerian-hosts/core';
+import describeEnvironment from '../EnvironmentHarness';
+
+describeEnvironment('AbstractChatbotBackend', () => {
+  let backend;
+
+  beforeEach(() => {
+    backend = new AbstractChatbotBackend({userId: 'User'});
+  });
+
+  describe('constructor', () => {
+    it('should use the userId option', () => {
+      expect(backend._userId).toEqual('User');
+    });
+
+    it('should create a userId if none is defined', () => {
+      const other = new AbstractChatbotBackend();
+
+      expect(other._userId).toBeDefined();
+    });
+
+    it('should replay the micReady message to listeners added after it is emitted', () => {
+      const onMicReady = jasmine.createSpy('onMicReady');
+      backend.emit(AbstractChatbotBackend.EVENTS.micReady);
+      backend.listenTo(AbstractChatbotBackend.EVENTS.micReady, onMicReady);
+
+      expect(onMicReady).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('request', () => {
+    it('should return a rejected promise', () => {
+      return expectAsync(
+        backend.request('text/plain', 'Hi', {})
+      ).toBeRejected();
+    });
+  });
+
+  describe('processWithText', () => {
+    it('should send the text input to request', async () => {
+      const response = {message: 'Hello', dialogState: 'Fulfilled'};
+      spyOn(backend, 'request').and.resolveTo(response);
+      const result = await backend.processWithText('Hi', {foo: 'bar'});
+
+      expect(backend.request).toHaveBeenCalledWith(
+        'text/plain; charset=utf-8',
+        'Hi',
+        {foo: 'bar'}
+      );
+
+      expect(result).toBe(response);
+    });
+
+    it('should emit the responseReady message with the response', async () => {
+      const response = {message: 'Hello'};
+      const onResponse = jasmine.createSpy('onResponse');
+      spyOn(backend, 'request').and.resolveTo(response);
+      backend.listenTo(AbstractChatbotBackend.EVENTS.responseReady, onResponse);
+      await backend.processWithText('Hi');
+
+      expect(onResponse).toHaveBeenCalledWith(response);
+    });
+
+    it('should emit the responseError message and reject if the request fails', async () => {
+      const onError = jasmine.createSpy('onError');
+      spyOn(backend, 'request').and.rejectWith('Failed');
+      spyOn(console, 'error');
+      backend.listenTo(AbstractChatbotBackend.EVENTS.responseError, onError);
+
+      await expectAsync(backend.processWithText('Hi')).toBeRejected();
+
+      expect(onError).toHaveBeenCalledWith('Failed');
+    });
+  });
+
+  describe('endVoiceRecording', () => {
+    it('should send the recorded audio to request as 16kHz WAV audio', async () => {
+      spyOn(backend, 'request').and.resolveTo({});
+      backend._micReady = true;
+      backend.beginVoiceRecording();
+      backend._recSampleRate = 16000;
+      backend._onMicInput(new Float32Array([0.5, 0.5]), 0.5);
+      await backend.endVoiceRecording();
+      const [contentType, audio] = backend.request.calls.argsFor(0);
+
+      expect(contentType).toEqual('audio/x-l16; rate=16000');
+      expect(audio).toBeInstanceOf(Blob);
+      expect(audio.size).toEqual(48);
+    });
+  });
+});
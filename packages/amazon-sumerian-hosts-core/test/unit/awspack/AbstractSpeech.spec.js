@@ -388,6 +388,55 @@ describeEnvironment('AbstractSpeech', () => {
     });
   });
 
+  describe('position', () => {
+    it('should return the local time in seconds', () => {
+      speech._playing = true;
+      speech._startTime = 100;
+      speech.update(350);
+
+      expect(speech.position).toEqual(0.25);
+    });
+  });
+
+  describe('seek', () => {
+    it('should move the local time to the given position', () => {
+      speech.play(0);
+
+      speech.seek(1000, 0.2);
+
+      expect(speech.position).toEqual(0.2);
+
+      speech.update(1100);
+
+      expect(speech.position).toEqual(0.3);
+    });
+
+    it('should skip speechmarks before the position without emitting them', () => {
+      const onEmit = spyOn(speaker, 'emit');
+      speech.play(0);
+      onEmit.calls.reset();
+
+      speech.seek(1000, 0.2);
+
+      expect(speech._currentMark).toEqual(speechmarks[4]);
+
+      speech.update(1000);
+
+      expect(onEmit).not.toHaveBeenCalled();
+    });
+
+    it('should continue from the new position when the speech is resumed', () => {
+      speech.play(0);
+      speech.pause(100);
+
+      speech.seek(500, 0.3);
+      speech.resume(800);
+      speech.update(800);
+
+      expect(speech.position).toEqual(0.3);
+    });
+  });
+
   describe('cancel', () => {
     it('should cancel the pending play promise if the speech had been playing', async () => {
       const onCancel = jasmine.createSpy('onCancel');
@@ -431,4 +480,18 @@ describeEnvironment('AbstractSpeech', () => {
       expect(speech.playing).toBeFalse();
     });
   });
+
+  describe('discard', () => {
+    it('should cancel the pending play promise if the speech had been playing', async () => {
+      const onCancel = jasmine.createSpy('onCancel');
+      speech._promise = new Deferred(undefined, undefined, undefined, onCancel);
+      const promise = speech._promise;
+
+      speech.discard();
+
+      expect(onCancel).toHaveBeenCalledTimes(1);
+      expect(speech.playing).toBeFalse();
+      await expectAsync(promise).toBeResolved();
+    });
+  });
 });
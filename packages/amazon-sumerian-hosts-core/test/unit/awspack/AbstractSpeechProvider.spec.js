@@ -0,0 +1,31 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+/* eslint-disable jasmine/no-spec-dupes */
+import {AbstractSpeechProvider} from '@amazon-sumerian-hosts/core';
+import describeEnvironment from '../EnvironmentHarness';
+
+describeEnvironment('AbstractSpeechProvider', () => {
+  let provider;
+
+  beforeEach(() => {
+    provider = new AbstractSpeechProvider();
+  });
+
+  describe('isReady', () => {
+    it('should return false', () => {
+      expect(provider.isReady).toBeFalse();
+    });
+  });
+
+  describe('synthesizeAudio', () => {
+    it('should return a rejected promise', () => {
+      return expectAsync(provider.synthesizeAudio({})).toBeRejected();
+    });
+  });
+
+  describe('synthesizeSpeechmarks', () => {
+    it('should return a rejected promise', () => {
+      return expectAsync(provider.synthesizeSpeechmarks({})).toBeRejected();
+    });
+  });
+});
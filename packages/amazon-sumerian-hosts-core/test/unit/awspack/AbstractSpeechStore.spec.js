@@ -0,0 +1,37 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+/* eslint-disable jasmine/no-spec-dupes */
+import {AbstractSpeechStore} from '@amazon-sumerian-hosts/core';
+import describeEnvironment from '../EnvironmentHarness';
+
+describeEnvironment('AbstractSpeechStore', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new AbstractSpeechStore();
+  });
+
+  describe('get', () => {
+    it('should return a rejected promise', () => {
+      return expectAsync(store.get('key')).toBeRejected();
+    });
+  });
+
+  describe('set', () => {
+    it('should return a rejected promise', () => {
+      return expectAsync(store.set('key', 'value')).toBeRejected();
+    });
+  });
+
+  describe('delete', () => {
+    it('should return a rejected promise', () => {
+      return expectAsync(store.delete('key')).toBeRejected();
+    });
+  });
+
+  describe('clear', () => {
+    it('should return a rejected promise', () => {
+      return expectAsync(store.clear()).toBeRejected();
+    });
+  });
+});
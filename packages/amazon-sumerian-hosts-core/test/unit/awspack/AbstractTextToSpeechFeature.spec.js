@@ -9,6 +9,12 @@ import {
   Messenger,
   AbstractTextToSpeechFeature,
   AbstractSpeech,
+  ChunkedSpeech,
+  AbstractSpeechProvider,
+  PollySpeechProvider,
+  SpeechQueuePolicies,
+  SpeechCache,
+  AbstractSpeechStore,
   Deferred,
   Version,
 } from '@amazon-sumerian-hosts/core';
@@ -136,6 +142,27 @@ describeEnvironment('AbstractTextToSpeechFeature', () => {
       expect(onEmit).toHaveBeenCalledWith('onReadyEvent');
     });
 
+    it('should replay the ready event to listeners added after initialization', async () => {
+      const onReady = jasmine.createSpy('onReady');
+
+      await AbstractTextToSpeechFeature.initializeService(
+        mockPolly,
+        mockPresigner,
+        mockNeuralVersion
+      );
+      AbstractTextToSpeechFeature.listenTo(
+        AbstractTextToSpeechFeature.EVENTS.ready,
+        onReady
+      );
+
+      expect(onReady).toHaveBeenCalledTimes(1);
+
+      AbstractTextToSpeechFeature.stopListening(
+        AbstractTextToSpeechFeature.EVENTS.ready,
+        onReady
+      );
+    });
+
     it('should set constructor.SERVICES.polly', async () => {
       await AbstractTextToSpeechFeature.initializeService(
         mockPolly,
@@ -633,6 +660,32 @@ describeEnvironment('AbstractTextToSpeechFeature', () => {
     });
   });
 
+  describe('_resolveConfig', () => {
+    beforeEach(async () => {
+      await AbstractTextToSpeechFeature.initializeService(
+        mockPolly,
+        mockPresigner,
+        mockNeuralVersion
+      );
+    });
+
+    it('should return the same config as _updateConfig', () => {
+      const tts = new AbstractTextToSpeechFeature(mockHost);
+      const other = new AbstractTextToSpeechFeature(mockHost);
+      const config = {VoiceId: 'Brian', SampleRate: '8000'};
+
+      expect(tts._resolveConfig(config)).toEqual(other._updateConfig(config));
+    });
+
+    it("should not change the speaker's speech parameters", () => {
+      const tts = new AbstractTextToSpeechFeature(mockHost);
+      const expected = tts._getConfig();
+      tts._resolveConfig({VoiceId: 'Brian', SampleRate: '8000'});
+
+      expect(tts._getConfig()).toEqual(expected);
+    });
+  });
+
   describe('_createSpeech', () => {
     it('should return an object that extends AbstractSpeech', async () => {
       await AbstractTextToSpeechFeature.initializeService(
@@ -715,8 +768,119 @@ describeEnvironment('AbstractTextToSpeechFeature', () => {
     });
   });
 
+  describe('_setSpeechmarkDurations', () => {
+    it('should set the duration of each mark to the time until the next mark of the same type', () => {
+      const tts = new AbstractTextToSpeechFeature(mockHost);
+      const marks = tts._setSpeechmarkDurations([
+        {time: 0, type: 'word'},
+        {time: 10, type: 'viseme'},
+        {time: 25, type: 'word'},
+        {time: 100, type: 'viseme'},
+      ]);
+
+      expect(marks[0].duration).toEqual(25);
+      expect(marks[1].duration).toEqual(90);
+    });
+
+    it('should set the duration of the last mark of each type to the time until the latest mark', () => {
+      const tts = new AbstractTextToSpeechFeature(mockHost, {
+        minEndMarkDuration: 0,
+      });
+      const marks = tts._setSpeechmarkDurations([
+        {time: 0, type: 'word'},
+        {time: 10, type: 'viseme'},
+        {time: 25, type: 'word'},
+        {time: 100, type: 'viseme'},
+      ]);
+
+      expect(marks[2].duration).toEqual(75);
+      expect(marks[3].duration).toEqual(0);
+    });
+
+    it('should not set the duration of the last mark of each type lower than minEndMarkDuration', () => {
+      const tts = new AbstractTextToSpeechFeature(mockHost, {
+        minEndMarkDuration: 0.05,
+      });
+      const marks = tts._setSpeechmarkDurations([
+        {time: 0, type: 'word'},
+        {time: 10, type: 'viseme'},
+      ]);
+
+      expect(marks[1].duration).toEqual(50);
+    });
+  });
+
+  describe('provider', () => {
+    let mockProvider;
+
+    beforeEach(() => {
+      mockProvider = new AbstractSpeechProvider();
+      spyOnProperty(mockProvider, 'isReady').and.returnValue(true);
+      spyOn(mockProvider, 'synthesizeAudio').and.resolveTo({url: ''});
+      spyOn(mockProvider, 'synthesizeSpeechmarks').and.resolveTo([
+        {time: 0, type: 'sentence', start: 0, end: 1, value: 't'},
+      ]);
+    });
+
+    it('should default to a PollySpeechProvider', () => {
+      const tts = new AbstractTextToSpeechFeature(mockHost);
+
+      expect(tts.provider).toBeInstanceOf(PollySpeechProvider);
+    });
+
+    it('should use the provider passed to the constructor options', () => {
+      const tts = new AbstractTextToSpeechFeature(mockHost, {
+        provider: mockProvider,
+      });
+
+      expect(tts.provider).toBe(mockProvider);
+    });
+
+    it('should throw an error if the value does not extend AbstractSpeechProvider', () => {
+      const tts = new AbstractTextToSpeechFeature(mockHost);
+
+      expect(() => {
+        tts.provider = {};
+      }).toThrowError();
+    });
+
+    it('should clear the speech cache when a new provider is set', async () => {
+      const tts = new AbstractTextToSpeechFeature(mockHost, {
+        provider: mockProvider,
+      });
+      await tts._getSpeech('some text');
+
+      expect(tts._speechCache.size).toEqual(1);
+
+      tts.provider = new AbstractSpeechProvider();
+
+      expect(tts._speechCache.size).toEqual(0);
+    });
+
+    it('should be used to generate speeches without initializing AWS services', async () => {
+      AbstractTextToSpeechFeature._isReady = false;
+      const tts = new AbstractTextToSpeechFeature(mockHost, {
+        provider: mockProvider,
+      });
+      const speech = await tts._getSpeech('some text');
+
+      expect(speech).toBeInstanceOf(AbstractSpeech);
+      expect(mockProvider.synthesizeAudio).toHaveBeenCalledTimes(1);
+      expect(mockProvider.synthesizeSpeechmarks).toHaveBeenCalledTimes(1);
+      expect(mockPolly.synthesizeSpeech).not.toHaveBeenCalled();
+    });
+
+    it('should cause _getSpeech to be rejected if the provider is not ready', () => {
+      const tts = new AbstractTextToSpeechFeature(mockHost, {
+        provider: new AbstractSpeechProvider(),
+      });
+
+      return expectAsync(tts._getSpeech('some text')).toBeRejected();
+    });
+  });
+
   describe('_updateSpeech', () => {
-    it('should replace a speech in _speechCache if one already exists for the property matching the text but the config has changed', async () => {
+    it('should add a separate speech to _speechCache if one already exists for the text but the config has changed', async () => {
       await AbstractTextToSpeechFeature.initializeService(
         mockPolly,
         mockPresigner,
@@ -727,11 +891,28 @@ describeEnvironment('AbstractTextToSpeechFeature', () => {
       const oldConfig = oldSpeech.config;
       const newSpeech = await tts._updateSpeech('some text', {Voice: 'Brian'});
       const newConfig = newSpeech.config;
+      const oldKey = SpeechCache.getKey('some text', {Voice: 'Amy'});
+      const newKey = SpeechCache.getKey('some text', {Voice: 'Brian'});
 
-      expect(tts._speechCache['some text']).toEqual(newSpeech);
+      expect(tts._speechCache.get(newKey)).toEqual(newSpeech);
+      expect(tts._speechCache.get(oldKey)).toEqual(oldSpeech);
       expect(newConfig).not.toEqual(oldConfig);
     });
 
+    it('should return the cached speech if one exists for the text and config', async () => {
+      await AbstractTextToSpeechFeature.initializeService(
+        mockPolly,
+        mockPresigner,
+        mockNeuralVersion
+      );
+      const tts = new AbstractTextToSpeechFeature(mockHost);
+      const oldSpeech = tts._updateSpeech('some text', {VoiceId: 'Amy'});
+      const newSpeech = tts._updateSpeech('some text', {VoiceId: 'Amy'});
+
+      expect(newSpeech).toBe(oldSpeech);
+      expect(mockPolly.synthesizeSpeech).toHaveBeenCalledTimes(1);
+    });
+
     it('should add a new speech to _speechCache if there is no property matching the input text', async () => {
       await AbstractTextToSpeechFeature.initializeService(
         mockPolly,
@@ -740,11 +921,249 @@ describeEnvironment('AbstractTextToSpeechFeature', () => {
       );
       const tts = new AbstractTextToSpeechFeature(mockHost);
 
-      expect(tts._speechCache['some text']).not.toBeDefined();
+      expect(tts._speechCache.size).toEqual(0);
 
       await tts._updateSpeech('some text');
 
-      expect(tts._speechCache['some text']).toBeDefined();
+      expect(tts._speechCache.has(SpeechCache.getKey('some text'))).toBeTrue();
+    });
+  });
+
+  describe('maxCachedSpeeches', () => {
+    it('should default to 100', () => {
+      const tts = new AbstractTextToSpeechFeature(mockHost);
+
+      expect(tts.maxCachedSpeeches).toEqual(100);
+    });
+
+    it('should evict the least recently used speeches once the maximum is reached', async () => {
+      await AbstractTextToSpeechFeature.initializeService(
+        mockPolly,
+        mockPresigner,
+        mockNeuralVersion
+      );
+      const tts = new AbstractTextToSpeechFeature(mockHost, {
+        maxCachedSpeeches: 2,
+      });
+      await tts._getSpeech('one');
+      await tts._getSpeech('two');
+      await tts._getSpeech('one');
+      await tts._getSpeech('three');
+      const config = tts._getConfig();
+      const keyOne = SpeechCache.getKey('<speak>one</speak>', config);
+      const keyTwo = SpeechCache.getKey('<speak>two</speak>', config);
+
+      expect(tts._speechCache.size).toEqual(2);
+      expect(tts._speechCache.has(keyOne)).toBeTrue();
+      expect(tts._speechCache.has(keyTwo)).toBeFalse();
+    });
+  });
+
+  describe('speechStore', () => {
+    let mockStore;
+    let mockProvider;
+    const mockAudio = new Blob(['audio']);
+
+    beforeEach(() => {
+      mockStore = new AbstractSpeechStore();
+      spyOn(mockStore, 'get').and.resolveTo(undefined);
+      spyOn(mockStore, 'set').and.resolveTo();
+      mockProvider = new AbstractSpeechProvider();
+      spyOnProperty(mockProvider, 'isReady').and.returnValue(true);
+      spyOn(mockProvider, 'synthesizeAudio').and.resolveTo({url: 'audioUrl'});
+      spyOn(mockProvider, 'synthesizeSpeechmarks').and.resolveTo([
+        {time: 0, type: 'sentence', start: 0, end: 1, value: 't'},
+      ]);
+      spyOn(window, 'fetch').and.resolveTo({
+        blob: () => Promise.resolve(mockAudio),
+      });
+      spyOn(URL, 'createObjectURL').and.returnValue('objectUrl');
+    });
+
+    it('should default to undefined', () => {
+      const tts = new AbstractTextToSpeechFeature(mockHost);
+
+      expect(tts.speechStore).toBeUndefined();
+    });
+
+    it('should throw an error if the value does not extend AbstractSpeechStore', () => {
+      const tts = new AbstractTextToSpeechFeature(mockHost);
+
+      expect(() => {
+        tts.speechStore = {};
+      }).toThrowError();
+    });
+
+    it('should store generated speechmarks and audio', async () => {
+      const tts = new AbstractTextToSpeechFeature(mockHost, {
+        provider: mockProvider,
+        speechStore: mockStore,
+      });
+      await tts._getSpeech('some text');
+      const storedValues = mockStore.set.calls.allArgs().map(args => args[1]);
+
+      expect(window.fetch).toHaveBeenCalledWith('audioUrl');
+      expect(storedValues).toContain(mockMarkString);
+      expect(storedValues).toContain(mockAudio);
+    });
+
+    it('should play stored speeches without using the provider', async () => {
+      mockStore.get.and.callFake(key =>
+        Promise.resolve(key.includes('json') ? mockMarkString : mockAudio)
+      );
+      const tts = new AbstractTextToSpeechFeature(mockHost, {
+        provider: mockProvider,
+        speechStore: mockStore,
+      });
+      const speech = await tts._getSpeech('some text');
+
+      expect(speech.speechmarks.length).toEqual(1);
+      expect(mockProvider.synthesizeAudio).not.toHaveBeenCalled();
+      expect(mockProvider.synthesizeSpeechmarks).not.toHaveBeenCalled();
+    });
+
+    it('should use the provider if the store cannot be read', async () => {
+      mockStore.get.and.rejectWith('error');
+      const tts = new AbstractTextToSpeechFeature(mockHost, {
+        provider: mockProvider,
+        speechStore: mockStore,
+      });
+
+      await expectAsync(tts._getSpeech('some text')).toBeResolved();
+
+      expect(mockProvider.synthesizeSpeechmarks).toHaveBeenCalledTimes(1);
+    });
+
+    it('should revoke stored audio URLs when speeches are evicted', async () => {
+      spyOn(URL, 'revokeObjectURL');
+      const tts = new AbstractTextToSpeechFeature(mockHost, {
+        provider: mockProvider,
+        speechStore: mockStore,
+        maxCachedSpeeches: 1,
+      });
+      await tts._getSpeech('one');
+      await tts._getSpeech('two');
+
+      expect(URL.revokeObjectURL).toHaveBeenCalledOnceWith('objectUrl');
+    });
+
+    it('should not revoke the audio URLs of an evicted speech until it stops playing', async () => {
+      spyOn(URL, 'revokeObjectURL');
+      const tts = new AbstractTextToSpeechFeature(mockHost, {
+        provider: mockProvider,
+        speechStore: mockStore,
+        maxCachedSpeeches: 1,
+      });
+      tts.play('one');
+      await tts._getSpeech('one');
+      await new Promise(resolve => setTimeout(resolve, 0));
+      await tts._getSpeech('two');
+
+      expect(tts._currentSpeech.playing).toBeTrue();
+      expect(URL.revokeObjectURL).not.toHaveBeenCalled();
+
+      tts.stop();
+
+      expect(URL.revokeObjectURL).toHaveBeenCalledOnceWith('objectUrl');
+    });
+  });
+
+  describe('prefetch', () => {
+    it('should reject if texts is not an array', () => {
+      const tts = new AbstractTextToSpeechFeature(mockHost);
+
+      return expectAsync(tts.prefetch('some text')).toBeRejected();
+    });
+
+    it('should add a speech to the cache for each text', async () => {
+      await AbstractTextToSpeechFeature.initializeService(
+        mockPolly,
+        mockPresigner,
+        mockNeuralVersion
+      );
+      const tts = new AbstractTextToSpeechFeature(mockHost);
+      const speeches = await tts.prefetch(['one', 'two'], {VoiceId: 'Brian'});
+      const config = {...tts._getConfig(), VoiceId: 'Brian'};
+      const keyOne = SpeechCache.getKey('<speak>one</speak>', config);
+      const keyTwo = SpeechCache.getKey('<speak>two</speak>', config);
+
+      expect(speeches.length).toEqual(2);
+      expect(tts._speechCache.has(keyOne)).toBeTrue();
+      expect(tts._speechCache.has(keyTwo)).toBeTrue();
+    });
+
+    it("should not change the speaker's speech parameters", async () => {
+      await AbstractTextToSpeechFeature.initializeService(
+        mockPolly,
+        mockPresigner,
+        mockNeuralVersion
+      );
+      const tts = new AbstractTextToSpeechFeature(mockHost);
+      const config = tts._getConfig();
+      await tts.prefetch(['one'], {VoiceId: 'Brian'});
+
+      expect(tts._getConfig()).toEqual(config);
+    });
+
+    it("should not update the speaker's speech parameters while speeches are generated", async () => {
+      await AbstractTextToSpeechFeature.initializeService(
+        mockPolly,
+        mockPresigner,
+        mockNeuralVersion
+      );
+      const tts = new AbstractTextToSpeechFeature(mockHost);
+      spyOn(tts, '_updateConfig').and.callThrough();
+      await tts.prefetch(['one', 'two'], {VoiceId: 'Brian'});
+
+      expect(tts._updateConfig).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('chunked', () => {
+    it('should default to false', () => {
+      const tts = new AbstractTextToSpeechFeature(mockHost);
+
+      expect(tts.chunked).toBeFalse();
+    });
+
+    it('should clear the speech cache when the value changes', async () => {
+      await AbstractTextToSpeechFeature.initializeService(
+        mockPolly,
+        mockPresigner,
+        mockNeuralVersion
+      );
+      const tts = new AbstractTextToSpeechFeature(mockHost);
+      await tts._getSpeech('some text');
+      tts.chunked = true;
+
+      expect(tts._speechCache.size).toEqual(0);
+    });
+
+    it('should cause _getSpeech to resolve to a ChunkedSpeech if the text has multiple sentences', async () => {
+      await AbstractTextToSpeechFeature.initializeService(
+        mockPolly,
+        mockPresigner,
+        mockNeuralVersion
+      );
+      const tts = new AbstractTextToSpeechFeature(mockHost, {chunked: true});
+      const speech = await tts._getSpeech('One. Two. Three.');
+
+      expect(speech).toBeInstanceOf(ChunkedSpeech);
+      expect(speech.numChunks).toEqual(3);
+      expect(mockPolly.synthesizeSpeech).toHaveBeenCalledTimes(3);
+      expect(mockPresigner.getSynthesizeSpeechUrl).toHaveBeenCalledTimes(3);
+    });
+
+    it('should not split text that has one sentence', async () => {
+      await AbstractTextToSpeechFeature.initializeService(
+        mockPolly,
+        mockPresigner,
+        mockNeuralVersion
+      );
+      const tts = new AbstractTextToSpeechFeature(mockHost, {chunked: true});
+      const speech = await tts._getSpeech('One sentence.');
+
+      expect(speech).not.toBeInstanceOf(ChunkedSpeech);
     });
   });
 
@@ -1013,10 +1432,13 @@ describeEnvironment('AbstractTextToSpeechFeature', () => {
       const mockSpeech = jasmine.createSpyObj('mockSpeech', {
         play: new Deferred(resolve => resolve()),
       });
-      tts._speechCache['<speak>test</speak>'] = {
-        promise: Promise.resolve(mockSpeech),
-        config: tts._getConfig(),
-      };
+      tts._speechCache.set(
+        SpeechCache.getKey('<speak>test</speak>', tts._getConfig()),
+        {
+          promise: Promise.resolve(mockSpeech),
+          config: tts._getConfig(),
+        }
+      );
       tts.play('test');
       await new Promise(resolve => setTimeout(resolve, 100));
 
@@ -1033,10 +1455,13 @@ describeEnvironment('AbstractTextToSpeechFeature', () => {
       const mockSpeech = jasmine.createSpyObj('mockSpeech', {
         play: new Deferred(resolve => resolve()),
       });
-      tts._speechCache['<speak>test</speak>'] = {
-        promise: Promise.resolve(mockSpeech),
-        config: tts._getConfig(),
-      };
+      tts._speechCache.set(
+        SpeechCache.getKey('<speak>test</speak>', tts._getConfig()),
+        {
+          promise: Promise.resolve(mockSpeech),
+          config: tts._getConfig(),
+        }
+      );
 
       await expectAsync(tts.play('test')).toBeResolved();
     });
@@ -1146,10 +1571,13 @@ describeEnvironment('AbstractTextToSpeechFeature', () => {
       const mockSpeech = jasmine.createSpyObj('mockSpeech', {
         resume: new Deferred(resolve => resolve()),
       });
-      tts._speechCache['<speak>test</speak>'] = {
-        promise: Promise.resolve(mockSpeech),
-        config: tts._getConfig(),
-      };
+      tts._speechCache.set(
+        SpeechCache.getKey('<speak>test</speak>', tts._getConfig()),
+        {
+          promise: Promise.resolve(mockSpeech),
+          config: tts._getConfig(),
+        }
+      );
       tts.resume('test');
       await new Promise(resolve => setTimeout(resolve, 100));
 
@@ -1171,10 +1599,13 @@ describeEnvironment('AbstractTextToSpeechFeature', () => {
         }
       );
       tts._currentSpeech = mockSpeech;
-      tts._speechCache['<speak>test</speak>'] = {
-        promise: Promise.resolve(mockSpeech),
-        config: tts._getConfig(),
-      };
+      tts._speechCache.set(
+        SpeechCache.getKey('<speak>test</speak>', tts._getConfig()),
+        {
+          promise: Promise.resolve(mockSpeech),
+          config: tts._getConfig(),
+        }
+      );
       tts.resume();
       await new Promise(resolve => setTimeout(resolve, 100));
 
@@ -1191,10 +1622,13 @@ describeEnvironment('AbstractTextToSpeechFeature', () => {
       const mockSpeech = jasmine.createSpyObj('mockSpeech', {
         resume: new Deferred(resolve => resolve()),
       });
-      tts._speechCache['<speak>test</speak>'] = {
-        promise: Promise.resolve(mockSpeech),
-        config: tts._getConfig(),
-      };
+      tts._speechCache.set(
+        SpeechCache.getKey('<speak>test</speak>', tts._getConfig()),
+        {
+          promise: Promise.resolve(mockSpeech),
+          config: tts._getConfig(),
+        }
+      );
 
       await expectAsync(tts.resume('test')).toBeResolved();
     });
@@ -1249,6 +1683,400 @@ describeEnvironment('AbstractTextToSpeechFeature', () => {
     });
   });
 
+  describe('serializeState', () => {
+    it('should return the volume and a null speech if there is no current speech', () => {
+      const tts = new AbstractTextToSpeechFeature(mockHost);
+      tts.volume = 0.5;
+
+      expect(tts.serializeState()).toEqual({volume: 0.5, speech: null});
+    });
+
+    it('should describe the text, position and paused flag of the current speech', () => {
+      const tts = new AbstractTextToSpeechFeature(mockHost);
+      tts._currentSpeech = jasmine.createSpyObj('mockSpeech', ['update'], {
+        playing: false,
+        text: 'test',
+        position: 1.5,
+      });
+
+      expect(tts.serializeState().speech).toEqual({
+        text: 'test',
+        position: 1.5,
+        paused: true,
+      });
+    });
+  });
+
+  describe('restoreState', () => {
+    it('should set the volume', () => {
+      const tts = new AbstractTextToSpeechFeature(mockHost);
+
+      tts.restoreState({volume: 0.25, speech: null});
+
+      expect(tts.volume).toEqual(0.25);
+    });
+
+    it('should play the speech from the restored position', async () => {
+      await AbstractTextToSpeechFeature.initializeService(
+        mockPolly,
+        mockPresigner,
+        mockNeuralVersion
+      );
+      const tts = new AbstractTextToSpeechFeature(mockHost);
+      const mockSpeech = jasmine.createSpyObj('mockSpeech', {
+        play: new Deferred(),
+        seek: undefined,
+        pause: undefined,
+      });
+      tts._speechCache.set(
+        SpeechCache.getKey('<speak>test</speak>', tts._getConfig()),
+        {
+          promise: Promise.resolve(mockSpeech),
+          config: tts._getConfig(),
+        }
+      );
+
+      tts.restoreState({
+        volume: 1,
+        speech: {text: 'test', position: 1.5, paused: true},
+      });
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      expect(mockSpeech.play).toHaveBeenCalledTimes(1);
+      expect(mockSpeech.seek).toHaveBeenCalledWith(mockHost.now, 1.5);
+      expect(mockSpeech.pause).toHaveBeenCalledTimes(1);
+    });
+
+    it('should cancel the current speech if the snapshot has no speech', () => {
+      const tts = new AbstractTextToSpeechFeature(mockHost);
+      const mockSpeech = jasmine.createSpyObj('mockSpeech', ['cancel']);
+      tts._currentSpeech = mockSpeech;
+
+      tts.restoreState({volume: 1, speech: null});
+
+      expect(mockSpeech.cancel).toHaveBeenCalledTimes(1);
+      expect(tts.currentSpeech).toBeNull();
+    });
+  });
+
+  describe('loadBundle', () => {
+    const bundleMarks =
+      '{"time":0,"type":"sentence","start":0,"end":4,"value":"Test"}\n{"time":6,"type":"word","start":0,"end":4,"value":"Test"}';
+
+    it('should reject if the bundle does not define ssml, speechmarks or audio', async () => {
+      const tts = new AbstractTextToSpeechFeature(mockHost);
+
+      await expectAsync(
+        tts.loadBundle({speechmarks: bundleMarks, audio: 'audio.mp3'})
+      ).toBeRejected();
+
+      await expectAsync(
+        tts.loadBundle({ssml: 'Test', audio: 'audio.mp3'})
+      ).toBeRejected();
+
+      await expectAsync(
+        tts.loadBundle({ssml: 'Test', speechmarks: bundleMarks})
+      ).toBeRejected();
+    });
+
+    it('should add a speech to _speechCache for the validated bundle text', async () => {
+      const tts = new AbstractTextToSpeechFeature(mockHost);
+      const speech = await tts.loadBundle({
+        ssml: 'Test',
+        speechmarks: bundleMarks,
+        audio: 'audio.mp3',
+      });
+      const key = SpeechCache.getKey('<speak>Test</speak>');
+
+      expect(speech).toBeInstanceOf(AbstractSpeech);
+      expect(tts._speechCache.has(key)).toBeTrue();
+      expect(speech.speechmarks.length).toEqual(2);
+    });
+
+    it('should not use the speech provider', async () => {
+      const tts = new AbstractTextToSpeechFeature(mockHost);
+      spyOn(tts.provider, 'synthesizeAudio');
+      spyOn(tts.provider, 'synthesizeSpeechmarks');
+      await tts.loadBundle({
+        ssml: 'Test',
+        speechmarks: bundleMarks,
+        audio: 'audio.mp3',
+      });
+
+      expect(tts.provider.synthesizeAudio).not.toHaveBeenCalled();
+      expect(tts.provider.synthesizeSpeechmarks).not.toHaveBeenCalled();
+    });
+
+    it('should allow _getSpeech to resolve for the bundle text if AWS services have not been initialized', async () => {
+      AbstractTextToSpeechFeature._isReady = false;
+      const tts = new AbstractTextToSpeechFeature(mockHost);
+      const bundleSpeech = await tts.loadBundle({
+        ssml: 'Test',
+        speechmarks: bundleMarks,
+        audio: 'audio.mp3',
+      });
+      const speech = await tts._getSpeech('Test', {VoiceId: 'Brian'});
+
+      expect(speech).toBe(bundleSpeech);
+      await expectAsync(tts._getSpeech('Other text')).toBeRejected();
+    });
+
+    it('should accept speechmarks as an array of objects', async () => {
+      const tts = new AbstractTextToSpeechFeature(mockHost);
+      const speech = await tts.loadBundle({
+        ssml: 'Test',
+        speechmarks: [{time: 0, type: 'word', value: 'Test'}],
+        audio: 'audio.mp3',
+      });
+
+      expect(speech.speechmarks.length).toEqual(1);
+    });
+  });
+
+  describe('unloadBundle', () => {
+    it('should return false if no bundle was loaded for the text', () => {
+      const tts = new AbstractTextToSpeechFeature(mockHost);
+
+      expect(tts.unloadBundle('Test')).toBeFalse();
+    });
+
+    it('should remove the bundled speech from _speechCache', async () => {
+      const tts = new AbstractTextToSpeechFeature(mockHost);
+      await tts.loadBundle({
+        ssml: 'Test',
+        speechmarks: [],
+        audio: 'audio.mp3',
+      });
+
+      expect(tts.unloadBundle('Test')).toBeTrue();
+      expect(
+        tts._speechCache.has(SpeechCache.getKey('<speak>Test</speak>'))
+      ).toBeFalse();
+    });
+  });
+
+  describe('exportBundle', () => {
+    it('should resolve with an object containing the speech ssml, speechmarks, audio and config', async () => {
+      await AbstractTextToSpeechFeature.initializeService(
+        mockPolly,
+        mockPresigner,
+        mockNeuralVersion
+      );
+      const tts = new AbstractTextToSpeechFeature(mockHost);
+      const audio = new Blob();
+      spyOn(window, 'fetch').and.resolveTo({
+        blob: () => Promise.resolve(audio),
+      });
+      const bundle = await tts.exportBundle('some text');
+
+      expect(bundle.ssml).toEqual('<speak>some text</speak>');
+      expect(bundle.speechmarks).toEqual(mockMarkString);
+      expect(bundle.audio).toBe(audio);
+      expect(bundle.config).toEqual(tts._getConfig());
+    });
+
+    it('should generate the speech again if it is evicted before it is exported', async () => {
+      await AbstractTextToSpeechFeature.initializeService(
+        mockPolly,
+        mockPresigner,
+        mockNeuralVersion
+      );
+      const tts = new AbstractTextToSpeechFeature(mockHost);
+      const getSpeech = tts._getSpeech.bind(tts);
+      spyOn(tts, '_getSpeech').and.callFake((...args) =>
+        getSpeech(...args).then(speech => {
+          tts._speechCache.clear();
+          return speech;
+        })
+      );
+      spyOn(window, 'fetch').and.resolveTo({
+        blob: () => Promise.resolve(new Blob()),
+      });
+      const bundle = await tts.exportBundle('some text');
+
+      expect(bundle.ssml).toEqual('<speak>some text</speak>');
+      expect(window.fetch).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('enqueue', () => {
+    let tts;
+    let playPromises;
+
+    beforeEach(() => {
+      tts = new AbstractTextToSpeechFeature(mockHost);
+      playPromises = [];
+      spyOn(tts, 'play').and.callFake(() => {
+        const promise = new Deferred();
+        playPromises.push(promise);
+        return promise;
+      });
+      spyOn(tts, 'emit');
+    });
+
+    it('should return a deferred promise', () => {
+      expect(tts.enqueue('test')).toBeInstanceOf(Deferred);
+    });
+
+    it('should reject if the policy is not a valid SpeechQueuePolicies value', async () => {
+      await expectAsync(
+        tts.enqueue('test', undefined, {policy: 'Never'})
+      ).toBeRejected();
+
+      expect(tts.play).not.toHaveBeenCalled();
+    });
+
+    it('should play the speech immediately if the speaker is not busy', () => {
+      const config = {VoiceId: 'Brian'};
+      tts.enqueue('test', config);
+
+      expect(tts.play).toHaveBeenCalledWith('test', config);
+      expect(tts.emit).toHaveBeenCalledWith(
+        AbstractTextToSpeechFeature.EVENTS.queueStart,
+        jasmine.objectContaining({text: 'test'})
+      );
+    });
+
+    it('should resolve and play the next entry once the playing entry finishes', async () => {
+      const promise = tts.enqueue('first');
+      tts.enqueue('second');
+
+      expect(tts.play).toHaveBeenCalledTimes(1);
+
+      playPromises[0].resolve();
+      await expectAsync(promise).toBeResolved();
+
+      expect(promise.resolved).toBeTrue();
+      expect(tts.play).toHaveBeenCalledTimes(2);
+      expect(tts.play.calls.mostRecent().args[0]).toEqual('second');
+      expect(tts.emit).toHaveBeenCalledWith(
+        AbstractTextToSpeechFeature.EVENTS.queueFinish,
+        jasmine.objectContaining({text: 'first'})
+      );
+    });
+
+    it('should order waiting entries by priority', () => {
+      tts.enqueue('playing');
+      tts.enqueue('low', undefined, {priority: 0});
+      tts.enqueue('high', undefined, {priority: 2});
+      tts.enqueue('medium', undefined, {priority: 1});
+      tts.enqueue('high2', undefined, {priority: 2});
+
+      expect(tts.queue.map(entry => entry.text)).toEqual([
+        'high',
+        'high2',
+        'medium',
+        'low',
+      ]);
+    });
+
+    it('should cancel the playing entry and play the new entry immediately if the policy is Interrupt', () => {
+      const first = tts.enqueue('first');
+      tts.enqueue('second');
+      tts.enqueue('urgent', undefined, {
+        policy: SpeechQueuePolicies.Interrupt,
+      });
+
+      expect(first.canceled).toBeTrue();
+      expect(playPromises[0].canceled).toBeTrue();
+      expect(tts.play.calls.mostRecent().args[0]).toEqual('urgent');
+      expect(tts.queue.map(entry => entry.text)).toEqual(['second']);
+    });
+
+    it('should skip the new entry if the policy is DropIfBusy and the speaker is busy', () => {
+      tts.enqueue('first');
+      const dropped = tts.enqueue('dropped', undefined, {
+        policy: SpeechQueuePolicies.DropIfBusy,
+      });
+
+      expect(dropped.canceled).toBeTrue();
+      expect(tts.queue.length).toEqual(0);
+      expect(tts.emit).toHaveBeenCalledWith(
+        AbstractTextToSpeechFeature.EVENTS.queueSkip,
+        jasmine.objectContaining({text: 'dropped'})
+      );
+    });
+
+    it('should play the new entry if the policy is DropIfBusy and the speaker is not busy', () => {
+      tts.enqueue('test', undefined, {policy: SpeechQueuePolicies.DropIfBusy});
+
+      expect(tts.play).toHaveBeenCalledTimes(1);
+    });
+
+    it('should remove the entry from the queue if its promise is canceled', () => {
+      tts.enqueue('first');
+      const second = tts.enqueue('second');
+      second.cancel();
+
+      expect(tts.queue.length).toEqual(0);
+      expect(tts.emit).toHaveBeenCalledWith(
+        AbstractTextToSpeechFeature.EVENTS.queueSkip,
+        jasmine.objectContaining({text: 'second'})
+      );
+    });
+
+    it('should wait for speeches played outside the queue to finish', () => {
+      tts._currentPromise = {play: new Deferred()};
+      tts.enqueue('test');
+
+      expect(tts.play).not.toHaveBeenCalled();
+
+      tts._currentPromise.play.resolve();
+      tts._currentPromise = null;
+      tts.update(0);
+
+      expect(tts.play).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('playNext', () => {
+    let tts;
+    let playPromises;
+
+    beforeEach(() => {
+      tts = new AbstractTextToSpeechFeature(mockHost);
+      playPromises = [];
+      spyOn(tts, 'play').and.callFake(() => {
+        const promise = new Deferred();
+        playPromises.push(promise);
+        return promise;
+      });
+    });
+
+    it('should cancel the playing entry and play the next entry', () => {
+      const first = tts.enqueue('first');
+      tts.enqueue('second');
+      tts.playNext();
+
+      expect(first.canceled).toBeTrue();
+      expect(tts.play.calls.mostRecent().args[0]).toEqual('second');
+      expect(tts.queue.length).toEqual(0);
+    });
+
+    it('should not interrupt the playing entry if the queue is empty', () => {
+      const first = tts.enqueue('first');
+      tts.playNext();
+
+      expect(first.pending).toBeTrue();
+    });
+  });
+
+  describe('clearQueue', () => {
+    it('should cancel all entries that have not started playing', () => {
+      const tts = new AbstractTextToSpeechFeature(mockHost);
+      spyOn(tts, 'play').and.returnValue(new Deferred());
+      const first = tts.enqueue('first');
+      const second = tts.enqueue('second');
+      const third = tts.enqueue('third');
+      tts.clearQueue();
+
+      expect(first.pending).toBeTrue();
+      expect(second.canceled).toBeTrue();
+      expect(third.canceled).toBeTrue();
+      expect(tts.queue.length).toEqual(0);
+    });
+  });
+
   describe('discard', () => {
     it('should execute stop on the current speech if it is defined and playing', async () => {
       await AbstractTextToSpeechFeature.initializeService(
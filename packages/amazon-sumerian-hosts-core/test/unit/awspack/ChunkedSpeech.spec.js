@@ -0,0 +1,345 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+/* eslint-disable no-underscore-dangle */
+/* eslint-disable jasmine/no-spec-dupes */
+import {
+  AbstractSpeech,
+  ChunkedSpeech,
+  Messenger,
+} from '@amazon-sumerian-hosts/core';
+import describeEnvironment from '../EnvironmentHarness';
+
+describeEnvironment('ChunkedSpeech', () => {
+  let speaker;
+  let chunks;
+  let speech;
+  Object.assign(Messenger.EVENTS, {
+    play: 'TextToSpeech.onPlayEvent',
+    pause: 'TextToSpeech.onPauseEvent',
+    resume: 'TextToSpeech.onResumeEvent',
+    interrupt: 'TextToSpeech.onInterruptEvent',
+    stop: 'TextToSpeech.onStopEvent',
+    sentence: 'TextToSpeech.onSentenceEvent',
+    word: 'TextToSpeech.onWordEvent',
+    viseme: 'TextToSpeech.onVisemeEvent',
+    ssml: 'TextToSpeech.onSsmlEvent',
+  });
+
+  beforeEach(async () => {
+    speaker = new Messenger();
+    chunks = [
+      new AbstractSpeech(speaker, '<speak>One.</speak>', [
+        {time: 0, type: 'sentence', value: 'One.'},
+        {time: 100, type: 'word', value: 'One'},
+      ]),
+      new AbstractSpeech(speaker, '<speak>Two.</speak>', [
+        {time: 0, type: 'sentence', value: 'Two.'},
+        {time: 50, type: 'word', value: 'Two'},
+      ]),
+    ];
+    speech = new ChunkedSpeech(
+      speaker,
+      '<speak>One. Two.</speak>',
+      chunks.map(chunk => Promise.resolve(chunk))
+    );
+
+    // Allow chunk promises to resolve
+    await Promise.resolve();
+  });
+
+  describe('numChunks', () => {
+    it('should return the number of chunks passed to the constructor', () => {
+      expect(speech.numChunks).toEqual(2);
+    });
+  });
+
+  describe('speechmarks', () => {
+    it('should return the speechmarks of all chunks with times offset by the previous chunks', () => {
+      const times = speech.speechmarks.map(mark => mark.time);
+
+      expect(times).toEqual([0, 100, 100, 150]);
+    });
+  });
+
+  describe('play', () => {
+    it("should emit the speaker's play event once", () => {
+      const onPlay = jasmine.createSpy('onPlay');
+      speaker.listenTo(Messenger.EVENTS.play, onPlay);
+      speech.play(0);
+      speech.update(200);
+      speech.update(260);
+
+      expect(onPlay).toHaveBeenCalledOnceWith(speech);
+    });
+
+    it('should start playing the first chunk', () => {
+      spyOn(chunks[0], 'play').and.callThrough();
+      speech.play(0);
+
+      expect(chunks[0].play).toHaveBeenCalledTimes(1);
+    });
+
+    it('should play the next chunk once the current chunk finishes', () => {
+      spyOn(chunks[1], 'play').and.callThrough();
+      speech.play(0);
+      speech.update(50);
+
+      expect(chunks[1].play).not.toHaveBeenCalled();
+
+      speech.update(100);
+      speech.update(110);
+
+      expect(chunks[1].play).toHaveBeenCalledTimes(1);
+    });
+
+    it('should emit speechmark events for all chunks with times offset to the start of the speech', () => {
+      const onWord = jasmine.createSpy('onWord');
+      speaker.listenTo(Messenger.EVENTS.word, onWord);
+      speech.play(0);
+      speech.update(100);
+      speech.update(110);
+      speech.update(160);
+
+      expect(onWord).toHaveBeenCalledTimes(2);
+      expect(onWord.calls.argsFor(0)[0].mark.time).toEqual(100);
+      expect(onWord.calls.argsFor(1)[0].mark.time).toEqual(150);
+      expect(onWord.calls.argsFor(1)[0].speech).toBe(speech);
+    });
+
+    it('should emit speechmark events with the times returned by speechmarks', () => {
+      const times = [];
+      speaker.listenTo(Messenger.EVENTS.sentence, ({mark}) => {
+        times.push(mark.time);
+      });
+      speaker.listenTo(Messenger.EVENTS.word, ({mark}) => {
+        times.push(mark.time);
+      });
+      speech.play(0);
+      speech.update(100);
+      speech.update(110);
+      speech.update(160);
+
+      expect(times).toEqual(speech.speechmarks.map(mark => mark.time));
+    });
+
+    it('should resolve once all chunks have finished', async () => {
+      const onStop = jasmine.createSpy('onStop');
+      speaker.listenTo(Messenger.EVENTS.stop, onStop);
+      const promise = speech.play(0);
+      speech.update(100);
+      speech.update(110);
+      speech.update(160);
+
+      await expectAsync(promise).toBeResolved();
+
+      expect(onStop).toHaveBeenCalledOnceWith(speech);
+    });
+
+    it('should wait for chunks that have not loaded yet', async () => {
+      let resolveChunk;
+      const pending = new Promise(resolve => {
+        resolveChunk = resolve;
+      });
+      speech = new ChunkedSpeech(speaker, '<speak>One. Two.</speak>', [
+        Promise.resolve(chunks[0]),
+        pending,
+      ]);
+      await Promise.resolve();
+      spyOn(chunks[1], 'play').and.callThrough();
+      speech.play(0);
+      speech.update(100);
+      speech.update(200);
+
+      expect(speech.playing).toBeTrue();
+      expect(chunks[1].play).not.toHaveBeenCalled();
+
+      resolveChunk(chunks[1]);
+      await pending;
+      speech.update(300);
+
+      expect(chunks[1].play).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reject if a chunk fails to load', async () => {
+      speech = new ChunkedSpeech(speaker, '<speak>One. Two.</speak>', [
+        Promise.resolve(chunks[0]),
+        Promise.reject(new Error('error')),
+      ]);
+      await Promise.resolve();
+      spyOn(console, 'error');
+      const promise = speech.play(0);
+      speech.update(100);
+      speech.update(110);
+
+      await expectAsync(promise).toBeRejected();
+    });
+  });
+
+  describe('pause', () => {
+    it('should pause the current chunk', () => {
+      spyOn(chunks[0], 'pause').and.callThrough();
+      speech.play(0);
+      speech.pause(50);
+
+      expect(chunks[0].pause).toHaveBeenCalledWith(50);
+      expect(speech.playing).toBeFalse();
+    });
+  });
+
+  describe('resume', () => {
+    it('should resume the current chunk', () => {
+      spyOn(chunks[0], 'resume').and.callThrough();
+      speech.play(0);
+      speech.pause(50);
+      speech.resume(1000);
+
+      expect(chunks[0].resume).toHaveBeenCalledWith(1000);
+      expect(speech.playing).toBeTrue();
+    });
+
+    it('should continue to the next chunk across pauses', () => {
+      spyOn(chunks[1], 'play').and.callThrough();
+      speech.play(0);
+      speech.pause(50);
+      speech.resume(1000);
+      speech.update(1040);
+
+      expect(chunks[1].play).not.toHaveBeenCalled();
+
+      speech.update(1050);
+      speech.update(1060);
+
+      expect(chunks[1].play).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('seek', () => {
+    it('should seek within the current chunk if it contains the position', () => {
+      spyOn(chunks[0], 'seek').and.callThrough();
+      speech.play(0);
+      speech.seek(10, 0.05);
+
+      expect(chunks[0].seek).toHaveBeenCalledWith(10, 0.05);
+      expect(speech.position).toBeCloseTo(0.05);
+    });
+
+    it('should play the chunk that contains the position from the position', () => {
+      spyOn(chunks[0], 'cancel').and.callThrough();
+      spyOn(chunks[1], 'play').and.callThrough();
+      spyOn(chunks[1], 'seek').and.callThrough();
+      speech.play(0);
+      speech.seek(10, 0.12);
+
+      expect(chunks[0].cancel).toHaveBeenCalledTimes(1);
+      expect(chunks[1].play).toHaveBeenCalledTimes(1);
+      expect(chunks[1].seek.calls.argsFor(0)[0]).toEqual(10);
+      expect(chunks[1].seek.calls.argsFor(0)[1]).toBeCloseTo(0.02);
+      expect(speech.position).toBeCloseTo(0.12);
+    });
+
+    it('should emit speechmark events from the position', () => {
+      const onWord = jasmine.createSpy('onWord');
+      speaker.listenTo(Messenger.EVENTS.word, onWord);
+      speech.play(0);
+      speech.seek(0, 0.12);
+      speech.update(30);
+
+      expect(onWord).toHaveBeenCalledTimes(1);
+      expect(onWord.calls.argsFor(0)[0].mark.time).toEqual(150);
+    });
+
+    it('should start from the position when a paused speech is resumed', () => {
+      spyOn(chunks[1], 'play').and.callThrough();
+      speech.play(0);
+      speech.pause(50);
+      speech.seek(50, 0.12);
+
+      expect(chunks[1].play).not.toHaveBeenCalled();
+      expect(speech.position).toBeCloseTo(0.12);
+
+      speech.resume(1000);
+
+      expect(chunks[1].play).toHaveBeenCalledTimes(1);
+      expect(speech.position).toBeCloseTo(0.12);
+    });
+
+    it('should wait for the chunk that contains the position to load', async () => {
+      let resolveChunk;
+      const pending = new Promise(resolve => {
+        resolveChunk = resolve;
+      });
+      speech = new ChunkedSpeech(speaker, '<speak>One. Two.</speak>', [
+        Promise.resolve(chunks[0]),
+        pending,
+      ]);
+      await Promise.resolve();
+      spyOn(chunks[1], 'seek').and.callThrough();
+      speech.play(0);
+      speech.seek(0, 0.12);
+      speech.update(10);
+
+      expect(speech.position).toBeCloseTo(0.12);
+
+      resolveChunk(chunks[1]);
+      await pending;
+      speech.update(20);
+
+      expect(chunks[1].seek).toHaveBeenCalledTimes(1);
+      expect(speech.position).toBeCloseTo(0.12);
+    });
+  });
+
+  describe('stop', () => {
+    it('should stop the current chunk and resolve the speech promise', async () => {
+      spyOn(chunks[0], 'stop').and.callThrough();
+      const promise = speech.play(0);
+      speech.stop();
+
+      expect(chunks[0].stop).toHaveBeenCalledTimes(1);
+
+      await expectAsync(promise).toBeResolved();
+    });
+  });
+
+  describe('cancel', () => {
+    it('should cancel the current chunk', () => {
+      spyOn(chunks[0], 'cancel').and.callThrough();
+      speech.play(0);
+      speech.cancel();
+
+      expect(chunks[0].cancel).toHaveBeenCalledTimes(1);
+      expect(speech.playing).toBeFalse();
+    });
+  });
+
+  describe('discard', () => {
+    it('should discard every chunk', () => {
+      chunks.forEach(chunk => {
+        spyOn(chunk, 'discard').and.callThrough();
+      });
+
+      speech.discard();
+
+      chunks.forEach(chunk => {
+        expect(chunk.discard).toHaveBeenCalledTimes(1);
+      });
+    });
+
+    it('should discard chunks that resolve after the speech is discarded', async () => {
+      const lateChunk = new AbstractSpeech(speaker, '<speak>Three.</speak>');
+      spyOn(lateChunk, 'discard');
+      let resolveChunk;
+      const lateSpeech = new ChunkedSpeech(speaker, '<speak>Three.</speak>', [
+        new Promise(resolve => {
+          resolveChunk = resolve;
+        }),
+      ]);
+
+      lateSpeech.discard();
+      resolveChunk(lateChunk);
+      await Promise.resolve();
+
+      expect(lateChunk.discard).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,304 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+/* eslint-disable no-underscore-dangle */
+import {
+  ConversationFeature,
+  ConversationStates,
+  HostObject,
+  HttpChatbotBackend,
+  LexFeature,
+} from '@amazon-sumerian-hosts/core';
+import describeEnvironment from '../EnvironmentHarness';
+
+describeEnvironment('ConversationFeature', () => {
+  let host;
+  let lexFeature;
+  let conversation;
+  let mockTextToSpeech;
+  let mockGesture;
+
+  beforeEach(() => {
+    const mockLexRuntime = jasmine.createSpyObj('LexRuntime', ['postContent']);
+    mockLexRuntime.postContent.and.callFake((param, callback) => {
+      callback(undefined, {message: 'Hello', dialogState: 'Fulfilled'});
+    });
+    lexFeature = new LexFeature(mockLexRuntime, {
+      botName: 'Bot',
+      botAlias: 'Alias',
+    });
+
+    host = new HostObject();
+    mockTextToSpeech = {
+      EVENTS: {
+        play: 'TextToSpeechFeature.onPlayEvent',
+        pause: 'TextToSpeechFeature.onPauseEvent',
+        resume: 'TextToSpeechFeature.onResumeEvent',
+        stop: 'TextToSpeechFeature.onStopEvent',
+        interrupt: 'TextToSpeechFeature.onInterruptEvent',
+        sentence: 'TextToSpeechFeature.onSentenceEvent',
+        word: 'TextToSpeechFeature.onWordEvent',
+        viseme: 'TextToSpeechFeature.onVisemeEvent',
+        ssml: 'TextToSpeechFeature.onSsmlEvent',
+      },
+      play: jasmine.createSpy('play').and.resolveTo(),
+      stop: jasmine.createSpy('stop'),
+    };
+    mockGesture = {
+      createGestureMap: jasmine.createSpy('createGestureMap').and.returnValue({
+        '{"feature":"GestureFeature","method":"playGesture","args":["Gesture","big"]}': [
+          'big',
+        ],
+      }),
+      createGenericGestureArray: jasmine
+        .createSpy('createGenericGestureArray')
+        .and.returnValue([]),
+      playGesture: jasmine.createSpy('playGesture'),
+    };
+    host.TextToSpeechFeature = mockTextToSpeech;
+    host.GestureFeature = mockGesture;
+
+    host.addFeature(ConversationFeature, false, {backend: lexFeature});
+    conversation = host._features.ConversationFeature;
+  });
+
+  describe('constructor', () => {
+    it('should start in the idle state', () => {
+      expect(conversation.state).toEqual(ConversationStates.Idle);
+    });
+
+    it('should attach the backend option', () => {
+      expect(conversation.backend).toBe(lexFeature);
+    });
+
+    it('should attach the lexFeature option', () => {
+      host.removeFeature('ConversationFeature');
+      host.addFeature(ConversationFeature, false, {lexFeature});
+
+      expect(host._features.ConversationFeature.lexFeature).toBe(lexFeature);
+    });
+  });
+
+  describe('attachBackend', () => {
+    it('should throw an error if the backend is not defined', () => {
+      expect(() => conversation.attachBackend()).toThrowError();
+    });
+
+    it('should stop listening to the previous backend', () => {
+      const other = new LexFeature(
+        jasmine.createSpyObj('LexRuntime', ['postContent'])
+      );
+      conversation.attachBackend(other);
+      lexFeature.emit(LexFeature.EVENTS.recordBegin);
+
+      expect(conversation.state).toEqual(ConversationStates.Idle);
+
+      other.emit(LexFeature.EVENTS.recordBegin);
+
+      expect(conversation.state).toEqual(ConversationStates.Listening);
+    });
+
+    it('should listen to the generic response messages of the backend', () => {
+      const backend = new HttpChatbotBackend('http://localhost/chat');
+      conversation.attachBackend(backend);
+      backend.emit(HttpChatbotBackend.EVENTS.recordEnd);
+      backend.emit(HttpChatbotBackend.EVENTS.responseReady, {message: 'Hi'});
+
+      expect(mockTextToSpeech.play).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('detachBackend', () => {
+    it('should stop listening to the backend', () => {
+      conversation.detachBackend();
+      lexFeature.emit(LexFeature.EVENTS.recordBegin);
+
+      expect(conversation.backend).toBeNull();
+      expect(conversation.state).toEqual(ConversationStates.Idle);
+    });
+  });
+
+  describe('state', () => {
+    it('should move through the conversation states and emit stateChange messages', () => {
+      const states = [];
+      host.listenTo(host.ConversationFeature.EVENTS.stateChange, ({state}) => {
+        states.push(state);
+      });
+
+      lexFeature.emit(LexFeature.EVENTS.recordBegin);
+      lexFeature.emit(LexFeature.EVENTS.recordEnd);
+      lexFeature.emit(LexFeature.EVENTS.lexResponseReady, {message: 'Hi'});
+      host.emit(mockTextToSpeech.EVENTS.play);
+      host.emit(mockTextToSpeech.EVENTS.stop);
+
+      expect(states).toEqual([
+        ConversationStates.Listening,
+        ConversationStates.Processing,
+        ConversationStates.Speaking,
+        ConversationStates.Idle,
+      ]);
+    });
+
+    it('should return to idle if the speech is interrupted', () => {
+      lexFeature.emit(LexFeature.EVENTS.recordEnd);
+      lexFeature.emit(LexFeature.EVENTS.lexResponseReady, {message: 'Hi'});
+      host.emit(mockTextToSpeech.EVENTS.play);
+
+      expect(conversation.state).toEqual(ConversationStates.Speaking);
+
+      host.emit(mockTextToSpeech.EVENTS.interrupt);
+
+      expect(conversation.state).toEqual(ConversationStates.Idle);
+    });
+
+    it('should keep listening if the speech is interrupted by the user', () => {
+      host.emit(mockTextToSpeech.EVENTS.play);
+      lexFeature.emit(LexFeature.EVENTS.recordBegin);
+      host.emit(mockTextToSpeech.EVENTS.interrupt);
+
+      expect(conversation.state).toEqual(ConversationStates.Listening);
+    });
+
+    it('should return to idle if the lex request fails', () => {
+      lexFeature.emit(LexFeature.EVENTS.recordEnd);
+      lexFeature.emit(LexFeature.EVENTS.lexResponseError, new Error());
+
+      expect(conversation.state).toEqual(ConversationStates.Idle);
+    });
+
+    it('should return to idle if voice activity detection discards the utterance', () => {
+      lexFeature.emit(LexFeature.EVENTS.recordBegin);
+      lexFeature.emit(LexFeature.EVENTS.speechEnd, {sent: false});
+
+      expect(conversation.state).toEqual(ConversationStates.Idle);
+    });
+
+    it('should return to idle if the response has no message', () => {
+      lexFeature.emit(LexFeature.EVENTS.recordEnd);
+      lexFeature.emit(LexFeature.EVENTS.lexResponseReady, {message: ''});
+
+      expect(conversation.state).toEqual(ConversationStates.Idle);
+      expect(mockTextToSpeech.play).not.toHaveBeenCalled();
+    });
+
+    it('should return to idle if the response speech never plays', async () => {
+      lexFeature.emit(LexFeature.EVENTS.recordEnd);
+      lexFeature.emit(LexFeature.EVENTS.lexResponseReady, {message: 'Hi'});
+      await Promise.resolve();
+
+      expect(conversation.state).toEqual(ConversationStates.Idle);
+    });
+  });
+
+  describe('responses', () => {
+    it('should emit the response message', () => {
+      const response = {message: 'Hi'};
+      const onResponse = jasmine.createSpy('onResponse');
+      host.listenTo(host.ConversationFeature.EVENTS.response, onResponse);
+
+      lexFeature.emit(LexFeature.EVENTS.lexResponseReady, response);
+
+      expect(onResponse).toHaveBeenCalledWith(response);
+    });
+
+    it('should speak the response message with gesture marks', () => {
+      lexFeature.emit(LexFeature.EVENTS.lexResponseReady, {
+        message: 'A big hello',
+      });
+      const [text] = mockTextToSpeech.play.calls.argsFor(0);
+
+      expect(text).toContain('<mark name=');
+      expect(mockGesture.createGenericGestureArray).toHaveBeenCalledWith([
+        'Gesture',
+      ]);
+    });
+
+    it('should speak the response message without marks if autoGestures is false', () => {
+      conversation.autoGestures = false;
+      lexFeature.emit(LexFeature.EVENTS.lexResponseReady, {
+        message: 'A big hello',
+      });
+
+      expect(mockTextToSpeech.play).toHaveBeenCalledWith('A big hello');
+    });
+
+    it('should play the emote mapped to the dialog state', () => {
+      lexFeature.emit(LexFeature.EVENTS.lexResponseReady, {
+        message: 'Done',
+        dialogState: 'Fulfilled',
+      });
+      lexFeature.emit(LexFeature.EVENTS.lexResponseReady, {
+        message: 'Which city?',
+        dialogState: 'ElicitSlot',
+      });
+
+      expect(mockGesture.playGesture).toHaveBeenCalledOnceWith(
+        'Emote',
+        'cheer'
+      );
+    });
+  });
+
+  describe('barge-in', () => {
+    beforeEach(() => {
+      host.emit(mockTextToSpeech.EVENTS.play);
+    });
+
+    it('should stop speech when the user starts talking', () => {
+      lexFeature.emit(LexFeature.EVENTS.recordBegin);
+
+      expect(mockTextToSpeech.stop).toHaveBeenCalledTimes(1);
+      expect(conversation.state).toEqual(ConversationStates.Listening);
+    });
+
+    it('should not stop speech if bargeIn is false', () => {
+      conversation.bargeIn = false;
+      lexFeature.emit(LexFeature.EVENTS.recordBegin);
+
+      expect(mockTextToSpeech.stop).not.toHaveBeenCalled();
+    });
+
+    it('should stop speech when voice activity detection detects the user during playback', () => {
+      lexFeature._micReady = true;
+      lexFeature._recSampleRate = 16000;
+      lexFeature.enableVAD({host, suppressWhileSpeaking: false});
+      host.emit(mockTextToSpeech.EVENTS.play);
+      lexFeature._updateVAD(0.05, 100);
+
+      expect(mockTextToSpeech.stop).not.toHaveBeenCalled();
+
+      lexFeature._updateVAD(0.5, 100);
+
+      expect(mockTextToSpeech.stop).toHaveBeenCalledTimes(1);
+      expect(conversation.state).toEqual(ConversationStates.Listening);
+    });
+
+    it('should stop speech when voice activity detection detects speech without recording', () => {
+      lexFeature.emit(LexFeature.EVENTS.speechStart);
+
+      expect(mockTextToSpeech.stop).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('sendText', () => {
+    it('should send the text to the backend', async () => {
+      spyOn(lexFeature, 'processWithText').and.resolveTo({});
+      await conversation.sendText('Hello');
+
+      expect(lexFeature.processWithText).toHaveBeenCalledWith('Hello');
+    });
+
+    it('should reject if no backend is attached', async () => {
+      conversation.detachBackend();
+
+      await expectAsync(conversation.sendText('Hello')).toBeRejected();
+    });
+  });
+
+  describe('discard', () => {
+    it('should detach the backend', () => {
+      host.removeFeature('ConversationFeature');
+
+      expect(conversation.backend).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,133 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+/* eslint-disable no-underscore-dangle */
+import {HttpChatbotBackend} from '@amazon-sumerian-hosts/core';
+import describeEnvironment from '../EnvironmentHarness';
+
+describeEnvironment('HttpChatbotBackend', () => {
+  let backend;
+  let responseBody;
+  let responseOk;
+
+  const getRequest = () => {
+    const [url, init] = window.fetch.calls.argsFor(0);
+    return {url, init, body: JSON.parse(init.body)};
+  };
+
+  beforeEach(() => {
+    responseOk = true;
+    responseBody = {
+      message: 'Hello',
+      dialogState: 'ElicitSlot',
+      sessionAttributes: {topic: 'greeting'},
+    };
+    spyOn(window, 'fetch').and.callFake(() =>
+      Promise.resolve({
+        ok: responseOk,
+        status: responseOk ? 200 : 500,
+        json: () => Promise.resolve(responseBody),
+      })
+    );
+
+    backend = new HttpChatbotBackend('http://localhost/chat', {
+      headers: {Authorization: 'Token'},
+      userId: 'User',
+    });
+  });
+
+  describe('constructor', () => {
+    it('should throw an error if the url is not defined', () => {
+      expect(() => new HttpChatbotBackend()).toThrowError();
+    });
+  });
+
+  describe('request', () => {
+    it('should post text input to the url as JSON', async () => {
+      await backend.processWithText('Hi');
+      const {url, init, body} = getRequest();
+
+      expect(url).toEqual('http://localhost/chat');
+      expect(init.method).toEqual('POST');
+      expect(init.headers['Content-Type']).toEqual('application/json');
+      expect(init.headers.Authorization).toEqual('Token');
+      expect(body).toEqual({
+        userId: 'User',
+        sessionAttributes: {},
+        inputType: 'text',
+        text: 'Hi',
+      });
+    });
+
+    it('should post audio input as base64 encoded data', async () => {
+      const audio = new Blob([new Uint8Array([1, 2, 3])]);
+      await backend.request('audio/x-l16; rate=16000', audio, {});
+      const {body} = getRequest();
+
+      expect(body.inputType).toEqual('audio');
+      expect(body.contentType).toEqual('audio/x-l16; rate=16000');
+      expect(body.audio).toEqual(btoa(String.fromCharCode(1, 2, 3)));
+    });
+
+    it('should use config overrides', async () => {
+      await backend.processWithText('Hi', {
+        userId: 'Other',
+        sessionAttributes: {a: '1'},
+        headers: {Authorization: 'Other'},
+      });
+      const {init, body} = getRequest();
+
+      expect(body.userId).toEqual('Other');
+      expect(body.sessionAttributes).toEqual({a: '1'});
+      expect(init.headers.Authorization).toEqual('Other');
+    });
+
+    it('should send the session attributes of the previous response', async () => {
+      await backend.processWithText('Hi');
+      await backend.processWithText('Again');
+      const body = JSON.parse(window.fetch.calls.argsFor(1)[1].body);
+
+      expect(backend.sessionAttributes).toEqual({topic: 'greeting'});
+      expect(body.sessionAttributes).toEqual({topic: 'greeting'});
+    });
+
+    it('should resolve with the normalized response', async () => {
+      const response = await backend.processWithText('Hi');
+
+      expect(response.message).toEqual('Hello');
+      expect(response.messageFormat).toEqual('PlainText');
+      expect(response.dialogState).toEqual('ElicitSlot');
+    });
+
+    it('should reject and emit responseError if the response is not ok', async () => {
+      const onError = jasmine.createSpy('onError');
+      backend.listenTo(HttpChatbotBackend.EVENTS.responseError, onError);
+      spyOn(console, 'error');
+      responseOk = false;
+
+      await expectAsync(backend.processWithText('Hi')).toBeRejected();
+
+      expect(onError).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('normalizeResponse', () => {
+    it('should join an array of messages into a single message', () => {
+      const response = HttpChatbotBackend.normalizeResponse({
+        messages: ['Hello.', {content: 'Who are you?'}],
+      });
+
+      expect(response.message).toEqual('Hello. Who are you?');
+    });
+
+    it('should default to an empty message and session attributes', () => {
+      const response = HttpChatbotBackend.normalizeResponse({
+        dialogState: 'Fulfilled',
+        extra: true,
+      });
+
+      expect(response.message).toEqual('');
+      expect(response.sessionAttributes).toEqual({});
+      expect(response.extra).toBeTrue();
+    });
+  });
+});
@@ -0,0 +1,167 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+/* eslint-disable jasmine/no-spec-dupes */
+import {IndexedDBSpeechStore} from '@amazon-sumerian-hosts/core';
+import describeEnvironment from '../EnvironmentHarness';
+
+describeEnvironment('IndexedDBSpeechStore', () => {
+  let store;
+  let values;
+  let mockObjectStore;
+  let mockDatabase;
+  let mockIndexedDB;
+  let isNewDatabase;
+
+  // Create a request that succeeds or fails asynchronously like an IDBRequest
+  const createRequest = (getResult, error) => {
+    const request = {};
+
+    Promise.resolve().then(() => {
+      if (error !== undefined) {
+        request.error = error;
+        request.onerror();
+      } else {
+        request.result = getResult();
+        request.onsuccess();
+      }
+    });
+
+    return request;
+  };
+
+  beforeEach(() => {
+    values = new Map();
+    isNewDatabase = true;
+    mockObjectStore = {
+      get: key => createRequest(() => values.get(key)),
+      put: (value, key) => createRequest(() => values.set(key, value) && key),
+      delete: key => createRequest(() => values.delete(key) && undefined),
+      clear: () => createRequest(() => values.clear()),
+    };
+    mockDatabase = {
+      createObjectStore: jasmine.createSpy('createObjectStore'),
+      transaction: jasmine.createSpy('transaction').and.returnValue({
+        objectStore: () => mockObjectStore,
+      }),
+    };
+    mockIndexedDB = {
+      open: jasmine.createSpy('open').and.callFake(() => {
+        const request = {};
+
+        Promise.resolve().then(() => {
+          request.result = mockDatabase;
+
+          if (isNewDatabase) {
+            isNewDatabase = false;
+            request.onupgradeneeded();
+          }
+
+          request.onsuccess();
+        });
+
+        return request;
+      }),
+    };
+    spyOnProperty(window, 'indexedDB').and.returnValue(mockIndexedDB);
+
+    store = new IndexedDBSpeechStore();
+  });
+
+  describe('constructor', () => {
+    it('should open the default database the first time a value is requested', async () => {
+      expect(mockIndexedDB.open).not.toHaveBeenCalled();
+
+      await store.get('key');
+
+      expect(mockIndexedDB.open).toHaveBeenCalledWith('SumerianHostsSpeech', 1);
+      expect(mockDatabase.createObjectStore).toHaveBeenCalledWith('speeches');
+    });
+
+    it('should use the database and object store names from the options', async () => {
+      store = new IndexedDBSpeechStore({
+        databaseName: 'database',
+        storeName: 'store',
+      });
+      await store.get('key');
+
+      expect(mockIndexedDB.open).toHaveBeenCalledWith('database', 1);
+      expect(mockDatabase.createObjectStore).toHaveBeenCalledWith('store');
+      expect(mockDatabase.transaction).toHaveBeenCalledWith(
+        'store',
+        'readonly'
+      );
+    });
+  });
+
+  describe('get', () => {
+    it('should resolve with undefined if no value is stored for the key', async () => {
+      await expectAsync(store.get('key')).toBeResolvedTo(undefined);
+    });
+
+    it('should resolve with the stored value', async () => {
+      values.set('key', 'value');
+
+      await expectAsync(store.get('key')).toBeResolvedTo('value');
+    });
+
+    it('should only open the database once', async () => {
+      await store.get('key');
+      await store.get('key');
+
+      expect(mockIndexedDB.open).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reject if the database cannot be opened and open it again on the next request', async () => {
+      mockIndexedDB.open.and.callFake(() =>
+        createRequest(undefined, new Error('error'))
+      );
+
+      await expectAsync(store.get('key')).toBeRejected();
+
+      mockIndexedDB.open.and.callFake(() => createRequest(() => mockDatabase));
+
+      await expectAsync(store.get('key')).toBeResolved();
+
+      expect(mockIndexedDB.open).toHaveBeenCalledTimes(2);
+    });
+
+    it('should reject if the request fails', async () => {
+      mockObjectStore.get = () => createRequest(undefined, new Error('error'));
+
+      await expectAsync(store.get('key')).toBeRejected();
+    });
+  });
+
+  describe('set', () => {
+    it('should store the value in a readwrite transaction', async () => {
+      await store.set('key', 'value');
+
+      expect(mockDatabase.transaction).toHaveBeenCalledWith(
+        'speeches',
+        'readwrite'
+      );
+      await expectAsync(store.get('key')).toBeResolvedTo('value');
+    });
+  });
+
+  describe('delete', () => {
+    it('should remove the stored value', async () => {
+      values.set('key', 'value');
+      values.set('other', 'value');
+      await store.delete('key');
+
+      expect(values.has('key')).toBeFalse();
+      expect(values.has('other')).toBeTrue();
+    });
+  });
+
+  describe('clear', () => {
+    it('should remove all stored values', async () => {
+      values.set('key', 'value');
+      values.set('other', 'value');
+      await store.clear();
+
+      expect(values.size).toEqual(0);
+    });
+  });
+});
@@ -2,7 +2,13 @@
 /* eslint-disable no-underscore-dangle */
 // Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
 // SPDX-License-Identifier: MIT-0
-import {LexFeature, Version} from '@amazon-sumerian-hosts/core';
+import {
+  AbstractSpeech,
+  HostObject,
+  LexFeature,
+  LexUtils,
+  Version,
+} from '@amazon-sumerian-hosts/core';
 import describeEnvironment from '../EnvironmentHarness';
 
 describeEnvironment('LexFeature', () => {
@@ -145,6 +151,171 @@ describeEnvironment('LexFeature', () => {
         'Error happened during voice recording: Error: mock error. Please check whether your speech is more than 15s.'
       );
     });
+
+    it('should emit lexResponseError message if the lex request fails', async () => {
+      const error = new Error('mock error');
+      mockLexRuntime.postContent.and.callFake(function(param, callback) {
+        callback(error);
+      });
+      lexFeature = new LexFeature(mockLexRuntime, {
+        botName: 'Bot',
+        botAlias: 'Alias',
+      });
+      spyOn(lexFeature, 'emit');
+
+      await expectAsync(
+        lexFeature._process('TestType', 'TestInput', {})
+      ).toBeRejected();
+
+      expect(lexFeature.emit).toHaveBeenCalledWith(
+        LexFeature.EVENTS.lexResponseError,
+        error
+      );
+    });
+  });
+
+  describe('Lex V2', () => {
+    let mockLexRuntimeV2;
+    const v2Response = {
+      sessionId: 'UserId',
+      messages: [{content: 'Hello there', contentType: 'PlainText'}],
+      sessionState: {
+        dialogAction: {type: 'ElicitSlot', slotToElicit: 'Name'},
+        intent: {name: 'Greet', slots: {Name: null}, state: 'InProgress'},
+        sessionAttributes: {key: 'value'},
+      },
+    };
+
+    beforeEach(() => {
+      mockLexRuntimeV2 = jasmine.createSpyObj('LexRuntimeV2', [
+        'recognizeText',
+        'recognizeUtterance',
+      ]);
+      mockLexRuntimeV2.recognizeText.and.callFake((params, callback) => {
+        callback(undefined, v2Response);
+      });
+      lexFeature = new LexFeature(mockLexRuntimeV2, {
+        botId: 'BotId',
+        botAliasId: 'AliasId',
+        localeId: 'en_US',
+        userId: 'UserId',
+      });
+    });
+
+    it('should be used if the runtime service has a recognizeText method', () => {
+      expect(lexFeature.isV2).toBeTrue();
+      expect(new LexFeature(mockLexRuntime).isV2).toBeFalse();
+    });
+
+    it('should throw an error if botId, botAliasId or localeId are undefined', () => {
+      lexFeature = new LexFeature(mockLexRuntimeV2, {
+        botName: 'Bot',
+        botAlias: 'Alias',
+      });
+
+      expect(() => {
+        lexFeature._validateConfig({});
+      }).toThrowError();
+    });
+
+    it('should emit the response error message and reject if botId, botAliasId or localeId are undefined', async () => {
+      lexFeature = new LexFeature(mockLexRuntimeV2, {
+        botName: 'Bot',
+        botAlias: 'Alias',
+      });
+      const onError = jasmine.createSpy('onError');
+      lexFeature.listenTo(LexFeature.EVENTS.lexResponseError, onError);
+
+      await expectAsync(lexFeature.processWithText('Hi')).toBeRejected();
+
+      expect(onError).toHaveBeenCalledTimes(1);
+    });
+
+    it('should execute LexRuntimeV2.recognizeText for text input', async () => {
+      await lexFeature.processWithText('Hi');
+
+      expect(mockLexRuntimeV2.recognizeText).toHaveBeenCalledWith(
+        {
+          botId: 'BotId',
+          botAliasId: 'AliasId',
+          localeId: 'en_US',
+          sessionId: 'UserId',
+          text: 'Hi',
+        },
+        jasmine.anything()
+      );
+    });
+
+    it('should execute LexRuntimeV2.recognizeUtterance for audio input', async () => {
+      mockLexRuntimeV2.recognizeUtterance.and.callFake((params, callback) => {
+        callback(undefined, {});
+      });
+      await lexFeature._process('audio/x-l16; rate=16000', 'TestInput', {});
+      const params = mockLexRuntimeV2.recognizeUtterance.calls.argsFor(0)[0];
+
+      expect(params.inputStream).toEqual('TestInput');
+      expect(params.requestContentType).toEqual(
+        'audio/l16; rate=16000; channels=1'
+      );
+    });
+
+    it('should send recorded audio to recognizeUtterance as raw PCM without the WAV header', async () => {
+      mockLexRuntimeV2.recognizeUtterance.and.callFake((params, callback) => {
+        callback(undefined, {});
+      });
+      const samples = new Float32Array([0, 0.5, -0.5, 1]);
+      const audio = lexFeature._prepareAudio(samples, 16000);
+      await lexFeature._process('audio/x-l16; rate=16000', audio, {});
+      const params = mockLexRuntimeV2.recognizeUtterance.calls.argsFor(0)[0];
+      const pcm = new Int16Array(await params.inputStream.arrayBuffer());
+
+      expect(params).toEqual(
+        jasmine.objectContaining({
+          botId: 'BotId',
+          botAliasId: 'AliasId',
+          localeId: 'en_US',
+          sessionId: 'UserId',
+          requestContentType: 'audio/l16; rate=16000; channels=1',
+          responseContentType: 'text/plain; charset=utf-8',
+        })
+      );
+
+      expect(params.inputStream.size).toEqual(audio.size - 44);
+      expect(Array.from(pcm)).toEqual([0, 16383, -16384, 32767]);
+    });
+
+    it('should decode compressed recognizeUtterance response fields', async () => {
+      spyOn(LexUtils, 'decodeLexV2Value').and.callFake(value =>
+        Promise.resolve(v2Response[value])
+      );
+      mockLexRuntimeV2.recognizeUtterance.and.callFake((params, callback) => {
+        callback(undefined, {
+          messages: 'messages',
+          sessionState: 'sessionState',
+        });
+      });
+      const result = await lexFeature._process('audio/x-l16', 'TestInput', {});
+
+      expect(LexUtils.decodeLexV2Value).toHaveBeenCalledTimes(2);
+      expect(result.message).toEqual('Hello there');
+      expect(result.intentName).toEqual('Greet');
+    });
+
+    it('should emit lex response ready message with a normalized response', async () => {
+      spyOn(lexFeature, 'emit');
+      await lexFeature.processWithText('Hi');
+
+      expect(lexFeature.emit).toHaveBeenCalledWith(
+        LexFeature.EVENTS.lexResponseReady,
+        jasmine.objectContaining({
+          message: 'Hello there',
+          dialogState: 'ElicitSlot',
+          slotToElicit: 'Name',
+          sessionAttributes: {key: 'value'},
+          messages: v2Response.messages,
+        })
+      );
+    });
   });
 
   describe('enableMicInput', () => {
@@ -182,6 +353,173 @@ describeEnvironment('LexFeature', () => {
 
       expect(lexFeature.emit).toHaveBeenCalledWith(LexFeature.EVENTS.micReady);
     });
+
+    it('should connect the AudioWorklet recorder if it is available', async () => {
+      lexFeature = new LexFeature(mockLexRuntime, {
+        botName: 'Bot',
+        botAlias: 'Alias',
+      });
+      const recorder = jasmine.createSpyObj('recorder', ['connect']);
+      spyOn(lexFeature, '_createWorkletRecorder').and.resolveTo(recorder);
+      await lexFeature.enableMicInput();
+
+      expect(recorder.connect).toHaveBeenCalledTimes(1);
+      expect(
+        AudioContext.prototype.createScriptProcessor
+      ).not.toHaveBeenCalled();
+    });
+
+    it('should fall back to a ScriptProcessor recorder if the AudioWorklet recorder is not available', async () => {
+      lexFeature = new LexFeature(mockLexRuntime, {
+        botName: 'Bot',
+        botAlias: 'Alias',
+      });
+      spyOn(lexFeature, '_createWorkletRecorder').and.resolveTo(undefined);
+      await lexFeature.enableMicInput();
+
+      expect(AudioContext.prototype.createScriptProcessor).toHaveBeenCalled();
+    });
+  });
+
+  describe('_createWorkletRecorder', () => {
+    let originalWorkletNode;
+    let addModule;
+
+    beforeEach(() => {
+      lexFeature = new LexFeature(mockLexRuntime, {
+        botName: 'Bot',
+        botAlias: 'Alias',
+      });
+      addModule = jasmine.createSpy('addModule').and.resolveTo();
+      lexFeature._audioContext = {sampleRate: 48000, audioWorklet: {addModule}};
+
+      originalWorkletNode = window.AudioWorkletNode;
+      window.AudioWorkletNode = function AudioWorkletNode(context, name, opts) {
+        this.name = name;
+        this.options = opts;
+        this.port = {};
+      };
+
+      spyOn(URL, 'createObjectURL').and.returnValue('blob:recorder');
+      spyOn(URL, 'revokeObjectURL');
+    });
+
+    afterEach(() => {
+      window.AudioWorkletNode = originalWorkletNode;
+    });
+
+    async function loadRecorderProcessor(sampleRate) {
+      await lexFeature._createWorkletRecorder();
+      const source = await URL.createObjectURL.calls.argsFor(0)[0].text();
+      let Processor;
+      class AudioWorkletProcessor {}
+      const registerProcessor = (name, processorClass) => {
+        Processor = processorClass;
+      };
+
+      // eslint-disable-next-line no-new-func
+      new Function(
+        'AudioWorkletProcessor',
+        'registerProcessor',
+        'sampleRate',
+        source
+      )(AudioWorkletProcessor, registerProcessor, sampleRate);
+
+      return Processor;
+    }
+
+    it('should resolve undefined if AudioWorklet is not supported', async () => {
+      delete lexFeature._audioContext.audioWorklet;
+      const node = await lexFeature._createWorkletRecorder();
+
+      expect(node).toBeUndefined();
+    });
+
+    it('should resolve undefined and log a warning if the recorder module fails to load', async () => {
+      addModule.and.rejectWith(new Error('Blocked'));
+      spyOn(console, 'warn');
+      const node = await lexFeature._createWorkletRecorder();
+
+      expect(node).toBeUndefined();
+      expect(console.warn).toHaveBeenCalledTimes(1);
+    });
+
+    it('should only load the recorder module once for each AudioContext', async () => {
+      await lexFeature._createWorkletRecorder();
+      await lexFeature._createWorkletRecorder();
+
+      expect(addModule).toHaveBeenCalledOnceWith('blob:recorder');
+      expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:recorder');
+    });
+
+    it('should create a node that downsamples input to the Lex sample rate', async () => {
+      const node = await lexFeature._createWorkletRecorder();
+      const {targetSampleRate} = node.options.processorOptions;
+
+      expect(targetSampleRate).toEqual(16000);
+      expect(lexFeature._recSampleRate).toEqual(16000);
+    });
+
+    it('should emit the input level and only store samples while recording', async () => {
+      const node = await lexFeature._createWorkletRecorder();
+      const samples = new Float32Array(10);
+      spyOn(lexFeature, 'emit');
+
+      node.port.onmessage({data: {samples, level: 0.5}});
+
+      expect(lexFeature.emit).toHaveBeenCalledWith(
+        LexFeature.EVENTS.micLevel,
+        0.5
+      );
+
+      expect(lexFeature._recLength).toEqual(0);
+
+      lexFeature._recording = true;
+      node.port.onmessage({data: {samples, level: 0.5}});
+
+      expect(lexFeature._recBuffer).toEqual([samples]);
+      expect(lexFeature._recLength).toEqual(10);
+    });
+
+    it('should load a processor that posts downsampled input and its level', async () => {
+      const Processor = await loadRecorderProcessor(48000);
+      const processor = new Processor({
+        processorOptions: {bufferSize: 300, targetSampleRate: 16000},
+      });
+      processor.port = jasmine.createSpyObj('port', ['postMessage']);
+      const input = new Float32Array(200).fill(0.5);
+
+      processor.process([[input]]);
+
+      expect(processor.port.postMessage).not.toHaveBeenCalled();
+
+      processor.process([[input]]);
+      const [message] = processor.port.postMessage.calls.argsFor(0);
+
+      expect(message.samples.length).toEqual(100);
+      expect(message.samples[0]).toEqual(0.5);
+      expect(message.level).toBeCloseTo(0.5);
+    });
+
+    it('should not drift when the sample rates do not divide the buffer size evenly', async () => {
+      const Processor = await loadRecorderProcessor(44100);
+      const processor = new Processor({
+        processorOptions: {bufferSize: 300, targetSampleRate: 16000},
+      });
+      processor.port = jasmine.createSpyObj('port', ['postMessage']);
+      const input = new Float32Array(300).fill(0.5);
+
+      for (let i = 0; i < 10; i++) {
+        processor.process([[input]]);
+      }
+      const lengths = processor.port.postMessage.calls
+        .allArgs()
+        .map(([message]) => message.samples.length);
+      const total = lengths.reduce((sum, length) => sum + length, 0);
+
+      expect(lengths.length).toEqual(10);
+      expect(total).toEqual(Math.floor((3000 * 16000) / 44100));
+    });
   });
 
   describe('beginVoiceRecording', () => {
@@ -253,5 +591,221 @@ describeEnvironment('LexFeature', () => {
 
       expect(lexFeature._processWithAudio).toHaveBeenCalled();
     });
+
+    it('should pass the sample rate of the recorded audio to _processWithAudio', () => {
+      lexFeature._recSampleRate = 16000;
+      lexFeature.beginVoiceRecording();
+      lexFeature.endVoiceRecording();
+
+      expect(lexFeature._processWithAudio).toHaveBeenCalledWith(
+        jasmine.any(Float32Array),
+        16000
+      );
+    });
+  });
+
+  describe('voice activity detection', () => {
+    const speech = new Float32Array(1600).fill(0.5);
+    const silence = new Float32Array(1600);
+
+    beforeEach(() => {
+      lexFeature = new LexFeature(mockLexRuntime, {
+        botName: 'Bot',
+        botAlias: 'Alias',
+      });
+      lexFeature._micReady = true;
+      lexFeature._recSampleRate = 16000;
+      spyOn(lexFeature, '_processWithAudio').and.resolveTo();
+      spyOn(lexFeature, 'emit').and.callThrough();
+    });
+
+    const input = samples => {
+      lexFeature._onMicInput(samples, LexUtils.getAudioLevel(samples));
+    };
+
+    it('should not record input if it is not enabled', () => {
+      input(speech);
+
+      expect(lexFeature._recording).toBeFalse();
+    });
+
+    it('should begin recording and emit speechStart once the input level reaches the threshold', () => {
+      lexFeature.enableVAD({threshold: 0.6});
+      input(speech);
+
+      expect(lexFeature._recording).toBeFalse();
+
+      lexFeature.enableVAD({threshold: 0.5});
+      input(speech);
+
+      expect(lexFeature._recording).toBeTrue();
+      expect(lexFeature._recLength).toEqual(1600);
+      expect(lexFeature.emit).toHaveBeenCalledWith(
+        LexFeature.EVENTS.speechStart
+      );
+    });
+
+    it('should send the utterance to lex and emit speechEnd after the hangover duration of silence', () => {
+      lexFeature.enableVAD({hangover: 200});
+      input(speech);
+      input(silence);
+
+      expect(lexFeature._processWithAudio).not.toHaveBeenCalled();
+
+      input(speech);
+      input(silence);
+      input(silence);
+
+      expect(lexFeature._processWithAudio).toHaveBeenCalledTimes(1);
+      expect(lexFeature._recording).toBeFalse();
+      expect(lexFeature.emit).toHaveBeenCalledWith(
+        LexFeature.EVENTS.speechEnd,
+        {sent: true}
+      );
+    });
+
+    it('should send the utterance to lex once it reaches the maximum length', () => {
+      lexFeature.enableVAD({maxUtteranceLength: 300});
+      input(speech);
+      input(speech);
+
+      expect(lexFeature._processWithAudio).not.toHaveBeenCalled();
+
+      input(speech);
+      input(speech);
+
+      expect(lexFeature._processWithAudio).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not start an utterance while a manual recording is in progress', () => {
+      lexFeature.enableVAD();
+      lexFeature.beginVoiceRecording();
+      input(speech);
+
+      expect(lexFeature.emit).not.toHaveBeenCalledWith(
+        LexFeature.EVENTS.speechStart
+      );
+    });
+
+    it('should discard the utterance in progress and ignore input while suppressed', () => {
+      lexFeature.enableVAD();
+      input(speech);
+      lexFeature.vadSuppressed = true;
+      input(speech);
+
+      expect(lexFeature._recording).toBeFalse();
+      expect(lexFeature._processWithAudio).not.toHaveBeenCalled();
+      expect(lexFeature.emit).toHaveBeenCalledWith(
+        LexFeature.EVENTS.speechEnd,
+        {sent: false}
+      );
+
+      input(speech);
+
+      expect(lexFeature._recording).toBeFalse();
+    });
+
+    it('should discard the utterance in progress when it is disabled', () => {
+      lexFeature.enableVAD();
+      input(speech);
+      lexFeature.disableVAD();
+
+      expect(lexFeature.vadEnabled).toBeFalse();
+      expect(lexFeature._recording).toBeFalse();
+    });
+
+    describe('with a host', () => {
+      let host;
+
+      beforeEach(() => {
+        host = new HostObject();
+        host.TextToSpeechFeature = {
+          EVENTS: {
+            play: 'TextToSpeechFeature.onPlayEvent',
+            pause: 'TextToSpeechFeature.onPauseEvent',
+            resume: 'TextToSpeechFeature.onResumeEvent',
+            stop: 'TextToSpeechFeature.onStopEvent',
+            interrupt: 'TextToSpeechFeature.onInterruptEvent',
+          },
+        };
+      });
+
+      it('should throw an error if the host does not have a TextToSpeechFeature', () => {
+        delete host.TextToSpeechFeature;
+
+        expect(() => lexFeature.enableVAD({host})).toThrowError();
+      });
+
+      it('should be suppressed while the host is playing speech', () => {
+        lexFeature.enableVAD({host});
+        host.emit(host.TextToSpeechFeature.EVENTS.play);
+
+        expect(lexFeature.vadSuppressed).toBeTrue();
+
+        host.emit(host.TextToSpeechFeature.EVENTS.pause);
+
+        expect(lexFeature.vadSuppressed).toBeFalse();
+
+        host.emit(host.TextToSpeechFeature.EVENTS.resume);
+
+        expect(lexFeature.vadSuppressed).toBeTrue();
+
+        host.emit(host.TextToSpeechFeature.EVENTS.stop);
+
+        expect(lexFeature.vadSuppressed).toBeFalse();
+      });
+
+      it('should not be suppressed while the host is playing speech if suppressWhileSpeaking is false', () => {
+        lexFeature.enableVAD({host, suppressWhileSpeaking: false});
+        host.emit(host.TextToSpeechFeature.EVENTS.play);
+        input(speech);
+
+        expect(lexFeature.vadSuppressed).toBeFalse();
+        expect(lexFeature._recording).toBeTrue();
+      });
+
+      it('should use the speaking threshold while the host is playing speech', () => {
+        lexFeature.enableVAD({
+          host,
+          suppressWhileSpeaking: false,
+          speakingThreshold: 0.6,
+        });
+        host.emit(host.TextToSpeechFeature.EVENTS.play);
+        input(speech);
+
+        expect(lexFeature._recording).toBeFalse();
+
+        host.emit(host.TextToSpeechFeature.EVENTS.stop);
+        input(speech);
+
+        expect(lexFeature._recording).toBeTrue();
+      });
+
+      it('should resume detection once the host speech is canceled', () => {
+        const speaker = {
+          constructor: {EVENTS: host.TextToSpeechFeature.EVENTS, emit() {}},
+          emit: host.emit.bind(host),
+        };
+        const hostSpeech = new AbstractSpeech(speaker, 'test');
+        lexFeature.enableVAD({host});
+        hostSpeech.play(0);
+
+        expect(lexFeature.vadSuppressed).toBeTrue();
+
+        hostSpeech.cancel();
+        input(speech);
+
+        expect(lexFeature.vadSuppressed).toBeFalse();
+        expect(lexFeature._recording).toBeTrue();
+      });
+
+      it('should stop listening to the host when it is disabled', () => {
+        lexFeature.enableVAD({host});
+        lexFeature.disableVAD();
+        host.emit(host.TextToSpeechFeature.EVENTS.play);
+
+        expect(lexFeature.vadSuppressed).toBeFalse();
+      });
+    });
   });
 });
@@ -39,6 +39,25 @@ describeEnvironment('LexUtils', () => {
     });
   });
 
+  describe('getAudioLevel', () => {
+    it('should return 0 if input buffer is not defined or has length of 0', () => {
+      expect(LexUtils.getAudioLevel(undefined)).toEqual(0);
+      expect(LexUtils.getAudioLevel(new Float32Array())).toEqual(0);
+    });
+
+    it('should return the root mean square of the buffer', () => {
+      const testBuffer = new Float32Array([0.5, -0.5, 0.5, -0.5]);
+
+      expect(LexUtils.getAudioLevel(testBuffer)).toBeCloseTo(0.5);
+    });
+
+    it('should not return a level greater than 1', () => {
+      const testBuffer = new Float32Array([2, -2]);
+
+      expect(LexUtils.getAudioLevel(testBuffer)).toEqual(1);
+    });
+  });
+
   describe('encodeWAV', () => {
     it('should return undefined if input buffer is not defined', () => {
       const result = LexUtils.encodeWAV(undefined, 16000);
@@ -108,4 +127,79 @@ describeEnvironment('LexUtils', () => {
       expect(resultView.buffer).toEqual(expectedArrayBuffer.buffer);
     });
   });
+
+  describe('decodeLexV2Value', () => {
+    const encode = text =>
+      new Response(
+        new Blob([text])
+          .stream()
+          // eslint-disable-next-line compat/compat, no-undef
+          .pipeThrough(new CompressionStream('gzip'))
+      )
+        .arrayBuffer()
+        .then(buffer => btoa(String.fromCharCode(...new Uint8Array(buffer))));
+
+    it('should resolve with the parsed JSON value', async () => {
+      const value = await encode('[{"content":"Hello"}]');
+
+      await expectAsync(LexUtils.decodeLexV2Value(value)).toBeResolvedTo([
+        {content: 'Hello'},
+      ]);
+    });
+
+    it('should resolve with the decompressed text if it is not JSON', async () => {
+      const value = await encode('Hello');
+
+      await expectAsync(LexUtils.decodeLexV2Value(value)).toBeResolvedTo(
+        'Hello'
+      );
+    });
+  });
+
+  describe('normalizeLexV2Response', () => {
+    const response = {
+      messages: [
+        {content: 'Hello.', contentType: 'PlainText'},
+        {content: 'Who are you?', contentType: 'PlainText'},
+      ],
+      sessionState: {
+        dialogAction: {type: 'Close'},
+        intent: {
+          name: 'Greet',
+          state: 'Fulfilled',
+          slots: {
+            Name: {value: {originalValue: 'bob', interpretedValue: 'Bob'}},
+            Age: null,
+          },
+        },
+      },
+    };
+
+    it('should join message contents into a single message', () => {
+      const result = LexUtils.normalizeLexV2Response(response);
+
+      expect(result.message).toEqual('Hello. Who are you?');
+      expect(result.messageFormat).toEqual('PlainText');
+    });
+
+    it('should use the intent state as the dialog state once the dialog is closed', () => {
+      const result = LexUtils.normalizeLexV2Response(response);
+
+      expect(result.dialogState).toEqual('Fulfilled');
+      expect(result.intentName).toEqual('Greet');
+    });
+
+    it('should map slots to their interpreted values', () => {
+      const result = LexUtils.normalizeLexV2Response(response);
+
+      expect(result.slots).toEqual({Name: 'Bob', Age: null});
+    });
+
+    it('should keep the original Lex V2 properties', () => {
+      const result = LexUtils.normalizeLexV2Response(response);
+
+      expect(result.messages).toBe(response.messages);
+      expect(result.sessionState).toBe(response.sessionState);
+    });
+  });
 });
@@ -0,0 +1,93 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+/* eslint-disable no-underscore-dangle */
+import {PollySpeechProvider} from '@amazon-sumerian-hosts/core';
+import describeEnvironment from '../EnvironmentHarness';
+
+describeEnvironment('PollySpeechProvider', () => {
+  let mockOwner;
+  let provider;
+  const mockMarkString =
+    '{"time":0,"type":"sentence","start":0,"end":1,"value":"t"}\n{"time":5,"type":"word","start":0,"end":1,"value":"t"}';
+  const mockSpeechMarkResult = {
+    AudioStream: {
+      data: [],
+    },
+  };
+  for (let i = 0, l = mockMarkString.length; i < l; i += 1) {
+    mockSpeechMarkResult.AudioStream.data.push(mockMarkString[i].charCodeAt(0));
+  }
+
+  beforeEach(() => {
+    const polly = jasmine.createSpyObj('Polly', ['synthesizeSpeech']);
+    polly.synthesizeSpeech.and.returnValue({
+      promise: jasmine.createSpy().and.resolveTo(mockSpeechMarkResult),
+    });
+
+    const presigner = jasmine.createSpyObj('Presigner', [
+      'getSynthesizeSpeechUrl',
+    ]);
+    presigner.getSynthesizeSpeechUrl.and.callFake((_params, fn) =>
+      fn(undefined, 'mockUrl')
+    );
+
+    mockOwner = {isReady: false, SERVICES: {polly, presigner}};
+    provider = new PollySpeechProvider(mockOwner);
+  });
+
+  describe('isReady', () => {
+    it('should return the isReady value of the service owner', () => {
+      expect(provider.isReady).toBeFalse();
+
+      mockOwner.isReady = true;
+
+      expect(provider.isReady).toBeTrue();
+    });
+  });
+
+  describe('synthesizeAudio', () => {
+    it('should execute Polly.Presigner.getSynthesizeSpeechUrl with the given parameters', () => {
+      const params = {Text: 'some text'};
+      provider.synthesizeAudio(params);
+
+      expect(
+        mockOwner.SERVICES.presigner.getSynthesizeSpeechUrl
+      ).toHaveBeenCalledWith(params, jasmine.any(Function));
+    });
+
+    it('should resolve to an object containing the presigned url', async () => {
+      const result = await provider.synthesizeAudio({});
+
+      expect(result).toEqual({url: 'mockUrl'});
+    });
+
+    it('should reject if the presigner encounters an error', () => {
+      mockOwner.SERVICES.presigner.getSynthesizeSpeechUrl.and.callFake(
+        (_params, fn) => fn('error')
+      );
+
+      return expectAsync(provider.synthesizeAudio({})).toBeRejectedWith(
+        'error'
+      );
+    });
+  });
+
+  describe('synthesizeSpeechmarks', () => {
+    it('should execute Polly.synthesizeSpeech with the given parameters', () => {
+      const params = {Text: 'some text'};
+      provider.synthesizeSpeechmarks(params);
+
+      expect(mockOwner.SERVICES.polly.synthesizeSpeech).toHaveBeenCalledWith(
+        params
+      );
+    });
+
+    it('should resolve to an array containing a speechmark object for each line of the response', async () => {
+      const result = await provider.synthesizeSpeechmarks({});
+
+      expect(result.length).toEqual(2);
+      expect(result[0].type).toEqual('sentence');
+      expect(result[1].time).toEqual(5);
+    });
+  });
+});
@@ -28,6 +28,8 @@ describeEnvironment('Speech', (_options, env) => {
       play: jasmine.createSpy('play'),
       pause: jasmine.createSpy('pause'),
       stop: jasmine.createSpy('stop'),
+      load: jasmine.createSpy('load'),
+      removeAttribute: jasmine.createSpy('removeAttribute'),
       onEndedObservable: {add: jasmine.createSpy('add')},
       currentTime: 0,
       paused: true,
@@ -125,6 +127,47 @@ describeEnvironment('Speech', (_options, env) => {
         expect(speech._audio.currentTime).toEqual(0);
       });
     });
+
+    describe('seek', () => {
+      it("should set _audio's current time to the position", () => {
+        speech.play(0);
+
+        speech.seek(0, 1.5);
+
+        expect(speech._audio.currentTime).toEqual(1.5);
+      });
+
+      it('should account for negative speechmark offsets', () => {
+        speech.speechmarkOffset = -0.5;
+
+        speech.seek(0, 1.5);
+
+        expect(speech._audio.currentTime).toEqual(1);
+
+        speech.seek(0, 0.25);
+
+        expect(speech._audio.currentTime).toEqual(0);
+      });
+    });
+
+    describe('discard', () => {
+      it('should unload the source of _audio', () => {
+        speech.discard();
+
+        expect(speech._audio.pause).toHaveBeenCalled();
+        expect(speech._audio.removeAttribute).toHaveBeenCalledWith('src');
+        expect(speech._audio.load).toHaveBeenCalled();
+      });
+
+      it('should remove _audio from the document', () => {
+        const parentNode = {removeChild: jasmine.createSpy('removeChild')};
+        speech._audio.parentNode = parentNode;
+
+        speech.discard();
+
+        expect(parentNode.removeChild).toHaveBeenCalledWith(speech._audio);
+      });
+    });
   }
 
   describeCommonSpeech();
@@ -0,0 +1,144 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+/* eslint-disable jasmine/no-spec-dupes */
+import {SpeechCache} from '@amazon-sumerian-hosts/core';
+import describeEnvironment from '../EnvironmentHarness';
+
+describeEnvironment('SpeechCache', () => {
+  describe('getKey', () => {
+    it('should return the same key for equal text and config regardless of property order', () => {
+      const key1 = SpeechCache.getKey('text', {
+        VoiceId: 'Amy',
+        Engine: 'neural',
+      });
+      const key2 = SpeechCache.getKey('text', {
+        Engine: 'neural',
+        VoiceId: 'Amy',
+      });
+
+      expect(key1).toEqual(key2);
+    });
+
+    it('should return different keys if the voice, engine or language differ', () => {
+      const config = {
+        VoiceId: 'Amy',
+        Engine: 'standard',
+        LanguageCode: 'en-GB',
+      };
+      const key = SpeechCache.getKey('text', config);
+      const voiceKey = SpeechCache.getKey('text', {
+        ...config,
+        VoiceId: 'Brian',
+      });
+      const engineKey = SpeechCache.getKey('text', {
+        ...config,
+        Engine: 'neural',
+      });
+      const languageKey = SpeechCache.getKey('text', {
+        ...config,
+        LanguageCode: 'en-US',
+      });
+
+      expect(voiceKey).not.toEqual(key);
+      expect(engineKey).not.toEqual(key);
+      expect(languageKey).not.toEqual(key);
+    });
+  });
+
+  describe('maxEntries', () => {
+    it('should default to Infinity', () => {
+      const cache = new SpeechCache();
+
+      expect(cache.maxEntries).toEqual(Infinity);
+    });
+
+    it('should throw an error if the value is less than 1', () => {
+      const cache = new SpeechCache();
+
+      expect(() => {
+        cache.maxEntries = 0;
+      }).toThrowError();
+    });
+
+    it('should evict the least recently used entries when lowered', () => {
+      const cache = new SpeechCache();
+      cache.set('a', {});
+      cache.set('b', {});
+      cache.set('c', {});
+      cache.maxEntries = 1;
+
+      expect(cache.keys()).toEqual(['c']);
+    });
+  });
+
+  describe('get', () => {
+    it('should return undefined if there is no entry for the key', () => {
+      const cache = new SpeechCache();
+
+      expect(cache.get('a')).toBeUndefined();
+    });
+
+    it('should mark the entry as the most recently used', () => {
+      const cache = new SpeechCache();
+      cache.set('a', {});
+      cache.set('b', {});
+      cache.get('a');
+
+      expect(cache.keys()).toEqual(['b', 'a']);
+    });
+  });
+
+  describe('set', () => {
+    it('should evict the least recently used entry if the cache is full', () => {
+      const onRemove = jasmine.createSpy('onRemove');
+      const entryA = {};
+      const cache = new SpeechCache({maxEntries: 2, onRemove});
+      cache.set('a', entryA);
+      cache.set('b', {});
+      cache.set('c', {});
+
+      expect(cache.size).toEqual(2);
+      expect(cache.has('a')).toBeFalse();
+      expect(onRemove).toHaveBeenCalledOnceWith('a', entryA);
+    });
+
+    it('should execute onRemove with the previous entry if the key is replaced', () => {
+      const onRemove = jasmine.createSpy('onRemove');
+      const entryA = {};
+      const cache = new SpeechCache({onRemove});
+      cache.set('a', entryA);
+      cache.set('a', {});
+
+      expect(onRemove).toHaveBeenCalledOnceWith('a', entryA);
+    });
+  });
+
+  describe('delete', () => {
+    it('should remove the entry and return true if it exists', () => {
+      const cache = new SpeechCache();
+      cache.set('a', {});
+
+      expect(cache.delete('a')).toBeTrue();
+      expect(cache.has('a')).toBeFalse();
+    });
+
+    it('should return false if there is no entry for the key', () => {
+      const cache = new SpeechCache();
+
+      expect(cache.delete('a')).toBeFalse();
+    });
+  });
+
+  describe('clear', () => {
+    it('should remove all entries', () => {
+      const onRemove = jasmine.createSpy('onRemove');
+      const cache = new SpeechCache({onRemove});
+      cache.set('a', {});
+      cache.set('b', {});
+      cache.clear();
+
+      expect(cache.size).toEqual(0);
+      expect(onRemove).toHaveBeenCalledTimes(2);
+    });
+  });
+});
@@ -233,6 +233,97 @@ describeEnvironment('TextToSpeechUtils', () => {
     });
   });
 
+  describe('splitSentences', () => {
+    it('should return an array containing an SSML string for each sentence', () => {
+      const actual = TextToSpeechUtils.splitSentences(
+        'Hello there. How are you? I am great!'
+      );
+
+      expect(actual).toEqual([
+        '<speak>Hello there.</speak>',
+        '<speak>How are you?</speak>',
+        '<speak>I am great!</speak>',
+      ]);
+    });
+
+    it('should keep SSML tags with the sentence they are in', () => {
+      const actual = TextToSpeechUtils.splitSentences(
+        "<speak>Hello <mark name='wave'/>there. <break time='1s'/>Bye.</speak>"
+      );
+
+      expect(actual).toEqual([
+        "<speak>Hello <mark name='wave'/>there.</speak>",
+        "<speak><break time='1s'/>Bye.</speak>",
+      ]);
+    });
+
+    it('should not split sentences inside of open SSML tags', () => {
+      const actual = TextToSpeechUtils.splitSentences(
+        '<speak><prosody rate="slow">One. Two.</prosody> Three.</speak>'
+      );
+
+      expect(actual).toEqual([
+        '<speak><prosody rate="slow">One. Two.</prosody></speak>',
+        '<speak>Three.</speak>',
+      ]);
+    });
+
+    it('should add trailing text without spoken content to the last sentence', () => {
+      const actual = TextToSpeechUtils.splitSentences(
+        "One. Two. <mark name='end'/>"
+      );
+
+      expect(actual).toEqual([
+        '<speak>One.</speak>',
+        "<speak>Two. <mark name='end'/></speak>",
+      ]);
+    });
+
+    it('should return an array with one element if the text has one sentence', () => {
+      expect(TextToSpeechUtils.splitSentences('Just one')).toEqual([
+        '<speak>Just one</speak>',
+      ]);
+    });
+  });
+
+  describe('parseSpeechmarks', () => {
+    it('should return an array containing an object for each line of the input string', () => {
+      const actual = TextToSpeechUtils.parseSpeechmarks(
+        '{"time":0,"type":"sentence","start":0,"end":4,"value":"Test"}\n{"time":6,"type":"word","start":0,"end":4,"value":"Test"}'
+      );
+
+      expect(actual).toEqual([
+        {time: 0, type: 'sentence', start: 0, end: 4, value: 'Test'},
+        {time: 6, type: 'word', start: 0, end: 4, value: 'Test'},
+      ]);
+    });
+
+    it('should return an empty array if the input string contains no speechmarks', () => {
+      expect(TextToSpeechUtils.parseSpeechmarks('')).toEqual([]);
+    });
+  });
+
+  describe('stringifySpeechmarks', () => {
+    it('should return a string containing a line for each speechmark', () => {
+      const expected =
+        '{"time":0,"type":"sentence","start":0,"end":4,"value":"Test"}\n{"time":6,"type":"word","start":0,"end":4,"value":"Test"}';
+      const actual = TextToSpeechUtils.stringifySpeechmarks([
+        {time: 0, type: 'sentence', start: 0, end: 4, value: 'Test'},
+        {time: 6, type: 'word', start: 0, end: 4, value: 'Test'},
+      ]);
+
+      expect(actual).toEqual(expected);
+    });
+
+    it('should not include the duration property of speechmarks', () => {
+      const actual = TextToSpeechUtils.stringifySpeechmarks([
+        {time: 0, type: 'word', value: 'Test', duration: 6},
+      ]);
+
+      expect(actual).toEqual('{"time":0,"type":"word","value":"Test"}');
+    });
+  });
+
   describe('_insertMarks', () => {
     it('should insert matching marks into plain text', () => {
       const originalText = 'No one reads the sample text.';
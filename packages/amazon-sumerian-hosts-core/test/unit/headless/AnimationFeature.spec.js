@@ -0,0 +1,146 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+/* eslint-disable no-underscore-dangle */
+import {
+  HostObject,
+  LayerBlendModes,
+  headless,
+} from '@amazon-sumerian-hosts/core';
+
+const {AnimationFeature, SingleState} = headless;
+
+describe('headless AnimationFeature', () => {
+  let host;
+  let animationFeature;
+
+  beforeEach(() => {
+    host = new HostObject();
+    host.addFeature(AnimationFeature);
+    animationFeature = host.AnimationFeature;
+    animationFeature.addLayer('Base');
+    animationFeature.addAnimation('Base', 'idle', undefined, {
+      clip: {name: 'Idle', duration: 4},
+    });
+  });
+
+  describe('addAnimation', () => {
+    it('should create headless single states', () => {
+      animationFeature.addAnimation('Base', 'wave', undefined, {
+        clip: {name: 'Wave', duration: 1},
+      });
+
+      expect(
+        host._features.AnimationFeature._layerMap.Base.getState('wave')
+      ).toBeInstanceOf(SingleState);
+    });
+  });
+
+  describe('getPose', () => {
+    it('should return an empty array if no animations are playing', () => {
+      expect(animationFeature.getPose()).toEqual([]);
+    });
+
+    it('should describe each clip that influences the pose', () => {
+      animationFeature.playAnimation('Base', 'idle');
+      host._features.AnimationFeature.update(1000);
+
+      expect(animationFeature.getPose()).toEqual([
+        {
+          layer: 'Base',
+          animation: 'idle',
+          clip: 'Idle',
+          normalizedTime: 0.25,
+          weight: 1,
+          blendMode: LayerBlendModes.Override,
+        },
+      ]);
+    });
+  });
+
+  describe('serializeState', () => {
+    it('should describe the layers and animations of the feature', () => {
+      animationFeature.setLayerWeight('Base', 0.5);
+      animationFeature.playAnimation('Base', 'idle');
+      host._features.AnimationFeature.update(1000);
+
+      expect(host._features.AnimationFeature.serializeState()).toEqual({
+        paused: false,
+        layers: [
+          {
+            name: 'Base',
+            weight: 0.5,
+            timeScale: 1,
+            currentAnimation: 'idle',
+            paused: false,
+            animations: {
+              idle: {weight: 1, timeScale: 1, normalizedTime: 0.25},
+            },
+          },
+        ],
+      });
+    });
+  });
+
+  describe('restoreState', () => {
+    let snapshot;
+
+    beforeEach(() => {
+      animationFeature.addAnimation('Base', 'wave', undefined, {
+        clip: {name: 'Wave', duration: 2},
+      });
+      animationFeature.setLayerWeight('Base', 0.5);
+      animationFeature.playAnimation('Base', 'wave');
+      host._features.AnimationFeature.update(500);
+      animationFeature.pauseAnimation('Base');
+      snapshot = JSON.parse(
+        JSON.stringify(host._features.AnimationFeature.serializeState())
+      );
+
+      animationFeature.setLayerWeight('Base', 1);
+      animationFeature.playAnimation('Base', 'idle');
+      host._features.AnimationFeature.update(1000);
+    });
+
+    it('should restore the layer weight and current animation', () => {
+      host._features.AnimationFeature.restoreState(snapshot);
+
+      expect(animationFeature.getLayerWeight('Base')).toEqual(0.5);
+      expect(animationFeature.getCurrentAnimation('Base')).toEqual('wave');
+    });
+
+    it('should restore playback times and paused flags', () => {
+      host._features.AnimationFeature.restoreState(snapshot);
+      host._features.AnimationFeature.update(1000);
+
+      expect(animationFeature.getPaused('Base')).toBeTrue();
+      expect(animationFeature.getPose()[0].normalizedTime).toEqual(0.25);
+    });
+
+    it('should give only the current animation influence', () => {
+      host._features.AnimationFeature.restoreState(snapshot);
+      host._features.AnimationFeature.update(0);
+
+      expect(animationFeature.getPose().map(({clip}) => clip)).toEqual([
+        'Wave',
+      ]);
+    });
+
+    it('should log a warning and skip layers that do not exist', () => {
+      spyOn(console, 'warn');
+      snapshot.layers[0].name = 'Missing';
+
+      host._features.AnimationFeature.restoreState(snapshot);
+
+      expect(console.warn).toHaveBeenCalledTimes(1);
+      expect(animationFeature.getCurrentAnimation('Base')).toEqual('idle');
+    });
+
+    it('should pause the feature if it was paused', () => {
+      snapshot.paused = true;
+
+      host._features.AnimationFeature.restoreState(snapshot);
+
+      expect(animationFeature.paused).toBeTrue();
+    });
+  });
+});
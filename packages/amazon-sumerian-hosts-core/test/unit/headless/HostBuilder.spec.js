@@ -0,0 +1,74 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+/* eslint-disable no-underscore-dangle */
+import {headless} from '@amazon-sumerian-hosts/core';
+
+const {HostBuilder, AnimationFeature, PointOfInterestFeature} = headless;
+
+describe('headless HostBuilder', () => {
+  const clips = [{name: 'Idle', duration: 4}];
+  const scene = {
+    Head: {position: [0, 1.6, 0]},
+    Camera: {position: [0, 1.6, 2]},
+  };
+  let builder;
+
+  beforeEach(() => {
+    builder = new HostBuilder(scene, clips);
+  });
+
+  describe('featureClasses', () => {
+    it('should use the headless feature classes', () => {
+      const {featureClasses} = builder;
+
+      expect(featureClasses.AnimationFeature).toBe(AnimationFeature);
+      expect(featureClasses.PointOfInterestFeature).toBe(
+        PointOfInterestFeature
+      );
+    });
+  });
+
+  describe('build', () => {
+    it('should resolve clips and scene objects by name', () => {
+      const host = builder.build({
+        features: [
+          {
+            type: 'AnimationFeature',
+            layers: [
+              {
+                name: 'Base',
+                animations: [{name: 'idle', clip: 'Idle'}],
+                currentAnimation: 'idle',
+              },
+            ],
+          },
+          {
+            type: 'PointOfInterestFeature',
+            args: [{lookTracker: 'Head'}],
+          },
+        ],
+      });
+      host._features.AnimationFeature.update(1000);
+
+      expect(host.AnimationFeature.getPose()[0].clip).toEqual('Idle');
+      expect(host._features.PointOfInterestFeature._lookTracker).toBe(
+        scene.Head
+      );
+    });
+
+    it('should throw an error if a clip cannot be found', () => {
+      expect(() => {
+        builder.build({
+          features: [
+            {
+              type: 'AnimationFeature',
+              layers: [
+                {name: 'Base', animations: [{name: 'run', clip: 'Run'}]},
+              ],
+            },
+          ],
+        });
+      }).toThrowError();
+    });
+  });
+});
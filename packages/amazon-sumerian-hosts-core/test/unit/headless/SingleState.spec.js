@@ -0,0 +1,151 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+/* eslint-disable no-underscore-dangle */
+import {headless} from '@amazon-sumerian-hosts/core';
+
+const {SingleState} = headless;
+
+describe('headless SingleState', () => {
+  let state;
+
+  beforeEach(() => {
+    state = new SingleState({
+      name: 'walk',
+      clip: {name: 'Walk', duration: 2},
+      loopCount: 2,
+    });
+    state.updateInternalWeight(1);
+  });
+
+  describe('duration', () => {
+    it('should return the duration of the clip', () => {
+      expect(state.duration).toEqual(2);
+    });
+
+    it('should be 0 if no clip is provided', () => {
+      expect(new SingleState().duration).toEqual(0);
+    });
+  });
+
+  describe('normalizedTime', () => {
+    it('should set the playback time as a fraction of the clip duration', () => {
+      state.normalizedTime = 0.25;
+
+      expect(state._time).toEqual(0.5);
+      expect(state.normalizedTime).toEqual(0.25);
+    });
+
+    it('should clamp the time between 0 and 1', () => {
+      state.normalizedTime = 2;
+
+      expect(state.normalizedTime).toEqual(1);
+    });
+  });
+
+  describe('update', () => {
+    it('should advance the playback time while playing', () => {
+      state.play();
+      state.update(500);
+
+      expect(state.normalizedTime).toEqual(0.25);
+    });
+
+    it('should not advance the playback time while paused', () => {
+      state.play();
+      state.pause();
+      state.update(500);
+
+      expect(state.normalizedTime).toEqual(0);
+    });
+
+    it('should scale the advance by the time scales', () => {
+      state.timeScale = 2;
+      state.updateInternalTimeScale(0.5);
+      state.play();
+      state.update(500);
+
+      expect(state.normalizedTime).toEqual(0.25);
+    });
+
+    it('should wrap the time and execute the onLoop callback when the end of the clip is passed', () => {
+      const onLoop = jasmine.createSpy('onLoop');
+      state.setEventCallbacks({onLoop});
+      state.play();
+      state.update(1000);
+      state.update(1500);
+
+      expect(state.normalizedTime).toEqual(0.25);
+      expect(onLoop).toHaveBeenCalledWith(1);
+    });
+
+    it('should hold the last frame and resolve the play promise once all loops are played', async () => {
+      const onComplete = jasmine.createSpy('onComplete');
+      state.setEventCallbacks({onComplete});
+      const promise = state.play();
+      state.update(5000);
+
+      expect(state.normalizedTime).toEqual(1);
+      expect(onComplete).toHaveBeenCalledTimes(1);
+      expect(state.paused).toBeTrue();
+
+      await expectAsync(promise).toBeResolved();
+    });
+
+    it('should reach markers that playback passes', () => {
+      const onMarker = jasmine.createSpy('onMarker');
+      state.addMarker('step', 0.5);
+      state.setEventCallbacks({onMarker});
+      state.play();
+      state.update(500);
+
+      expect(onMarker).not.toHaveBeenCalled();
+
+      state.update(600);
+
+      expect(onMarker).toHaveBeenCalledWith(
+        jasmine.objectContaining({name: 'step'})
+      );
+    });
+  });
+
+  describe('play', () => {
+    it('should restart playback from the beginning', () => {
+      state.play();
+      state.update(500);
+      state.play();
+
+      expect(state.normalizedTime).toEqual(0);
+    });
+  });
+
+  describe('stop', () => {
+    it('should reset the playback time', () => {
+      state.play();
+      state.update(500);
+      state.stop();
+
+      expect(state.normalizedTime).toEqual(0);
+    });
+  });
+
+  describe('getDefinition', () => {
+    it('should describe the clip by name', () => {
+      expect(state.getDefinition().clip).toEqual('Walk');
+    });
+  });
+
+  describe('restoreState', () => {
+    it('should not reach markers that were skipped over', () => {
+      const onMarker = jasmine.createSpy('onMarker');
+      state.setEventCallbacks({onMarker});
+      state.addMarker('peak', 0.5);
+      state.play();
+
+      state.restoreState({normalizedTime: 0.75});
+      state.update(0);
+
+      expect(state.normalizedTime).toEqual(0.75);
+      expect(onMarker).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,48 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+/* eslint-disable no-underscore-dangle */
+import {HostObject, headless} from '@amazon-sumerian-hosts/core';
+
+const {TextToSpeechFeature, Speech} = headless;
+
+describe('headless TextToSpeechFeature', () => {
+  let feature;
+
+  beforeEach(() => {
+    feature = new TextToSpeechFeature(new HostObject());
+  });
+
+  describe('enabled', () => {
+    it('should always be true', () => {
+      expect(feature.enabled).toBeTrue();
+    });
+  });
+
+  describe('_createSpeech', () => {
+    it('should create a speech that keeps the audio url without loading it', () => {
+      const speechmarks = [{type: 'word', value: 'hello', time: 0}];
+      const speech = feature._createSpeech(
+        '<speak>hello</speak>',
+        speechmarks,
+        {
+          url: 'url',
+        }
+      );
+
+      expect(speech).toBeInstanceOf(Speech);
+      expect(speech.url).toEqual('url');
+      expect(speech.speechmarks).toEqual(speechmarks);
+    });
+  });
+});
+
+describe('headless Speech', () => {
+  describe('volume', () => {
+    it('should store the volume', () => {
+      const speech = new Speech({}, 'text');
+      speech.volume = 0.5;
+
+      expect(speech.volume).toEqual(0.5);
+    });
+  });
+});
@@ -0,0 +1,104 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+import {headless} from '@amazon-sumerian-hosts/core';
+
+const {TransformUtils} = headless;
+
+function expectArrayCloseTo(actual, expected) {
+  expect(actual.length).toEqual(expected.length);
+  actual.forEach((value, index) => {
+    expect(value).toBeCloseTo(expected[index]);
+  });
+}
+
+describe('TransformUtils', () => {
+  const halfSqrt2 = Math.SQRT1_2;
+
+  describe('getPosition', () => {
+    it('should return a copy of the position', () => {
+      const obj = {position: [1, 2, 3]};
+      const position = TransformUtils.getPosition(obj);
+
+      expect(position).toEqual([1, 2, 3]);
+      expect(position).not.toBe(obj.position);
+    });
+
+    it('should return the origin if the transform has no position', () => {
+      expect(TransformUtils.getPosition({})).toEqual([0, 0, 0]);
+    });
+  });
+
+  describe('getMatrix', () => {
+    it('should return a column major matrix of the rotation and position', () => {
+      const matrix = TransformUtils.getMatrix({
+        position: [1, 2, 3],
+        rotation: [0, halfSqrt2, 0, halfSqrt2],
+      });
+
+      expectArrayCloseTo(matrix, [
+        0,
+        0,
+        -1,
+        0,
+        0,
+        1,
+        0,
+        0,
+        1,
+        0,
+        0,
+        0,
+        1,
+        2,
+        3,
+        1,
+      ]);
+    });
+  });
+
+  describe('rotateVector', () => {
+    it('should rotate the vector by the rotation of the transform', () => {
+      const obj = {rotation: [0, halfSqrt2, 0, halfSqrt2]};
+
+      expectArrayCloseTo(TransformUtils.rotateVector(obj, [0, 0, 1]), [
+        1,
+        0,
+        0,
+      ]);
+    });
+  });
+
+  describe('rotateAroundUp', () => {
+    it('should turn the positive Z axis towards the positive X axis for positive angles', () => {
+      const obj = {};
+      TransformUtils.rotateAroundUp(obj, 90);
+
+      expectArrayCloseTo(obj.rotation, [0, halfSqrt2, 0, halfSqrt2]);
+      expectArrayCloseTo(TransformUtils.rotateVector(obj, [0, 0, 1]), [
+        1,
+        0,
+        0,
+      ]);
+    });
+
+    it('should add to the existing rotation', () => {
+      const obj = {rotation: [0, halfSqrt2, 0, halfSqrt2]};
+      TransformUtils.rotateAroundUp(obj, 90);
+
+      expectArrayCloseTo(TransformUtils.rotateVector(obj, [0, 0, 1]), [
+        0,
+        0,
+        -1,
+      ]);
+    });
+  });
+
+  describe('translate', () => {
+    it('should move the transform by the offset', () => {
+      const obj = {position: [1, 0, 0]};
+      TransformUtils.translate(obj, [0, 1, 2]);
+
+      expect(obj.position).toEqual([1, 1, 2]);
+    });
+  });
+});
@@ -0,0 +1,97 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+import {
+  HostBuilder as CoreHostBuilder,
+  LayerBlendModes,
+} from '@amazon-sumerian-hosts/core';
+import HostObject from './HostObject';
+import PointOfInterestFeature from './PointOfInterestFeature';
+import IKFeature from './IKFeature';
+import LocomotionFeature from './LocomotionFeature';
+import anim from './animpack';
+import aws from './awspack';
+
+/**
+ * Builder that creates three.js hosts from a {@link HostDefinition}. Clips are
+ * looked up by name in the animation clips given to the builder and scene
+ * objects are looked up by name in the host owner's hierarchy. Clips used on
+ * Additive layers are made additive when they are first used. The audio
+ * listener of a TextToSpeechFeature can't be described in JSON, pass it to
+ * [build]{@link core/HostBuilder#build} with the featureArgs option.
+ *
+ * @extends core/HostBuilder
+ * @alias threejs/HostBuilder
+ */
+class HostBuilder extends CoreHostBuilder {
+  /**
+   * @constructor
+   *
+   * @param {external:"THREE.Scene"} scene - The scene that will contain the hosts.
+   * @param {Array.<external:"THREE.AnimationClip">} [clips=[]] - Animation clips
+   * that can be referenced by name in definitions.
+   * @param {Object=} options - Options for the builder. See
+   * {@link core/HostBuilder}.
+   */
+  constructor(scene, clips = [], options = {}) {
+    super({
+      hostClass: HostObject,
+      ...options,
+      featureClasses: {
+        AnimationFeature: anim.AnimationFeature,
+        PointOfInterestFeature,
+        IKFeature,
+        LocomotionFeature,
+        TextToSpeechFeature: aws.TextToSpeechFeature,
+        ...options.featureClasses,
+      },
+    });
+
+    this._scene = scene;
+    this._clips = clips;
+    this._additiveClips = new Set();
+  }
+
+  _resolveClip(clip, layerDefinition) {
+    if (typeof clip !== 'string') {
+      return clip;
+    }
+
+    const threeClip = this._clips.find(({name}) => name === clip);
+
+    if (threeClip === undefined) {
+      throw new Error(
+        `Cannot resolve clip ${clip} for layer ${layerDefinition.name}. No animation clip exists with this name.`
+      );
+    }
+
+    if (
+      layerDefinition.blendMode === LayerBlendModes.Additive &&
+      !this._additiveClips.has(threeClip)
+    ) {
+      THREE.AnimationUtils.makeClipAdditive(threeClip);
+      this._additiveClips.add(threeClip);
+    }
+
+    return threeClip;
+  }
+
+  _resolveObject(host, object) {
+    if (typeof object !== 'string') {
+      return object;
+    }
+
+    return host.owner.getObjectByName(object);
+  }
+
+  _resolveFeatureArgs(host, type, args) {
+    args = super._resolveFeatureArgs(host, type, args);
+
+    if (type === 'PointOfInterestFeature') {
+      args[0].scene = args[0].scene || this._scene;
+    }
+
+    return args;
+  }
+}
+
+export default HostBuilder;
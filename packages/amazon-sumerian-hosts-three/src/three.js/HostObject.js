@@ -8,9 +8,16 @@
  * @see https://threejs.org/docs/#api/en/core/Clock
  */
 
+/**
+ * Threejs AnimationClip object
+ *
+ * @external "THREE.AnimationClip"
+ * @see https://threejs.org/docs/#api/en/animation/AnimationClip
+ */
+
 import {
   HostObject as CoreHostObject,
-  Messenger,
+  EventDispatcher,
 } from '@amazon-sumerian-hosts/core';
 
 /**
@@ -23,35 +30,105 @@ class HostObject extends CoreHostObject {
    *
    * @param {Object=} options - Options for the host.
    * @param {Object=} options.owner - Optional engine-specific owner of the host.
-   * @param {external:"THREE.Clock"=} options.clock - Optional clock to manage time.
+   * @param {number} [options.timeScale=1] - Factor to scale the host clock by.
+   * @param {Object=} options.dispatcher - Optional object that delivers the
+   * host's messages. See {@link core/Messenger}. By default each host delivers
+   * its own messages.
+   * @param {(external:"THREE.Clock"|Function|null)=} options.clock - Optional
+   * clock to manage time. Functions must return the current time in
+   * milliseconds. See {@link core/HostObject}.
    */
   constructor(options = {}) {
+    const {clock} = options;
+
+    // Three.js clocks measure elapsed time in seconds
+    if (clock && typeof clock.getElapsedTime === 'function') {
+      options = {...options, clock: () => clock.getElapsedTime() * 1000};
+    }
+
+    // Hosts that share an owner must not receive each other's messages
+    if (options.dispatcher === undefined) {
+      options = {...options, dispatcher: new EventDispatcher()};
+    }
+
     super(options);
+  }
 
-    this._clock = options.clock;
+  /**
+   * Return a copy of an animation clip that targets the joints of a different
+   * skeleton. Tracks are renamed using the retargeter's bone map and their
+   * quaternion and position values are converted to the target rest pose.
+   *
+   * @param {external:"THREE.AnimationClip"} clip - The clip to retarget.
+   * @param {Retargeter} retargeter - The retargeter to convert tracks with.
+   *
+   * @returns {external:"THREE.AnimationClip"}
+   */
+  static retargetClip(clip, retargeter) {
+    const tracks = clip.tracks.map(track => {
+      const {nodeName, propertyName} = THREE.PropertyBinding.parseTrackName(
+        track.name
+      );
+      const retargetedTrack = track.clone();
+      retargetedTrack.name = track.name.replace(
+        nodeName,
+        THREE.PropertyBinding.sanitizeNodeName(
+          retargeter.getTargetName(nodeName)
+        )
+      );
 
-    if (this._clock) {
-      Object.defineProperty(this, 'now', {
-        get: () => {
-          return this._clock.getElapsedTime() * 1000;
-        },
-      });
+      let size = 0;
+      let convert;
+      if (propertyName === 'quaternion') {
+        size = 4;
+        convert = value => retargeter.retargetRotation(nodeName, value);
+      } else if (propertyName === 'position') {
+        size = 3;
+        convert = value => retargeter.retargetPosition(nodeName, value);
+      }
 
-      this._lastUpdate = this.now;
-    }
+      for (let i = 0; size && i < retargetedTrack.values.length; i += size) {
+        retargetedTrack.values.set(
+          convert(Array.from(retargetedTrack.values.slice(i, i + size))),
+          i
+        );
+      }
 
-    this._dispatcher = this;
+      return retargetedTrack;
+    });
+
+    return new THREE.AnimationClip(
+      clip.name,
+      clip.duration,
+      tracks,
+      clip.blendMode
+    );
   }
 
-  _createEvent(message, value) {
-    return {detail: value, type: message};
+  /**
+   * Return the local transforms of every object below a root object, for use as
+   * a rest pose with {@link Retargeter}. This should be called before any
+   * animations are applied to the objects.
+   *
+   * @param {external:"THREE.Object3D"} root - The root object of the skeleton.
+   *
+   * @returns {Object.<string, Object>} Map of object names to objects with
+   * 'position' and 'rotation' arrays.
+   */
+  static getRestPose(root) {
+    const restPose = {};
+
+    root.traverse(object => {
+      if (object !== root) {
+        restPose[object.name] = {
+          position: object.position.toArray(),
+          rotation: object.quaternion.toArray(),
+        };
+      }
+    });
+
+    return restPose;
   }
 }
 
-Object.getOwnPropertyNames(THREE.EventDispatcher.prototype)
-  .filter(prop => prop !== 'constructor')
-  .forEach(prop => {
-    Messenger.prototype[prop] = THREE.EventDispatcher.prototype[prop];
-  });
-
 export default HostObject;
@@ -0,0 +1,185 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+import {
+  IKFeature as CoreIKFeature,
+  MathUtils,
+} from '@amazon-sumerian-hosts/core';
+
+// Minimum length of vectors used to define rotation axes
+const Epsilon = 1e-6;
+
+/**
+ * Return the world position of an object.
+ *
+ * @private
+ *
+ * @param {external:"THREE.Object3D"} obj - The object.
+ *
+ * @returns {external:"THREE.Vector3"}
+ */
+function getPosition(obj) {
+  return obj.getWorldPosition(new THREE.Vector3());
+}
+
+/**
+ * Rotate an object by a world space rotation.
+ *
+ * @private
+ *
+ * @param {external:"THREE.Object3D"} obj - The object to rotate.
+ * @param {external:"THREE.Quaternion"} rotation - The rotation to apply.
+ */
+function rotateWorld(obj, rotation) {
+  const worldRotation = obj.getWorldQuaternion(new THREE.Quaternion());
+  const parentRotation = obj.parent
+    ? obj.parent.getWorldQuaternion(new THREE.Quaternion())
+    : new THREE.Quaternion();
+
+  obj.quaternion.copy(
+    parentRotation
+      .invert()
+      .multiply(rotation)
+      .multiply(worldRotation)
+  );
+  obj.updateMatrixWorld(true);
+}
+
+/**
+ * Rotate an object so the direction 'from' points along the direction 'to'.
+ *
+ * @private
+ *
+ * @param {external:"THREE.Object3D"} obj - The object to rotate.
+ * @param {external:"THREE.Vector3"} from - World direction to rotate from.
+ * @param {external:"THREE.Vector3"} to - World direction to rotate to.
+ * @param {number} [factor=1] - 0-1 amount of the rotation to apply.
+ */
+function rotateTowards(obj, from, to, factor = 1) {
+  if (from.length() < Epsilon || to.length() < Epsilon) {
+    return;
+  }
+
+  const rotation = new THREE.Quaternion().setFromUnitVectors(
+    from.clone().normalize(),
+    to.clone().normalize()
+  );
+  rotateWorld(obj, new THREE.Quaternion().slerp(rotation, factor));
+}
+
+/**
+ * @extends core/IKFeature
+ * @alias threejs/IKFeature
+ */
+class IKFeature extends CoreIKFeature {
+  static _getWorldPosition(obj) {
+    obj.updateWorldMatrix(true, false);
+    return obj.matrixWorld.elements.slice(12, 15);
+  }
+
+  _findJoint(name) {
+    return this._host.owner.getObjectByName(name);
+  }
+
+  /**
+   * Blend the rotations of the joints from their animated rotations to their
+   * solved rotations.
+   *
+   * @private
+   *
+   * @param {Array.<external:"THREE.Object3D">} joints - The solved joints.
+   * @param {Array.<external:"THREE.Quaternion">} rotations - The animated local
+   * rotations of the joints.
+   * @param {number} weight - 0-1 amount of the solved rotations to keep.
+   */
+  _applyWeight(joints, rotations, weight) {
+    if (weight >= 1) {
+      return;
+    }
+
+    joints.forEach((joint, index) => {
+      joint.quaternion.copy(
+        rotations[index].clone().slerp(joint.quaternion, weight)
+      );
+      joint.updateMatrixWorld(true);
+    });
+  }
+
+  _solveTwoBone(joints, targetPosition, polePosition, weight) {
+    const [root, mid, end] = joints;
+    const rotations = [root.quaternion.clone(), mid.quaternion.clone()];
+    const target = new THREE.Vector3(...targetPosition);
+    const a = getPosition(root);
+    const b = getPosition(mid);
+    const c = getPosition(end);
+    const ab = b.distanceTo(a);
+    const bc = c.distanceTo(b);
+    const at = MathUtils.clamp(
+      target.distanceTo(a),
+      Epsilon,
+      ab + bc - Epsilon
+    );
+
+    // Bend the middle joint so the end joint is the target distance from the root
+    const toRoot = a.clone().sub(b);
+    const toEnd = c.clone().sub(b);
+    const bendAxis = new THREE.Vector3().crossVectors(toRoot, toEnd);
+    if (bendAxis.length() < Epsilon && polePosition) {
+      bendAxis.crossVectors(toRoot, new THREE.Vector3(...polePosition).sub(b));
+    }
+
+    if (bendAxis.length() >= Epsilon) {
+      const angle = toRoot.angleTo(toEnd);
+      const targetAngle = Math.acos(
+        MathUtils.clamp((ab * ab + bc * bc - at * at) / (2 * ab * bc), -1, 1)
+      );
+      rotateWorld(
+        mid,
+        new THREE.Quaternion().setFromAxisAngle(
+          bendAxis.normalize(),
+          targetAngle - angle
+        )
+      );
+    }
+
+    // Swing the root joint so the end joint points at the target
+    const toTarget = target.clone().sub(a);
+    rotateTowards(root, getPosition(end).sub(a), toTarget);
+
+    // Twist around the root to target line so the middle joint faces the pole
+    if (polePosition) {
+      const axis = toTarget.clone().normalize();
+      const toMid = getPosition(mid)
+        .sub(a)
+        .projectOnPlane(axis);
+      const toPole = new THREE.Vector3(...polePosition)
+        .sub(a)
+        .projectOnPlane(axis);
+      rotateTowards(root, toMid, toPole);
+    }
+
+    this._applyWeight([root, mid], rotations, weight);
+  }
+
+  _solveLookAt(joints, targetPosition, forwardAxis, weight) {
+    const rotations = joints.map(joint => joint.quaternion.clone());
+    const target = new THREE.Vector3(...targetPosition);
+    const last = joints[joints.length - 1];
+
+    // Spread the rotation evenly, each joint rotates part of the remaining angle
+    joints.forEach((joint, index) => {
+      const forward = new THREE.Vector3(...forwardAxis).applyQuaternion(
+        last.getWorldQuaternion(new THREE.Quaternion())
+      );
+      rotateTowards(
+        joint,
+        forward,
+        target.clone().sub(getPosition(last)),
+        1 / (joints.length - index)
+      );
+    });
+
+    this._applyWeight(joints, rotations, weight);
+  }
+}
+
+export default IKFeature;
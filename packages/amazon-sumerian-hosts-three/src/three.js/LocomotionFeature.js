@@ -0,0 +1,47 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+import {
+  LocomotionFeature as CoreLocomotionFeature,
+  MathUtils,
+} from '@amazon-sumerian-hosts/core';
+
+/**
+ * The owner is rotated around the world up axis, so it should not have a
+ * rotated parent.
+ *
+ * @extends core/LocomotionFeature
+ * @alias threejs/LocomotionFeature
+ */
+class LocomotionFeature extends CoreLocomotionFeature {
+  static _getWorldPosition(obj) {
+    obj.updateWorldMatrix(true, false);
+    return obj.matrixWorld.elements.slice(12, 15);
+  }
+
+  static _getWorldDirection(obj, direction) {
+    obj.updateWorldMatrix(true, false);
+    return new THREE.Vector3(...direction)
+      .transformDirection(obj.matrixWorld)
+      .toArray();
+  }
+
+  _rotate(degrees) {
+    this._host.owner.rotateOnWorldAxis(
+      new THREE.Vector3(0, 1, 0),
+      MathUtils.toRadians(degrees)
+    );
+  }
+
+  _translate(offset) {
+    const {owner} = this._host;
+    const position = owner
+      .getWorldPosition(new THREE.Vector3())
+      .add(new THREE.Vector3(...offset));
+
+    owner.position.copy(
+      owner.parent ? owner.parent.worldToLocal(position) : position
+    );
+  }
+}
+
+export default LocomotionFeature;
@@ -29,9 +29,152 @@ class AnimationFeature extends CoreAnimationFeature {
     this._mixer = new THREE.AnimationMixer(host.owner);
   }
 
+  /**
+   * Return the names of an object in the host owner's hierarchy and its
+   * ancestors, ordered from the object up to the root of the scene.
+   *
+   * @private
+   *
+   * @param {string} name - Name of the object.
+   *
+   * @returns {Array.<string>}
+   */
+  _getHierarchyNames(name) {
+    const object = this._host.owner.getObjectByName(name);
+
+    if (object === undefined) {
+      return [name];
+    }
+
+    const names = [];
+    object.traverseAncestors(ancestor => {
+      names.push(ancestor.name);
+    });
+
+    return [object.name, ...names];
+  }
+
+  /**
+   * Split the tracks of a clip into new clips that share the same weight in a
+   * layer mask. Tracks the mask excludes are discarded.
+   *
+   * @private
+   *
+   * @param {external:"THREE.AnimationClip"} clip - The clip to split.
+   * @param {LayerMask} mask - The layer mask.
+   *
+   * @returns {Map.<number, external:"THREE.AnimationClip">} Map of mask weights
+   * to clips. Always contains a clip for a weight of 1.
+   */
+  _splitClip(clip, mask) {
+    const weightedTracks = new Map([[1, []]]);
+
+    clip.tracks.forEach(track => {
+      const {nodeName} = THREE.PropertyBinding.parseTrackName(track.name);
+      const weight = mask.getWeight(this._getHierarchyNames(nodeName));
+
+      if (weight === 0) {
+        return;
+      }
+
+      if (!weightedTracks.has(weight)) {
+        weightedTracks.set(weight, []);
+      }
+
+      weightedTracks.get(weight).push(track);
+    });
+
+    const clips = new Map();
+    weightedTracks.forEach((tracks, weight) => {
+      clips.set(
+        weight,
+        new THREE.AnimationClip(
+          clip.name,
+          clip.duration,
+          tracks,
+          clip.blendMode
+        )
+      );
+    });
+
+    return clips;
+  }
+
+  /**
+   * Return a copy of a clip where the root motion joint keeps its first
+   * horizontal position, along with the joint's original position track.
+   *
+   * @private
+   *
+   * @param {external:"THREE.AnimationClip"} clip - The clip to copy.
+   * @param {string} jointName - Name of the root motion joint.
+   *
+   * @returns {Array} An array containing the clip and the position track, or
+   * the original clip and undefined if the clip does not move the joint.
+   */
+  _extractRootMotion(clip, jointName) {
+    const index = clip.tracks.findIndex(track => {
+      const {nodeName, propertyName} = THREE.PropertyBinding.parseTrackName(
+        track.name
+      );
+      return nodeName === jointName && propertyName === 'position';
+    });
+
+    if (index === -1) {
+      return [clip, undefined];
+    }
+
+    const rootMotionTrack = clip.tracks[index];
+    const pinnedTrack = rootMotionTrack.clone();
+    const {values} = pinnedTrack;
+    const [startX, , startZ] = values;
+    for (let i = 3; i < values.length; i += 3) {
+      values[i] = startX;
+      values[i + 2] = startZ;
+    }
+
+    const tracks = [...clip.tracks];
+    tracks[index] = pinnedTrack;
+
+    return [
+      new THREE.AnimationClip(clip.name, clip.duration, tracks, clip.blendMode),
+      rootMotionTrack,
+    ];
+  }
+
   _createSingleState(options) {
-    // Duplicate the clip if it is already in use by another three action
     let {clip} = options;
+
+    if (options.rootMotionJoint) {
+      let rootMotionTrack;
+      [clip, rootMotionTrack] = this._extractRootMotion(
+        clip,
+        options.rootMotionJoint
+      );
+      options = {...options, rootMotionTrack};
+    }
+
+    if (options.mask) {
+      // Play partially weighted tracks with their own actions
+      const clips = this._splitClip(clip, options.mask);
+      const maskedActions = [];
+      clips.forEach((maskedClip, weight) => {
+        if (weight !== 1) {
+          maskedActions.push({
+            action: this._mixer.clipAction(maskedClip),
+            weight,
+          });
+        }
+      });
+
+      return new SingleState(
+        options,
+        this._mixer.clipAction(clips.get(1)),
+        maskedActions
+      );
+    }
+
+    // Duplicate the clip if it is already in use by another three action
     if (this._mixer.existingAction(clip)) {
       clip = clip.clone();
     }
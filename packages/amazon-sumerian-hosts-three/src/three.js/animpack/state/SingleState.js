@@ -25,10 +25,18 @@ class SingleState extends CoreSingleState {
    * @constructor
    *
    * @param {Object=} options - Options for the animation state.
+   * @param {external:"THREE.KeyframeTrack"=} options.rootMotionTrack - Position
+   * track of the root motion joint to sample root motion from, when the clip
+   * played by threeAction keeps the joint in place.
    * @param {external:"THREE.AnimationAction"} threeAction - Animation action that controls
    * playback of the clip.
+   * @param {Array.<Object>} [maskedActions=[]] - Additional animation actions
+   * that play in sync with threeAction, with the signature
+   * {action: external:"THREE.AnimationAction", weight: number}. Used to play the
+   * tracks of a clip that a layer mask only partially weights, each action's
+   * influence is scaled by its weight.
    */
-  constructor(options = {}, threeAction) {
+  constructor(options = {}, threeAction, maskedActions = []) {
     super(options);
 
     // Callback to catch THREE animation action completion
@@ -38,7 +46,7 @@ class SingleState extends CoreSingleState {
         return;
       }
 
-      this._promises.play.resolve();
+      this._finish();
 
       // Stop evaluating interpolators if they have already completed
       if (!this.weightPending && !this.timeScalePending) {
@@ -47,15 +55,20 @@ class SingleState extends CoreSingleState {
     };
 
     this._threeAction = threeAction;
-    this._threeAction.clampWhenFinished = true; // Hold the last frame on completion
-    this._threeAction.enabled = false;
-    this._threeAction.loop =
-      this._loopCount === 1 ? THREE.LoopOnce : THREE.LoopRepeat;
-    this._threeAction.paused = this._paused;
-    this._threeAction.repetitions = this._loopCount;
-    this._threeAction.timeScale = this._timeScale;
-    this._threeAction.weight = this._internalWeight;
-    this._threeAction.blendMode = threeBlendModes[this._blendMode];
+    this._maskedActions = maskedActions;
+    this._rootMotionInterpolant = options.rootMotionTrack
+      ? options.rootMotionTrack.createInterpolant()
+      : null;
+    this._forEachAction((action, maskWeight) => {
+      action.clampWhenFinished = true; // Hold the last frame on completion
+      action.enabled = false;
+      action.loop = this._loopCount === 1 ? THREE.LoopOnce : THREE.LoopRepeat;
+      action.paused = this._paused;
+      action.repetitions = this._loopCount;
+      action.timeScale = this._timeScale * this._internalTimeScale;
+      action.weight = this._internalWeight * maskWeight;
+      action.blendMode = threeBlendModes[this._blendMode];
+    });
 
     // Start listening for animation finished events
     this._threeAction
@@ -73,6 +86,39 @@ class SingleState extends CoreSingleState {
     return this._threeAction;
   }
 
+  /**
+   * Execute a function for the THREE.AnimationAction and each of the masked
+   * actions.
+   *
+   * @private
+   *
+   * @param {Function} callback - Function that receives the action and the
+   * weight of its tracks in the layer mask.
+   */
+  _forEachAction(callback) {
+    callback(this._threeAction, 1);
+    this._maskedActions.forEach(({action, weight}) => {
+      callback(action, weight);
+    });
+  }
+
+  _sampleRootMotion(time) {
+    if (this._rootMotionInterpolant === null) {
+      return super._sampleRootMotion(time);
+    }
+
+    // The interpolant reuses its result buffer, so copy the values
+    return Array.from(
+      this._rootMotionInterpolant.evaluate(
+        time * this._threeAction.getClip().duration
+      )
+    );
+  }
+
+  get duration() {
+    return this._threeAction.getClip().duration;
+  }
+
   get normalizedTime() {
     if (
       this._threeAction.time &&
@@ -86,7 +132,10 @@ class SingleState extends CoreSingleState {
 
   set normalizedTime(time) {
     time = MathUtils.clamp(time);
-    this._threeAction.time = this._threeAction.getClip().duration * time;
+    const targetTime = this._threeAction.getClip().duration * time;
+    this._forEachAction(action => {
+      action.time = targetTime;
+    });
   }
 
   get weight() {
@@ -96,13 +145,17 @@ class SingleState extends CoreSingleState {
   set weight(weight) {
     super.weight = weight;
 
-    this._threeAction.enabled = true;
+    this._forEachAction(action => {
+      action.enabled = true;
+    });
   }
 
   updateInternalWeight(factor) {
     super.updateInternalWeight(factor);
 
-    this._threeAction.setEffectiveWeight(this._internalWeight);
+    this._forEachAction((action, maskWeight) => {
+      action.setEffectiveWeight(this._internalWeight * maskWeight);
+    });
   }
 
   get timeScale() {
@@ -112,7 +165,17 @@ class SingleState extends CoreSingleState {
   set timeScale(timeScale) {
     super.timeScale = timeScale;
 
-    this._threeAction.timeScale = timeScale;
+    this._forEachAction(action => {
+      action.timeScale = timeScale * this._internalTimeScale;
+    });
+  }
+
+  updateInternalTimeScale(factor) {
+    super.updateInternalTimeScale(factor);
+
+    this._forEachAction(action => {
+      action.timeScale = this._timeScale * this._internalTimeScale;
+    });
   }
 
   get loopCount() {
@@ -122,55 +185,72 @@ class SingleState extends CoreSingleState {
   set loopCount(loopCount) {
     super.loopCount = loopCount;
 
-    this._threeAction.loop =
-      loopCount === 1 ? THREE.LoopOnce : THREE.LoopRepeat;
-    this._threeAction.repetitions = loopCount;
+    this._forEachAction(action => {
+      action.loop = loopCount === 1 ? THREE.LoopOnce : THREE.LoopRepeat;
+      action.repetitions = loopCount;
+    });
   }
 
   play(onFinish, onError, onCancel) {
     // Restart animation
-    this._threeAction.reset();
-    this._threeAction.play();
+    this._forEachAction(action => {
+      action.reset();
+      action.play();
+    });
 
     return super.play(onFinish, onError, onCancel);
   }
 
   pause() {
     // Make sure animation has influence
-    this._threeAction.paused = true;
-    this._threeAction.play();
+    this._forEachAction(action => {
+      action.paused = true;
+      action.play();
+    });
 
     return super.pause();
   }
 
   resume(onFinish, onError, onCancel) {
     // Make sure the animation can play and has influence
-    this._threeAction.paused = false;
-    this._threeAction.enabled = true;
-    this._threeAction.play();
+    this._forEachAction(action => {
+      action.paused = false;
+      action.enabled = true;
+      action.play();
+    });
 
     return super.resume(onFinish, onError, onCancel);
   }
 
   cancel() {
     // Stop animation playback
-    this._threeAction.paused = true;
+    this._forEachAction(action => {
+      action.paused = true;
+    });
 
     return super.cancel();
   }
 
   stop() {
     // Restart and pause the animation
-    this._threeAction.reset();
-    this._threeAction.paused = true;
-    this._threeAction.play();
+    this._forEachAction(action => {
+      action.reset();
+      action.paused = true;
+      action.play();
+    });
 
     return super.stop();
   }
 
+  getDefinition() {
+    return {...super.getDefinition(), clip: this._threeAction.getClip().name};
+  }
+
   discard() {
     // Stop the animation from having influence
-    this._threeAction.enabled = false;
+    this._forEachAction(action => {
+      action.enabled = false;
+    });
 
     // Stop listening for finish events
     this._threeAction
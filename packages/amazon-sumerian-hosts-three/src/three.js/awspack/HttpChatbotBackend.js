@@ -0,0 +1,19 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+import {HttpChatbotBackend as CoreHttpChatbotBackend} from '@amazon-sumerian-hosts/core';
+
+/**
+ * @extends core/HttpChatbotBackend
+ * @alias threejs/HttpChatbotBackend
+ */
+class HttpChatbotBackend extends CoreHttpChatbotBackend {
+  /**
+   * Setup audio context
+   * @override
+   */
+  _setupAudioContext() {
+    this._audioContext = THREE.AudioContext.getContext();
+  }
+}
+
+export default HttpChatbotBackend;
@@ -58,6 +58,17 @@ class Speech extends CoreSpeech {
 
     return super.play(currentTime, onFinish, onError, onInterrupt);
   }
+
+  discard() {
+    // Detach the Three.js audio from the scene graph
+    this._threeAudio.disconnect();
+
+    if (this._threeAudio.parent) {
+      this._threeAudio.parent.remove(this._threeAudio);
+    }
+
+    super.discard();
+  }
 }
 
 export default Speech;
@@ -95,6 +95,21 @@ class TextToSpeechFeature extends CoreTextToSpeechFeature {
     return new Speech(this, text, speechmarks, audioConfig);
   }
 
+  /**
+   * Return a JSON compatible description of the feature's speech options. The
+   * object the audio is attached to is described by name, or undefined if it
+   * is the host owner.
+   *
+   * @returns {Object} An object with the signature {type: string, args: Array}.
+   */
+  getDefinition() {
+    const definition = super.getDefinition();
+    definition.args[0].attachTo =
+      this._attachTo !== this._host.owner ? this._attachTo.name : undefined;
+
+    return definition;
+  }
+
   getEngineUserAgentString() {
     return `Three.js-${THREE.REVISION}`;
   }
@@ -16,8 +16,11 @@ import {
   Messenger,
 } from '@amazon-sumerian-hosts/core';
 import PointOfInterestFeature, {AxisMap} from './PointOfInterestFeature';
+import IKFeature from './IKFeature';
+import LocomotionFeature from './LocomotionFeature';
 import {env} from './HostEnvironment';
 import HostObject from './HostObject';
+import HostBuilder from './HostBuilder';
 
 import aws from './awspack';
 import anim from './animpack';
@@ -55,6 +58,14 @@ export {
    * @see threejs/PointOfInterestFeature
    */
   PointOfInterestFeature,
+  /**
+   * @see threejs/IKFeature
+   */
+  IKFeature,
+  /**
+   * @see threejs/LocomotionFeature
+   */
+  LocomotionFeature,
   /**
    * @see env
    */
@@ -67,6 +78,10 @@ export {
    * @see threejs/HostObject
    */
   HostObject,
+  /**
+   * @see threejs/HostBuilder
+   */
+  HostBuilder,
   /**
    * @see AxisMap
    */
@@ -1,6 +1,7 @@
 // Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
 // SPDX-License-Identifier: MIT-0
 import {HostObject} from '@amazon-sumerian-hosts/three';
+import {Retargeter} from '@amazon-sumerian-hosts/core';
 import describeEnvironment from './EnvironmentHarness';
 
 describeEnvironment('HostObject', (options = {}) => {
@@ -134,4 +135,81 @@ describeEnvironment('HostObject', (options = {}) => {
       expect(host.emit.bind(host, HostObject)).not.toThrowError();
     });
   });
+
+  describe('retargetClip', () => {
+    let retargeter;
+    let clip;
+
+    beforeEach(() => {
+      retargeter = new Retargeter({
+        boneMap: {SourceHips: 'hips'},
+        sourceRestPose: {
+          SourceHips: {position: [0, 1, 0], rotation: [0, 0, 0, 1]},
+        },
+        targetRestPose: {
+          hips: {position: [0, 2, 0], rotation: [0, 0.6, 0, 0.8]},
+        },
+      });
+      clip = new THREE.AnimationClip('walk', 1, [
+        new THREE.VectorKeyframeTrack(
+          'SourceHips.position',
+          [0, 1],
+          [0, 1, 0, 1, 1, 0]
+        ),
+        new THREE.QuaternionKeyframeTrack(
+          'SourceHips.quaternion',
+          [0],
+          [0, 0, 0, 1]
+        ),
+        new THREE.VectorKeyframeTrack('SourceHips.scale', [0], [2, 2, 2]),
+      ]);
+    });
+
+    it('should rename tracks to target the mapped joints', () => {
+      const retargeted = HostObject.retargetClip(clip, retargeter);
+
+      expect(retargeted.name).toEqual('walk');
+      expect(retargeted.duration).toEqual(1);
+      expect(retargeted.tracks.map(track => track.name)).toEqual([
+        'hips.position',
+        'hips.quaternion',
+        'hips.scale',
+      ]);
+    });
+
+    it('should convert position and quaternion values to the target rest pose', () => {
+      const [position, quaternion, scale] = HostObject.retargetClip(
+        clip,
+        retargeter
+      ).tracks;
+
+      expect(Array.from(position.values)).toEqual([0, 2, 0, 2, 2, 0]);
+      Array.from(quaternion.values).forEach((value, index) => {
+        expect(value).toBeCloseTo([0, 0.6, 0, 0.8][index]);
+      });
+
+      expect(Array.from(scale.values)).toEqual([2, 2, 2]);
+    });
+
+    it('should not change the original clip', () => {
+      HostObject.retargetClip(clip, retargeter);
+
+      expect(clip.tracks[0].name).toEqual('SourceHips.position');
+      expect(Array.from(clip.tracks[0].values)).toEqual([0, 1, 0, 1, 1, 0]);
+    });
+  });
+
+  describe('getRestPose', () => {
+    it('should return the local transforms of each object below the root', () => {
+      const root = new THREE.Object3D();
+      const hips = new THREE.Object3D();
+      hips.name = 'hips';
+      hips.position.set(0, 2, 0);
+      root.add(hips);
+
+      expect(HostObject.getRestPose(root)).toEqual({
+        hips: {position: [0, 2, 0], rotation: [0, 0, 0, 1]},
+      });
+    });
+  });
 });
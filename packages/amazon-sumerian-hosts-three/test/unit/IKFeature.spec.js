@@ -0,0 +1,141 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+/* eslint-disable no-undef */
+/* eslint-disable no-underscore-dangle */
+import {HostObject, IKFeature} from '@amazon-sumerian-hosts/three';
+import {IKChainTypes} from '@amazon-sumerian-hosts/core';
+import describeEnvironment from './EnvironmentHarness';
+
+describeEnvironment('IKFeature', () => {
+  let ikFeature;
+  let upperArm;
+  let hand;
+  let neck;
+  let head;
+
+  function createJoint(name, parent, position) {
+    const joint = new THREE.Object3D();
+    joint.name = name;
+    joint.position.set(...position);
+    parent.add(joint);
+
+    return joint;
+  }
+
+  function expectPosition(obj, position) {
+    obj
+      .getWorldPosition(new THREE.Vector3())
+      .toArray()
+      .forEach((value, index) => {
+        expect(value).toBeCloseTo(position[index]);
+      });
+  }
+
+  beforeEach(() => {
+    // upperArm > lowerArm > hand with a slightly bent elbow, neck > head
+    const owner = new THREE.Object3D();
+    upperArm = createJoint('upperArm', owner, [0, 0, 0]);
+    const lowerArm = createJoint('lowerArm', upperArm, [0, -1, 0]);
+    hand = createJoint('hand', lowerArm, [0, -1, 0.1]);
+    neck = createJoint('neck', owner, [0, 1.5, 0]);
+    head = createJoint('head', neck, [0, 0.5, 0]);
+    owner.updateMatrixWorld(true);
+
+    const host = new HostObject({owner});
+    host.addFeature(IKFeature);
+    ikFeature = host._features.IKFeature;
+  });
+
+  describe('_findJoint', () => {
+    it('should return the object below the owner with the given name', () => {
+      expect(ikFeature._findJoint('hand')).toBe(hand);
+    });
+  });
+
+  describe('solve', () => {
+    it('should move the end of a TwoBone chain to the target', () => {
+      ikFeature.addChain('arm', {
+        joints: ['upperArm', 'lowerArm', 'hand'],
+        target: [1, -1, 0],
+      });
+      ikFeature.solve();
+
+      expectPosition(hand, [1, -1, 0]);
+    });
+
+    it('should bend the middle joint of a TwoBone chain towards the pole', () => {
+      ikFeature.addChain('arm', {
+        joints: ['upperArm', 'lowerArm', 'hand'],
+        target: [0, -1.5, 0],
+        pole: [0, -1, 1],
+      });
+      ikFeature.solve();
+      const lowerArm = ikFeature._findJoint('lowerArm');
+
+      expectPosition(hand, [0, -1.5, 0]);
+
+      expect(lowerArm.getWorldPosition(new THREE.Vector3()).z).toBeGreaterThan(
+        0
+      );
+    });
+
+    it('should blend from the animated pose by the weight of the chain', () => {
+      ikFeature.addChain('arm', {
+        joints: ['upperArm', 'lowerArm', 'hand'],
+        target: [1, -1, 0],
+      });
+      ikFeature.solve();
+      const solvedAngle = upperArm.quaternion.angleTo(new THREE.Quaternion());
+      upperArm.quaternion.identity();
+      upperArm.children[0].quaternion.identity();
+      upperArm.updateMatrixWorld(true);
+      ikFeature.setWeight('arm', 0.5);
+      ikFeature.solve();
+
+      expect(upperArm.quaternion.angleTo(new THREE.Quaternion())).toBeCloseTo(
+        solvedAngle / 2
+      );
+    });
+
+    it('should point the forward axis of the last LookAt joint at the target', () => {
+      ikFeature.addChain('look', {
+        type: IKChainTypes.LookAt,
+        joints: ['neck', 'head'],
+        target: [1, 2, 0],
+      });
+      ikFeature.solve();
+      const forward = new THREE.Vector3(0, 0, 1).applyQuaternion(
+        head.getWorldQuaternion(new THREE.Quaternion())
+      );
+
+      expectPosition(head, [0, 2, 0]);
+      forward.toArray().forEach((value, index) => {
+        expect(value).toBeCloseTo([1, 0, 0][index]);
+      });
+    });
+
+    it('should spread the rotation of a LookAt chain across its joints', () => {
+      ikFeature.addChain('look', {
+        type: IKChainTypes.LookAt,
+        joints: ['neck', 'head'],
+        target: [1, 2, 0],
+      });
+      ikFeature.solve();
+
+      expect(neck.quaternion.angleTo(new THREE.Quaternion())).toBeCloseTo(
+        Math.PI / 4
+      );
+
+      expect(head.quaternion.angleTo(new THREE.Quaternion())).toBeCloseTo(
+        Math.PI / 4
+      );
+    });
+
+    it('should not move chains without a target', () => {
+      ikFeature.addChain('arm', {joints: ['upperArm', 'lowerArm', 'hand']});
+      ikFeature.solve();
+
+      expectPosition(hand, [0, -2, 0.1]);
+    });
+  });
+});
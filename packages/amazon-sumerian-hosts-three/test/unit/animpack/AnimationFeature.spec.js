@@ -0,0 +1,103 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+/* eslint-disable no-undef */
+/* eslint-disable no-underscore-dangle */
+import {HostObject, anim} from '@amazon-sumerian-hosts/three';
+import {LayerMask} from '@amazon-sumerian-hosts/core';
+import describeEnvironment from '../EnvironmentHarness';
+
+describeEnvironment('AnimationFeature', () => {
+  let animationFeature;
+  let clip;
+
+  function getTrackNames(animationClip) {
+    return animationClip.tracks.map(track => track.name);
+  }
+
+  beforeEach(() => {
+    // hips > spine > head, hips > leg
+    const owner = new THREE.Object3D();
+    const hips = new THREE.Object3D();
+    const spine = new THREE.Object3D();
+    const head = new THREE.Object3D();
+    const leg = new THREE.Object3D();
+    hips.name = 'hips';
+    spine.name = 'spine';
+    head.name = 'head';
+    leg.name = 'leg';
+    spine.add(head);
+    hips.add(spine, leg);
+    owner.add(hips);
+
+    const host = new HostObject({owner});
+    host.addFeature(anim.AnimationFeature);
+    animationFeature = host._features.AnimationFeature;
+
+    const rotation = [0, 0, 0, 1, 0, 0, 0, 1];
+    clip = new THREE.AnimationClip('wave', 2, [
+      new THREE.VectorKeyframeTrack(
+        'hips.position',
+        [0, 2],
+        [0, 0, 0, 1, 0, 1]
+      ),
+      new THREE.QuaternionKeyframeTrack('spine.quaternion', [0, 2], rotation),
+      new THREE.QuaternionKeyframeTrack('head.quaternion', [0, 2], rotation),
+      new THREE.QuaternionKeyframeTrack('leg.quaternion', [0, 2], rotation),
+    ]);
+  });
+
+  describe('_splitClip', () => {
+    it('should group the tracks of the clip into clips by mask weight', () => {
+      const mask = new LayerMask({exclude: ['leg'], weights: {head: 0.5}});
+      const clips = animationFeature._splitClip(clip, mask);
+
+      expect([...clips.keys()]).toEqual([1, 0.5]);
+      expect(getTrackNames(clips.get(1))).toEqual([
+        'hips.position',
+        'spine.quaternion',
+      ]);
+
+      expect(getTrackNames(clips.get(0.5))).toEqual(['head.quaternion']);
+    });
+
+    it('should keep the name and duration of the clip', () => {
+      const mask = new LayerMask({weights: {head: 0.5}});
+      const clips = animationFeature._splitClip(clip, mask);
+
+      clips.forEach(maskedClip => {
+        expect(maskedClip.name).toEqual('wave');
+        expect(maskedClip.duration).toEqual(2);
+      });
+    });
+
+    it('should always return a clip for a weight of 1', () => {
+      const mask = new LayerMask({weights: {hips: 0.5}});
+      const clips = animationFeature._splitClip(clip, mask);
+
+      expect(clips.get(1).tracks).toEqual([]);
+      expect(clips.get(0.5).tracks.length).toEqual(4);
+    });
+  });
+
+  describe('_createSingleState', () => {
+    it('should play tracks with partial mask weights with their own actions', () => {
+      const mask = new LayerMask({exclude: ['leg'], weights: {head: 0.5}});
+      const state = animationFeature._createSingleState({
+        name: 'wave',
+        clip,
+        mask,
+      });
+
+      expect(getTrackNames(state._threeAction.getClip())).toEqual([
+        'hips.position',
+        'spine.quaternion',
+      ]);
+
+      expect(state._maskedActions.length).toEqual(1);
+      expect(state._maskedActions[0].weight).toEqual(0.5);
+      expect(getTrackNames(state._maskedActions[0].action.getClip())).toEqual([
+        'head.quaternion',
+      ]);
+    });
+  });
+});
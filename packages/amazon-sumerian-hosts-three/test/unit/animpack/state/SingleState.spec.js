@@ -184,6 +184,20 @@ describeEnvironment('SingleState', () => {
         state._internalWeight
       );
     });
+
+    it('should scale the effective weight of masked actions by their mask weight', () => {
+      const maskedAction = {
+        ...state._threeAction,
+        setEffectiveWeight: jasmine.createSpy('setEffectiveWeight'),
+      };
+      state._maskedActions = [{action: maskedAction, weight: 0.5}];
+      state.weight = 1;
+      state.updateInternalWeight(0.5);
+
+      expect(maskedAction.setEffectiveWeight).toHaveBeenCalledWith(
+        state._internalWeight * 0.5
+      );
+    });
   });
 
   describe('play', () => {
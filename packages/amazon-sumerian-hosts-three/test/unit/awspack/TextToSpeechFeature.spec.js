@@ -135,4 +135,25 @@ describeEnvironment('TextToSpeechFeature', () => {
 
     itActsLikeThreeSynthesizeAudio();
   });
+
+  describe('getDefinition', () => {
+    it('should describe the speech options and the object the audio is attached to by name', () => {
+      const attachTo = new THREE.Object3D();
+      attachTo.name = 'speaker';
+      const tts = new aws.TextToSpeechFeature(mockHost, {
+        voice: 'Brian',
+        attachTo,
+      });
+      const [options] = tts.getDefinition().args;
+
+      expect(options.voice).toEqual('Brian');
+      expect(options.attachTo).toEqual('speaker');
+    });
+
+    it('should not describe the object the audio is attached to if it is the host owner', () => {
+      const tts = new aws.TextToSpeechFeature(mockHost);
+
+      expect(tts.getDefinition().args[0].attachTo).toBeUndefined();
+    });
+  });
 });
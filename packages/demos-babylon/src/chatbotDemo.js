@@ -55,6 +55,9 @@ async function createScene() {
   };
   lex = new AwsFeatures.LexFeature(lexClient, botConfig);
 
+  // Let the host speak chatbot responses with gestures and emotes.
+  host.addFeature(AwsFeatures.ConversationFeature, false, {backend: lex});
+
   initUi();
   initConversationManagement();
   acquireMicrophoneAccess();
@@ -117,11 +120,9 @@ function handleLexResponse(response) {
   // Remove "processing" CSS class from message container.
   messageContainerEl.classList.remove('processing');
 
-  // Display the user's speech input transcript.
+  // Display the user's speech input transcript. The ConversationFeature has
+  // the host speak the response.
   displaySpeechInputTranscript(response.inputTranscript);
-
-  // Have the host speak the response from Lex.
-  host.TextToSpeechFeature.play(response.message);
 }
 
 function displaySpeechInputTranscript(text) {
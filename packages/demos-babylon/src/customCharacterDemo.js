@@ -1,11 +1,54 @@
-import {HostObject} from '@amazon-sumerian-hosts/babylon';
+import {HostObject, anim} from '@amazon-sumerian-hosts/babylon';
 import {Scene} from '@babylonjs/core/scene';
 import {Vector3} from '@babylonjs/core';
+import {SceneLoader} from '@babylonjs/core/Loading/sceneLoader';
 import DemoUtils from './common/demo-utils';
 
 let host;
 let scene;
 
+// Map of the adult_female joint names to the matching joint names of the alien
+// character, used to retarget the adult_female animations.
+const adultFemaleBoneMap = {
+  'char:def_c_hip': 'char:hips',
+  'char:def_c_spineA': 'char:spine_01',
+  'char:def_c_spineB': 'char:spine_02',
+  'char:def_c_spineC': 'char:spine_03',
+  'char:def_c_spineD': 'char:spine_04',
+  'char:def_c_neckA': 'char:neck',
+  'char:def_c_neckB': 'char:head',
+  'char:def_c_jaw': 'char:jaw',
+};
+['l', 'r'].forEach(side => {
+  const joints = {
+    clav: 'clav',
+    shoulder: 'shoulder',
+    elbow: 'elbow',
+    wrist: 'wrist',
+    thigh: 'thigh',
+    knee: 'knee',
+    ankle: 'ankle',
+    ball: 'ball',
+    eye: 'eye',
+    fngThumbA: 'thumb_01',
+    fngThumbB: 'thumb_02',
+    fngThumbC: 'thumb_03',
+    fngIndexA: 'index_01',
+    fngIndexB: 'index_02',
+    fngIndexC: 'index_03',
+    fngMidA: 'middle_01',
+    fngMidB: 'middle_02',
+    fngMidC: 'middle_03',
+    fngRingA: 'ring_01',
+    fngRingB: 'ring_02',
+    fngRingC: 'ring_03',
+  };
+
+  Object.entries(joints).forEach(([source, target]) => {
+    adultFemaleBoneMap[`char:def_${side}_${source}`] = `char:${side}_${target}`;
+  });
+});
+
 async function createScene() {
   // Create an empty scene. Note: Sumerian Hosts work with both
   // right-hand or left-hand coordinate system for babylon scene
@@ -55,6 +98,29 @@ async function createScene() {
 
   host = await HostObject.createHost(scene, characterConfig, pollyConfig);
 
+  // Add the adult_female emotes to the character. They were authored for a
+  // different skeleton, so they are retargeted using the rest pose of each
+  // skeleton.
+  const [sourceRestPose, targetRestPose] = await Promise.all([
+    loadRestPose('./character-assets/characters/adult_female/grace/grace.gltf'),
+    loadRestPose(characterConfig.modelUrl),
+  ]);
+  const {clips} = await HostObject.loadAnimation(
+    scene,
+    host.owner.getDescendants(false),
+    './character-assets/animations/adult_female/emote.glb',
+    'retargetedEmoteClips',
+    {boneMap: adultFemaleBoneMap, sourceRestPose, targetRestPose}
+  );
+  clips.forEach(clip => {
+    host.AnimationFeature.addAnimation(
+      'Emote',
+      clip.name,
+      anim.AnimationTypes.single,
+      {clip, loopCount: 1}
+    );
+  });
+
   // Tell the host to always look at the camera.
   host.PointOfInterestFeature.setTarget(scene.activeCamera);
 
@@ -66,8 +132,25 @@ async function createScene() {
   return scene;
 }
 
+// Load a character model without adding it to the scene and return the rest
+// pose of its skeleton.
+async function loadRestPose(modelUrl) {
+  const container = await SceneLoader.LoadAssetContainerAsync(
+    modelUrl,
+    undefined,
+    scene
+  );
+  const restPose = HostObject.getRestPose(container.meshes[0]);
+  container.dispose();
+
+  return restPose;
+}
+
 function initUi() {
   document.getElementById('speakButton').onclick = speak.bind(this);
+
+  const emoteSelect = document.getElementById('emoteSelect');
+  emoteSelect.addEventListener('change', evt => playEmote(evt.target.value));
 }
 
 function speak() {
@@ -75,4 +158,10 @@ function speak() {
   host.TextToSpeechFeature.play(speech);
 }
 
+function playEmote(name) {
+  if (!name) return;
+
+  host.AnimationFeature.playAnimation('Emote', name);
+}
+
 DemoUtils.loadDemo(createScene);